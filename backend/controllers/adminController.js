@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const usageService = require('../services/usageService');
+const promptTemplateService = require('../services/promptTemplateService');
+const { TEMPLATE_VARIABLES } = require('../utils/promptTemplate');
+
+/**
+ * Compare the x-admin-key header with ADMIN_API_KEY in constant time
+ */
+const isAdminRequest = (req) => {
+    const expected = process.env.ADMIN_API_KEY;
+    const provided = req.get('x-admin-key');
+    if (!expected || !provided) return false;
+
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Respond 503/401 unless the admin API is enabled and the key matches
+ * @returns {boolean} - true when the request was rejected
+ */
+const rejectNonAdmin = (req, res) => {
+    if (!process.env.ADMIN_API_KEY) {
+        res.status(503).json({
+            success: false,
+            message: 'Admin API is disabled. Set ADMIN_API_KEY in backend/.env to enable it.'
+        });
+        return true;
+    }
+
+    if (!isAdminRequest(req)) {
+        res.status(401).json({
+            success: false,
+            message: 'Invalid or missing admin key'
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * AI token usage and cost report
+ * GET /api/admin/usage?groupBy=meeting|user|model|operation|key&meetingId=&userId=&from=&to=
+ */
+exports.getUsage = async (req, res) => {
+    try {
+        if (rejectNonAdmin(req, res)) return;
+
+        const { groupBy, meetingId, userId, from, to } = req.query;
+        const report = await usageService.getReport({ groupBy, meetingId, userId, from, to });
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('❌ Error building usage report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load AI usage'
+        });
+    }
+};
+
+/**
+ * Summary prompt templates (with bodies) and the variables they can use
+ * GET /api/admin/templates?organizationId=
+ */
+exports.listTemplates = async (req, res) => {
+    try {
+        if (rejectNonAdmin(req, res)) return;
+
+        const templates = await promptTemplateService.list(req.query.organizationId || null);
+
+        res.json({
+            success: true,
+            templates: templates.map(template => promptTemplateService.toJSON(template, { includeBody: true })),
+            variables: TEMPLATE_VARIABLES
+        });
+    } catch (error) {
+        console.error('❌ Error listing prompt templates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list templates'
+        });
+    }
+};
+
+/**
+ * Every saved version of a custom template
+ * GET /api/admin/templates/:templateId/versions?organizationId=
+ */
+exports.getTemplateVersions = async (req, res) => {
+    try {
+        if (rejectNonAdmin(req, res)) return;
+
+        const { templateId } = req.params;
+        const versions = await promptTemplateService.getVersions(templateId, req.query.organizationId || null);
+        const builtin = promptTemplateService.getBuiltin(templateId);
+
+        if (versions.length === 0 && !builtin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            templateId,
+            versions: versions.map(version => promptTemplateService.toJSON(version, { includeBody: true })),
+            builtin: builtin ? promptTemplateService.toJSON(builtin, { includeBody: true }) : null
+        });
+    } catch (error) {
+        console.error('❌ Error loading template versions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load template versions'
+        });
+    }
+};
+
+/**
+ * Create a custom template, or save a new version of one
+ * POST /api/admin/templates
+ * Body: { templateId, organizationId, name, description, kind, body, actionItemsDetail }
+ */
+exports.saveTemplate = async (req, res) => {
+    try {
+        if (rejectNonAdmin(req, res)) return;
+
+        const errors = promptTemplateService.validate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid template',
+                errors
+            });
+        }
+
+        const { templateId, organizationId, name, description, kind, body, actionItemsDetail } = req.body;
+        const template = await promptTemplateService.save({
+            templateId, organizationId, name, description, kind, body, actionItemsDetail
+        });
+
+        res.status(201).json({
+            success: true,
+            template: promptTemplateService.toJSON(template, { includeBody: true })
+        });
+    } catch (error) {
+        console.error('❌ Error saving prompt template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save template'
+        });
+    }
+};
+
+/**
+ * Archive a custom template (built-in templates can't be removed, only overridden)
+ * DELETE /api/admin/templates/:templateId?organizationId=
+ */
+exports.archiveTemplate = async (req, res) => {
+    try {
+        if (rejectNonAdmin(req, res)) return;
+
+        const archived = await promptTemplateService.archive(req.params.templateId, req.query.organizationId || null);
+        if (!archived) {
+            return res.status(404).json({
+                success: false,
+                message: 'Custom template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template archived'
+        });
+    } catch (error) {
+        console.error('❌ Error archiving prompt template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to archive template'
+        });
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,74 @@
+const authService = require('../services/authService');
+
+/**
+ * Create an account
+ * POST /api/auth/register
+ * { email, username, password } -> { user, token }
+ */
+exports.register = async (req, res) => {
+    try {
+        const { email, username, password } = req.body;
+        const { user, token } = await authService.register({ email, username, password });
+
+        res.status(201).json({
+            success: true,
+            user,
+            token
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error registering account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create account'
+        });
+    }
+};
+
+/**
+ * Sign in
+ * POST /api/auth/login
+ * { email, password } -> { user, token }
+ */
+exports.login = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const { user, token } = await authService.login({ email, password });
+
+        res.json({
+            success: true,
+            user,
+            token
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('❌ Error signing in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign in'
+        });
+    }
+};
+
+/**
+ * The signed-in user
+ * GET /api/auth/me
+ */
+exports.me = async (req, res) => {
+    res.json({
+        success: true,
+        user: req.user
+    });
+};
+
+module.exports = exports;
@@ -0,0 +1,114 @@
+const geminiService = require('../services/geminiService');
+const historyService = require('../services/historyService');
+
+/**
+ * List the meetings a user attended
+ * GET /api/history/:userId/meetings?from=&to=
+ */
+exports.listMeetings = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { from, to } = req.query;
+
+        const meetings = await historyService.listMeetings(userId, { from, to });
+
+        res.json({
+            success: true,
+            meetings
+        });
+    } catch (error) {
+        console.error('❌ Error listing meeting history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load meeting history'
+        });
+    }
+};
+
+/**
+ * Full-text search across titles, transcripts, chat and summaries of a user's meetings
+ * GET /api/history/:userId/search?q=&from=&to=&limit=
+ */
+exports.searchHistory = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { q, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+
+        if (!q || !q.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query (q) is required'
+            });
+        }
+
+        const results = await historyService.search(userId, q, { limit, from, to });
+
+        console.log(`🔎 History search for ${userId}: "${q}" - ${results.length} meeting(s) matched`);
+
+        res.json({
+            success: true,
+            query: q,
+            results
+        });
+    } catch (error) {
+        console.error('❌ Error searching meeting history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search meeting history'
+        });
+    }
+};
+
+/**
+ * Ask the AI a question across a user's meeting history
+ * POST /api/history/:userId/ask
+ */
+exports.askHistory = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { question, from, to } = req.body;
+
+        if (typeof question !== 'string' || !question.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Question is required'
+            });
+        }
+
+        // Check if Gemini is available
+        if (!geminiService.isAvailable()) {
+            return res.status(503).json({
+                success: false,
+                message: `AI service is not available. ${geminiService.provider.getConfigHint()}`
+            });
+        }
+
+        const excerpts = await historyService.retrieve(userId, question, { from, to });
+
+        console.log(`💬 History Q&A for ${userId}: "${question.substring(0, 50)}" (${excerpts.length} excerpts)`);
+
+        const result = await geminiService.answerHistoryQuestion(question, excerpts);
+
+        res.json(result);
+    } catch (error) {
+        console.error('❌ Error answering history question:', error);
+
+        let statusCode = 500;
+        let message = error.message || 'Failed to answer question';
+        if (error.quota) {
+            statusCode = 429;
+            message = error.quota.message;
+        } else if (error.message?.includes('RATE_LIMIT')) {
+            statusCode = 429;
+            message = 'AI service is temporarily busy (quota exceeded). Please wait a moment and try again.';
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            message
+        });
+    }
+};
+
+module.exports = exports;
@@ -0,0 +1,33 @@
+const jobQueueService = require('../services/jobQueueService');
+
+/**
+ * Status, progress and (once finished) result of a background AI job
+ * GET /api/jobs/:jobId
+ */
+exports.getJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await jobQueueService.get(jobId);
+
+        // Jobs started by a user (e.g. chat) are only visible to that user
+        if (!job || (job.userId && job.userId !== req.user.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: jobQueueService.toJSON(job)
+        });
+    } catch (error) {
+        console.error('❌ Error getting job:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get job'
+        });
+    }
+};
+
+module.exports = exports;
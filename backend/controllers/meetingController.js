@@ -2,16 +2,29 @@ const { v4: uuidv4 } = require('uuid');
 const MeetingModel = require('../models/Meeting');
 const User = require('../models/User');
 const meetingStore = require('../utils/meetingStore');
+const rollingSummaryService = require('../services/rollingSummaryService');
+const analyticsService = require('../services/analyticsService');
+const minutesService = require('../services/minutesService');
+const meetingAccessService = require('../services/meetingAccessService');
+const { can } = require('../utils/roles');
 
 exports.createMeeting = async (req, res) => {
     try {
-        const { host, hostUsername, title } = req.body;
+        // The signed-in user hosts; hostUsername is their display name for this meeting
+        const host = req.user.userId;
+        const hostUsername = req.body.hostUsername || req.user.username;
+        const { title, passcode, waitingRoom } = req.body;
+
+        // Optional entry rules - an invalid passcode is rejected before anything is created
+        const passcodeHash = await meetingAccessService.hashPasscode(passcode);
 
         // Auto-generate meeting ID
         const meetingId = uuidv4().substring(0, 8).toUpperCase();
 
         // Create in-memory meeting
-        meetingStore.createMeeting(meetingId, host, hostUsername, title || `${hostUsername}'s Meeting`);
+        const meeting = meetingStore.createMeeting(meetingId, host, hostUsername, title || `${hostUsername}'s Meeting`);
+        meeting.passcodeHash = passcodeHash;
+        meeting.waitingRoomEnabled = !!waitingRoom;
 
         // Prepare MongoDB document
         const dbMeetingData = {
@@ -26,6 +39,8 @@ exports.createMeeting = async (req, res) => {
                 username: hostUsername,
                 joinedAt: new Date()
             }],
+            passcodeHash: passcodeHash || undefined,
+            waitingRoomEnabled: !!waitingRoom,
             isActive: true
         };
 
@@ -33,12 +48,11 @@ exports.createMeeting = async (req, res) => {
         const dbMeeting = new MeetingModel(dbMeetingData);
         await dbMeeting.save();
 
-        // Create or update user in MongoDB
+        // Record the meeting on the user (a per-meeting display name doesn't rename the account)
         await User.findOneAndUpdate(
             { userId: host },
             {
-                userId: host,
-                username: hostUsername,
+                $setOnInsert: { username: hostUsername },
                 $push: { joinedMeetings: { meetingId: dbMeeting._id, joinedAt: new Date() } }
             },
             { upsert: true, new: true }
@@ -52,6 +66,9 @@ exports.createMeeting = async (req, res) => {
             message: 'Meeting created successfully'
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('❌ Error creating meeting:', error);
         res.status(500).json({
             success: false,
@@ -79,7 +96,10 @@ exports.getMeeting = async (req, res) => {
                 host: meeting.host,
                 hostUsername: meeting.hostUsername,
                 title: meeting.title,
-                participantCount: meeting.participants.length
+                participantCount: meeting.participants.length,
+                requiresPasscode: !!meeting.passcodeHash,
+                waitingRoomEnabled: meeting.waitingRoomEnabled,
+                isLocked: meeting.isLocked
             }
         });
     } catch (error) {
@@ -94,7 +114,8 @@ exports.getMeeting = async (req, res) => {
 exports.joinMeeting = async (req, res) => {
     try {
         const { meetingId } = req.params;
-        const { userId, username } = req.body;
+        const { userId } = req.user;
+        const username = req.body.username || req.user.username;
 
         const meeting = await meetingStore.getMeeting(meetingId);
         if (!meeting || !meeting.isActive) {
@@ -104,50 +125,47 @@ exports.joinMeeting = async (req, res) => {
             });
         }
 
-        // Add to in-memory (socketId null for now, will be updated when socket connects)
-        const participant = meeting.addParticipant(userId, username, null);
+        // Passcode, lock, bans and the waiting room
+        const entry = await meetingAccessService.checkEntry(meeting, userId, { passcode: req.body.passcode });
 
-        // Update MongoDB
-        const dbMeeting = await MeetingModel.findOne({ meetingId });
-        if (dbMeeting) {
-            const existingParticipant = dbMeeting.participants.find(p => p.userId === userId);
-            if (!existingParticipant) {
-                dbMeeting.participants.push({
-                    userId,
-                    username,
-                    joinedAt: new Date()
-                });
-                await dbMeeting.save();
-            }
+        const meetingInfo = {
+            meetingId: meeting.meetingId,
+            host: meeting.host,
+            hostUsername: meeting.hostUsername,
+            title: meeting.title
+        };
+
+        // Not a participant yet - the socket join puts them in the waiting room
+        if (entry === 'waiting') {
+            console.log('⏳ User waiting for admission:', username, 'to meeting:', meetingId);
+            return res.json({
+                success: true,
+                waitingRoom: true,
+                meeting: meetingInfo
+            });
         }
 
-        // Create or update user
-        await User.findOneAndUpdate(
-            { userId },
-            {
-                userId,
-                username,
-                $addToSet: { joinedMeetings: { meetingId: dbMeeting?._id, joinedAt: new Date() } }
-            },
-            { upsert: true, new: true }
-        );
+        // Add to in-memory (socketId null for now, will be updated when socket connects)
+        const participant = meeting.addParticipant(userId, username, null);
+
+        // Update MongoDB and record the meeting on the user
+        await meetingAccessService.recordParticipant(meetingId, userId, username);
 
         console.log('✅ User joined via API:', username, 'to meeting:', meetingId);
 
         res.json({
             success: true,
-            meeting: {
-                meetingId: meeting.meetingId,
-                host: meeting.host,
-                hostUsername: meeting.hostUsername,
-                title: meeting.title
-            },
+            meeting: meetingInfo,
             participant: {
                 userId: participant.userId,
                 username: participant.username
             }
         });
     } catch (error) {
+        // Refused entry - the code tells the client whether to ask for a passcode
+        if (error.code && error.status) {
+            return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+        }
         console.error('❌ Error joining meeting:', error);
         res.status(500).json({
             success: false,
@@ -159,7 +177,7 @@ exports.joinMeeting = async (req, res) => {
 exports.leaveMeeting = async (req, res) => {
     try {
         const { meetingId } = req.params;
-        const { userId } = req.body;
+        const { userId } = req.user;
 
         const meeting = await meetingStore.getMeeting(meetingId);
         if (meeting) {
@@ -194,7 +212,7 @@ exports.leaveMeeting = async (req, res) => {
 exports.endMeeting = async (req, res) => {
     try {
         const { meetingId } = req.params;
-        const { userId } = req.body;
+        const { userId } = req.user;
 
         const meeting = await meetingStore.getMeeting(meetingId);
         
@@ -205,8 +223,8 @@ exports.endMeeting = async (req, res) => {
             });
         }
 
-        // Verify the user is the host
-        if (meeting.host !== userId) {
+        // Verify the user may end it (the host - see utils/roles)
+        if (!can(meeting.getRole(userId), 'endMeeting')) {
             return res.status(403).json({
                 success: false,
                 message: 'Only the host can end the meeting'
@@ -216,6 +234,7 @@ exports.endMeeting = async (req, res) => {
         // Mark meeting as ended in memory
         meeting.isActive = false;
         meeting.endedAt = new Date();
+        rollingSummaryService.stop(meetingId);
 
         // Update MongoDB with all meeting data including transcript and activities
         const dbMeeting = await MeetingModel.findOne({ meetingId });
@@ -225,10 +244,11 @@ exports.endMeeting = async (req, res) => {
             dbMeeting.endedAt = new Date();
             dbMeeting.endTime = new Date();
             
-            // Save transcript (speech-to-text conversations)
-            if (meeting.transcript && meeting.transcript.length > 0) {
-                dbMeeting.transcript = meeting.transcript;
-                console.log(`📝 Saving ${meeting.transcript.length} transcript entries to database`);
+            // Save transcript (speech-to-text conversations), keeping entries already spilled to the DB
+            const transcript = await meeting.getFullTranscript();
+            if (transcript.length > 0) {
+                dbMeeting.transcript = transcript;
+                console.log(`📝 Saving ${transcript.length} transcript entries to database`);
             }
             
             // Save activities (join/leave, hand raise, screen share, etc.)
@@ -267,4 +287,75 @@ exports.endMeeting = async (req, res) => {
             message: 'Failed to end meeting'
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Meeting analytics: talk time, interruptions, hand-raise latency, chat volume, sentiment
+ * GET /api/meetings/:meetingId/analytics
+ * Works for live meetings and ended meetings still in the database
+ */
+exports.getMeetingAnalytics = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const meetingData = await meetingStore.getMeetingRecord(meetingId);
+
+        if (!meetingData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            analytics: analyticsService.analyze(meetingData)
+        });
+    } catch (error) {
+        console.error('❌ Error computing meeting analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to compute meeting analytics'
+        });
+    }
+};
+
+/**
+ * Meeting minutes: attendance, summary, decisions, action items and poll results
+ * GET /api/meetings/:meetingId/minutes?format=md|pdf&timeZone=Europe/Berlin
+ */
+exports.getMeetingMinutes = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const format = req.query.format || 'md';
+
+        if (!minutesService.isSupported(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported format. Use one of: ${minutesService.getFormats().join(', ')}`
+            });
+        }
+
+        const record = await meetingStore.getMeetingRecord(meetingId);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        const { content, contentType, filename } = await minutesService.render(record, format, { timeZone: req.query.timeZone });
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+        });
+        res.send(content);
+    } catch (error) {
+        console.error('❌ Error generating meeting minutes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate meeting minutes'
+        });
+    }
+};
@@ -1,13 +1,25 @@
 const geminiService = require('../services/geminiService');
 const meetingStore = require('../utils/meetingStore');
+const MeetingModel = require('../models/Meeting');
+const summaryCacheService = require('../services/summaryCacheService');
+const chatThreadService = require('../services/chatThreadService');
+const usageService = require('../services/usageService');
+const jobQueueService = require('../services/jobQueueService');
+const promptTemplateService = require('../services/promptTemplateService');
+const chapterService = require('../services/chapterService');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('../utils/languages');
 
 /**
  * Generate meeting summary
  * POST /api/summary/generate
+ *
+ * { targetLanguage: "es-ES" } writes the summary in that language (default English).
+ * With { async: true } the summary is generated by a background job and the
+ * response is 202 { jobId } (see /api/jobs/:jobId); cached summaries are still returned directly.
  */
 exports.generateSummary = async (req, res) => {
     try {
-        const { meetingId, summaryType = 'detailed', level = 'intermediate', additionalData } = req.body;
+        const { meetingId, summaryType = 'detailed', level = 'intermediate', organizationId, additionalData, force = false, async: runAsync = false } = req.body;
 
         if (!meetingId) {
             return res.status(400).json({
@@ -16,11 +28,16 @@ exports.generateSummary = async (req, res) => {
             });
         }
 
+        const targetLanguage = normalizeLanguage(req.body.targetLanguage);
+        if (req.body.targetLanguage && !targetLanguage) {
+            return sendUnsupportedLanguage(res, req.body.targetLanguage);
+        }
+
         // Check if Gemini is available
         if (!geminiService.isAvailable()) {
             return res.status(503).json({
                 success: false,
-                message: 'Summary service is not available. Please configure GEMINI_API_KEY.'
+                message: `Summary service is not available. ${geminiService.provider.getConfigHint()}`
             });
         }
 
@@ -34,44 +51,39 @@ exports.generateSummary = async (req, res) => {
             });
         }
 
-        // Get all meeting data including transcript and activities
-        const allMeetingData = meeting.getAllMeetingData();
-        
+        const templates = await resolveTemplates(summaryType, level, organizationId);
+        if (!templates) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown summary level: ${level}`
+            });
+        }
+
         // Prepare meeting data for summary with all available data
-        const meetingData = {
-            meetingId: allMeetingData.meetingId,
-            title: allMeetingData.title || 'Untitled Meeting',
-            host: allMeetingData.host || 'Unknown Host',
-            participants: allMeetingData.participants || [],
-            messages: allMeetingData.chatMessages || [],
-            transcript: allMeetingData.transcript || [],
-            activities: allMeetingData.activities || [],
-            startTime: allMeetingData.startTime,
-            endTime: additionalData?.endTime || new Date(),
-            duration: calculateDuration(allMeetingData.startTime, additionalData?.endTime || new Date()),
-            // Include any additional data provided
-            ...additionalData
-        };
-
-        console.log(`📝 Generating ${summaryType} (level: ${level}) summary for meeting: ${meetingId}`);
-        console.log(`   📊 Data: ${meetingData.messages.length} chat msgs, ${meetingData.transcript.length} transcript entries, ${meetingData.activities.length} activities`);
-
-        // Generate summary based on type
-        let result;
-        if (summaryType === 'adaptive') {
-            // New adaptive summary based on difficulty level
-            result = await geminiService.generateAdaptiveSummary(meetingData, level);
-        } else if (summaryType === 'all') {
-            result = await geminiService.generateAllSummaries(meetingData);
-        } else {
-            result = await geminiService.generateSummary(meetingData, summaryType);
-        }
-
-        console.log(`✅ Summary generated successfully for meeting: ${meetingId}`);
+        const meetingData = await buildMeetingData(meeting, additionalData);
 
-        res.json(result);
+        // Serve the cached summary when the meeting content (and template version) hasn't changed
+        const contentHash = summaryCacheService.computeContentHash(meetingData, getTemplateCacheKey(templates), targetLanguage);
+        if (!force) {
+            const cached = await summaryCacheService.get(meetingId, summaryType, level, contentHash);
+            if (cached) {
+                console.log(`♻️ Serving cached ${summaryType} summary for meeting: ${meetingId}`);
+                return res.json({ ...cached.result, cached: true, cachedAt: cached.createdAt });
+            }
+        }
+
+        if (await rejectOverQuota(res)) return;
+
+        if (runAsync) {
+            return enqueueJob(res, 'summary', { meetingId, summaryType, level, organizationId, targetLanguage, additionalData });
+        }
+
+        const result = await createSummary(meeting, meetingData, contentHash, summaryType, level, { ...templates, targetLanguage });
+
+        res.json({ ...result, cached: false });
     } catch (error) {
         console.error('❌ Error generating summary:', error);
+        if (error.quota) return sendQuotaExceeded(res, error.quota);
         res.status(500).json({
             success: false,
             message: error.message || 'Failed to generate summary'
@@ -79,13 +91,285 @@ exports.generateSummary = async (req, res) => {
     }
 };
 
+/**
+ * Stream meeting summary as Server-Sent Events
+ * POST /api/summary/generate/stream
+ *
+ * Events: meta -> summary (chunks) -> action-items (chunks) -> done | error
+ * Closing the connection cancels generation.
+ */
+exports.streamSummary = async (req, res) => {
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const { meetingId, level = 'intermediate', organizationId, additionalData, force = false } = req.body;
+
+        if (!meetingId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Meeting ID is required'
+            });
+        }
+
+        const targetLanguage = normalizeLanguage(req.body.targetLanguage);
+        if (req.body.targetLanguage && !targetLanguage) {
+            return sendUnsupportedLanguage(res, req.body.targetLanguage);
+        }
+
+        // Check if Gemini is available
+        if (!geminiService.isAvailable()) {
+            return res.status(503).json({
+                success: false,
+                message: `Summary service is not available. ${geminiService.provider.getConfigHint()}`
+            });
+        }
+
+        const meeting = await meetingStore.getMeeting(meetingId);
+
+        if (!meeting) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        const templates = await resolveTemplates('adaptive', level, organizationId);
+        if (!templates) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown summary level: ${level}`
+            });
+        }
+
+        const meetingData = await buildMeetingData(meeting, additionalData);
+
+        // Cached summaries are replayed even when over quota
+        const contentHash = summaryCacheService.computeContentHash(meetingData, getTemplateCacheKey(templates), targetLanguage);
+        const cached = !force && await summaryCacheService.get(meetingId, 'adaptive', level, contentHash);
+
+        if (!cached && await rejectOverQuota(res)) return;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+        });
+
+        // Client closed the connection (cancel button, modal closed, navigation)
+        const abortController = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                abortController.abort();
+                console.log(`🛑 Summary stream cancelled by client for meeting: ${meetingId}`);
+            }
+        });
+
+        // Replay a cached summary as a single chunk per section
+        if (cached) {
+            console.log(`♻️ Serving cached ${level} summary stream for meeting: ${meetingId}`);
+            const { result } = cached;
+            sendEvent('meta', { level, template: result.template, language: result.language || null, meetingInfo: result.meetingInfo });
+            sendEvent('summary', { text: result.summary });
+            if (result.actionItems) {
+                sendEvent('action-items', { text: result.actionItems });
+            }
+            sendEvent('done', {
+                cancelled: false,
+                cached: true,
+                cachedAt: cached.createdAt,
+                modelUsed: result.modelUsed,
+                template: result.template,
+                generatedAt: result.generatedAt
+            });
+            return;
+        }
+
+        console.log(`📡 Streaming ${level} summary for meeting: ${meetingId}`);
+
+        const { cancelled, ...result } = await geminiService.streamAdaptiveSummary(meetingData, level, {
+            template: templates.template,
+            targetLanguage,
+            onEvent: sendEvent,
+            signal: abortController.signal
+        });
+
+        // Partial summaries from a cancelled stream are not worth serving again
+        if (!cancelled) {
+            await summaryCacheService.save(meetingId, 'adaptive', level, contentHash, result);
+        }
+
+        console.log(`✅ Summary stream finished for meeting: ${meetingId}`);
+    } catch (error) {
+        console.error('❌ Error streaming summary:', error);
+
+        // Failed before the stream started (e.g. loading the meeting) - a plain JSON error
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to generate summary'
+            });
+        }
+
+        let message = error.message || 'Failed to generate summary';
+        if (error.quota) {
+            message = error.quota.message;
+        } else if (error.message?.includes('RATE_LIMIT')) {
+            message = 'AI service is temporarily busy (quota exceeded). Please wait a moment and try again.';
+        }
+        sendEvent('error', { message, code: error.quota ? 'QUOTA_EXCEEDED' : undefined });
+    } finally {
+        if (!res.writableEnded) res.end();
+    }
+};
+
+/**
+ * List past summaries generated for a meeting
+ * GET /api/summary/history/:meetingId
+ */
+exports.getSummaryHistory = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+
+        const entries = await summaryCacheService.list(meetingId);
+
+        res.json({
+            success: true,
+            meetingId,
+            summaries: entries.map(entry => ({
+                type: entry.type,
+                level: entry.level,
+                contentHash: entry.contentHash,
+                modelUsed: entry.modelUsed,
+                templateId: entry.templateId || null,
+                templateVersion: entry.templateVersion || null,
+                language: entry.language || null,
+                createdAt: entry.createdAt,
+                result: entry.result
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error listing summaries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list summaries'
+        });
+    }
+};
+
+/**
+ * Summary levels and types available to an organization (built-in and custom)
+ * GET /api/summary/templates?organizationId=&kind=level|type
+ */
+exports.listTemplates = async (req, res) => {
+    try {
+        const { organizationId, kind } = req.query;
+
+        const templates = await promptTemplateService.list(organizationId || null, kind || null);
+
+        res.json({
+            success: true,
+            templates: templates.map(template => promptTemplateService.toJSON(template))
+        });
+    } catch (error) {
+        console.error('❌ Error listing prompt templates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list summary templates'
+        });
+    }
+};
+
+/**
+ * Get the latest structured summary for a meeting
+ * GET /api/summary/structured/:meetingId
+ */
+exports.getStructuredSummary = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+
+        // Live meetings keep the latest copy in memory; ended ones only in MongoDB
+        const meeting = await meetingStore.getMeeting(meetingId);
+        let structuredSummary = meeting?.structuredSummary;
+
+        if (!structuredSummary) {
+            const dbMeeting = await MeetingModel.findOne({ meetingId }, 'structuredSummary').lean();
+            structuredSummary = dbMeeting?.structuredSummary;
+        }
+
+        if (!structuredSummary) {
+            return res.status(404).json({
+                success: false,
+                message: 'No structured summary has been generated for this meeting'
+            });
+        }
+
+        res.json({
+            success: true,
+            meetingId,
+            structured: structuredSummary
+        });
+    } catch (error) {
+        console.error('❌ Error getting structured summary:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get structured summary'
+        });
+    }
+};
+
+/**
+ * Chaptered timeline of a meeting
+ * GET /api/summary/chapters/:meetingId?method=auto|lexical
+ *
+ * The AI names the chapters when available; otherwise (or with method=lexical)
+ * they come from lexical topic shifts. Works for live and ended meetings.
+ */
+exports.getChapters = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const method = req.query.method === 'lexical' ? 'lexical' : 'auto';
+
+        const meetingData = await meetingStore.getMeetingRecord(meetingId);
+
+        if (!meetingData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        const result = await chapterService.getChapters(meetingData, { method });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('❌ Error getting chapters:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get chapters'
+        });
+    }
+};
+
 /**
  * Chat with AI about meeting
  * POST /api/summary/chat
+ *
+ * { targetLanguage } sets the answer language (default: the question's language).
+ * With { async: true } the reply is produced by a background job and the
+ * response is 202 { jobId, threadId }
  */
 exports.chatWithAI = async (req, res) => {
     try {
-        const { meetingId, message, chatHistory = [] } = req.body;
+        const { meetingId, message, threadId, async: runAsync = false } = req.body;
+        const { userId } = req.user;
 
         if (!meetingId) {
             return res.status(400).json({
@@ -101,11 +385,16 @@ exports.chatWithAI = async (req, res) => {
             });
         }
 
+        const targetLanguage = normalizeLanguage(req.body.targetLanguage);
+        if (req.body.targetLanguage && !targetLanguage) {
+            return sendUnsupportedLanguage(res, req.body.targetLanguage);
+        }
+
         // Check if Gemini is available
         if (!geminiService.isAvailable()) {
             return res.status(503).json({
                 success: false,
-                message: 'AI service is not available. Please configure GEMINI_API_KEY.'
+                message: `AI service is not available. ${geminiService.provider.getConfigHint()}`
             });
         }
 
@@ -119,29 +408,37 @@ exports.chatWithAI = async (req, res) => {
             });
         }
 
-        // Get all meeting data
-        const allMeetingData = meeting.getAllMeetingData();
-        
-        const meetingData = {
-            meetingId: allMeetingData.meetingId,
-            title: allMeetingData.title || 'Untitled Meeting',
-            host: allMeetingData.host || 'Unknown Host',
-            participants: allMeetingData.participants || [],
-            messages: allMeetingData.chatMessages || [],
-            transcript: allMeetingData.transcript || [],
-            activities: allMeetingData.activities || [],
-            duration: calculateDuration(allMeetingData.startTime, new Date())
-        };
+        if (await rejectOverQuota(res)) return;
 
-        console.log(`💬 AI Chat for meeting: ${meetingId} - "${message.substring(0, 50)}..."`);
+        // Conversation memory lives on the server per user - earlier turns always come from the thread
+        const thread = threadId
+            ? await chatThreadService.get(threadId)
+            : chatThreadService.create(meetingId, userId);
 
-        const result = await geminiService.chatAboutMeeting(meetingData, message, chatHistory);
+        if (!thread || thread.meetingId !== meetingId || thread.userId !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chat thread not found'
+            });
+        }
 
-        console.log(`✅ AI responded for meeting: ${meetingId}`);
+        if (runAsync) {
+            // The history is rebuilt from the thread when the job runs
+            return enqueueJob(res, 'chat', {
+                meetingId,
+                message,
+                userId,
+                threadId: thread.threadId,
+                targetLanguage
+            }, { threadId: thread.threadId });
+        }
+
+        const result = await createChatReply(meeting, message, thread, targetLanguage);
 
         res.json(result);
     } catch (error) {
         console.error('❌ Error in AI chat:', error);
+        if (error.quota) return sendQuotaExceeded(res, error.quota);
         res.status(500).json({
             success: false,
             message: error.message || 'Failed to get AI response'
@@ -149,6 +446,104 @@ exports.chatWithAI = async (req, res) => {
     }
 };
 
+/**
+ * List a user's AI chat threads for a meeting
+ * GET /api/summary/chat/threads?meetingId=
+ */
+exports.listChatThreads = async (req, res) => {
+    try {
+        const { meetingId } = req.query;
+        const { userId } = req.user;
+
+        if (!meetingId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Meeting ID is required'
+            });
+        }
+
+        const threads = await chatThreadService.list(meetingId, userId);
+
+        res.json({
+            success: true,
+            meetingId,
+            threads
+        });
+    } catch (error) {
+        console.error('❌ Error listing chat threads:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list chat threads'
+        });
+    }
+};
+
+/**
+ * Resume an AI chat thread (full message list)
+ * GET /api/summary/chat/threads/:threadId
+ */
+exports.getChatThread = async (req, res) => {
+    try {
+        const { threadId } = req.params;
+        const { userId } = req.user;
+
+        const thread = await chatThreadService.get(threadId);
+
+        if (!thread || thread.userId !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chat thread not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            thread
+        });
+    } catch (error) {
+        console.error('❌ Error loading chat thread:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load chat thread'
+        });
+    }
+};
+
+/**
+ * Delete an AI chat thread
+ * DELETE /api/summary/chat/threads/:threadId
+ */
+exports.deleteChatThread = async (req, res) => {
+    try {
+        const { threadId } = req.params;
+        const { userId } = req.user;
+
+        const thread = await chatThreadService.get(threadId);
+
+        if (!thread || thread.userId !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chat thread not found'
+            });
+        }
+
+        await chatThreadService.delete(threadId);
+
+        console.log(`🗑️ Deleted chat thread ${threadId} for meeting: ${thread.meetingId}`);
+
+        res.json({
+            success: true,
+            threadId
+        });
+    } catch (error) {
+        console.error('❌ Error deleting chat thread:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete chat thread'
+        });
+    }
+};
+
 /**
  * Check if summary service is available
  * GET /api/summary/status
@@ -158,9 +553,12 @@ exports.checkStatus = (req, res) => {
     res.json({
         success: true,
         available: isAvailable,
+        provider: geminiService.provider.name,
+        // Per API key / model circuit breaker state
+        health: geminiService.getHealth(),
         message: isAvailable 
             ? 'Summary service is available' 
-            : 'Summary service requires GEMINI_API_KEY configuration'
+            : `Summary service requires configuration. ${geminiService.provider.getConfigHint()}`
     });
 };
 
@@ -209,6 +607,248 @@ exports.getMeetingData = async (req, res) => {
     }
 };
 
+/**
+ * Collect everything the summary prompts need from an in-memory meeting
+ */
+async function buildMeetingData(meeting, additionalData) {
+    // Get all meeting data including transcript and activities
+    const allMeetingData = meeting.getAllMeetingData();
+    const transcript = await meeting.getFullTranscript();
+
+    return {
+        meetingId: allMeetingData.meetingId,
+        title: allMeetingData.title || 'Untitled Meeting',
+        host: allMeetingData.host || 'Unknown Host',
+        participants: allMeetingData.participants || [],
+        messages: allMeetingData.chatMessages || [],
+        transcript,
+        activities: allMeetingData.activities || [],
+        startTime: allMeetingData.startTime,
+        endTime: additionalData?.endTime || new Date(),
+        duration: calculateDuration(allMeetingData.startTime, additionalData?.endTime || new Date()),
+        // Include any additional data provided
+        ...additionalData
+    };
+}
+
+/**
+ * Keep the latest structured summary on the meeting (memory and MongoDB)
+ */
+async function saveStructuredSummary(meeting, result) {
+    const structuredSummary = {
+        ...result.structured,
+        modelUsed: result.modelUsed,
+        generatedAt: result.generatedAt
+    };
+
+    meeting.structuredSummary = structuredSummary;
+
+    try {
+        await MeetingModel.updateOne(
+            { meetingId: meeting.meetingId },
+            { $set: { structuredSummary } }
+        );
+    } catch (error) {
+        // The summary is still returned to the caller and kept in memory
+        console.error('❌ Error saving structured summary to database:', error.message);
+    }
+}
+
+/**
+ * Prompt templates a summary uses (see resolveTemplates) as part of the cache key
+ */
+function getTemplateCacheKey({ template, templates = {} }) {
+    return promptTemplateService.cacheKey([template, ...Object.values(templates)]);
+}
+
+/**
+ * Prompt template(s) for a summary request, preferring the organization's custom templates
+ * @returns {Promise<Object|null>} - { template } or { templates } ('all'), {} for structured, null for an unknown level
+ */
+async function resolveTemplates(summaryType, level, organizationId) {
+    if (summaryType === 'structured') return {};
+
+    if (summaryType === 'adaptive') {
+        const template = await promptTemplateService.resolve(level, organizationId, 'level');
+        return template ? { template } : null;
+    }
+
+    if (summaryType === 'all') {
+        const [brief, detailed, actionItems] = await Promise.all(
+            ['brief', 'detailed', 'action-items'].map(type => promptTemplateService.resolve(type, organizationId, 'type'))
+        );
+        return { templates: { brief, detailed, 'action-items': actionItems } };
+    }
+
+    // Unknown types fall back to the detailed summary
+    const template = await promptTemplateService.resolve(summaryType, organizationId, 'type')
+        || await promptTemplateService.resolve('detailed', organizationId, 'type');
+    return { template };
+}
+
+/**
+ * Generate (and cache) a summary of the given type
+ */
+async function createSummary(meeting, meetingData, contentHash, summaryType, level, { template, templates, targetLanguage } = {}) {
+    const { meetingId } = meeting;
+
+    console.log(`📝 Generating ${summaryType} (level: ${level}${targetLanguage ? `, language: ${targetLanguage}` : ''}) summary for meeting: ${meetingId}`);
+    console.log(`   📊 Data: ${meetingData.messages.length} chat msgs, ${meetingData.transcript.length} transcript entries, ${meetingData.activities.length} activities`);
+
+    // Generate summary based on type
+    let result;
+    if (summaryType === 'adaptive') {
+        // New adaptive summary based on difficulty level
+        result = await geminiService.generateAdaptiveSummary(meetingData, level, { template, targetLanguage });
+    } else if (summaryType === 'structured') {
+        // Validated JSON: topics, decisions, action items, open questions, risks
+        result = await geminiService.generateStructuredSummary(meetingData, undefined, { targetLanguage });
+        await saveStructuredSummary(meeting, result);
+    } else if (summaryType === 'all') {
+        result = await geminiService.generateAllSummaries(meetingData, { templates, targetLanguage });
+    } else {
+        result = await geminiService.generateSummary(meetingData, summaryType, { template, targetLanguage });
+    }
+
+    console.log(`✅ Summary generated successfully for meeting: ${meetingId}`);
+
+    await summaryCacheService.save(meetingId, summaryType, level, contentHash, result);
+    return result;
+}
+
+/**
+ * Answer a chat message, with the thread's earlier turns as context, and record the exchange on it
+ */
+async function createChatReply(meeting, message, thread, targetLanguage) {
+    // Get all meeting data
+    const allMeetingData = meeting.getAllMeetingData();
+
+    const meetingData = {
+        meetingId: allMeetingData.meetingId,
+        title: allMeetingData.title || 'Untitled Meeting',
+        host: allMeetingData.host || 'Unknown Host',
+        participants: allMeetingData.participants || [],
+        messages: allMeetingData.chatMessages || [],
+        transcript: await meeting.getFullTranscript(),
+        activities: allMeetingData.activities || [],
+        duration: calculateDuration(allMeetingData.startTime, new Date())
+    };
+
+    console.log(`💬 AI Chat for meeting: ${meeting.meetingId} - "${message.substring(0, 50)}..."`);
+
+    const chatHistory = chatThreadService.getHistory(thread);
+    const result = await geminiService.chatAboutMeeting(meetingData, message, chatHistory, { targetLanguage });
+
+    await chatThreadService.appendExchange(thread, message, result.response, result.citations);
+    result.threadId = thread.threadId;
+
+    console.log(`✅ AI responded for meeting: ${meeting.meetingId}`);
+    return result;
+}
+
+async function createMissedSpeechSummary(transcripts, targetLanguage) {
+    console.log(`🎤 Summarizing ${transcripts.length} missed speech segments`);
+
+    const summary = await geminiService.summarizeMissedSpeech(transcripts, { targetLanguage });
+
+    console.log(`✅ Missed speech summary generated successfully`);
+
+    return {
+        success: true,
+        summary,
+        language: targetLanguage || null,
+        transcriptCount: transcripts.length
+    };
+}
+
+/**
+ * Translate a meeting's final transcript entries, keeping entries already in the target language
+ */
+async function createTranscriptTranslation(meeting, targetLanguage, onProgress) {
+    const transcript = (await meeting.getFullTranscript())
+        .filter(entry => entry.isFinal)
+        // Entries saved before transcript ids existed get positional ones
+        .map((entry, index) => ({ ...entry, entryId: entry.entryId || `tr_${index + 1}` }));
+
+    console.log(`🌐 Translating ${transcript.length} transcript entries of meeting ${meeting.meetingId} to ${targetLanguage}`);
+
+    const { translations, modelUsed } = await geminiService.translateTranscript(transcript, targetLanguage, { onProgress });
+
+    console.log(`✅ Translated ${translations.size} transcript entries for meeting: ${meeting.meetingId}`);
+
+    return {
+        success: true,
+        meetingId: meeting.meetingId,
+        targetLanguage,
+        languageName: SUPPORTED_LANGUAGES[targetLanguage],
+        translatedCount: translations.size,
+        modelUsed,
+        entries: transcript.map(entry => ({
+            entryId: entry.entryId,
+            userId: entry.userId,
+            username: entry.username,
+            timestamp: entry.timestamp,
+            language: entry.language || null,
+            text: entry.text,
+            // Entries already in the target language (or left untranslated) keep their text
+            translatedText: translations.get(entry.entryId) || entry.text,
+            translated: translations.has(entry.entryId)
+        }))
+    };
+}
+
+/**
+ * Queue a background job for the request's meeting/user and respond 202
+ */
+async function enqueueJob(res, type, payload, extra = {}) {
+    const { meetingId, userId } = usageService.getContext();
+    const job = await jobQueueService.enqueue(type, payload, { meetingId, userId });
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.jobId}`,
+        ...extra
+    });
+}
+
+/**
+ * Reject the request with a 429 when the meeting or user (from the request's
+ * AI usage context) is over its quota
+ * @returns {Promise<boolean>} - true when the request was rejected
+ */
+async function rejectOverQuota(res) {
+    const quota = await usageService.checkQuota();
+    if (quota.allowed) return false;
+
+    sendQuotaExceeded(res, quota);
+    return true;
+}
+
+function sendQuotaExceeded(res, quota) {
+    console.log(`🚫 AI quota exceeded (${quota.scope}): ${quota.used}/${quota.limit} tokens`);
+    return res.status(429).json({
+        success: false,
+        code: 'QUOTA_EXCEEDED',
+        message: quota.message,
+        quota: {
+            scope: quota.scope,
+            limit: quota.limit,
+            used: quota.used,
+            resetsAt: quota.resetsAt
+        }
+    });
+}
+
+function sendUnsupportedLanguage(res, language) {
+    return res.status(400).json({
+        success: false,
+        message: `Unsupported language: ${language}`,
+        supportedLanguages: Object.keys(SUPPORTED_LANGUAGES)
+    });
+}
+
 /**
  * Calculate duration between two dates
  */
@@ -256,10 +896,12 @@ exports.summarizeMissedMessages = async (req, res) => {
         if (!geminiService.isAvailable()) {
             return res.status(503).json({
                 success: false,
-                message: 'Summary service is not available. Please configure GEMINI_API_KEY.'
+                message: `Summary service is not available. ${geminiService.provider.getConfigHint()}`
             });
         }
 
+        if (await rejectOverQuota(res)) return;
+
         console.log(`📝 Summarizing ${messages.length} missed messages`);
 
         const summary = await geminiService.summarizeMissedMessages(messages);
@@ -273,6 +915,7 @@ exports.summarizeMissedMessages = async (req, res) => {
         });
     } catch (error) {
         console.error('❌ Error summarizing missed messages:', error);
+        if (error.quota) return sendQuotaExceeded(res, error.quota);
         res.status(500).json({
             success: false,
             message: error.message || 'Failed to summarize missed messages'
@@ -283,10 +926,13 @@ exports.summarizeMissedMessages = async (req, res) => {
 /**
  * Summarize missed speech when user was away
  * POST /api/summary/missed-speech
+ *
+ * { targetLanguage } sets the summary language (default English).
+ * With { async: true } the response is 202 { jobId }
  */
 exports.summarizeMissedSpeech = async (req, res) => {
     try {
-        const { transcripts } = req.body;
+        const { transcripts, async: runAsync = false } = req.body;
 
         if (!transcripts || !Array.isArray(transcripts)) {
             return res.status(400).json({
@@ -295,6 +941,11 @@ exports.summarizeMissedSpeech = async (req, res) => {
             });
         }
 
+        const targetLanguage = normalizeLanguage(req.body.targetLanguage);
+        if (req.body.targetLanguage && !targetLanguage) {
+            return sendUnsupportedLanguage(res, req.body.targetLanguage);
+        }
+
         if (transcripts.length === 0) {
             return res.json({
                 success: true,
@@ -306,23 +957,20 @@ exports.summarizeMissedSpeech = async (req, res) => {
         if (!geminiService.isAvailable()) {
             return res.status(503).json({
                 success: false,
-                message: 'Summary service is not available. Please configure GEMINI_API_KEY.'
+                message: `Summary service is not available. ${geminiService.provider.getConfigHint()}`
             });
         }
 
-        console.log(`🎤 Summarizing ${transcripts.length} missed speech segments`);
-
-        const summary = await geminiService.summarizeMissedSpeech(transcripts);
+        if (await rejectOverQuota(res)) return;
 
-        console.log(`✅ Missed speech summary generated successfully`);
+        if (runAsync) {
+            return enqueueJob(res, 'missed-speech', { transcripts, targetLanguage });
+        }
 
-        res.json({
-            success: true,
-            summary,
-            transcriptCount: transcripts.length
-        });
+        res.json(await createMissedSpeechSummary(transcripts, targetLanguage));
     } catch (error) {
         console.error('❌ Error summarizing missed speech:', error);
+        if (error.quota) return sendQuotaExceeded(res, error.quota);
         
         // Provide more helpful error messages based on error type
         let statusCode = 500;
@@ -343,4 +991,118 @@ exports.summarizeMissedSpeech = async (req, res) => {
     }
 };
 
+/**
+ * Translate a meeting's transcript
+ * POST /api/summary/translate-transcript
+ *
+ * Body: { meetingId, targetLanguage, async }. Every final entry comes back with
+ * translatedText (its own text when it was already in the target language).
+ * With { async: true } the response is 202 { jobId }
+ */
+exports.translateTranscript = async (req, res) => {
+    try {
+        const { meetingId, async: runAsync = false } = req.body;
+
+        if (!meetingId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Meeting ID is required'
+            });
+        }
+
+        const targetLanguage = normalizeLanguage(req.body.targetLanguage);
+        if (!targetLanguage) {
+            return req.body.targetLanguage
+                ? sendUnsupportedLanguage(res, req.body.targetLanguage)
+                : res.status(400).json({ success: false, message: 'Target language is required' });
+        }
+
+        if (!geminiService.isAvailable()) {
+            return res.status(503).json({
+                success: false,
+                message: `Translation service is not available. ${geminiService.provider.getConfigHint()}`
+            });
+        }
+
+        const meeting = await meetingStore.getMeeting(meetingId);
+
+        if (!meeting) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        if (await rejectOverQuota(res)) return;
+
+        if (runAsync) {
+            return enqueueJob(res, 'translate-transcript', { meetingId, targetLanguage });
+        }
+
+        res.json(await createTranscriptTranslation(meeting, targetLanguage));
+    } catch (error) {
+        console.error('❌ Error translating transcript:', error);
+        if (error.quota) return sendQuotaExceeded(res, error.quota);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to translate transcript'
+        });
+    }
+};
+
+/**
+ * Languages for speech recognition, summaries and translation
+ * GET /api/summary/languages
+ */
+exports.listLanguages = (req, res) => {
+    res.json({
+        success: true,
+        languages: Object.entries(SUPPORTED_LANGUAGES).map(([code, name]) => ({ code, name }))
+    });
+};
+
+// Background job handlers - the payload is the validated request body
+
+jobQueueService.register('summary', async ({ meetingId, summaryType = 'detailed', level = 'intermediate', organizationId, targetLanguage, additionalData }, { progress }) => {
+    const meeting = await meetingStore.getMeeting(meetingId);
+    if (!meeting) throw new Error('Meeting not found');
+
+    const templates = await resolveTemplates(summaryType, level, organizationId);
+    if (!templates) throw new Error(`Unknown summary level: ${level}`);
+
+    progress(10, 'Collecting meeting data');
+    const meetingData = await buildMeetingData(meeting, additionalData);
+    const contentHash = summaryCacheService.computeContentHash(meetingData, getTemplateCacheKey(templates), targetLanguage);
+
+    progress(30, 'Generating summary');
+    const result = await createSummary(meeting, meetingData, contentHash, summaryType, level, { ...templates, targetLanguage });
+    return { ...result, cached: false };
+});
+
+jobQueueService.register('chat', async ({ meetingId, message, userId, threadId, targetLanguage }, { progress }) => {
+    const meeting = await meetingStore.getMeeting(meetingId);
+    if (!meeting) throw new Error('Meeting not found');
+
+    // A new thread's id is reserved when the job is queued; it is saved with the first exchange
+    const thread = (await chatThreadService.get(threadId)) || chatThreadService.create(meetingId, userId, threadId);
+
+    progress(30, 'Thinking');
+    return createChatReply(meeting, message, thread, targetLanguage);
+});
+
+jobQueueService.register('missed-speech', async ({ transcripts, targetLanguage }, { progress }) => {
+    progress(30, 'Summarizing');
+    return createMissedSpeechSummary(transcripts, targetLanguage);
+});
+
+jobQueueService.register('translate-transcript', async ({ meetingId, targetLanguage }, { progress }) => {
+    const meeting = await meetingStore.getMeeting(meetingId);
+    if (!meeting) throw new Error('Meeting not found');
+
+    progress(10, 'Translating');
+    return createTranscriptTranslation(meeting, targetLanguage, ({ completed, total }) => {
+        progress(10 + (completed / total) * 85, `Translated ${completed} of ${total} parts`);
+    });
+});
+
 module.exports = exports;
@@ -0,0 +1,195 @@
+const meetingStore = require('../utils/meetingStore');
+const transcriptService = require('../services/transcriptService');
+const exportService = require('../services/exportService');
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Full transcript of a live or ended meeting
+ * GET /api/meetings/:meetingId/transcript?speaker=<userId>&q=<search>
+ */
+exports.getTranscript = async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const { speaker, q } = req.query;
+
+        const record = await meetingStore.getMeetingRecord(meetingId);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            meetingId,
+            title: record.title,
+            isActive: !!record.isActive,
+            startTime: record.startTime,
+            ...transcriptService.getTranscript(record, { speaker, q })
+        });
+    } catch (error) {
+        console.error('❌ Error getting transcript:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get transcript'
+        });
+    }
+};
+
+/**
+ * Correct a misrecognized entry or speaker name
+ * PATCH /api/meetings/:meetingId/transcript/:entryId
+ * { text?, speakerName?, applyToSpeaker? } - the signed-in user is recorded as the editor;
+ * applyToSpeaker renames the speaker in all their entries
+ */
+exports.editEntry = async (req, res) => {
+    try {
+        const { meetingId, entryId } = req.params;
+        const { userId, username } = req.user;
+        const { applyToSpeaker = false } = req.body;
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : undefined;
+        const speakerName = typeof req.body.speakerName === 'string' ? req.body.speakerName.trim() : undefined;
+
+        if (text === undefined && speakerName === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to change - send text and/or speakerName'
+            });
+        }
+
+        if (text !== undefined && (!text || text.length > MAX_TEXT_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Text must be 1-${MAX_TEXT_LENGTH} characters`
+            });
+        }
+
+        if (speakerName !== undefined && (!speakerName || speakerName.length > MAX_NAME_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Speaker name must be 1-${MAX_NAME_LENGTH} characters`
+            });
+        }
+
+        const record = await meetingStore.getMeetingRecord(meetingId);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        if (!transcriptService.canEdit(record, userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the host and participants can correct the transcript'
+            });
+        }
+
+        const entry = record.transcript.find(item => item.entryId === entryId);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcript entry not found'
+            });
+        }
+
+        const result = await transcriptService.editEntry(
+            meetingId,
+            entry,
+            { text, username: speakerName, applyToSpeaker: !!applyToSpeaker },
+            { userId, username }
+        );
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('❌ Error correcting transcript:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to correct transcript'
+        });
+    }
+};
+
+/**
+ * Edit history of a transcript entry, newest first
+ * GET /api/meetings/:meetingId/transcript/:entryId/edits
+ */
+exports.getEntryEdits = async (req, res) => {
+    try {
+        const { meetingId, entryId } = req.params;
+
+        const record = await meetingStore.getMeetingRecord(meetingId);
+        const entry = record?.transcript.find(item => item.entryId === entryId);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: record ? 'Transcript entry not found' : 'Meeting not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            entryId,
+            edits: transcriptService.getEdits(record, entry)
+        });
+    } catch (error) {
+        console.error('❌ Error getting transcript edits:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get transcript edits'
+        });
+    }
+};
+
+/**
+ * Download the transcript, chat and activities
+ * GET /api/meetings/:meetingId/export/:format - format is vtt, srt, md, csv or json
+ */
+exports.exportTranscript = async (req, res) => {
+    try {
+        const { meetingId, format } = req.params;
+
+        if (!exportService.isSupported(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported format. Use one of: ${exportService.getFormats().join(', ')}`
+            });
+        }
+
+        const record = await meetingStore.getMeetingRecord(meetingId);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Meeting not found'
+            });
+        }
+
+        const { content, contentType, filename } = exportService.exportMeeting(record, format);
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+        });
+        res.send(content);
+    } catch (error) {
+        console.error('❌ Error exporting transcript:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export transcript'
+        });
+    }
+};
+
+module.exports = exports;
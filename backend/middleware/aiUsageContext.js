@@ -0,0 +1,22 @@
+const usageService = require('../services/usageService');
+
+/**
+ * Attribute AI calls made while handling a request to its meeting and user,
+ * for usage accounting and quotas (see services/usageService.js)
+ *
+ * Add it to the route itself (not app.use on a prefix) so req.params.meetingId is known.
+ */
+function aiUsageContext(req, res, next) {
+    const pick = (field) => req.params[field] || req.body?.[field] || req.query[field] || null;
+
+    usageService.run({
+        meetingId: pick('meetingId'),
+        userId: req.user?.userId || pick('userId'),
+        // The matched route pattern, e.g. "/api/summary/chat" (known once routing finishes)
+        get operation() {
+            return req.route?.path || req.originalUrl.split('?')[0];
+        }
+    }, next);
+}
+
+module.exports = aiUsageContext;
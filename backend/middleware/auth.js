@@ -0,0 +1,64 @@
+const authService = require('../services/authService');
+
+/**
+ * Authentication for REST routes and socket.io connections
+ * Clients send the access token from /api/auth/login as
+ * "Authorization: Bearer <token>" or in the socket.io handshake ({ auth: { token } }).
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Reject requests without a valid token; sets req.user = { userId, username, email }
+ */
+function requireAuth(req, res, next) {
+    const user = authService.verifyToken(getBearerToken(req));
+
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            code: 'UNAUTHORIZED',
+            message: 'Please sign in to continue'
+        });
+    }
+
+    req.user = user;
+    next();
+}
+
+/**
+ * Only the signed-in user may use routes scoped to their userId, e.g. /api/history/:userId
+ */
+function requireSelf(param = 'userId') {
+    return (req, res, next) => {
+        if (req.params[param] !== req.user?.userId) {
+            return res.status(403).json({
+                success: false,
+                code: 'FORBIDDEN',
+                message: 'You can only access your own data'
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * socket.io middleware - binds the token's identity to socket.data.user,
+ * refusing the connection (connect_error) without a valid token
+ */
+function authenticateSocket(socket, next) {
+    const user = authService.verifyToken(socket.handshake.auth?.token);
+
+    if (!user) {
+        const error = new Error('Please sign in to continue');
+        error.data = { code: 'UNAUTHORIZED' };
+        return next(error);
+    }
+
+    socket.data.user = user;
+    next();
+}
+
+module.exports = { requireAuth, requireSelf, authenticateSocket };
@@ -0,0 +1,47 @@
+const meetingStore = require('../utils/meetingStore');
+const transcriptService = require('../services/transcriptService');
+
+/**
+ * Routes about what happened in a meeting (transcript, chat, minutes, analytics,
+ * summaries) are only for its host and the people who took part - the same
+ * people who may correct its transcript (transcriptService.canEdit). People
+ * the host banned lose access too.
+ *
+ * The meetingId comes from the route, the body or the query. Requests without
+ * one, or for a meeting that doesn't exist, are left to the handler.
+ */
+async function requireMeetingMember(req, res, next) {
+    const meetingId = req.params.meetingId || req.body?.meetingId || req.query.meetingId;
+    if (!meetingId) return next();
+
+    try {
+        const record = await meetingStore.getMeetingRecord(meetingId);
+        const userId = req.user?.userId;
+
+        if (record && record.hostUserId !== userId && transcriptService.isBanned(record, userId)) {
+            return res.status(403).json({
+                success: false,
+                code: 'FORBIDDEN',
+                message: 'You were removed from this meeting'
+            });
+        }
+
+        if (record && !transcriptService.canEdit(record, userId)) {
+            return res.status(403).json({
+                success: false,
+                code: 'FORBIDDEN',
+                message: 'Only the host and participants of this meeting can see it'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error checking meeting membership:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to check meeting access'
+        });
+    }
+
+    next();
+}
+
+module.exports = requireMeetingMember;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Usage records are kept longer than meeting data so admins can review spend
+const RETENTION_DAYS = parseFloat(process.env.AI_USAGE_RETENTION_DAYS) || 90;
+
+// One AI provider call and the tokens it consumed
+const aiUsageSchema = new mongoose.Schema({
+  meetingId: {
+    type: String,
+    index: true,
+  },
+  userId: {
+    type: String,
+    index: true,
+  },
+  operation: {
+    type: String, // Route (or background job) that made the call
+  },
+  provider: {
+    type: String,
+  },
+  model: {
+    type: String,
+  },
+  keyIndex: {
+    type: Number, // Which API key served the call (0 = primary)
+  },
+  promptTokens: {
+    type: Number,
+    default: 0,
+  },
+  responseTokens: {
+    type: Number,
+    default: 0,
+  },
+  totalTokens: {
+    type: Number,
+    default: 0,
+  },
+  estimated: {
+    type: Boolean, // Streamed calls report no usage, so tokens are estimated
+    default: false,
+  },
+  cost: {
+    type: Number, // From AI_COST_PER_1K_PROMPT_TOKENS / AI_COST_PER_1K_RESPONSE_TOKENS
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  },
+});
+
+// TTL Index
+aiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
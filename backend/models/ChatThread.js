@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Kept as long as the meeting data (see Meeting.js)
+const RETENTION_HOURS = parseFloat(process.env.MEETING_RETENTION_HOURS) || 24;
+
+const chatThreadMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  citations: {
+    type: mongoose.Schema.Types.Mixed, // Excerpts cited by an assistant answer
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// One AI chat conversation about a meeting, owned by a single user
+const chatThreadSchema = new mongoose.Schema({
+  threadId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  meetingId: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  title: {
+    type: String, // First question, shortened
+  },
+  messages: [chatThreadMessageSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000),
+  },
+});
+
+chatThreadSchema.index({ meetingId: 1, userId: 1, updatedAt: -1 });
+
+// TTL Index - threads are deleted along with the meeting they are about
+chatThreadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ChatThread', chatThreadSchema);
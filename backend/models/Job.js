@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Finished jobs are only needed until the client has picked up the result
+const RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS) || 24;
+
+// Background AI job (summary generation, missed speech, chat)
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['summary', 'missed-speech', 'chat', 'translate-transcript'],
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true,
+  },
+  meetingId: {
+    type: String,
+    index: true,
+  },
+  userId: {
+    type: String,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed, // Request body the job was created from
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    message: String,
+    code: String, // RATE_LIMIT, QUOTA_EXCEEDED, ...
+    quota: mongoose.Schema.Types.Mixed,
+  },
+  progress: {
+    type: Number, // 0-100
+    default: 0,
+  },
+  progressMessage: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+  },
+  runAt: {
+    type: Date, // Not picked up before this time (retry backoff)
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000),
+  },
+});
+
+// TTL Index
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -1,13 +1,19 @@
 const mongoose = require('mongoose');
 
+// How long meeting data is kept before MongoDB's TTL index deletes it
+const RETENTION_HOURS = parseFloat(process.env.MEETING_RETENTION_HOURS) || 24;
+
 const messageSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+  },
   username: {
     type: String,
     required: true,
   },
   message: {
     type: String,
-    required: true,
+    required: function () { return this.type === 'text' || this.type === 'system'; },
   },
   timestamp: {
     type: Date,
@@ -15,12 +21,22 @@ const messageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'system'],
+    enum: ['text', 'system', 'file', 'poll'],
     default: 'text',
   },
+  fileName: {
+    type: String, // File messages keep only the name - the file itself isn't stored
+  },
+  question: {
+    type: String, // Polls, with their final results (used in the minutes)
+  },
+  options: [{ text: String, count: Number, votes: [String] }],
 });
 
 const transcriptSchema = new mongoose.Schema({
+  entryId: {
+    type: String, // Stable id for citations, e.g. "tr_42"
+  },
   userId: {
     type: String,
     required: true,
@@ -37,10 +53,49 @@ const transcriptSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  language: {
+    type: String,
+    default: 'en-US', // BCP 47 speech recognition language, e.g. "es-ES"
+  },
   timestamp: {
     type: String,
     required: true,
   },
+  edited: {
+    type: Boolean,
+    default: false, // Corrected after recognition - see transcriptEdits
+  },
+});
+
+// One correction of the transcript: text of an entry, or a speaker's name
+const transcriptEditSchema = new mongoose.Schema({
+  entryId: {
+    type: String, // null when a speaker was renamed across all their entries
+    default: null,
+  },
+  speakerUserId: {
+    type: String,
+  },
+  field: {
+    type: String,
+    enum: ['text', 'username'],
+    required: true,
+  },
+  previousValue: {
+    type: String,
+  },
+  value: {
+    type: String,
+    required: true,
+  },
+  editedBy: {
+    userId: String,
+    username: String,
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 const activitySchema = new mongoose.Schema({
@@ -66,6 +121,20 @@ const activitySchema = new mongoose.Schema({
   },
 });
 
+// Structured (JSON) summary - see utils/structuredSummary for the validated shape
+const structuredSummarySchema = new mongoose.Schema({
+  topics: [{ title: String, summary: String }],
+  decisions: [{ decision: String, madeBy: String, sourceQuote: String }],
+  actionItems: [{ task: String, assignee: String, dueDate: String, sourceQuote: String }],
+  openQuestions: [{ question: String, raisedBy: String }],
+  risks: [{ risk: String, severity: { type: String, enum: ['low', 'medium', 'high'] } }],
+  modelUsed: String,
+  generatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const participantSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -84,6 +153,46 @@ const participantSchema = new mongoose.Schema({
   },
 });
 
+// A participant's role other than the defaults (host / attendee)
+const roleSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ['cohost', 'presenter', 'viewer'],
+    required: true,
+  },
+}, { _id: false });
+
+// Features the host turned off for everyone but the host and co-hosts
+const featureLocksSchema = new mongoose.Schema({
+  unmute: { type: Boolean, default: false }, // Unmuting themselves
+  video: { type: Boolean, default: false },
+  screenShare: { type: Boolean, default: false },
+  chat: { type: Boolean, default: false },
+  fileShare: { type: Boolean, default: false },
+}, { _id: false });
+
+// Someone the host removed - they can't rejoin until unbanned
+const bannedUserSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+  },
+  bannedBy: {
+    type: String, // userId of the host
+  },
+  bannedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const meetingSchema = new mongoose.Schema({
   meetingId: {
     type: String,
@@ -95,12 +204,32 @@ const meetingSchema = new mongoose.Schema({
     default: 'Untitled Meeting',
   },
   host: {
-    userId: String,
+    userId: String, // Current host - changes when the host hands over
     username: String,
   },
+  roles: [roleSchema], // See utils/roles
   participants: [participantSchema],
+  // Entry - see services/meetingAccessService
+  passcodeHash: {
+    type: String, // bcrypt hash, unset when the meeting has no passcode
+    select: false,
+  },
+  waitingRoomEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  isLocked: {
+    type: Boolean,
+    default: false,
+  },
+  bannedUsers: [bannedUserSchema],
+  featureLocks: {
+    type: featureLocksSchema, // See services/moderationService
+    default: () => ({}),
+  },
   messages: [messageSchema],
   transcript: [transcriptSchema],  // Speech-to-text conversations
+  transcriptEdits: [transcriptEditSchema], // Corrections, oldest first
   activities: [activitySchema],     // Join/leave, hand raise, screen share events
   startTime: {
     type: Date,
@@ -124,6 +253,9 @@ const meetingSchema = new mongoose.Schema({
   summary: {
     type: String,
   },
+  structuredSummary: {
+    type: structuredSummarySchema,
+  },
   duration: {
     type: Number, // in minutes
   },
@@ -133,11 +265,11 @@ const meetingSchema = new mongoose.Schema({
   },
   expiresAt: {
     type: Date,
-    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours from now
+    default: () => new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000), // MEETING_RETENTION_HOURS from now (default 24)
   },
 });
 
-// TTL Index - MongoDB will automatically delete documents 24 hours after expiresAt
+// TTL Index - MongoDB will automatically delete documents once expiresAt passes
 meetingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Calculate duration before saving
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One version of a custom summary prompt template. Saving a template adds a
+// new version; summaries record the version that produced them.
+const promptTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    required: true, // Slug, e.g. "standup" - same id as a built-in template overrides it
+  },
+  organizationId: {
+    type: String,
+    default: null, // null = available to every organization
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['level', 'type'], // level = adaptive summary level picker, type = /generate summaryType
+    default: 'level',
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  body: {
+    type: String,
+    required: true, // Prompt with {{variables}} (see utils/promptTemplate.js)
+  },
+  actionItemsDetail: {
+    type: String, // Level templates: how detailed the follow-up action items are
+  },
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+promptTemplateSchema.index({ organizationId: 1, templateId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
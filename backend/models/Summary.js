@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Kept as long as the meeting data (see Meeting.js)
+const RETENTION_HOURS = parseFloat(process.env.MEETING_RETENTION_HOURS) || 24;
+
+// A generated summary, cached per meeting content so unchanged meetings
+// don't re-run the AI calls
+const summarySchema = new mongoose.Schema({
+  meetingId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    required: true, // 'adaptive' | 'brief' | 'detailed' | 'action-items' | 'all' | 'structured'
+  },
+  level: {
+    type: String, // Only set for adaptive summaries
+  },
+  contentHash: {
+    type: String,
+    required: true, // sha256 of transcript + chat + activities
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed, // Response body returned to the client
+    required: true,
+  },
+  modelUsed: {
+    type: String,
+  },
+  templateId: {
+    type: String, // Prompt template that produced the summary (see services/promptTemplateService.js)
+  },
+  templateVersion: {
+    type: Number,
+  },
+  language: {
+    type: String, // Requested output language, e.g. "es-ES" (null = default, English)
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000), // Same lifetime as meeting data
+  },
+});
+
+summarySchema.index({ meetingId: 1, type: 1, level: 1, contentHash: 1 });
+
+// TTL Index - summaries are deleted along with the meeting data they describe
+summarySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Summary', summarySchema);
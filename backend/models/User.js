@@ -12,7 +12,17 @@ const userSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    sparse: true,
+    lowercase: true,
+    trim: true,
+    unique: true,
+    sparse: true, // Guests from before accounts have no email
+  },
+  passwordHash: {
+    type: String,
+    select: false, // bcrypt hash - see services/authService.js
+  },
+  lastLoginAt: {
+    type: Date,
   },
   joinedMeetings: [{
     meetingId: {
@@ -0,0 +1,76 @@
+const meetingController = require('./controllers/meetingController');
+const summaryController = require('./controllers/summaryController');
+const historyController = require('./controllers/historyController');
+const adminController = require('./controllers/adminController');
+const jobController = require('./controllers/jobController');
+const transcriptController = require('./controllers/transcriptController');
+const authController = require('./controllers/authController');
+const aiUsageContext = require('./middleware/aiUsageContext');
+const requireMeetingMember = require('./middleware/meetingMember');
+const { requireAuth, requireSelf } = require('./middleware/auth');
+
+/**
+ * REST API routes - used by server.js and the API tests
+ */
+function registerRoutes(app) {
+    // Accounts
+    app.post('/api/auth/register', authController.register);
+    app.post('/api/auth/login', authController.login);
+    app.get('/api/auth/me', requireAuth, authController.me);
+
+    // Everything below needs a signed-in user (admin routes use the x-admin-key header instead)
+    app.use(['/api/meetings', '/api/summary', '/api/history', '/api/jobs'], requireAuth);
+    app.use('/api/history/:userId', requireSelf('userId'));
+
+    // API Routes - anyone signed in may look up and join a meeting; what happened in it
+    // is only for its host and participants
+    app.post('/api/meetings/create', meetingController.createMeeting);
+    app.get('/api/meetings/:meetingId', meetingController.getMeeting);
+    app.post('/api/meetings/:meetingId/join', meetingController.joinMeeting);
+    app.post('/api/meetings/:meetingId/leave', meetingController.leaveMeeting);
+    app.post('/api/meetings/:meetingId/end', meetingController.endMeeting);
+    app.get('/api/meetings/:meetingId/analytics', requireMeetingMember, meetingController.getMeetingAnalytics);
+    app.get('/api/meetings/:meetingId/minutes', requireMeetingMember, meetingController.getMeetingMinutes);
+
+    // Transcript viewer, corrections & export
+    app.get('/api/meetings/:meetingId/transcript', requireMeetingMember, transcriptController.getTranscript);
+    app.patch('/api/meetings/:meetingId/transcript/:entryId', requireMeetingMember, transcriptController.editEntry);
+    app.get('/api/meetings/:meetingId/transcript/:entryId/edits', requireMeetingMember, transcriptController.getEntryEdits);
+    app.get('/api/meetings/:meetingId/export/:format', requireMeetingMember, transcriptController.exportTranscript);
+
+    // Summary Routes (Gemini AI) - routes that call the AI attribute it to their meeting/user
+    // for usage accounting and quotas (aiUsageContext runs after routing, so it sees :meetingId)
+    app.post('/api/summary/generate', requireMeetingMember, aiUsageContext, summaryController.generateSummary);
+    app.post('/api/summary/generate/stream', requireMeetingMember, aiUsageContext, summaryController.streamSummary);
+    app.post('/api/summary/chat', requireMeetingMember, aiUsageContext, summaryController.chatWithAI);
+    app.get('/api/summary/chat/threads', requireMeetingMember, summaryController.listChatThreads);
+    app.get('/api/summary/chat/threads/:threadId', summaryController.getChatThread);
+    app.delete('/api/summary/chat/threads/:threadId', summaryController.deleteChatThread);
+    app.post('/api/summary/missed-messages', requireMeetingMember, aiUsageContext, summaryController.summarizeMissedMessages);
+    app.post('/api/summary/missed-speech', requireMeetingMember, aiUsageContext, summaryController.summarizeMissedSpeech);
+    app.get('/api/summary/status', summaryController.checkStatus);
+    app.get('/api/summary/meeting-data/:meetingId', requireMeetingMember, summaryController.getMeetingData);
+    app.get('/api/summary/structured/:meetingId', requireMeetingMember, summaryController.getStructuredSummary);
+    app.get('/api/summary/history/:meetingId', requireMeetingMember, summaryController.getSummaryHistory);
+    app.get('/api/summary/chapters/:meetingId', requireMeetingMember, aiUsageContext, summaryController.getChapters);
+    app.get('/api/summary/templates', summaryController.listTemplates);
+    app.get('/api/summary/languages', summaryController.listLanguages);
+    app.post('/api/summary/translate-transcript', requireMeetingMember, aiUsageContext, summaryController.translateTranscript);
+
+    // Meeting History (search and Q&A across a user's meetings)
+    app.get('/api/history/:userId/meetings', historyController.listMeetings);
+    app.get('/api/history/:userId/search', aiUsageContext, historyController.searchHistory);
+    app.post('/api/history/:userId/ask', aiUsageContext, historyController.askHistory);
+
+    // Background AI jobs (summary/chat/missed-speech/translation requests sent with async: true)
+    app.get('/api/jobs/:jobId', jobController.getJob);
+
+    // Admin Routes (require the x-admin-key header)
+    app.get('/api/admin/usage', adminController.getUsage);
+    app.get('/api/admin/templates', adminController.listTemplates);
+    app.post('/api/admin/templates', adminController.saveTemplate);
+    app.get('/api/admin/templates/:templateId/versions', adminController.getTemplateVersions);
+    app.delete('/api/admin/templates/:templateId', adminController.archiveTemplate);
+}
+
+module.exports = registerRoutes;
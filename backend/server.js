@@ -5,8 +5,9 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const connectDB = require('./config/db');
-const meetingController = require('./controllers/meetingController');
-const summaryController = require('./controllers/summaryController');
+const jobQueueService = require('./services/jobQueueService');
+const { authenticateSocket } = require('./middleware/auth');
+const registerRoutes = require('./routes');
 const socketHandler = require('./socket/socketHandler');
 
 const app = express();
@@ -15,8 +16,8 @@ const server = http.createServer(app);
 // Environment
 const isProduction = process.env.NODE_ENV === 'production';
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then pick up background jobs left by a previous run
+connectDB().then(() => jobQueueService.resume());
 
 // Production-ready CORS configuration
 // Set ALLOWED_ORIGINS in .env or deployment platform as comma-separated URLs
@@ -55,7 +56,10 @@ const corsOptions = {
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"]
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "x-admin-key"],
+  // Exports/minutes are downloaded with fetch (the token can't go in a link), which needs the file name
+  exposedHeaders: ["Content-Disposition"]
 };
 
 const io = socketIo(server, {
@@ -80,23 +84,14 @@ if (!isProduction) {
   });
 }
 
+// Every socket connection carries the signed-in user (socket.data.user)
+io.use(authenticateSocket);
+
 // Initialize Socket Handler
 socketHandler(io);
 
-// API Routes
-app.post('/api/meetings/create', meetingController.createMeeting);
-app.get('/api/meetings/:meetingId', meetingController.getMeeting);
-app.post('/api/meetings/:meetingId/join', meetingController.joinMeeting);
-app.post('/api/meetings/:meetingId/leave', meetingController.leaveMeeting);
-app.post('/api/meetings/:meetingId/end', meetingController.endMeeting);
-
-// Summary Routes (Gemini AI)
-app.post('/api/summary/generate', summaryController.generateSummary);
-app.post('/api/summary/chat', summaryController.chatWithAI);
-app.post('/api/summary/missed-messages', summaryController.summarizeMissedMessages);
-app.post('/api/summary/missed-speech', summaryController.summarizeMissedSpeech);
-app.get('/api/summary/status', summaryController.checkStatus);
-app.get('/api/summary/meeting-data/:meetingId', summaryController.getMeetingData);
+// REST API
+registerRoutes(app);
 
 // Health Check endpoint
 app.get('/', (req, res) => {
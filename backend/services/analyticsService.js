@@ -0,0 +1,314 @@
+const { scoreText, labelScore } = require('../utils/sentiment');
+
+/**
+ * Meeting analytics computed from the transcript, chat and activity log
+ *
+ * Speech recognition only gives us the time a final segment arrived, so talk
+ * time is estimated from word counts (ANALYTICS_WORDS_PER_MINUTE) and a segment
+ * is taken to start that long before it arrived. Two speakers whose estimated
+ * segments overlap count as an interruption.
+ *
+ * Timelines are split into ANALYTICS_SEGMENT_MINUTES segments (stretched so a
+ * long meeting has at most MAX_SEGMENTS) with chat volume and sentiment each.
+ */
+const MAX_SEGMENTS = 24;
+const MIN_SEGMENT_DURATION_MS = 1000;
+const INTERRUPTION_GRACE_MS = 500; // Recognition latency, not a real overlap
+
+class AnalyticsService {
+    constructor() {
+        this.wordsPerMinute = parseInt(process.env.ANALYTICS_WORDS_PER_MINUTE, 10) || 150;
+        this.segmentMs = (parseFloat(process.env.ANALYTICS_SEGMENT_MINUTES) || 5) * 60 * 1000;
+    }
+
+    /**
+     * Analytics for a meeting
+     * @param {Object} meetingData - { meetingId, title, participants, transcript, chatMessages, activities, startTime, endTime, isActive }
+     * @returns {Object} - { participants, talkTime, interruptions, handRaises, chat, sentiment, segments, ... }
+     */
+    analyze(meetingData) {
+        const transcript = this.getSpeech(meetingData.transcript || []);
+        const chatMessages = (meetingData.chatMessages || [])
+            .filter(message => message.type !== 'system' && message.message)
+            .map(message => ({ ...message, time: this.toTime(message.timestamp) }))
+            .filter(message => message.time !== null);
+        const activities = (meetingData.activities || [])
+            .map(activity => ({ ...activity, time: this.toTime(activity.timestamp) }))
+            .filter(activity => activity.time !== null)
+            .sort((a, b) => a.time - b.time);
+
+        const participants = this.collectParticipants(meetingData.participants || [], transcript, chatMessages, activities);
+        const { startTime, endTime } = this.getTimeRange(meetingData, transcript, chatMessages, activities);
+
+        const talkTime = this.computeTalkTime(transcript, participants);
+        const interruptions = this.computeInterruptions(transcript, participants);
+        const handRaises = this.computeHandRaises(activities, transcript, participants);
+        const chat = this.computeChatVolume(chatMessages, participants);
+        const segments = this.computeSegments(startTime, endTime, transcript, chatMessages);
+
+        const overall = scoreText([...transcript.map(entry => entry.text), ...chatMessages.map(message => message.message)].join('\n'));
+        participants.forEach(participant => {
+            const text = [
+                ...transcript.filter(entry => entry.key === participant.key).map(entry => entry.text),
+                ...chatMessages.filter(message => this.participantKey(message) === participant.key).map(message => message.message)
+            ].join('\n');
+            const { score } = scoreText(text);
+            participant.sentiment = { score: this.round(score), label: labelScore(score) };
+        });
+
+        return {
+            meetingId: meetingData.meetingId,
+            title: meetingData.title || null,
+            isActive: !!meetingData.isActive,
+            startTime: new Date(startTime).toISOString(),
+            endTime: new Date(endTime).toISOString(),
+            durationMs: endTime - startTime,
+            generatedAt: new Date().toISOString(),
+            participants: participants.map(({ key, ...participant }) => participant)
+                .sort((a, b) => b.talkTimeMs - a.talkTimeMs),
+            talkTime,
+            interruptions,
+            handRaises,
+            chat,
+            sentiment: { score: this.round(overall.score), label: labelScore(overall.score) },
+            segments
+        };
+    }
+
+    toTime(timestamp) {
+        if (!timestamp) return null;
+        const time = new Date(timestamp).getTime();
+        return Number.isNaN(time) ? null : time;
+    }
+
+    round(value, digits = 2) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    participantKey(item) {
+        return item.userId || item.username || 'unknown';
+    }
+
+    countWords(text) {
+        return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+    }
+
+    /**
+     * Final transcript segments in time order, with an estimated start and duration
+     */
+    getSpeech(transcript) {
+        return transcript
+            .filter(entry => entry.isFinal !== false && entry.text)
+            .map(entry => {
+                const end = this.toTime(entry.timestamp);
+                const words = this.countWords(entry.text);
+                const durationMs = Math.max(MIN_SEGMENT_DURATION_MS, Math.round(words / this.wordsPerMinute * 60000));
+                return { ...entry, key: this.participantKey(entry), words, durationMs, start: end - durationMs, end };
+            })
+            .filter(entry => entry.end !== null)
+            .sort((a, b) => a.end - b.end);
+    }
+
+    /**
+     * Everyone who joined, spoke, chatted or did anything, keyed by userId
+     */
+    collectParticipants(current, transcript, chatMessages, activities) {
+        const byKey = new Map();
+        [...current, ...activities, ...transcript, ...chatMessages].forEach(item => {
+            const key = this.participantKey(item);
+            if (!byKey.has(key)) {
+                byKey.set(key, {
+                    key,
+                    userId: item.userId || null,
+                    username: item.username || 'Unknown',
+                    talkTimeMs: 0,
+                    talkTimeShare: 0,
+                    words: 0,
+                    turns: 0,
+                    interruptionsMade: 0,
+                    timesInterrupted: 0,
+                    chatMessages: 0,
+                    handRaises: 0
+                });
+            }
+        });
+        return [...byKey.values()];
+    }
+
+    /**
+     * From the meeting start (or first event) to its end (or now while it runs)
+     */
+    getTimeRange(meetingData, transcript, chatMessages, activities) {
+        const times = [
+            ...transcript.flatMap(entry => [entry.start, entry.end]),
+            ...chatMessages.map(message => message.time),
+            ...activities.map(activity => activity.time)
+        ];
+
+        const startTime = this.toTime(meetingData.startTime) ?? (times.length ? Math.min(...times) : Date.now());
+        const lastEvent = times.length ? Math.max(...times) : startTime;
+        const endTime = this.toTime(meetingData.endTime) ?? (meetingData.isActive === false ? lastEvent : Date.now());
+
+        return { startTime: Math.min(startTime, ...times), endTime: Math.max(endTime, lastEvent) };
+    }
+
+    /**
+     * Estimated speaking time per participant, and turns (runs of consecutive segments by one speaker)
+     */
+    computeTalkTime(transcript, participants) {
+        const byKey = new Map(participants.map(participant => [participant.key, participant]));
+        let previousKey = null;
+
+        transcript.forEach(entry => {
+            const participant = byKey.get(entry.key);
+            participant.talkTimeMs += entry.durationMs;
+            participant.words += entry.words;
+            if (entry.key !== previousKey) participant.turns++;
+            previousKey = entry.key;
+        });
+
+        const totalMs = participants.reduce((sum, participant) => sum + participant.talkTimeMs, 0);
+        participants.forEach(participant => {
+            participant.talkTimeShare = totalMs ? this.round(participant.talkTimeMs / totalMs, 3) : 0;
+        });
+
+        return {
+            totalMs,
+            estimated: true,
+            wordsPerMinute: this.wordsPerMinute,
+            speakers: participants.filter(participant => participant.talkTimeMs > 0).length,
+            silentParticipants: participants.filter(participant => participant.talkTimeMs === 0).map(participant => participant.username)
+        };
+    }
+
+    /**
+     * A speaker starting before the previous (different) speaker's segment ended
+     */
+    computeInterruptions(transcript, participants) {
+        const byKey = new Map(participants.map(participant => [participant.key, participant]));
+        const events = [];
+
+        for (let i = 1; i < transcript.length; i++) {
+            const previous = transcript[i - 1];
+            const entry = transcript[i];
+            if (entry.key === previous.key) continue;
+
+            if (entry.start < previous.end - INTERRUPTION_GRACE_MS) {
+                byKey.get(entry.key).interruptionsMade++;
+                byKey.get(previous.key).timesInterrupted++;
+                events.push({
+                    timestamp: new Date(entry.start).toISOString(),
+                    interrupter: entry.username,
+                    interrupted: previous.username,
+                    overlapMs: previous.end - entry.start
+                });
+            }
+        }
+
+        return { total: events.length, events };
+    }
+
+    /**
+     * Time from raising a hand to the same participant's next speech. A hand
+     * lowered first counts as "lowered"; one still up as "pending".
+     */
+    computeHandRaises(activities, transcript, participants) {
+        const byKey = new Map(participants.map(participant => [participant.key, participant]));
+        const events = activities
+            .filter(activity => activity.type === 'hand-raise')
+            .map(raise => {
+                const key = this.participantKey(raise);
+                byKey.get(key).handRaises++;
+
+                const spoke = transcript.find(entry => entry.key === key && entry.end > raise.time);
+                const lowered = activities.find(activity =>
+                    activity.type === 'hand-lower' && this.participantKey(activity) === key && activity.time >= raise.time
+                );
+                const spokeAt = spoke ? Math.max(spoke.start, raise.time) : null;
+
+                let outcome = 'pending';
+                if (spoke && (!lowered || spokeAt <= lowered.time + INTERRUPTION_GRACE_MS)) outcome = 'spoke';
+                else if (lowered) outcome = 'lowered';
+
+                return {
+                    timestamp: new Date(raise.time).toISOString(),
+                    userId: raise.userId || null,
+                    username: raise.username,
+                    outcome,
+                    latencyMs: outcome === 'spoke' ? spokeAt - raise.time : null,
+                    loweredAfterMs: lowered ? lowered.time - raise.time : null
+                };
+            });
+
+        const latencies = events
+            .filter(event => event.outcome === 'spoke')
+            .map(event => event.latencyMs)
+            .sort((a, b) => a - b);
+
+        return {
+            total: events.length,
+            answered: latencies.length,
+            averageLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+            medianLatencyMs: latencies.length ? latencies[Math.floor((latencies.length - 1) / 2)] : null,
+            events
+        };
+    }
+
+    computeChatVolume(chatMessages, participants) {
+        const byKey = new Map(participants.map(participant => [participant.key, participant]));
+        chatMessages.forEach(message => {
+            byKey.get(this.participantKey(message)).chatMessages++;
+        });
+
+        return {
+            total: chatMessages.length,
+            participantsChatting: participants.filter(participant => participant.chatMessages > 0).length
+        };
+    }
+
+    /**
+     * Fixed-length time segments with talk time, chat volume and sentiment
+     */
+    computeSegments(startTime, endTime, transcript, chatMessages) {
+        const durationMs = Math.max(endTime - startTime, 1);
+        const segmentMs = Math.max(this.segmentMs, Math.ceil(durationMs / MAX_SEGMENTS));
+        const count = Math.ceil(durationMs / segmentMs);
+        const indexOf = time => Math.min(count - 1, Math.max(0, Math.floor((time - startTime) / segmentMs)));
+
+        const segments = Array.from({ length: count }, (_, index) => ({
+            index,
+            start: new Date(startTime + index * segmentMs).toISOString(),
+            end: new Date(Math.min(startTime + (index + 1) * segmentMs, endTime)).toISOString(),
+            transcriptEntries: 0,
+            talkTimeMs: 0,
+            chatMessages: 0,
+            texts: []
+        }));
+
+        transcript.forEach(entry => {
+            const segment = segments[indexOf(entry.end)];
+            segment.transcriptEntries++;
+            segment.talkTimeMs += entry.durationMs;
+            segment.texts.push(entry.text);
+        });
+        chatMessages.forEach(message => {
+            const segment = segments[indexOf(message.time)];
+            segment.chatMessages++;
+            segment.texts.push(message.message);
+        });
+
+        return segments.map(({ texts, ...segment }) => {
+            const { score, positive, negative } = scoreText(texts.join('\n'));
+            return {
+                ...segment,
+                sentiment: { score: this.round(score), label: texts.length ? labelScore(score) : 'none', positive, negative }
+            };
+        });
+    }
+}
+
+// Singleton instance
+const analyticsService = new AnalyticsService();
+
+module.exports = analyticsService;
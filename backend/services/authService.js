@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+
+/**
+ * Accounts and signed access tokens
+ *
+ * Passwords are stored as bcrypt hashes. Access tokens are JWTs signed with
+ * JWT_SECRET carrying { sub: userId, username, email }; they are verified on
+ * every request and socket connection without a database lookup.
+ */
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+const MAX_USERNAME_LENGTH = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Rejections the client can fix - the controller answers with error.status
+function authError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class AuthService {
+    constructor() {
+        this.expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+        this.secret = process.env.JWT_SECRET;
+
+        if (!this.secret) {
+            if (process.env.NODE_ENV === 'production') {
+                console.error('❌ JWT_SECRET environment variable is not set!');
+                process.exit(1);
+            }
+            // Development only - every restart signs everyone out
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('⚠️ JWT_SECRET not set - using a random secret, sessions end when the server restarts');
+        }
+    }
+
+    normalizeEmail(email) {
+        return typeof email === 'string' ? email.trim().toLowerCase() : '';
+    }
+
+    /**
+     * Public view of a user
+     */
+    toJSON(user) {
+        return {
+            userId: user.userId,
+            username: user.username,
+            email: user.email || null
+        };
+    }
+
+    signToken(user) {
+        return jwt.sign(
+            { sub: user.userId, username: user.username, email: user.email || null },
+            this.secret,
+            { expiresIn: this.expiresIn }
+        );
+    }
+
+    /**
+     * Identity in a token
+     * @returns {Object|null} - { userId, username, email }, null when invalid or expired
+     */
+    verifyToken(token) {
+        if (!token) return null;
+        try {
+            const payload = jwt.verify(token, this.secret);
+            return { userId: payload.sub, username: payload.username, email: payload.email || null };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Create an account
+     * @returns {Promise<Object>} - { user, token }
+     */
+    async register({ email, username, password }) {
+        const normalizedEmail = this.normalizeEmail(email);
+        const name = typeof username === 'string' ? username.trim() : '';
+
+        if (!EMAIL_PATTERN.test(normalizedEmail)) {
+            throw authError('A valid email is required');
+        }
+        if (!name || name.length > MAX_USERNAME_LENGTH) {
+            throw authError(`Name must be 1-${MAX_USERNAME_LENGTH} characters`);
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+            throw authError(`Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+        }
+
+        if (await User.exists({ email: normalizedEmail })) {
+            throw authError('An account with this email already exists', 409);
+        }
+
+        let user;
+        try {
+            user = await User.create({
+                userId: `user_${uuidv4().replace(/-/g, '')}`,
+                username: name,
+                email: normalizedEmail,
+                passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+                lastLoginAt: new Date()
+            });
+        } catch (error) {
+            // Registered concurrently - the unique email index caught it
+            if (error.code === 11000) throw authError('An account with this email already exists', 409);
+            throw error;
+        }
+
+        console.log(`👤 Account registered: ${user.userId}`);
+        return { user: this.toJSON(user), token: this.signToken(user) };
+    }
+
+    /**
+     * Sign in with email and password
+     * @returns {Promise<Object>} - { user, token }
+     */
+    async login({ email, password }) {
+        const normalizedEmail = this.normalizeEmail(email);
+        if (!normalizedEmail || typeof password !== 'string' || !password) {
+            throw authError('Email and password are required');
+        }
+
+        const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
+
+        // Same message for unknown email and wrong password
+        if (!user || !user.passwordHash || !(await bcrypt.compare(password, user.passwordHash))) {
+            throw authError('Invalid email or password', 401);
+        }
+
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        return { user: this.toJSON(user), token: this.signToken(user) };
+    }
+}
+
+// Singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
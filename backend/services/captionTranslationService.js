@@ -0,0 +1,161 @@
+const geminiService = require('./geminiService');
+const usageService = require('./usageService');
+const { normalizeLanguage, isSameLanguage } = require('../utils/languages');
+
+/**
+ * Live translated captions
+ *
+ * Each socket may choose a caption language (join-meeting / set-caption-language).
+ * Final transcript segments are sent to listeners who chose another language
+ * than the speaker's with a translatedText; everyone else gets them verbatim.
+ *
+ * Segments are queued per meeting and target language and translated together
+ * once CAPTION_BATCH_MS passes or CAPTION_BATCH_SIZE segments are waiting, so a
+ * busy meeting costs one AI call per language per window rather than one per
+ * line and listener. Translations are cached per target language.
+ */
+class CaptionTranslationService {
+    constructor() {
+        this.io = null;
+        this.enabled = process.env.CAPTION_TRANSLATION_ENABLED !== 'false';
+        this.batchMs = parseInt(process.env.CAPTION_BATCH_MS, 10) || 400;
+        this.batchSize = parseInt(process.env.CAPTION_BATCH_SIZE, 10) || 20;
+        this.cacheSize = parseInt(process.env.CAPTION_CACHE_SIZE, 10) || 1000;
+
+        this.queues = new Map(); // "meetingId:language" -> { timer, segments: [{ key, text, language, resolve }] }
+        this.pending = new Map(); // cache key -> Promise of a translation that is queued or in flight
+        this.cache = new Map(); // "language:text" -> translated text, oldest first
+    }
+
+    /**
+     * Give the service a socket.io server to deliver on
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    /**
+     * Set the language a socket wants captions in (null/'' = as spoken)
+     * @returns {string|null} - The normalized language
+     */
+    setCaptionLanguage(socket, language) {
+        socket.data.captionLanguage = normalizeLanguage(language);
+        return socket.data.captionLanguage;
+    }
+
+    /**
+     * Send a transcript update to everyone else in the meeting, translated per listener
+     * @param {Object} socket - The speaker's socket (excluded)
+     * @param {string} meetingId
+     * @param {Object} update - { entryId, userId, username, text, isFinal, language, timestamp }
+     */
+    async deliver(socket, meetingId, update) {
+        const listeners = (await this.io.in(meetingId).fetchSockets()).filter(listener => listener.id !== socket.id);
+        const byLanguage = new Map(); // target language -> listeners
+
+        listeners.forEach(listener => {
+            const target = listener.data.captionLanguage;
+            if (!this.needsTranslation(update, target)) {
+                listener.emit('transcript-update', update);
+                return;
+            }
+            if (!byLanguage.has(target)) byLanguage.set(target, []);
+            byLanguage.get(target).push(listener);
+        });
+
+        await Promise.all([...byLanguage].map(async ([language, group]) => {
+            const translatedText = await this.translate(meetingId, update, language);
+            const payload = translatedText
+                ? { ...update, translatedText, translatedLanguage: language }
+                : update; // Translation failed - the original is better than nothing
+            group.forEach(listener => listener.emit('transcript-update', payload));
+        }));
+    }
+
+    needsTranslation(update, target) {
+        return this.enabled
+            && !!target
+            && update.isFinal
+            && !isSameLanguage(update.language, target)
+            && geminiService.isAvailable();
+    }
+
+    /**
+     * Translation of one segment, from the cache or the next batch for its meeting and language
+     * @returns {Promise<string|null>} - null when it couldn't be translated
+     */
+    translate(meetingId, update, language) {
+        const key = `${language}:${update.text}`;
+
+        if (this.cache.has(key)) return Promise.resolve(this.cache.get(key));
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const promise = new Promise(resolve => {
+            const queueKey = `${meetingId}:${language}`;
+            const queue = this.queues.get(queueKey) || { timer: null, segments: [] };
+            this.queues.set(queueKey, queue);
+
+            queue.segments.push({ key, text: update.text, language: update.language, resolve });
+
+            if (queue.segments.length >= this.batchSize) {
+                this.flush(meetingId, language);
+            } else if (!queue.timer) {
+                queue.timer = setTimeout(() => this.flush(meetingId, language), this.batchMs);
+            }
+        });
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Translate everything queued for a meeting and language in one AI call
+     */
+    async flush(meetingId, language) {
+        const queueKey = `${meetingId}:${language}`;
+        const queue = this.queues.get(queueKey);
+        if (!queue) return;
+
+        clearTimeout(queue.timer);
+        this.queues.delete(queueKey);
+
+        const entries = queue.segments.map((segment, index) => ({
+            entryId: `c${index + 1}`,
+            text: segment.text,
+            language: segment.language
+        }));
+
+        try {
+            const { translations } = await usageService.run(
+                { meetingId, userId: null, operation: 'caption-translation' },
+                () => geminiService.translateTranscript(entries, language)
+            );
+
+            queue.segments.forEach((segment, index) => {
+                const translated = translations.get(entries[index].entryId) || null;
+                if (translated) this.remember(segment.key, translated);
+                segment.resolve(translated);
+            });
+        } catch (error) {
+            console.error(`❌ Caption translation to ${language} failed for meeting ${meetingId}:`, error.message);
+            queue.segments.forEach(segment => segment.resolve(null));
+        } finally {
+            queue.segments.forEach(segment => this.pending.delete(segment.key));
+        }
+    }
+
+    remember(key, translated) {
+        this.cache.delete(key);
+        this.cache.set(key, translated);
+
+        // Map keeps insertion order - drop the oldest entries beyond the limit
+        while (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+// Singleton instance
+const captionTranslationService = new CaptionTranslationService();
+
+module.exports = captionTranslationService;
@@ -0,0 +1,323 @@
+const geminiService = require('./geminiService');
+const usageService = require('./usageService');
+const { buildTimeline } = require('../utils/transcriptChunker');
+const { tokenize } = require('../utils/bm25');
+const { estimateTokens } = require('./providers/tokenUtils');
+
+/**
+ * Splits a meeting's transcript and chat into titled chapters
+ *
+ * The AI picks where chapters start and names them when it's available. Without
+ * it - or when it fails or the quota is used up - chapters come from lexical
+ * shifts: the words in the lines before and after every gap are compared
+ * (TextTiling-style) and the deepest dips in similarity, or long pauses,
+ * become chapter starts, titled by their most distinctive words.
+ *
+ * Every chapter links to its transcript/chat lines (by entry id) and to the
+ * activity entries recorded between its start and the next chapter's.
+ */
+const WINDOW_SIZE = 6; // Lines compared on each side of a gap
+const MIN_CHAPTER_LINES = 5;
+const MAX_CHAPTERS = 12;
+const MIN_DEPTH = 0.15; // Similarity dips shallower than this are not topic shifts
+const PAUSE_MS = 2 * 60 * 1000; // A silence this long counts as a topic shift
+const BLOCK_TEXT_CHARS = 600; // Long meetings: text kept per merged block sent to the AI
+const CACHE_SIZE = 200;
+
+// Spoken filler that says nothing about the topic
+const FILLER_WORDS = new Set([
+    'yeah', 'yes', 'okay', 'ok', 'oh', 'um', 'uh', 'hmm', 'like', 'know', 'think', 'going', 'gonna',
+    'right', 'really', 'actually', 'basically', 'thing', 'things', 'something', 'stuff', 'get', 'got',
+    'well', 'one', 'also', 'now', 'here', 'let', 'lets', 'want', 'need', 'make', 'see', 'look', 'good',
+    'great', 'thanks', 'thank', 'hello', 'hi', 'guys', 'everyone', 'sure', 'maybe', 'kind', 'sort',
+    'mean', 'much', 'more', 'go', 'come', 'way', 'back', 'still', 'even', 'because', 'not', 'dont',
+    'im', 'its', 'thats', 'there', 'were', 'weve', 'ill', 'youre', 'chat'
+]);
+
+class ChapterService {
+    constructor() {
+        this.aiEnabled = process.env.CHAPTERS_AI_ENABLED !== 'false';
+        this.cache = new Map(); // meetingId -> { key, result }, oldest first
+    }
+
+    /**
+     * Chapters for a meeting
+     * @param {Object} meetingData - { meetingId, transcript, chatMessages, activities, startTime, endTime }
+     * @param {Object} options - method: 'auto' (AI, falling back to lexical) | 'lexical'
+     * @returns {Promise<Object>} - { meetingId, method, modelUsed, fallbackReason, generatedAt, chapters }
+     */
+    async getChapters(meetingData, { method = 'auto' } = {}) {
+        const lines = buildTimeline(meetingData.transcript || [], meetingData.chatMessages || [])
+            .filter(line => line.text && line.timestamp)
+            .map((line, index) => ({ ...line, id: line.id || `line_${index + 1}` })); // Entries saved before ids existed
+        const activities = meetingData.activities || [];
+
+        const edits = (meetingData.transcriptEdits || []).length; // Corrections change titles and lines
+        const key = `${method}:${lines.length}:${lines[lines.length - 1]?.id || ''}:${activities.length}:${edits}`;
+        const cached = this.cache.get(meetingData.meetingId);
+        if (cached?.key === key) return { ...cached.result, cached: true };
+
+        let segmentation = null;
+        let fallbackReason = null;
+
+        if (method !== 'lexical' && lines.length > 0) {
+            fallbackReason = await this.getAiUnavailableReason();
+            if (!fallbackReason) {
+                try {
+                    segmentation = await this.segmentWithAI(lines);
+                } catch (error) {
+                    console.warn(`⚠️ AI chapters failed for meeting ${meetingData.meetingId}, using lexical fallback:`, error.message);
+                    fallbackReason = error.message;
+                }
+            }
+        }
+
+        if (!segmentation) {
+            segmentation = { method: 'lexical', modelUsed: null, boundaries: this.segmentLexically(lines) };
+        }
+
+        const result = {
+            meetingId: meetingData.meetingId,
+            method: segmentation.method,
+            modelUsed: segmentation.modelUsed,
+            fallbackReason,
+            generatedAt: new Date().toISOString(),
+            chapters: this.buildChapters(lines, segmentation.boundaries, activities, meetingData)
+        };
+
+        // Fallback results aren't cached, so the AI is tried again next time
+        if (!fallbackReason) this.remember(meetingData.meetingId, key, result);
+        return result;
+    }
+
+    /**
+     * Why the AI can't be used right now, or null when it can
+     */
+    async getAiUnavailableReason() {
+        if (!this.aiEnabled) return 'AI chapters are disabled';
+        if (!geminiService.isAvailable()) return geminiService.getNotConfiguredMessage();
+
+        const quota = await usageService.checkQuota();
+        return quota.allowed ? null : quota.message;
+    }
+
+    remember(meetingId, key, result) {
+        this.cache.delete(meetingId);
+        this.cache.set(meetingId, { key, result });
+        if (this.cache.size > CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Ask the AI for chapter starts. Meetings too long for one prompt are sent as
+     * merged blocks of consecutive lines, so chapters start at a block's first line.
+     * @returns {Promise<Object>} - { method: 'ai', modelUsed, boundaries: [{ start, title, summary }] }
+     */
+    async segmentWithAI(lines) {
+        const blocks = this.toBlocks(lines);
+        const { chapters, modelUsed } = await geminiService.generateChapters(blocks);
+
+        const startOf = new Map(blocks.map(block => [block.id, block.start]));
+        const byStart = new Map();
+        chapters.forEach(chapter => {
+            const start = startOf.get(chapter.startId);
+            if (!byStart.has(start)) byStart.set(start, chapter);
+        });
+
+        // The first chapter always begins with the first line
+        if (!byStart.has(0)) {
+            const [firstStart, first] = [...byStart].sort((a, b) => a[0] - b[0])[0];
+            byStart.delete(firstStart);
+            byStart.set(0, first);
+        }
+
+        return {
+            method: 'ai',
+            modelUsed,
+            boundaries: [...byStart]
+                .sort((a, b) => a[0] - b[0])
+                .map(([start, chapter]) => ({ start, title: chapter.title, summary: chapter.summary }))
+        };
+    }
+
+    toBlocks(lines) {
+        const totalTokens = lines.reduce((sum, line) => sum + estimateTokens(`${line.speaker}: ${line.text}`) + 10, 0);
+        const linesPerBlock = Math.ceil(totalTokens / geminiService.maxConversationTokens);
+
+        if (linesPerBlock <= 1) {
+            return lines.map((line, index) => ({ ...line, start: index }));
+        }
+
+        const blocks = [];
+        for (let start = 0; start < lines.length; start += linesPerBlock) {
+            const group = lines.slice(start, start + linesPerBlock);
+            blocks.push({
+                id: group[0].id,
+                start,
+                timestamp: group[0].timestamp,
+                speaker: [...new Set(group.map(line => line.speaker))].join(', '),
+                text: group.map(line => `${line.speaker}: ${line.text}`).join(' ').slice(0, BLOCK_TEXT_CHARS)
+            });
+        }
+        return blocks;
+    }
+
+    /**
+     * Topic words of a line: stemmed terms (see bm25.tokenize) without filler,
+     * with the surface word each came from
+     */
+    getTerms(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word && !FILLER_WORDS.has(word) && !/^\d+$/.test(word))
+            .map(word => ({ word, term: tokenize(word)[0] }))
+            .filter(({ term }) => term && !FILLER_WORDS.has(term));
+    }
+
+    countTerms(lineTerms) {
+        const counts = new Map();
+        lineTerms.flat().forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        for (const [term, count] of a) dot += count * (b.get(term) || 0);
+        const norm = counts => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+        const denominator = norm(a) * norm(b);
+        return denominator ? dot / denominator : 0;
+    }
+
+    /**
+     * Chapter starts from dips in word overlap between neighbouring windows of lines
+     * @returns {Array} - [{ start }] line indexes, the first always 0
+     */
+    segmentLexically(lines) {
+        if (lines.length < MIN_CHAPTER_LINES * 2) return [{ start: 0 }];
+
+        const lineTerms = lines.map(line => this.getTerms(line.text));
+        const times = lines.map(line => new Date(line.timestamp).getTime());
+
+        // similarity[i] compares the lines before gap i (between line i - 1 and i) with those after it
+        const similarity = [];
+        for (let i = 1; i < lines.length; i++) {
+            similarity[i] = this.cosine(
+                this.countTerms(lineTerms.slice(Math.max(0, i - WINDOW_SIZE), i)),
+                this.countTerms(lineTerms.slice(i, i + WINDOW_SIZE))
+            );
+        }
+
+        // Depth: how far similarity dips below the nearest peaks on either side
+        const candidates = [];
+        for (let i = MIN_CHAPTER_LINES; i <= lines.length - MIN_CHAPTER_LINES; i++) {
+            let left = similarity[i];
+            for (let j = i - 1; j >= 1 && similarity[j] >= left; j--) left = similarity[j];
+            let right = similarity[i];
+            for (let j = i + 1; j < lines.length && similarity[j] >= right; j++) right = similarity[j];
+
+            let depth = (left - similarity[i]) + (right - similarity[i]);
+            if (times[i] - times[i - 1] >= PAUSE_MS) depth += 1;
+            if (depth > 0) candidates.push({ index: i, depth });
+        }
+
+        // Keep unusually deep dips (TextTiling's mean - sd/2 cutoff) that leave chapters long enough
+        const mean = candidates.reduce((sum, c) => sum + c.depth, 0) / (candidates.length || 1);
+        const sd = Math.sqrt(candidates.reduce((sum, c) => sum + (c.depth - mean) ** 2, 0) / (candidates.length || 1));
+        const cutoff = Math.max(MIN_DEPTH, mean - sd / 2);
+
+        const starts = [0];
+        candidates
+            .filter(candidate => candidate.depth >= cutoff)
+            .sort((a, b) => b.depth - a.depth)
+            .forEach(candidate => {
+                if (starts.length >= MAX_CHAPTERS) return;
+                if (starts.every(start => Math.abs(candidate.index - start) >= MIN_CHAPTER_LINES)) {
+                    starts.push(candidate.index);
+                }
+            });
+
+        return starts.sort((a, b) => a - b).map(start => ({ start }));
+    }
+
+    /**
+     * Most distinctive words of each chapter (frequent in it, rare in the others)
+     * @returns {Array} - Keyword lists, one per chapter
+     */
+    getKeywords(chapterLines, limit = 3) {
+        const chapterTerms = chapterLines.map(lines => lines.flatMap(line => this.getTerms(line.text)));
+        const chaptersWith = new Map();
+        chapterTerms.forEach(terms => {
+            new Set(terms.map(({ term }) => term)).forEach(term => chaptersWith.set(term, (chaptersWith.get(term) || 0) + 1));
+        });
+
+        return chapterTerms.map(terms => {
+            const counts = new Map();
+            const surfaces = new Map(); // term -> { word -> count }
+            terms.forEach(({ term, word }) => {
+                counts.set(term, (counts.get(term) || 0) + 1);
+                const words = surfaces.get(term) || new Map();
+                words.set(word, (words.get(word) || 0) + 1);
+                surfaces.set(term, words);
+            });
+
+            return [...counts]
+                .filter(([, count]) => count > 1 || counts.size < limit * 2)
+                .map(([term, count]) => ({ term, score: count * Math.log(1 + chapterTerms.length / chaptersWith.get(term)) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ term }) => [...surfaces.get(term)].sort((a, b) => b[1] - a[1])[0][0]);
+        });
+    }
+
+    titleFromKeywords(keywords, index) {
+        if (keywords.length === 0) return `Part ${index + 1}`;
+        const [first, ...rest] = keywords;
+        return [first.charAt(0).toUpperCase() + first.slice(1), ...rest].join(', ');
+    }
+
+    /**
+     * Chapters with their lines, the activities in their time range and a title
+     */
+    buildChapters(lines, boundaries, activities, meetingData) {
+        if (lines.length === 0) return [];
+
+        const chapterLines = boundaries.map((boundary, index) =>
+            lines.slice(boundary.start, boundaries[index + 1]?.start ?? lines.length)
+        );
+        const keywords = this.getKeywords(chapterLines);
+        const lastTime = new Date(meetingData.endTime || lines[lines.length - 1].timestamp).getTime();
+
+        return boundaries.map((boundary, index) => {
+            const chapter = chapterLines[index];
+            const startTime = new Date(chapter[0].timestamp).getTime();
+            const nextStart = chapterLines[index + 1] ? new Date(chapterLines[index + 1][0].timestamp).getTime() : null;
+            const endTime = nextStart ?? Math.max(lastTime, new Date(chapter[chapter.length - 1].timestamp).getTime());
+
+            // Activities before the first line belong to the first chapter, after the last line to the last
+            const chapterActivities = activities.filter(activity => {
+                const time = new Date(activity.timestamp).getTime();
+                return (index === 0 || time >= startTime) && (nextStart === null || time < nextStart);
+            });
+
+            return {
+                index,
+                title: boundary.title || this.titleFromKeywords(keywords[index], index),
+                summary: boundary.summary || null,
+                keywords: keywords[index],
+                startTime: new Date(startTime).toISOString(),
+                endTime: new Date(endTime).toISOString(),
+                speakers: [...new Set(chapter.map(line => line.speaker))],
+                entries: chapter.map(({ id, kind, speaker, text, timestamp }) => ({ id, kind, speaker, text, timestamp })),
+                activities: chapterActivities.map(({ type, userId, username, timestamp }) => ({ type, userId, username, timestamp }))
+            };
+        });
+    }
+}
+
+// Singleton instance
+const chapterService = new ChapterService();
+
+module.exports = chapterService;
@@ -0,0 +1,165 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
+const ChatThreadModel = require('../models/ChatThread');
+
+const MAX_HISTORY_MESSAGES = 20; // Earlier turns are kept but not resent to the AI
+const TITLE_LENGTH = 60;
+
+/**
+ * AI chat conversations per user per meeting, so a chat survives a page
+ * refresh and can be resumed later.
+ *
+ * Threads live in memory and in MongoDB (when connected), mirroring meetingStore.
+ */
+class ChatThreadService {
+    constructor() {
+        this.threads = new Map(); // threadId -> thread
+    }
+
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * New, unsaved thread - it is persisted with its first exchange
+     * @param {string} [threadId] - Id reserved earlier (queued chat jobs)
+     */
+    create(meetingId, userId, threadId = uuidv4()) {
+        const now = new Date();
+        return {
+            threadId,
+            meetingId,
+            userId,
+            title: null,
+            messages: [],
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Find a thread by id
+     * @returns {Promise<Object|null>}
+     */
+    async get(threadId) {
+        if (this.threads.has(threadId)) return this.threads.get(threadId);
+
+        if (!this.isDatabaseConnected()) return null;
+
+        try {
+            const thread = await ChatThreadModel.findOne({ threadId }).lean();
+            if (thread) {
+                this.threads.set(threadId, thread);
+            }
+            return thread;
+        } catch (error) {
+            console.error('❌ Error loading chat thread:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * A user's threads for a meeting, most recently used first
+     * @returns {Promise<Array>} - [{ threadId, title, messageCount, createdAt, updatedAt }]
+     */
+    async list(meetingId, userId) {
+        let threads = [...this.threads.values()].filter(thread =>
+            thread.meetingId === meetingId && thread.userId === userId
+        );
+
+        if (this.isDatabaseConnected()) {
+            try {
+                const dbThreads = await ChatThreadModel.find({ meetingId, userId }).lean();
+                const known = new Set(threads.map(thread => thread.threadId));
+                threads = threads.concat(dbThreads.filter(thread => !known.has(thread.threadId)));
+            } catch (error) {
+                console.error('❌ Error listing chat threads:', error.message);
+            }
+        }
+
+        return threads
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(thread => ({
+                threadId: thread.threadId,
+                title: thread.title,
+                messageCount: thread.messages.length,
+                createdAt: thread.createdAt,
+                updatedAt: thread.updatedAt
+            }));
+    }
+
+    /**
+     * Recent turns in the { role, content } shape chatAboutMeeting expects
+     */
+    getHistory(thread) {
+        return thread.messages
+            .slice(-MAX_HISTORY_MESSAGES)
+            .map(({ role, content }) => ({ role, content }));
+    }
+
+    /**
+     * Record a question and its answer; creates the thread in MongoDB on first use
+     */
+    async appendExchange(thread, question, answer, citations = []) {
+        const now = new Date();
+        const messages = [
+            { role: 'user', content: question, createdAt: now },
+            { role: 'assistant', content: answer, citations, createdAt: now }
+        ];
+
+        thread.messages.push(...messages);
+        thread.title = thread.title || this.makeTitle(question);
+        thread.updatedAt = now;
+        this.threads.set(thread.threadId, thread);
+
+        if (!this.isDatabaseConnected()) return;
+
+        try {
+            await ChatThreadModel.updateOne(
+                { threadId: thread.threadId },
+                {
+                    $setOnInsert: {
+                        meetingId: thread.meetingId,
+                        userId: thread.userId,
+                        createdAt: thread.createdAt
+                    },
+                    $set: { title: thread.title, updatedAt: now },
+                    $push: { messages: { $each: messages } }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // The answer was already returned; the thread still lives in memory
+            console.error('❌ Error saving chat thread:', error.message);
+        }
+    }
+
+    /**
+     * Delete a thread
+     * @returns {Promise<boolean>} - Whether a thread was deleted
+     */
+    async delete(threadId) {
+        let deleted = this.threads.delete(threadId);
+
+        if (this.isDatabaseConnected()) {
+            try {
+                const result = await ChatThreadModel.deleteOne({ threadId });
+                deleted = deleted || result.deletedCount > 0;
+            } catch (error) {
+                console.error('❌ Error deleting chat thread:', error.message);
+            }
+        }
+
+        return deleted;
+    }
+
+    makeTitle(question) {
+        const title = question.replace(/\s+/g, ' ').trim();
+        return title.length > TITLE_LENGTH ? `${title.substring(0, TITLE_LENGTH - 1)}…` : title;
+    }
+}
+
+// Singleton instance
+const chatThreadService = new ChatThreadService();
+
+module.exports = chatThreadService;
@@ -0,0 +1,300 @@
+const analyticsService = require('./analyticsService');
+
+/**
+ * Transcript, chat and activity export in subtitle, document and data formats
+ *
+ * All timestamps are relative to the meeting start. Speech recognition only
+ * records when a segment finished, so cue start times use the same word-count
+ * estimate as analytics; chat messages and activities are shown for a fixed time.
+ */
+const FORMATS = {
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const CHAT_CUE_MS = 4000;
+const ACTIVITY_CUE_MS = 2000;
+const JSON_EXPORT_VERSION = 1;
+
+const ACTIVITY_LABELS = {
+    join: 'joined',
+    leave: 'left',
+    'hand-raise': 'raised their hand',
+    'hand-lower': 'lowered their hand',
+    'screen-share-start': 'started sharing their screen',
+    'screen-share-stop': 'stopped sharing their screen',
+    mute: 'muted',
+    unmute: 'unmuted',
+    'video-on': 'turned their camera on',
+    'video-off': 'turned their camera off'
+};
+
+class ExportService {
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    isSupported(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    /**
+     * Export a meeting
+     * @param {Object} record - From meetingStore.getMeetingRecord()
+     * @param {string} format - vtt | srt | md | csv | json
+     * @returns {Object} - { content, contentType, filename }
+     */
+    exportMeeting(record, format) {
+        const timeline = this.buildTimeline(record);
+        const renderers = {
+            vtt: () => this.toWebVTT(record, timeline),
+            srt: () => this.toSRT(timeline),
+            md: () => this.toMarkdown(record, timeline),
+            csv: () => this.toCSV(timeline),
+            json: () => this.toJSON(record, timeline)
+        };
+
+        return {
+            content: renderers[format](),
+            contentType: FORMATS[format].contentType,
+            filename: `meeting-${record.meetingId}-transcript.${FORMATS[format].extension}`
+        };
+    }
+
+    /**
+     * Speech, chat and activities in time order, with offsets from the meeting start
+     * @returns {Object} - { startTime, endTime, events: [{ kind, id, type, userId, speaker, text, timestamp, startMs, endMs, ... }] }
+     */
+    buildTimeline(record) {
+        const speech = analyticsService.getSpeech(record.transcript || []).map(entry => ({
+            kind: 'speech',
+            id: entry.entryId,
+            userId: entry.userId || null,
+            speaker: entry.username,
+            text: entry.text,
+            language: entry.language || null,
+            edited: !!entry.edited,
+            timestamp: entry.end,
+            start: entry.start,
+            end: entry.end
+        }));
+
+        const chat = (record.chatMessages || [])
+            .filter(message => message.type !== 'system')
+            .map((message, index) => ({ message, index, time: analyticsService.toTime(message.timestamp) }))
+            .filter(({ message, time }) => time !== null && this.describeMessage(message))
+            .map(({ message, index, time }) => ({
+                kind: 'chat',
+                id: String(message.id ?? `msg_${index}`),
+                type: message.type || 'text',
+                userId: message.userId || null,
+                speaker: message.username,
+                text: this.describeMessage(message),
+                timestamp: time,
+                start: time,
+                end: time + CHAT_CUE_MS
+            }));
+
+        const activities = (record.activities || [])
+            .map(activity => ({ activity, time: analyticsService.toTime(activity.timestamp) }))
+            .filter(({ time }) => time !== null)
+            .map(({ activity, time }) => ({
+                kind: 'activity',
+                type: activity.type,
+                userId: activity.userId || null,
+                speaker: activity.username,
+                text: `${activity.username} ${ACTIVITY_LABELS[activity.type] || activity.type}`,
+                timestamp: time,
+                start: time,
+                end: time + ACTIVITY_CUE_MS
+            }));
+
+        const events = [...speech, ...chat, ...activities];
+        const firstEvent = events.length ? Math.min(...events.map(event => event.timestamp)) : Date.now();
+        const startTime = analyticsService.toTime(record.startTime) ?? firstEvent;
+        const lastEvent = events.length ? Math.max(...events.map(event => event.timestamp)) : startTime;
+        const endTime = Math.max(analyticsService.toTime(record.endTime) ?? lastEvent, lastEvent);
+
+        return {
+            startTime,
+            endTime,
+            events: events
+                // An estimated speech start can fall before the meeting started
+                .map(({ start, end, ...event }) => ({
+                    ...event,
+                    startMs: Math.max(0, start - startTime),
+                    endMs: Math.max(0, end - startTime)
+                }))
+                .sort((a, b) => a.startMs - b.startMs || a.timestamp - b.timestamp)
+        };
+    }
+
+    /**
+     * Text of a chat message - files and polls are exported as a one-line description
+     */
+    describeMessage(message) {
+        if (message.type === 'file') return message.fileName ? `[File] ${message.fileName}` : null;
+        if (message.type === 'poll') return message.question ? `[Poll] ${message.question}` : null;
+        return message.message || null;
+    }
+
+    /**
+     * HH:MM:SS, or HH:MM:SS.mmm with a millisecond separator
+     */
+    formatOffset(ms, separator = null) {
+        const total = Math.max(0, Math.round(ms));
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const clock = `${pad(Math.floor(total / 3600000))}:${pad(Math.floor(total / 60000) % 60)}:${pad(Math.floor(total / 1000) % 60)}`;
+        return separator ? `${clock}${separator}${pad(total % 1000, 3)}` : clock;
+    }
+
+    // Subtitle cues can't contain blank lines
+    cueText(text) {
+        return String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('\n');
+    }
+
+    cueLine(event) {
+        if (event.kind === 'activity') return `[${event.text}]`;
+        return event.kind === 'chat' ? `[Chat] ${event.text}` : event.text;
+    }
+
+    toWebVTT(record, timeline) {
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const title = this.cueText(record.title || record.meetingId).replace(/\n/g, ' ').replace(/-->/g, '->');
+
+        const cues = timeline.events.map((event, index) => {
+            const text = escape(this.cueText(this.cueLine(event)));
+            const body = event.kind === 'activity' ? text : `<v ${escape(event.speaker || 'Unknown')}>${text}`;
+            return `${index + 1}\n${this.formatOffset(event.startMs, '.')} --> ${this.formatOffset(event.endMs, '.')}\n${body}`;
+        });
+
+        return [`WEBVTT - ${title}`, ...cues].join('\n\n') + '\n';
+    }
+
+    toSRT(timeline) {
+        return timeline.events.map((event, index) => {
+            const text = this.cueText(this.cueLine(event));
+            const body = event.kind === 'activity' ? text : `${event.speaker || 'Unknown'}: ${text}`;
+            return `${index + 1}\n${this.formatOffset(event.startMs, ',')} --> ${this.formatOffset(event.endMs, ',')}\n${body}`;
+        }).join('\n\n') + '\n';
+    }
+
+    toMarkdown(record, timeline) {
+        const speakers = [...new Set(timeline.events.filter(event => event.kind !== 'activity').map(event => event.speaker))];
+        const lines = [
+            `# ${record.title || 'Meeting'} - Transcript`,
+            '',
+            `- **Meeting ID:** ${record.meetingId}`,
+            `- **Started:** ${new Date(timeline.startTime).toISOString()}`,
+            `- **Duration:** ${this.formatOffset(timeline.endTime - timeline.startTime)}`,
+            `- **Speakers:** ${speakers.join(', ') || 'None'}`,
+            '',
+            '## Transcript',
+            ''
+        ];
+
+        if (timeline.events.length === 0) {
+            lines.push('_Nothing was said in this meeting._', '');
+        }
+
+        timeline.events.forEach(event => {
+            const time = this.formatOffset(event.startMs);
+            if (event.kind === 'activity') {
+                lines.push(`_[${time}] ${event.text}_`, '');
+            } else {
+                const speaker = event.kind === 'chat' ? `${event.speaker} (chat)` : event.speaker;
+                lines.push(`**[${time}] ${speaker}:** ${event.text.replace(/\r?\n/g, '  \n')}`, '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    toCSV(timeline) {
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Keep spreadsheets from evaluating text as a formula
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['start', 'end', 'timestamp', 'kind', 'type', 'speaker', 'user_id', 'text'];
+        const rows = timeline.events.map(event => [
+            this.formatOffset(event.startMs, '.'),
+            this.formatOffset(event.endMs, '.'),
+            new Date(event.timestamp).toISOString(),
+            event.kind,
+            event.type || '',
+            event.speaker,
+            event.userId,
+            event.text
+        ]);
+
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Canonical JSON - fixed key order and no export time, so the same meeting always exports identically
+     */
+    toJSON(record, timeline) {
+        const participants = new Map();
+        [...(record.participants || []), ...timeline.events.map(event => ({ userId: event.userId, username: event.speaker }))]
+            .filter(participant => participant.userId)
+            .forEach(participant => {
+                if (!participants.has(participant.userId)) {
+                    participants.set(participant.userId, { userId: participant.userId, username: participant.username });
+                }
+            });
+        const iso = time => new Date(time).toISOString();
+
+        const canonical = {
+            version: JSON_EXPORT_VERSION,
+            meeting: {
+                meetingId: record.meetingId,
+                title: record.title || null,
+                startTime: iso(timeline.startTime),
+                endTime: iso(timeline.endTime),
+                durationMs: timeline.endTime - timeline.startTime,
+                isActive: !!record.isActive
+            },
+            participants: [...participants.values()].sort((a, b) => a.userId.localeCompare(b.userId)),
+            transcript: timeline.events.filter(event => event.kind === 'speech').map(event => ({
+                entryId: event.id,
+                userId: event.userId,
+                speaker: event.speaker,
+                text: event.text,
+                language: event.language,
+                edited: event.edited,
+                timestamp: iso(event.timestamp),
+                startMs: event.startMs,
+                endMs: event.endMs
+            })),
+            chat: timeline.events.filter(event => event.kind === 'chat').map(event => ({
+                id: event.id,
+                type: event.type,
+                userId: event.userId,
+                speaker: event.speaker,
+                text: event.text,
+                timestamp: iso(event.timestamp),
+                offsetMs: event.startMs
+            })),
+            activities: timeline.events.filter(event => event.kind === 'activity').map(event => ({
+                type: event.type,
+                userId: event.userId,
+                speaker: event.speaker,
+                timestamp: iso(event.timestamp),
+                offsetMs: event.startMs
+            }))
+        };
+
+        return JSON.stringify(canonical, null, 2) + '\n';
+    }
+}
+
+// Singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
@@ -1,493 +1,299 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./providers');
+const { STRUCTURED_SUMMARY_EXAMPLE, parseStructuredSummary } = require('../utils/structuredSummary');
+const { buildTimeline, formatTimelineLine, chunkTimeline, groupSections } = require('../utils/transcriptChunker');
+const { estimateTokens } = require('./providers/tokenUtils');
+const retrievalService = require('./retrievalService');
+const usageService = require('./usageService');
+const ModelRouter = require('./modelRouter');
+const promptTemplateService = require('./promptTemplateService');
+const { renderTemplate } = require('../utils/promptTemplate');
+const { getLanguageName, isSameLanguage } = require('../utils/languages');
+
+// Transcript entries sent to the model per translation request
+const TRANSLATION_BATCH_SIZE = 40;
+
+// Longest chapter count asked for, however long the meeting
+const MAX_CHAPTERS = 12;
 
 class GeminiService {
     constructor() {
+        // LLM backend (gemini | openai | mock) - see services/providers
+        this.provider = createProvider();
+
         // Load all API keys
-        this.apiKeys = [
-            process.env.GEMINI_API_KEY,
-            process.env.GEMINI_API2,
-            process.env.GEMINI_API3
-        ].filter(key => key && key.trim()); // Filter out empty/undefined keys
-        
-        this.currentApiKeyIndex = 0;
-        this.apiKey = this.apiKeys[0];
-        this.genAI = null;
-        this.genAIClients = []; // Store clients for each API key
-        this.models = {}; // Store multiple models
-        this.currentModelIndex = 0;
-        this.chatSessions = new Map(); // Store chat sessions per meeting
-        
-        // Model priority list (primary to fallbacks) - prefer newest/fastest first
-        this.modelNames = [
-            'gemini-2.5-flash',      // Primary - latest & fastest
-            'gemini-2.0-flash',      // Fallback - stable
-            'gemini-2.0-flash-lite'  // Last resort - lightweight
-        ];
+        this.apiKeys = this.provider.apiKeys;
         
-        console.log(`🔑 Found ${this.apiKeys.length} Gemini API key(s)`);
+        // Model priority list (primary to fallbacks) - provided by the active provider
+        this.modelNames = this.provider.modelNames;
+
+        // Conversations above this many (estimated) tokens are summarized section by section first
+        this.maxConversationTokens = parseInt(process.env.SUMMARY_MAX_CONTEXT_TOKENS, 10) || 16000;
+        this.chunkTokens = parseInt(process.env.SUMMARY_CHUNK_TOKENS, 10) || 6000;
         
-        if (this.apiKeys.length > 0) {
-            // Initialize clients for all API keys
-            this.apiKeys.forEach((key, index) => {
-                try {
-                    const client = new GoogleGenerativeAI(key);
-                    this.genAIClients.push(client);
-                    const maskedKey = key.substring(0, 10) + '...' + key.substring(key.length - 4);
-                    console.log(`✅ Initialized API client ${index + 1}: ${maskedKey}`);
-                } catch (err) {
-                    console.warn(`⚠️ Failed to initialize API client ${index + 1}: ${err.message}`);
-                    this.genAIClients.push(null);
-                }
-            });
-            
-            // Set primary client
-            this.genAI = this.genAIClients[0];
-            process.env.GOOGLE_API_KEY = this.apiKey;
-            
-            if (this.genAI) {
-                this.clientInitMethod = 'string';
-                console.log(`ℹ️ GoogleGenerativeAI initialized via constructor: ${this.clientInitMethod}`);
-            }
+        console.log(`🔑 Found ${this.apiKeys.length} ${this.provider.label} API key(s)`);
 
-            // Initialize all models with primary API key
-            this.initializeModels();
-        } else {
-            console.warn('⚠️ No GEMINI_API_KEY set - Summary feature will be disabled');
-        }
-    }
-    
-    /**
-     * Initialize models with current API client
-     */
-    initializeModels() {
-        this.models = {};
+        // One route per API key + model, each with its own health - see services/modelRouter.js
+        this.router = new ModelRouter(this.provider);
         
-        if (!this.genAI) {
-            console.warn('⚠️ No GenAI client available for model initialization');
-            return;
+        if (this.apiKeys.length === 0) {
+            console.warn(`⚠️ No ${this.provider.label} API key set - Summary feature will be disabled`);
+        } else if (!this.router.hasRoutes()) {
+            console.warn(`⚠️ No ${this.provider.label} models initialized successfully.`);
         }
-        
-        this.modelNames.forEach((modelName, index) => {
-            try {
-                this.models[modelName] = this.genAI.getGenerativeModel({ model: modelName });
-                console.log(`✅ Initialized model ${index + 1}: ${modelName}`);
-            } catch (err) {
-                console.warn(`⚠️ Failed to initialize ${modelName}: ${err.message}`);
-            }
-        });
+    }
 
-        // Set primary model to the first model that initialized successfully
-        const firstAvailable = this.modelNames.find(name => this.models[name]);
-        if (firstAvailable) {
-            this.currentModelIndex = this.modelNames.indexOf(firstAvailable);
-            this.model = this.models[firstAvailable];
-            console.log(`🚀 Primary model: ${firstAvailable}`);
-        } else {
-            console.warn('⚠️ No Gemini models initialized successfully.');
-            this.model = null;
-        }
+    isAvailable() {
+        return this.router.hasRoutes();
     }
-    
+
     /**
-     * Switch to next API key when rate limited
-     * @returns {boolean} - true if switched, false if no more API keys
+     * Error message used when no provider credentials are configured
      */
-    switchToNextApiKey() {
-        if (this.currentApiKeyIndex < this.apiKeys.length - 1) {
-            this.currentApiKeyIndex++;
-            this.apiKey = this.apiKeys[this.currentApiKeyIndex];
-            this.genAI = this.genAIClients[this.currentApiKeyIndex];
-            
-            const maskedKey = this.apiKey.substring(0, 10) + '...' + this.apiKey.substring(this.apiKey.length - 4);
-            console.log(`🔄 Switched to API key ${this.currentApiKeyIndex + 1}: ${maskedKey}`);
-            
-            // Reinitialize models with new API key
-            this.currentModelIndex = 0;
-            this.initializeModels();
-            
-            return true;
-        }
-        console.log('❌ No more backup API keys available');
-        return false;
+    getNotConfiguredMessage() {
+        return `${this.provider.label} AI is not configured. ${this.provider.getConfigHint()}`;
     }
-    
+
     /**
-     * Reset to primary API key (call after cooldown period)
+     * Count tokens for a piece of text with the current model
+     * @param {string} text
+     * @returns {Promise<number>}
      */
-    resetToPrimaryApiKey() {
-        if (this.currentApiKeyIndex !== 0) {
-            this.currentApiKeyIndex = 0;
-            this.apiKey = this.apiKeys[0];
-            this.genAI = this.genAIClients[0];
-            this.currentModelIndex = 0;
-            this.initializeModels();
-            console.log(`↩️ Reset to primary API key`);
-        }
+    async countTokens(text) {
+        if (!this.isAvailable()) return 0;
+        return this.router.getPrimaryModel().countTokens(text);
     }
 
-    isAvailable() {
-        return !!this.model;
+    /**
+     * Health of every API key / model route (circuit breaker state, cooldowns)
+     */
+    getHealth() {
+        return this.router.getHealth();
     }
 
     /**
-     * Get current model or switch to fallback if needed
+     * Run an AI operation on the healthiest key/model route, falling back to the
+     * next route on rate limits, invalid keys and unknown models. Routing state is
+     * per route, so concurrent requests don't change each other's model.
+     * Every call is recorded by usageService and checked against the AI quotas
+     * @param {Function} operation - Async function that receives the model handle (model.name is the model used)
      */
-    getCurrentModel() {
-        return this.models[this.modelNames[this.currentModelIndex]];
+    async executeWithFallback(operation) {
+        // Over-quota meetings/users are stopped before any provider call
+        await usageService.assertWithinQuota();
+
+        return this.router.execute(route => operation(usageService.wrapModel(route.model, {
+            provider: this.provider.name,
+            keyIndex: route.keyIndex
+        })));
     }
 
     /**
-     * Switch to next fallback model
-     * @returns {boolean} - true if switched, false if no more fallbacks
+     * Build the summary and action-item prompts for an adaptive summary
+     * @param {Object} meetingData - The meeting data to summarize
+     * @param {Object} template - Level template from promptTemplateService (defaults to built-in intermediate)
+     * @param {string} [options.targetLanguage] - Language to write the summary in
+     * @returns {Object} - { prompt, actionItemsPrompt, meetingInfo }
      */
-    switchToFallback() {
-        if (this.currentModelIndex < this.modelNames.length - 1) {
-            this.currentModelIndex++;
-            this.model = this.getCurrentModel();
-            console.log(`🔄 Switched to fallback model: ${this.modelNames[this.currentModelIndex]}`);
-            return true;
-        }
-        console.log('❌ No more fallback models available');
-        return false;
+    buildAdaptivePrompts(meetingData, template = promptTemplateService.getBuiltin('intermediate'), { targetLanguage } = {}) {
+        const variables = this.buildTemplateVariables(meetingData);
+        const languageInstruction = this.getLanguageInstruction(targetLanguage);
+
+        return {
+            prompt: renderTemplate(template.body, variables) + languageInstruction,
+            actionItemsPrompt: renderTemplate(promptTemplateService.getFollowup().body, {
+                ...variables,
+                actionItemsDetail: promptTemplateService.getActionItemsDetail(template)
+            }) + languageInstruction,
+            meetingInfo: this.buildMeetingInfo(meetingData)
+        };
     }
 
     /**
-     * Reset to primary model (call periodically or after successful request)
+     * Variables every summary template can use (see utils/promptTemplate.js)
      */
-    resetToPrimaryModel() {
-        if (this.currentModelIndex !== 0) {
-            this.currentModelIndex = 0;
-            this.model = this.getCurrentModel();
-            console.log(`↩️ Reset to primary model: ${this.modelNames[0]}`);
-        }
+    buildTemplateVariables(meetingData) {
+        const { meetingId, title, host, participants, messages, activities, duration, startTime, endTime } = meetingData;
+        const { formattedTranscript, formattedChat, hasTranscript, hasChat } = this.formatConversationForPrompt(meetingData);
+        const polls = this.formatPolls(messages);
+
+        return {
+            title: title || 'Untitled Meeting',
+            meetingId,
+            host: host || 'Unknown',
+            duration: duration || 'Unknown',
+            startTime: startTime || 'Unknown',
+            endTime: endTime || 'Unknown',
+            participantCount: participants?.length || 0,
+            participants: this.formatParticipants(participants),
+            transcript: formattedTranscript,
+            chat: formattedChat,
+            activities: this.formatActivities(activities),
+            polls,
+            hasTranscript,
+            hasChat,
+            hasActivities: activities && activities.length > 0,
+            hasPolls: !!polls,
+            noConversation: !hasTranscript && !hasChat
+        };
     }
 
     /**
-     * Check if error is a rate limit error (including RESOURCE_EXHAUSTED)
+     * Prompt suffix asking for output in the target language ('' keeps the prompts' default, English)
+     * @param {string} [targetLanguage] - Supported language code, e.g. "es-ES"
+     * @param {boolean} [options.json] - The response is JSON - translate values, not keys or quotes
      */
-    isRateLimitError(error) {
-        const errorMsg = error.message?.toLowerCase() || '';
-        const errorCode = error.code || error.status || '';
-        return errorCode === 429 || 
-               errorCode === 'RESOURCE_EXHAUSTED' ||
-               errorMsg.includes('429') || 
-               errorMsg.includes('rate_limit') || 
-               errorMsg.includes('quota') || 
-               errorMsg.includes('resource exhausted') ||
-               errorMsg.includes('resource_exhausted') ||
-               errorMsg.includes('too many requests');
-    }
+    getLanguageInstruction(targetLanguage, { json = false } = {}) {
+        if (!targetLanguage) return '';
 
-    isApiKeyInvalidError(error) {
-        const msg = error.message || '';
-        if (!msg) return false;
-        const lower = msg.toLowerCase();
-        return lower.includes('api key not valid') || lower.includes('api_key_invalid') || lower.includes('api key invalid') || lower.includes('api key is not valid');
+        const keep = json
+            ? 'Keep JSON keys, "sourceQuote" values and people\'s names exactly as they are'
+            : 'Keep people\'s names as they are';
+        return `\n\nOUTPUT LANGUAGE: Write your entire response in ${getLanguageName(targetLanguage)}, even where the meeting was held in other languages. ${keep}.`;
     }
 
     /**
-     * Check if error is a model not found error (should switch to fallback)
+     * Built-in template for an id, or the fallback id when there is none
      */
-    isModelNotFoundError(error) {
-        const errorMsg = error.message?.toLowerCase() || '';
-        return errorMsg.includes('404') || 
-               errorMsg.includes('not found') ||
-               errorMsg.includes('is not supported');
+    getBuiltinTemplate(templateId, fallbackId) {
+        return promptTemplateService.getBuiltin(templateId) || promptTemplateService.getBuiltin(fallbackId);
     }
 
     /**
-     * Execute with automatic fallback on rate limit or model not found
-     * Now also switches API keys when all models for current key are exhausted
-     * @param {Function} operation - Async function that uses this.model
-     * @param {number} maxRetries - Maximum fallback attempts per API key
+     * Meeting metadata returned alongside every summary
      */
-    async executeWithFallback(operation, maxRetries = 3) {
-        let lastError = null;
-        const startModelIndex = this.currentModelIndex;
-        const startApiKeyIndex = this.currentApiKeyIndex;
-        
-        // Try each API key
-        for (let apiKeyAttempt = 0; apiKeyAttempt <= this.apiKeys.length; apiKeyAttempt++) {
-            // Try each model with current API key
-            for (let attempt = 0; attempt < maxRetries; attempt++) {
-                try {
-                    const currentModel = this.modelNames[this.currentModelIndex];
-                    const currentKeyNum = this.currentApiKeyIndex + 1;
-                    console.log(`🤖 API Key ${currentKeyNum}/${this.apiKeys.length} | Model: ${currentModel} (attempt ${attempt + 1}/${maxRetries})`);
-                    
-                    const result = await operation(this.getCurrentModel());
-                    
-                    console.log(`✅ API call successful with API Key ${currentKeyNum}, model: ${currentModel}`);
-                    
-                    // Schedule reset to primary API key after 5 minutes
-                    if (this.currentApiKeyIndex !== 0) {
-                        setTimeout(() => this.resetToPrimaryApiKey(), 300000); // 5 minutes
-                    }
-                    // Schedule reset to primary model after 1 minute
-                    if (this.currentModelIndex !== 0) {
-                        setTimeout(() => this.resetToPrimaryModel(), 60000);
-                    }
-                    
-                    return result;
-                } catch (error) {
-                    lastError = error;
-                    try {
-                        console.error(`❌ Error with API Key ${this.currentApiKeyIndex + 1}, ${this.modelNames[this.currentModelIndex]}:`, error.message);
-                    } catch (logErr) {
-                        console.error(`❌ Error:`, error.message);
-                    }
-                    
-                    // If API key is invalid, try next API key
-                    if (this.isApiKeyInvalidError(error)) {
-                        console.log(`🔑 API Key ${this.currentApiKeyIndex + 1} is invalid, trying next...`);
-                        if (!this.switchToNextApiKey()) {
-                            throw new Error('GEMINI_API_KEY_INVALID: All API keys are invalid. Please set valid API keys.');
-                        }
-                        break; // Break inner loop, continue with new API key
-                    }
-                    
-                    // If rate limit error, try next model first, then next API key
-                    if (this.isRateLimitError(error)) {
-                        console.log(`⚠️ Rate limit hit (code: ${error.code || error.status || 'N/A'})`);
-                        
-                        // Try fallback model first
-                        if (this.switchToFallback()) {
-                            continue; // Try next model
-                        }
-                        
-                        // All models exhausted, try next API key
-                        console.log(`🔄 All models exhausted for API Key ${this.currentApiKeyIndex + 1}, switching API key...`);
-                        if (this.switchToNextApiKey()) {
-                            break; // Break inner loop, continue with new API key
-                        }
-                        
-                        // All API keys and models exhausted
-                        this.currentModelIndex = startModelIndex;
-                        this.currentApiKeyIndex = startApiKeyIndex;
-                        const retryMatch = error.message?.match(/retry in (\d+)/i);
-                        const retryTime = retryMatch ? retryMatch[1] : '60';
-                        throw new Error(`RATE_LIMIT: All API keys quota exceeded. Please wait ${retryTime} seconds or try again later.`);
-                    }
-                    
-                    // If model not found, try fallback model
-                    if (this.isModelNotFoundError(error)) {
-                        if (!this.switchToFallback()) {
-                            throw new Error('AI_UNAVAILABLE: All AI models are currently unavailable.');
-                        }
-                        continue;
-                    }
-                    
-                    // Non-recoverable error, don't retry
-                    throw error;
-                }
-            }
-        }
-        
-        // All retries exhausted
-        this.currentModelIndex = startModelIndex;
-        this.currentApiKeyIndex = startApiKeyIndex;
-        throw lastError || new Error('Failed after all retry attempts');
+    buildMeetingInfo(meetingData) {
+        const { meetingId, title, host, participants, messages, transcript, activities, duration, startTime, endTime } = meetingData;
+
+        return {
+            meetingId,
+            title,
+            host,
+            participantCount: participants?.length || 0,
+            messageCount: messages?.filter(m => m.type === 'text' || !m.type).length || 0,
+            transcriptCount: transcript?.length || 0,
+            activityCount: activities?.length || 0,
+            duration,
+            startTime,
+            endTime
+        };
     }
 
     /**
      * Generate adaptive summary based on difficulty level
      * @param {Object} meetingData - The meeting data to summarize
-     * @param {string} level - 'simple' | 'intermediate' | 'advanced'
+     * @param {string} level - 'simple' | 'intermediate' | 'advanced' or a custom level template id
+     * @param {Object} [options.template] - Resolved level template (defaults to the built-in for level)
+     * @param {string} [options.targetLanguage] - Language to write the summary in (default English)
      * @returns {Promise<Object>} - The generated summary
      */
-    async generateAdaptiveSummary(meetingData, level = 'intermediate') {
+    async generateAdaptiveSummary(meetingData, level = 'intermediate', { template, targetLanguage } = {}) {
         if (!this.isAvailable()) {
-            throw new Error('Gemini AI is not configured. Please add GEMINI_API_KEY to your environment.');
+            throw new Error(this.getNotConfiguredMessage());
         }
 
-        const { meetingId, title, host, participants, messages, transcript, activities, duration, startTime, endTime } = meetingData;
-
-        // Format all data for AI
-        const formattedTranscript = this.formatTranscript(transcript);
-        const formattedChat = this.formatConversation(messages);
-        const formattedActivities = this.formatActivities(activities);
-        const participantList = this.formatParticipants(participants);
-
-        // Determine what data is available
-        const hasTranscript = transcript && transcript.length > 0;
-        const hasChat = messages && messages.filter(m => m.type === 'text' || !m.type).length > 0;
-        const hasActivities = activities && activities.length > 0;
-
-        const levelPrompts = {
-            simple: `You are a helpful assistant for students. Generate a SIMPLE, easy-to-understand summary of this meeting.
-
-Meeting: ${title || 'Untitled Meeting'}
-Host: ${host || 'Unknown'}
-Duration: ${duration || 'Unknown'}
-Participants: ${participantList}
-
-${hasTranscript ? `=== SPOKEN CONVERSATION ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
-
-${!hasTranscript && !hasChat ? 'Note: No conversation was recorded for this meeting.' : ''}
-
-**Instructions for SIMPLE level:**
-- Use very simple language that a beginner can understand
-- Avoid technical jargon - explain any necessary terms
-- Keep sentences short (10-15 words max)
-- Use bullet points for easy reading
-- Maximum 5-7 key points only
-- Focus on: What was discussed? What was decided?
-
-Format:
-**📌 Main Topic**
-[One simple sentence]
-
-**💡 Key Points**
-• [Point 1 - simple language]
-• [Point 2 - simple language]
-• [Point 3 - simple language]
-
-**✅ What to Remember**
-[1-2 simple takeaways]`,
-
-            intermediate: `You are a helpful assistant for students. Generate a BALANCED summary of this meeting with moderate detail.
-
-Meeting: ${title || 'Untitled Meeting'}
-Meeting ID: ${meetingId}
-Host: ${host || 'Unknown'}
-Duration: ${duration || 'Unknown'}
-Participants (${participants?.length || 0}): ${participantList}
-
-${hasTranscript ? `=== SPOKEN CONVERSATION ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
-${hasActivities ? `=== ACTIVITIES ===\n${formattedActivities}\n` : ''}
-
-${!hasTranscript && !hasChat ? 'Note: No conversation was recorded.' : ''}
-
-**Instructions for INTERMEDIATE level:**
-- Use clear, professional language
-- Include main discussion topics with brief explanations
-- Mention important decisions and their context
-- Include relevant details but avoid overwhelming info
-- Use formatting for readability
-
-Format:
-**📋 Meeting Overview**
-[2-3 sentences about the meeting purpose and context]
-
-**💬 Discussion Highlights**
-1. **[Topic 1]**: [Brief explanation with key details]
-2. **[Topic 2]**: [Brief explanation with key details]
-3. **[Topic 3]**: [Brief explanation with key details]
-
-**🎯 Decisions & Outcomes**
-• [Decision 1 with brief context]
-• [Decision 2 with brief context]
-
-**📝 Key Takeaways**
-[3-5 bullet points summarizing what's important]`,
-
-            advanced: `You are a professional meeting analyst. Generate a COMPREHENSIVE, detailed summary of this meeting.
-
-Meeting: ${title || 'Untitled Meeting'}
-Meeting ID: ${meetingId}
-Host: ${host || 'Unknown'}
-Start Time: ${startTime || 'Unknown'}
-End Time: ${endTime || 'Unknown'}
-Duration: ${duration || 'Unknown'}
-Participants (${participants?.length || 0}): ${participantList}
-
-${hasTranscript ? `=== FULL SPOKEN TRANSCRIPT ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== COMPLETE CHAT LOG ===\n${formattedChat}\n` : ''}
-${hasActivities ? `=== ALL MEETING ACTIVITIES ===\n${formattedActivities}\n` : ''}
-
-${!hasTranscript && !hasChat ? 'Note: No conversation was recorded.' : ''}
-
-**Instructions for ADVANCED level:**
-- Provide thorough, analytical summary
-- Include all significant discussion points with full context
-- Analyze participant contributions and dynamics
-- Identify patterns, themes, and connections
-- Include technical details where relevant
-- Provide critical analysis and insights
-
-Format with these sections:
-## 📊 Executive Summary
-[Comprehensive overview paragraph]
+        template = template || this.getBuiltinTemplate(level, 'intermediate');
+        const condensedData = await this.condenseMeetingData(meetingData);
+        const { prompt, actionItemsPrompt, meetingInfo } = this.buildAdaptivePrompts(condensedData, template, { targetLanguage });
 
-## 🎯 Meeting Objectives & Context
-[What this meeting aimed to achieve]
-
-## 💬 Detailed Discussion Analysis
-### Topic 1: [Name]
-- **Context**: [Background]
-- **Discussion**: [What was said]
-- **Participants**: [Who contributed]
-- **Outcome**: [Result]
-
-### Topic 2: [Name]
-[Same structure...]
-
-## 🔍 Key Insights & Analysis
-- [Analytical observation 1]
-- [Analytical observation 2]
-- [Pattern or theme identified]
+        // Use fallback mechanism for generating content
+        return await this.executeWithFallback(async (model) => {
+            const { text: summaryText } = await model.generateContent(prompt);
 
-## ✅ Decisions & Resolutions
-| Decision | Context | Impact |
-|----------|---------|--------|
-| [Decision 1] | [Why] | [Effect] |
+            // Also generate action items
+            const { text: actionItems } = await model.generateContent(actionItemsPrompt);
 
-## 👥 Participant Engagement
-[Analysis of who contributed what]
+            return {
+                success: true,
+                level,
+                summary: summaryText,
+                actionItems: actionItems,
+                modelUsed: model.name,
+                template: promptTemplateService.describe(template),
+                language: targetLanguage || null,
+                meetingInfo,
+                generatedAt: new Date().toISOString()
+            };
+        });
+    }
 
-## 📈 Recommendations
-[Suggestions based on meeting content]
+    /**
+     * Stream an adaptive summary, then its action items, chunk by chunk
+     * @param {Object} meetingData - The meeting data to summarize
+     * @param {string} level - 'simple' | 'intermediate' | 'advanced' or a custom level template id
+     * @param {Object} options
+     * @param {Function} options.onEvent - Called as onEvent(eventName, payload) for
+     *   'meta', 'summary', 'action-items' and 'done'
+     * @param {AbortSignal} [options.signal] - Stops generation when aborted (client cancelled)
+     * @param {Object} [options.template] - Resolved level template (defaults to the built-in for level)
+     * @param {string} [options.targetLanguage] - Language to write the summary in (default English)
+     * @returns {Promise<Object>} - The full summary once streaming finishes
+     */
+    async streamAdaptiveSummary(meetingData, level = 'intermediate', { onEvent = () => {}, signal, template, targetLanguage } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error(this.getNotConfiguredMessage());
+        }
 
-## 📝 Comprehensive Summary
-[Detailed wrap-up paragraph]`
-        };
+        template = template || this.getBuiltinTemplate(level, 'intermediate');
+        const templateInfo = promptTemplateService.describe(template);
+        const language = targetLanguage || null;
+        onEvent('meta', { level, template: templateInfo, language, meetingInfo: this.buildMeetingInfo(meetingData) });
 
-        const prompt = levelPrompts[level] || levelPrompts.intermediate;
+        // Long meetings are condensed section by section before streaming starts
+        const condensedData = await this.condenseMeetingData(meetingData, {
+            signal,
+            onProgress: (progress) => onEvent('progress', progress)
+        });
+        const { prompt, actionItemsPrompt, meetingInfo } = this.buildAdaptivePrompts(condensedData, template, { targetLanguage });
 
-        // Use fallback mechanism for generating content
         return await this.executeWithFallback(async (model) => {
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            const summaryText = response.text();
-
-            // Also generate action items
-            const actionItemsPrompt = `Based on this meeting content, extract action items:
+            let summaryText = '';
+            let actionItems = '';
 
-${hasTranscript ? `Transcript: ${formattedTranscript}` : ''}
-${hasChat ? `Chat: ${formattedChat}` : ''}
-
-List action items as:
-- [ ] Task (Assigned to: Name, if mentioned)
-
-Keep it ${level === 'simple' ? 'brief with only essential tasks' : level === 'advanced' ? 'comprehensive with all tasks and subtasks' : 'balanced with main tasks'}.
-If no specific action items, suggest 2-3 based on discussion.`;
+            try {
+                for await (const chunk of model.generateContentStream(prompt)) {
+                    if (signal?.aborted) break;
+                    summaryText += chunk;
+                    onEvent('summary', { text: chunk });
+                }
 
-            const actionResult = await model.generateContent(actionItemsPrompt);
-            const actionResponse = await actionResult.response;
-            const actionItems = actionResponse.text();
+                if (!signal?.aborted) {
+                    for await (const chunk of model.generateContentStream(actionItemsPrompt)) {
+                        if (signal?.aborted) break;
+                        actionItems += chunk;
+                        onEvent('action-items', { text: chunk });
+                    }
+                }
+            } catch (error) {
+                // Retrying after chunks went out would duplicate them on the client,
+                // so only let the fallback logic handle failures before the first chunk
+                if (summaryText) {
+                    console.error('❌ Summary stream interrupted:', error.message);
+                    throw new Error('STREAM_INTERRUPTED: The AI response stream was interrupted. Please try again.');
+                }
+                throw error;
+            }
 
-            return {
+            const result = {
                 success: true,
                 level,
                 summary: summaryText,
-                actionItems: actionItems,
-                modelUsed: this.modelNames[this.currentModelIndex],
-                meetingInfo: {
-                    meetingId,
-                    title,
-                    host,
-                    participantCount: participants?.length || 0,
-                    messageCount: messages?.filter(m => m.type === 'text' || !m.type).length || 0,
-                    transcriptCount: transcript?.length || 0,
-                    activityCount: activities?.length || 0,
-                    duration,
-                    startTime,
-                    endTime
-                },
+                actionItems,
+                cancelled: !!signal?.aborted,
+                modelUsed: model.name,
+                template: templateInfo,
+                language,
+                meetingInfo,
                 generatedAt: new Date().toISOString()
             };
+
+            onEvent('done', {
+                cancelled: result.cancelled,
+                modelUsed: result.modelUsed,
+                template: result.template,
+                generatedAt: result.generatedAt
+            });
+
+            return result;
         });
     }
 
@@ -496,23 +302,25 @@ If no specific action items, suggest 2-3 based on discussion.`;
      * @param {Object} meetingData - The meeting data for context
      * @param {string} userMessage - User's question
      * @param {Array} chatHistory - Previous chat messages
-     * @returns {Promise<Object>} - AI response
+     * @param {string} [options.targetLanguage] - Language to answer in (default: the question's language)
+     * @returns {Promise<Object>} - AI response with the excerpts it cites
      */
-    async chatAboutMeeting(meetingData, userMessage, chatHistory = []) {
+    async chatAboutMeeting(meetingData, userMessage, chatHistory = [], { targetLanguage } = {}) {
         if (!this.isAvailable()) {
-            throw new Error('Gemini AI is not configured. Please add GEMINI_API_KEY to your environment.');
+            throw new Error(this.getNotConfiguredMessage());
         }
 
         const { meetingId, title, host, participants, messages, transcript, activities, duration } = meetingData;
 
-        const formattedTranscript = this.formatTranscript(transcript);
-        const formattedChat = this.formatConversation(messages);
         const formattedActivities = this.formatActivities(activities);
         const participantList = this.formatParticipants(participants);
 
         const hasTranscript = transcript && transcript.length > 0;
         const hasChat = messages && messages.filter(m => m.type === 'text' || !m.type).length > 0;
 
+        // Only the entries relevant to this question go to the model, numbered for citation
+        const excerpts = retrievalService.retrieve(meetingData, userMessage, chatHistory);
+
         // Build context for the AI
         const systemContext = `You are a helpful AI assistant that answers questions about a meeting. Be conversational, helpful, and accurate.
 
@@ -522,52 +330,50 @@ Host: ${host || 'Unknown'}
 Duration: ${duration || 'Unknown'}
 Participants: ${participantList}
 
-${hasTranscript ? `=== SPOKEN CONVERSATION (Transcript) ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
 ${activities?.length ? `=== MEETING ACTIVITIES ===\n${formattedActivities}\n` : ''}
 
 ${!hasTranscript && !hasChat ? 'Note: Limited conversation data available for this meeting.' : ''}
 
 === INSTRUCTIONS ===
-- Answer questions based ONLY on the meeting data above
+- Each question comes with numbered excerpts from the transcript and chat, like "[3] [10:42:01 AM] Alice: ..."
+- Answer based ONLY on those excerpts and the meeting information above
+- Cite the excerpts you used with their numbers in square brackets, e.g. "Alice owns the pricing page [3]"
 - If something wasn't discussed, say "That wasn't mentioned in this meeting"
-- Be helpful and suggest related information from the meeting
 - Use simple, clear language
 - Format responses with markdown for readability
-- If asked for summaries, provide them based on actual content
-- Be conversational and friendly`;
+- Be conversational and friendly${this.getLanguageInstruction(targetLanguage)}`;
+
+        const question = excerpts.length > 0
+            ? `=== RELEVANT EXCERPTS ===\n${retrievalService.formatExcerpts(excerpts)}\n\nQuestion: ${userMessage}`
+            : `(No transcript or chat excerpts are available.)\n\nQuestion: ${userMessage}`;
 
         // Build chat history for context
         let conversationHistory = chatHistory.map(msg => ({
             role: msg.role === 'user' ? 'user' : 'model',
-            parts: [{ text: msg.content }]
+            text: msg.content
         }));
 
         // Use fallback mechanism for chat
         return await this.executeWithFallback(async (model) => {
             // Create chat with system context
-            const chat = model.startChat({
-                history: [
-                    {
-                        role: 'user',
-                        parts: [{ text: systemContext + '\n\nPlease acknowledge you understand the meeting context and are ready to help.' }]
-                    },
-                    {
-                        role: 'model', 
-                        parts: [{ text: 'I understand the meeting context and I\'m ready to help you with any questions about this meeting. What would you like to know?' }]
-                    },
-                    ...conversationHistory
-                ]
-            });
-
-            const result = await chat.sendMessage(userMessage);
-            const response = await result.response;
-            const aiResponse = response.text();
+            const { text: aiResponse } = await model.sendChat([
+                {
+                    role: 'user',
+                    text: systemContext + '\n\nPlease acknowledge you understand the meeting context and are ready to help.'
+                },
+                {
+                    role: 'model',
+                    text: 'I understand the meeting context and I\'m ready to help you with any questions about this meeting. What would you like to know?'
+                },
+                ...conversationHistory
+            ], question);
 
             return {
                 success: true,
                 response: aiResponse,
-                modelUsed: this.modelNames[this.currentModelIndex],
+                citations: retrievalService.extractCitations(aiResponse, excerpts),
+                modelUsed: model.name,
+                language: targetLanguage || null,
                 meetingInfo: {
                     meetingId,
                     title,
@@ -581,104 +387,84 @@ ${!hasTranscript && !hasChat ? 'Note: Limited conversation data available for th
     }
 
     /**
-     * Generate meeting summary from conversation data (legacy support)
-     * @param {Object} meetingData - The meeting data to summarize
-     * @param {string} summaryType - 'brief' | 'detailed' | 'action-items'
-     * @returns {Promise<Object>} - The generated summary
+     * Answer a question across a user's past meetings from retrieved excerpts
+     * @param {string} question - e.g. "What did we decide about the pricing page last month?"
+     * @param {Array} excerpts - Numbered excerpts from historyService.retrieve
+     * @returns {Promise<Object>} - Answer with the excerpts it cites
      */
-    async generateSummary(meetingData, summaryType = 'detailed') {
+    async answerHistoryQuestion(question, excerpts) {
         if (!this.isAvailable()) {
-            throw new Error('Gemini AI is not configured. Please add GEMINI_API_KEY to your environment.');
+            throw new Error(this.getNotConfiguredMessage());
         }
 
-        const { meetingId, title, host, participants, messages, transcript, activities, duration, startTime, endTime } = meetingData;
-
-        // Format all data for AI
-        const formattedTranscript = this.formatTranscript(transcript);
-        const formattedChat = this.formatConversation(messages);
-        const formattedActivities = this.formatActivities(activities);
-        const participantList = this.formatParticipants(participants);
-        const pollSummary = this.formatPolls(messages);
-
-        // Determine what data is available
-        const hasTranscript = transcript && transcript.length > 0;
-        const hasChat = messages && messages.filter(m => m.type === 'text' || !m.type).length > 0;
-        const hasActivities = activities && activities.length > 0;
-
-        const prompts = {
-            brief: `You are a professional meeting assistant. Generate a BRIEF summary (2-3 sentences max) of this meeting.
-
-Meeting: ${title || 'Untitled Meeting'}
-Host: ${host || 'Unknown'}
-Duration: ${duration || 'Unknown'}
-Participants: ${participantList}
-
-${hasTranscript ? `=== SPOKEN CONVERSATION (Speech-to-Text) ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
-${hasActivities ? `=== MEETING ACTIVITIES ===\n${formattedActivities}\n` : ''}
-${pollSummary ? `=== POLLS ===\n${pollSummary}` : ''}
-
-${!hasTranscript && !hasChat ? 'Note: No conversation was recorded for this meeting. Summarize based on available activity data.' : ''}
-
-Provide ONLY a brief 2-3 sentence summary highlighting the main topic and outcome. Be concise.`,
-
-            detailed: `You are a professional meeting assistant. Generate a comprehensive summary of this meeting.
-
-Meeting: ${title || 'Untitled Meeting'}
-Meeting ID: ${meetingId}
-Host: ${host || 'Unknown'}
-Start Time: ${startTime || 'Unknown'}
-End Time: ${endTime || 'Unknown'}
-Duration: ${duration || 'Unknown'}
-Participants (${participants?.length || 0}): ${participantList}
-
-${hasTranscript ? `=== SPOKEN CONVERSATION (Speech-to-Text Transcript) ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
-${hasActivities ? `=== MEETING ACTIVITIES (Join/Leave, Screen Share, Hand Raises, etc.) ===\n${formattedActivities}\n` : ''}
-${pollSummary ? `=== POLLS CONDUCTED ===\n${pollSummary}\n` : ''}
-
-${!hasTranscript && !hasChat ? 'Note: No conversation was recorded. Generate summary based on participant activities and meeting metadata.' : ''}
-
-Please provide a detailed summary with the following sections:
-1. **Meeting Overview** - Brief introduction of the meeting purpose
-2. **Key Discussion Points** - Main topics discussed (from transcript and chat)
-3. **Decisions Made** - Any decisions or conclusions reached
-4. **Action Items** - Tasks assigned or next steps identified
-5. **Participant Contributions** - Notable contributions from participants
-6. **Meeting Dynamics** - Screen shares, hand raises, and engagement patterns
-7. **Summary** - Final wrap-up
+        const formattedExcerpts = excerpts
+            .map(excerpt => {
+                const when = excerpt.timestamp ? new Date(excerpt.timestamp).toLocaleString() : 'Unknown time';
+                return `[${excerpt.ref}] [${excerpt.title} · ${when}] ${excerpt.speaker}: ${excerpt.text}`;
+            })
+            .join('\n');
 
-Format with markdown for readability.`,
+        const prompt = `You are a helpful assistant that answers questions about a user's past meetings.
+Today is ${new Date().toDateString()}.
 
-            'action-items': `You are a professional meeting assistant. Extract ONLY the action items and tasks from this meeting.
+=== RELEVANT EXCERPTS ===
+${formattedExcerpts || '(No matching excerpts were found in the meeting history.)'}
 
-Meeting: ${title || 'Untitled Meeting'}
-Participants: ${participantList}
+=== INSTRUCTIONS ===
+- Each excerpt is "[number] [meeting title · date and time] speaker: text"; "AI summary" lines come from stored meeting summaries
+- Answer based ONLY on the excerpts; use their dates to resolve phrases like "last month" or "last week"
+- Say which meeting (title and date) each point comes from
+- Cite the excerpts you used with their numbers in square brackets, e.g. "We chose the annual plan [2]"
+- If the excerpts don't answer the question, say "I couldn't find that in your meeting history"
+- Use simple, clear language and markdown for readability
+
+Question: ${question}`;
+
+        const { answer, modelUsed } = await this.executeWithFallback(async (model) => {
+            const { text } = await model.generateContent(prompt);
+            return { answer: text, modelUsed: model.name };
+        });
 
-${hasTranscript ? `=== SPOKEN CONVERSATION ===\n${formattedTranscript}\n` : ''}
-${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
+        return {
+            success: true,
+            response: answer,
+            citations: retrievalService.extractCitations(answer, excerpts),
+            modelUsed
+        };
+    }
 
-List all action items, tasks, and follow-ups mentioned in the meeting. Format as:
-- [ ] Task description (Assigned to: Name, if mentioned)
+    /**
+     * Generate meeting summary from conversation data (legacy support)
+     * @param {Object} meetingData - The meeting data to summarize
+     * @param {string} summaryType - 'brief' | 'detailed' | 'action-items' or a custom type template id
+     * @param {Object} [options.template] - Resolved type template (defaults to the built-in for summaryType)
+     * @param {string} [options.targetLanguage] - Language to write the summary in (default English)
+     * @returns {Promise<Object>} - The generated summary
+     */
+    async generateSummary(meetingData, summaryType = 'detailed', { template, targetLanguage } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error(this.getNotConfiguredMessage());
+        }
 
-If no specific action items were discussed, provide suggested action items based on the conversation topics.`
-        };
+        meetingData = await this.condenseMeetingData(meetingData);
+        const { meetingId, title, host, participants, messages, transcript, activities, duration, startTime, endTime } = meetingData;
 
-        const prompt = prompts[summaryType] || prompts.detailed;
+        template = template || this.getBuiltinTemplate(summaryType, 'detailed');
+        const prompt = renderTemplate(template.body, this.buildTemplateVariables(meetingData)) + this.getLanguageInstruction(targetLanguage);
 
         try {
             // Use fallback mechanism for rate limit handling
-            const result = await this.executeWithFallback(async (model) => {
-                const response = await model.generateContent(prompt);
-                return response.response;
+            const text = await this.executeWithFallback(async (model) => {
+                const { text } = await model.generateContent(prompt);
+                return text;
             });
-            
-            const text = result.text();
 
             return {
                 success: true,
                 type: summaryType,
                 summary: text,
+                template: promptTemplateService.describe(template),
+                language: targetLanguage || null,
                 meetingInfo: {
                     meetingId,
                     title,
@@ -697,28 +483,33 @@ If no specific action items were discussed, provide suggested action items based
             console.error('❌ Gemini API Error:', error);
 
             if (error.message?.includes('RATE_LIMIT')) {
-                throw new Error('AI service is temporarily busy. Please try again in a moment.');
+                throw new Error('AI service is temporarily busy. Please try again in a moment.', { cause: error });
             }
             if (error.message?.includes('GEMINI_API_KEY_INVALID')) {
-                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.');
+                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.', { cause: error });
             }
-            throw new Error(`Failed to generate summary: ${error.message}`);
+            throw new Error(`Failed to generate summary: ${error.message}`, { cause: error });
         }
     }
 
     /**
      * Generate all summary types at once
+     * @param {Object} [options.templates] - Resolved templates by type ('brief', 'detailed', 'action-items')
+     * @param {string} [options.targetLanguage] - Language to write the summaries in (default English)
      */
-    async generateAllSummaries(meetingData) {
+    async generateAllSummaries(meetingData, { templates = {}, targetLanguage } = {}) {
         if (!this.isAvailable()) {
-            throw new Error('Gemini AI is not configured. Please add GEMINI_API_KEY to your environment.');
+            throw new Error(this.getNotConfiguredMessage());
         }
 
         try {
+            // Condense once and share it between the three summaries
+            meetingData = await this.condenseMeetingData(meetingData);
+
             const [brief, detailed, actionItems] = await Promise.all([
-                this.generateSummary(meetingData, 'brief'),
-                this.generateSummary(meetingData, 'detailed'),
-                this.generateSummary(meetingData, 'action-items')
+                this.generateSummary(meetingData, 'brief', { template: templates.brief, targetLanguage }),
+                this.generateSummary(meetingData, 'detailed', { template: templates.detailed, targetLanguage }),
+                this.generateSummary(meetingData, 'action-items', { template: templates['action-items'], targetLanguage })
             ]);
 
             return {
@@ -726,6 +517,12 @@ If no specific action items were discussed, provide suggested action items based
                 brief: brief.summary,
                 detailed: detailed.summary,
                 actionItems: actionItems.summary,
+                templates: {
+                    brief: brief.template,
+                    detailed: detailed.template,
+                    'action-items': actionItems.template
+                },
+                language: targetLanguage || null,
                 meetingInfo: detailed.meetingInfo,
                 generatedAt: new Date().toISOString()
             };
@@ -734,6 +531,211 @@ If no specific action items were discussed, provide suggested action items based
         }
     }
 
+    /**
+     * Generate a structured JSON summary (topics, decisions, action items,
+     * open questions, risks), validated against the schema in utils/structuredSummary
+     * Invalid responses are sent back to the model with the validation errors.
+     * @param {Object} meetingData - The meeting data to summarize
+     * @param {number} maxAttempts - Attempts before giving up on invalid output
+     * @param {string} [options.targetLanguage] - Language to write the summary text in (default English)
+     * @returns {Promise<Object>} - The validated structured summary
+     */
+    async generateStructuredSummary(meetingData, maxAttempts = 3, { targetLanguage } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error(this.getNotConfiguredMessage());
+        }
+
+        meetingData = await this.condenseMeetingData(meetingData);
+        const { title, host, participants, activities, duration } = meetingData;
+
+        const { formattedTranscript, formattedChat, hasTranscript, hasChat } = this.formatConversationForPrompt(meetingData);
+        const hasActivities = activities && activities.length > 0;
+
+        const prompt = `You are a professional meeting assistant. Extract a STRUCTURED summary of this meeting.
+
+Meeting: ${title || 'Untitled Meeting'}
+Host: ${host || 'Unknown'}
+Duration: ${duration || 'Unknown'}
+Participants: ${this.formatParticipants(participants)}
+
+${hasTranscript ? `=== SPOKEN CONVERSATION (Speech-to-Text) ===\n${formattedTranscript}\n` : ''}
+${hasChat ? `=== CHAT MESSAGES ===\n${formattedChat}\n` : ''}
+${hasActivities ? `=== MEETING ACTIVITIES ===\n${this.formatActivities(activities)}\n` : ''}
+
+Respond with ONLY a JSON object (no markdown, no commentary) with exactly this shape:
+${JSON.stringify(STRUCTURED_SUMMARY_EXAMPLE, null, 2)}
+
+RULES:
+1. Every key must be present; use an empty array when there is nothing to report
+2. "assignee", "dueDate", "madeBy", "raisedBy" and "sourceQuote" may be null when not mentioned
+3. "dueDate" is YYYY-MM-DD when a date can be worked out, otherwise the words used (e.g. "next sprint")
+4. "sourceQuote" is copied word for word from the conversation
+5. "severity" is one of: low, medium, high
+6. Do not invent decisions, owners or dates that were not said${this.getLanguageInstruction(targetLanguage, { json: true })}`;
+
+        let lastErrors = [];
+        let lastResponse = '';
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const attemptPrompt = attempt === 1 ? prompt : `${prompt}
+
+Your previous response was rejected:
+${lastResponse}
+
+Validation errors:
+${lastErrors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object.`;
+
+            const response = await this.executeWithFallback(async (model) => {
+                const { text } = await model.generateContent(attemptPrompt);
+                return { text, modelUsed: model.name };
+            });
+            lastResponse = response.text;
+
+            const result = parseStructuredSummary(lastResponse);
+            if (result.valid) {
+                return {
+                    success: true,
+                    type: 'structured',
+                    structured: result.value,
+                    attempts: attempt,
+                    modelUsed: response.modelUsed,
+                    language: targetLanguage || null,
+                    meetingInfo: this.buildMeetingInfo(meetingData),
+                    generatedAt: new Date().toISOString()
+                };
+            }
+
+            lastErrors = result.errors;
+            console.warn(`⚠️ Structured summary attempt ${attempt}/${maxAttempts} failed validation: ${lastErrors.slice(0, 3).join('; ')}`);
+        }
+
+        throw new Error(`STRUCTURED_SUMMARY_INVALID: The AI did not return a valid structured summary after ${maxAttempts} attempts (${lastErrors.slice(0, 3).join('; ')})`);
+    }
+
+    /**
+     * Map-reduce long meetings: summarize the conversation section by section,
+     * then merge the section notes until they fit one prompt.
+     * Short meetings are returned unchanged.
+     * @param {Object} meetingData - The meeting data to summarize
+     * @param {Object} options
+     * @param {Function} [options.onProgress] - Called with { stage: 'map' | 'reduce', completed, total }
+     * @param {AbortSignal} [options.signal] - Stops condensing when aborted
+     * @returns {Promise<Object>} - meetingData, plus conversationSections when condensed
+     */
+    async condenseMeetingData(meetingData, { onProgress = () => {}, signal } = {}) {
+        if (meetingData.conversationSections) return meetingData;
+
+        const timeline = buildTimeline(meetingData.transcript, meetingData.messages);
+        const totalTokens = timeline.reduce((sum, line) => sum + estimateTokens(formatTimelineLine(line)), 0);
+
+        if (totalTokens <= this.maxConversationTokens) return meetingData;
+
+        const chunks = chunkTimeline(timeline, this.chunkTokens);
+        console.log(`🧩 Long meeting (~${totalTokens} tokens): summarizing ${chunks.length} sections first`);
+
+        // Map: notes for each section of the conversation
+        let sections = [];
+        for (const chunk of chunks) {
+            if (signal?.aborted) return meetingData;
+            onProgress({ stage: 'map', completed: sections.length, total: chunks.length });
+
+            const notes = await this.summarizeSection(chunk.text, chunk, chunks.length);
+            sections.push({ text: notes, startTime: chunk.startTime, endTime: chunk.endTime, speakers: chunk.speakers });
+        }
+
+        // Reduce: merge neighbouring section notes while they are still too long
+        const sectionTokens = () => sections.reduce((sum, section) => sum + estimateTokens(section.text), 0);
+        for (let round = 1; round <= 3 && sections.length > 1 && sectionTokens() > this.maxConversationTokens; round++) {
+            const groups = groupSections(sections, this.chunkTokens);
+            if (groups.length === sections.length) break; // Each section already fills a chunk
+
+            const merged = [];
+            for (const group of groups) {
+                if (signal?.aborted) return meetingData;
+                onProgress({ stage: 'reduce', completed: merged.length, total: groups.length });
+
+                const range = {
+                    index: merged.length + 1,
+                    startTime: group[0].startTime,
+                    endTime: group[group.length - 1].endTime,
+                    speakers: [...new Set(group.flatMap(section => section.speakers))]
+                };
+                const notes = group.length === 1
+                    ? group[0].text
+                    : await this.summarizeSection(this.formatSections(group), range, groups.length, true);
+                merged.push({ ...range, text: notes });
+            }
+            sections = merged;
+        }
+
+        onProgress({ stage: 'reduce', completed: 1, total: 1 });
+        return { ...meetingData, conversationSections: sections };
+    }
+
+    /**
+     * Summarize one section of a long conversation (map step) or merge
+     * several consecutive section notes (reduce step)
+     */
+    async summarizeSection(content, { index, startTime, endTime, speakers }, total, isMerge = false) {
+        const formatTime = (time) => time ? new Date(time).toLocaleTimeString() : 'Unknown';
+
+        const prompt = `You are condensing ${isMerge ? 'consecutive section notes' : 'one section'} of a long meeting so they can be combined into a full summary later.
+
+Section ${index} of ${total} (${formatTime(startTime)} - ${formatTime(endTime)})
+Speakers: ${speakers.join(', ') || 'Unknown'}
+
+=== ${isMerge ? 'SECTION NOTES' : 'CONVERSATION'} ===
+${content}
+
+Write concise notes in time order:
+1. Keep the [time] stamp for each point
+2. Attribute every point, decision, question and task to the person who said it
+3. Keep names, numbers, dates and commitments exactly as stated
+4. Do not add anything that was not said
+
+Notes:`;
+
+        return await this.executeWithFallback(async (model) => {
+            const { text } = await model.generateContent(prompt);
+            return text;
+        });
+    }
+
+    formatSections(sections) {
+        return sections
+            .map(section => {
+                const start = section.startTime ? new Date(section.startTime).toLocaleTimeString() : '';
+                const end = section.endTime ? new Date(section.endTime).toLocaleTimeString() : '';
+                return `--- ${start} - ${end} (${section.speakers.join(', ')}) ---\n${section.text}`;
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Transcript and chat text for prompts - section notes when the meeting was condensed
+     */
+    formatConversationForPrompt(meetingData) {
+        const { transcript, messages, conversationSections } = meetingData;
+
+        if (conversationSections) {
+            return {
+                formattedTranscript: `(Long meeting - condensed notes of the spoken conversation and chat, in time order)\n${this.formatSections(conversationSections)}`,
+                formattedChat: '',
+                hasTranscript: true,
+                hasChat: false
+            };
+        }
+
+        return {
+            formattedTranscript: this.formatTranscript(transcript),
+            formattedChat: this.formatConversation(messages),
+            hasTranscript: transcript && transcript.length > 0,
+            hasChat: messages && messages.filter(m => m.type === 'text' || !m.type).length > 0
+        };
+    }
+
     /**
      * Format speech transcript into readable conversation
      */
@@ -742,15 +744,27 @@ If no specific action items were discussed, provide suggested action items based
             return 'No spoken conversation recorded.';
         }
 
+        // Tag speakers' languages when the meeting mixed several, e.g. "Alice (es-ES)"
+        const multilingual = this.isMultilingual(transcript);
+
         return transcript
             .filter(t => t.isFinal) // Only include final transcriptions
             .map(t => {
                 const time = t.timestamp ? new Date(t.timestamp).toLocaleTimeString() : '';
-                return `[${time}] ${t.username}: ${t.text}`;
+                const speaker = multilingual && t.language ? `${t.username} (${t.language})` : t.username;
+                return `[${time}] ${speaker}: ${t.text}`;
             })
             .join('\n') || 'No spoken conversation recorded.';
     }
 
+    /**
+     * Whether transcript entries were spoken in more than one language
+     */
+    isMultilingual(transcript) {
+        const languages = new Set((transcript || []).map(t => t.language).filter(Boolean));
+        return languages.size > 1;
+    }
+
     /**
      * Format chat messages into readable conversation
      */
@@ -832,7 +846,7 @@ If no specific action items were discussed, provide suggested action items based
      */
     async summarizeMissedMessages(messages) {
         if (!this.isAvailable()) {
-            throw new Error('Gemini AI is not configured. Please add GEMINI_API_KEY to your environment.');
+            throw new Error(this.getNotConfiguredMessage());
         }
 
         if (!messages || messages.length === 0) {
@@ -864,34 +878,33 @@ INSTRUCTIONS:
 Provide a helpful "catch-up" summary:`;
 
         try {
-            const result = await this.executeWithFallback(async (model) => {
-                const response = await model.generateContent(prompt);
-                return response.response;
+            const summary = await this.executeWithFallback(async (model) => {
+                const { text } = await model.generateContent(prompt);
+                return text;
             });
-            
-            const summary = result.text();
             return summary || 'Unable to generate summary.';
         } catch (error) {
             console.error('Error summarizing missed messages:', error);
 
             if (error.message?.includes('RATE_LIMIT')) {
-                throw new Error('AI service is temporarily busy. Please try again in a moment.');
+                throw new Error('AI service is temporarily busy. Please try again in a moment.', { cause: error });
             }
             if (error.message?.includes('GEMINI_API_KEY_INVALID')) {
-                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.');
+                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.', { cause: error });
             }
-            throw new Error('Failed to generate summary. Please try again.');
+            throw new Error('Failed to generate summary. Please try again.', { cause: error });
         }
     }
 
     /**
      * Summarize missed speech transcripts when user was away
-     * @param {Array} transcripts - Array of transcript objects with userId, username, text, timestamp
+     * @param {Array} transcripts - Array of transcript objects with userId, username, text, timestamp, language
+     * @param {string} [options.targetLanguage] - Language to write the summary in (default English)
      * @returns {Promise<string>} - AI-generated summary
      */
-    async summarizeMissedSpeech(transcripts) {
+    async summarizeMissedSpeech(transcripts, { targetLanguage } = {}) {
         if (!this.isAvailable()) {
-            throw new Error('Gemini AI is not configured. Please add GEMINI_API_KEY to your environment.');
+            throw new Error(this.getNotConfiguredMessage());
         }
 
         if (!transcripts || transcripts.length === 0) {
@@ -899,9 +912,11 @@ Provide a helpful "catch-up" summary:`;
         }
 
         // Format transcripts for AI
+        const multilingual = this.isMultilingual(transcripts);
         const formattedTranscripts = transcripts.map(t => {
             const time = t.timestamp ? new Date(t.timestamp).toLocaleTimeString() : '';
-            const speaker = t.speakerName || t.username || 'Unknown Speaker';
+            const name = t.speakerName || t.username || 'Unknown Speaker';
+            const speaker = multilingual && t.language ? `${name} (${t.language})` : name;
             const text = t.text || '';
             return `[${time}] ${speaker}: "${text}"`;
         }).join('\n');
@@ -919,29 +934,224 @@ INSTRUCTIONS:
 4. Identify who was speaking the most and about what topics
 5. Keep it concise but informative - focus on what's important
 6. Use bullet points if there are multiple distinct topics or speakers
-7. Be friendly and helpful in tone
+7. Be friendly and helpful in tone${this.getLanguageInstruction(targetLanguage)}
 
 Provide a helpful "catch-up" summary of what was said:`;
 
         try {
-            const result = await this.executeWithFallback(async (model) => {
-                const response = await model.generateContent(prompt);
-                return response.response;
+            const summary = await this.executeWithFallback(async (model) => {
+                const { text } = await model.generateContent(prompt);
+                return text;
             });
-            
-            const summary = result.text();
             return summary || 'Unable to generate summary.';
         } catch (error) {
             console.error('Error summarizing missed speech:', error);
 
             if (error.message?.includes('RATE_LIMIT')) {
-                throw new Error('AI service is temporarily busy. Please try again in a moment.');
+                throw new Error('AI service is temporarily busy. Please try again in a moment.', { cause: error });
+            }
+            if (error.message?.includes('GEMINI_API_KEY_INVALID')) {
+                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.', { cause: error });
+            }
+            throw new Error('Failed to generate speech summary. Please try again.', { cause: error });
+        }
+    }
+
+    /**
+     * Translate transcript entries into the target language
+     * Entries already spoken in that language are skipped; the rest go to the
+     * model as JSON in batches of TRANSLATION_BATCH_SIZE.
+     * @param {Array} entries - Transcript entries with entryId, text and language
+     * @param {string} targetLanguage - Supported language code, e.g. "fr-FR"
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with { completed, total } batches
+     * @returns {Promise<Object>} - { translations: Map of entryId -> translated text, modelUsed }
+     */
+    async translateTranscript(entries, targetLanguage, { onProgress = () => {} } = {}) {
+        if (!this.isAvailable()) {
+            throw new Error(this.getNotConfiguredMessage());
+        }
+
+        const pending = entries.filter(entry => entry.text && !isSameLanguage(entry.language, targetLanguage));
+        const translations = new Map();
+        let modelUsed = null;
+
+        const batches = [];
+        for (let i = 0; i < pending.length; i += TRANSLATION_BATCH_SIZE) {
+            batches.push(pending.slice(i, i + TRANSLATION_BATCH_SIZE));
+        }
+
+        try {
+            for (const [index, batch] of batches.entries()) {
+                const prompt = `You are a professional translator for meeting transcripts.
+Translate the "text" of each entry into ${getLanguageName(targetLanguage)} (${targetLanguage}).
+
+RULES:
+1. Respond with ONLY a JSON array (no markdown, no commentary) of {"id": "...", "text": "..."} objects, one per entry, with the same ids
+2. Keep the meaning and tone of spoken language; do not summarize, merge or skip entries
+3. Keep people's names, product names and code as they are
+4. "language" is the speaker's speech recognition language - if the text is clearly in another language, translate from that one
+
+ENTRIES:
+${JSON.stringify(batch.map(entry => ({ id: entry.entryId, language: entry.language || null, text: entry.text })), null, 2)}`;
+
+                const response = await this.executeWithFallback(async (model) => {
+                    const { text } = await model.generateContent(prompt);
+                    return { text, modelUsed: model.name };
+                });
+                modelUsed = response.modelUsed;
+
+                const batchIds = new Set(batch.map(entry => entry.entryId));
+                this.parseTranslations(response.text)
+                    .filter(item => batchIds.has(item.id))
+                    .forEach(item => translations.set(item.id, item.text));
+
+                onProgress({ completed: index + 1, total: batches.length });
+            }
+        } catch (error) {
+            console.error('Error translating transcript:', error);
+
+            if (error.message?.includes('RATE_LIMIT')) {
+                throw new Error('AI service is temporarily busy. Please try again in a moment.', { cause: error });
             }
             if (error.message?.includes('GEMINI_API_KEY_INVALID')) {
-                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.');
+                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.', { cause: error });
             }
-            throw new Error('Failed to generate speech summary. Please try again.');
+            throw new Error('Failed to translate transcript. Please try again.', { cause: error });
+        }
+
+        return { translations, modelUsed };
+    }
+
+    /**
+     * Pull the [{ id, text }] array out of a translation response (entries it can't read stay untranslated)
+     */
+    parseTranslations(responseText) {
+        const match = String(responseText || '').match(/\[[\s\S]*\]/);
+        if (!match) return [];
+
+        try {
+            const parsed = JSON.parse(match[0]);
+            return Array.isArray(parsed)
+                ? parsed.filter(item => item && typeof item.id === 'string' && typeof item.text === 'string')
+                : [];
+        } catch (error) {
+            console.warn('⚠️ Could not parse translation response:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Split a meeting into titled chapters
+     * @param {Array} lines - [{ id, timestamp, speaker, text }] in time order (lines may be merged blocks)
+     * @returns {Promise<Object>} - { chapters: [{ startId, title, summary }], modelUsed }
+     */
+    async generateChapters(lines) {
+        if (!this.isAvailable()) {
+            throw new Error(this.getNotConfiguredMessage());
         }
+
+        const maxChapters = Math.max(1, Math.min(MAX_CHAPTERS, Math.floor(lines.length / 4)));
+        const prompt = `You are dividing a meeting into chapters, like chapters of a video.
+Each line is something said aloud or in chat, in time order.
+
+RULES:
+1. Respond with ONLY a JSON array (no markdown, no commentary) of {"startId": "...", "title": "...", "summary": "..."} objects in time order
+2. "startId" is the id of the line where the chapter begins; the first chapter begins at the first line
+3. Start a new chapter only when the topic clearly changes - at most ${maxChapters} chapters
+4. "title" is 2-6 words naming the topic (e.g. "Q3 pricing review"); "summary" is one sentence
+5. Use only ids from the lines below
+
+LINES:
+${JSON.stringify(lines.map(line => ({ id: line.id, time: line.timestamp ? new Date(line.timestamp).toLocaleTimeString() : null, speaker: line.speaker, text: line.text })), null, 2)}`;
+
+        try {
+            const response = await this.executeWithFallback(async (model) => {
+                const { text } = await model.generateContent(prompt);
+                return { text, modelUsed: model.name };
+            });
+
+            const ids = new Set(lines.map(line => line.id));
+            const chapters = this.parseChapters(response.text).filter(chapter => ids.has(chapter.startId));
+            if (chapters.length === 0) {
+                throw new Error('INVALID_RESPONSE: No usable chapters in the model response');
+            }
+
+            return { chapters, modelUsed: response.modelUsed };
+        } catch (error) {
+            console.error('Error generating chapters:', error);
+
+            if (error.message?.includes('RATE_LIMIT')) {
+                throw new Error('AI service is temporarily busy. Please try again in a moment.', { cause: error });
+            }
+            if (error.message?.includes('GEMINI_API_KEY_INVALID')) {
+                throw new Error('AI service configuration invalid: GEMINI_API_KEY is not valid. Please update your backend environment.', { cause: error });
+            }
+            throw new Error('Failed to generate chapters. Please try again.', { cause: error });
+        }
+    }
+
+    /**
+     * Pull the [{ startId, title, summary }] array out of a chapters response
+     */
+    parseChapters(responseText) {
+        const match = String(responseText || '').match(/\[[\s\S]*\]/);
+        if (!match) return [];
+
+        try {
+            const parsed = JSON.parse(match[0]);
+            return Array.isArray(parsed)
+                ? parsed
+                    .filter(item => item && typeof item.startId === 'string' && typeof item.title === 'string')
+                    .map(item => ({ startId: item.startId, title: item.title.trim(), summary: typeof item.summary === 'string' ? item.summary.trim() : '' }))
+                : [];
+        } catch (error) {
+            console.warn('⚠️ Could not parse chapters response:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Refresh the rolling "so far" summary shown to participants during a live meeting
+     * @param {Object} data
+     * @param {string} data.title - Meeting title
+     * @param {string} [data.previousSummary] - Last rolling summary, if any
+     * @param {Array} data.transcript - Transcript entries since the previous summary
+     * @param {Array} data.messages - Chat messages since the previous summary
+     * @returns {Promise<string>} - Updated rolling summary
+     */
+    async generateRollingSummary({ title, previousSummary, transcript, messages }) {
+        if (!this.isAvailable()) {
+            throw new Error(this.getNotConfiguredMessage());
+        }
+
+        const hasTranscript = transcript && transcript.length > 0;
+        const hasChat = messages && messages.filter(m => m.type === 'text' || !m.type).length > 0;
+
+        const prompt = `You are a meeting assistant keeping a running "so far" summary of a LIVE meeting.
+Participants who join late or step away read it to get up to speed instantly.
+
+Meeting: ${title || 'Untitled Meeting'}
+
+${previousSummary ? `=== SUMMARY SO FAR ===\n${previousSummary}\n` : ''}
+${hasTranscript ? `=== NEW SPOKEN CONVERSATION ===\n${this.formatTranscript(transcript)}\n` : ''}
+${hasChat ? `=== NEW CHAT MESSAGES ===\n${this.formatConversation(messages)}\n` : ''}
+
+INSTRUCTIONS:
+1. ${previousSummary ? 'Update the summary so far with the new conversation' : 'Summarize the meeting so far'}
+2. Keep it short: at most 6 bullet points
+3. Mention decisions, open questions and who is driving each topic
+4. Put the most recent topic last, prefixed with "Now:"
+5. Do not invent anything that was not said
+
+Provide the updated "so far" summary:`;
+
+        const summary = await this.executeWithFallback(async (model) => {
+            const { text } = await model.generateContent(prompt);
+            return text;
+        });
+
+        return summary || previousSummary || '';
     }
 }
 
@@ -0,0 +1,229 @@
+const MeetingModel = require('../models/Meeting');
+const SummaryModel = require('../models/Summary');
+const User = require('../models/User');
+const meetingStore = require('../utils/meetingStore');
+const { Bm25Index, tokenize } = require('../utils/bm25');
+
+const SNIPPET_LENGTH = 240;
+// Search and Q&A index only the newest meetings - the index is rebuilt per request
+const MAX_INDEXED_MEETINGS = parseInt(process.env.HISTORY_MAX_INDEXED_MEETINGS, 10) || 50;
+
+/**
+ * Search and retrieval across every meeting a user attended
+ *
+ * Titles, transcripts, chat messages and stored summaries are indexed with
+ * BM25 per request, over the user's newest MAX_INDEXED_MEETINGS meetings.
+ * Live meetings are read from memory so the latest (unsaved) transcript is included.
+ */
+class HistoryService {
+    /**
+     * Meetings the user created or joined, newest first
+     * @param {string} userId
+     * @param {Object} range - Optional { from, to } dates on the meeting start time, and a { limit }
+     */
+    async findUserMeetings(userId, { from, to, limit = 0 } = {}) {
+        const user = await User.findOne({ userId }, 'joinedMeetings').lean();
+        const joinedIds = (user?.joinedMeetings || []).map(entry => entry.meetingId).filter(Boolean);
+
+        const query = { $or: [{ _id: { $in: joinedIds } }, { 'participants.userId': userId }] };
+        if (from || to) {
+            query.startTime = {};
+            if (from) query.startTime.$gte = new Date(from);
+            if (to) query.startTime.$lte = new Date(to);
+        }
+
+        return MeetingModel.find(query).sort({ startTime: -1 }).limit(limit).lean();
+    }
+
+    /**
+     * Lightweight meeting list for the history screen
+     */
+    async listMeetings(userId, range) {
+        const meetings = await this.findUserMeetings(userId, range);
+
+        return meetings.map(meeting => ({
+            meetingId: meeting.meetingId,
+            title: meeting.title,
+            host: meeting.host?.username,
+            startTime: meeting.startTime,
+            endedAt: meeting.endedAt,
+            duration: meeting.duration,
+            isActive: meeting.isActive,
+            participantCount: meeting.participants?.length || 0,
+            transcriptCount: meeting.transcript?.length || 0,
+            hasSummary: !!(meeting.summary || meeting.structuredSummary)
+        }));
+    }
+
+    /**
+     * Everything searchable for the user's meetings, one document per line/entry
+     * @returns {Array} - [{ meetingId, title, startTime, kind, entryId, speaker, timestamp, text }]
+     */
+    async buildDocuments(userId, range) {
+        const meetings = await this.findUserMeetings(userId, { ...range, limit: MAX_INDEXED_MEETINGS });
+        if (meetings.length === 0) return [];
+
+        const summaries = await SummaryModel.find({ meetingId: { $in: meetings.map(m => m.meetingId) } })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const documents = [];
+        for (const meeting of meetings) {
+            const base = { meetingId: meeting.meetingId, title: meeting.title, startTime: meeting.startTime };
+
+            // Live meetings: the in-memory copy has the latest transcript and chat
+            const live = meetingStore.meetings.get(meeting.meetingId);
+            const transcript = live ? await live.getFullTranscript() : (meeting.transcript || []);
+            const messages = live ? live.getChatHistory() : (meeting.messages || []);
+
+            documents.push({ ...base, kind: 'title', entryId: 'title', speaker: 'Meeting title', timestamp: meeting.startTime, text: meeting.title });
+
+            transcript.filter(t => t.isFinal !== false).forEach((t, index) => {
+                documents.push({
+                    ...base,
+                    kind: 'speech',
+                    entryId: t.entryId || `tr_${index + 1}`,
+                    speaker: t.username,
+                    timestamp: t.timestamp,
+                    text: t.text
+                });
+            });
+
+            messages.filter(msg => msg.type === 'text' || !msg.type).forEach((msg, index) => {
+                documents.push({
+                    ...base,
+                    kind: 'chat',
+                    entryId: msg.id !== undefined ? `chat_${msg.id}` : `chat_${index + 1}`,
+                    speaker: msg.username,
+                    timestamp: msg.timestamp,
+                    text: msg.message
+                });
+            });
+
+            this.summaryLines(meeting, summaries.filter(s => s.meetingId === meeting.meetingId)).forEach((line, index) => {
+                documents.push({
+                    ...base,
+                    kind: 'summary',
+                    entryId: `summary_${index + 1}`,
+                    speaker: 'AI summary',
+                    timestamp: line.createdAt || meeting.endedAt || meeting.startTime,
+                    text: line.text
+                });
+            });
+        }
+
+        return documents.filter(doc => doc.text && String(doc.text).trim());
+    }
+
+    /**
+     * Stored summaries split into lines, using only the newest of each type/level
+     */
+    summaryLines(meeting, summaries) {
+        const seen = new Set();
+        const texts = [];
+
+        for (const entry of summaries) {
+            const key = `${entry.type}:${entry.level || ''}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const { result = {} } = entry;
+            [result.summary, result.detailed, result.actionItems]
+                .filter(text => typeof text === 'string')
+                .forEach(text => texts.push({ text, createdAt: entry.createdAt }));
+        }
+
+        if (texts.length === 0 && meeting.summary) {
+            texts.push({ text: meeting.summary, createdAt: meeting.endedAt });
+        }
+
+        const structured = meeting.structuredSummary;
+        if (structured) {
+            const createdAt = structured.generatedAt;
+            (structured.decisions || []).forEach(d => texts.push({ text: `Decision: ${d.decision}${d.madeBy ? ` (${d.madeBy})` : ''}`, createdAt }));
+            (structured.actionItems || []).forEach(a => {
+                const owner = [a.assignee, a.dueDate && `due ${a.dueDate}`].filter(Boolean).join(', ');
+                texts.push({ text: `Action item: ${a.task}${owner ? ` (${owner})` : ''}`, createdAt });
+            });
+            (structured.openQuestions || []).forEach(q => texts.push({ text: `Open question: ${q.question}`, createdAt }));
+            (structured.risks || []).forEach(r => texts.push({ text: `Risk (${r.severity}): ${r.risk}`, createdAt }));
+        }
+
+        return texts.flatMap(({ text, createdAt }) =>
+            text.split('\n')
+                .map(line => line.replace(/^(\s*([-*•]|\d+\.|\[[ x]\]))+/, '').replace(/\*\*/g, '').trim())
+                .filter(line => line.length > 3)
+                .map(line => ({ text: line, createdAt }))
+        );
+    }
+
+    /**
+     * Full-text search grouped by meeting
+     * @returns {Array} - [{ meetingId, title, startTime, matches: [{ kind, entryId, speaker, timestamp, snippet, score }] }]
+     */
+    async search(userId, query, { limit = 30, from, to } = {}) {
+        const documents = await this.buildDocuments(userId, { from, to });
+        const index = new Bm25Index(documents);
+        const terms = tokenize(query);
+
+        const grouped = new Map();
+        for (const { document, score } of index.search(query, limit)) {
+            if (!grouped.has(document.meetingId)) {
+                grouped.set(document.meetingId, {
+                    meetingId: document.meetingId,
+                    title: document.title,
+                    startTime: document.startTime,
+                    bestScore: score,
+                    matches: []
+                });
+            }
+            grouped.get(document.meetingId).matches.push({
+                kind: document.kind,
+                entryId: document.entryId,
+                speaker: document.speaker,
+                timestamp: document.timestamp,
+                snippet: this.makeSnippet(document.text, terms),
+                score: Math.round(score * 100) / 100
+            });
+        }
+
+        return [...grouped.values()]
+            .sort((a, b) => b.bestScore - a.bestScore)
+            .map(({ bestScore, ...group }) => group);
+    }
+
+    /**
+     * Excerpts for a history question, numbered for citation (time order)
+     */
+    async retrieve(userId, question, { limit = 12, from, to } = {}) {
+        const documents = await this.buildDocuments(userId, { from, to });
+        const index = new Bm25Index(documents, { textOf: doc => `${doc.title} ${doc.speaker} ${doc.text}` });
+
+        return index.search(question, limit)
+            .map(({ document }) => document)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map((excerpt, position) => ({ ref: position + 1, ...excerpt }));
+    }
+
+    /**
+     * Cut long text around the first matching term
+     */
+    makeSnippet(text, terms) {
+        const value = String(text);
+        if (value.length <= SNIPPET_LENGTH) return value;
+
+        const lower = value.toLowerCase();
+        const position = terms
+            .map(term => lower.indexOf(term))
+            .filter(i => i >= 0)
+            .sort((a, b) => a - b)[0] || 0;
+        const start = Math.max(0, position - SNIPPET_LENGTH / 3);
+
+        return `${start > 0 ? '…' : ''}${value.slice(start, start + SNIPPET_LENGTH).trim()}${start + SNIPPET_LENGTH < value.length ? '…' : ''}`;
+    }
+}
+
+// Singleton instance
+const historyService = new HistoryService();
+
+module.exports = historyService;
@@ -0,0 +1,321 @@
+const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
+const JobModel = require('../models/Job');
+const usageService = require('./usageService');
+const { saveInBackground } = require('../utils/persistence');
+
+const RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS) || 24;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * In-process queue for AI work that shouldn't run inside an HTTP request
+ * (summary generation, missed speech, chat).
+ *
+ * Jobs live in memory and in MongoDB (when connected), mirroring meetingStore,
+ * so queued jobs survive a restart. Rate-limited jobs are retried with
+ * exponential backoff; finished jobs are announced over socket.io to clients
+ * that sent "watch-job", and can always be polled via GET /api/jobs/:jobId.
+ */
+class JobQueueService {
+    constructor() {
+        this.io = null;
+        this.handlers = new Map(); // type -> async (payload, { progress }) => result
+        this.jobs = new Map(); // jobId -> job
+        this.running = 0;
+        this.timer = null;
+
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+        this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 4;
+        this.retryBaseMs = parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 5000;
+    }
+
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Give the service a socket.io server to notify on
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    /**
+     * Register the function that runs jobs of a type
+     * @param {string} type - 'summary' | 'missed-speech' | 'chat' | 'translate-transcript'
+     * @param {Function} handler - async (payload, { progress(percent, message) }) => result
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Queue a job
+     * @param {string} type - Registered job type
+     * @param {Object} payload - Everything the handler needs (stored with the job)
+     * @param {Object} owner - { meetingId, userId } the job's AI usage is attributed to
+     * @returns {Promise<Object>} - The queued job
+     */
+    async enqueue(type, payload, { meetingId = null, userId = null } = {}) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        this.pruneFinished();
+
+        const now = new Date();
+        const job = {
+            jobId: uuidv4(),
+            type,
+            status: 'queued',
+            meetingId,
+            userId,
+            payload,
+            result: null,
+            error: null,
+            progress: 0,
+            progressMessage: 'Queued',
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            runAt: now,
+            createdAt: now,
+            startedAt: null,
+            completedAt: null
+        };
+
+        this.jobs.set(job.jobId, job);
+
+        if (this.isDatabaseConnected()) {
+            try {
+                await JobModel.create(job);
+            } catch (error) {
+                // The job still runs from memory, it just won't survive a restart
+                console.error('❌ Error saving job to database:', error.message);
+            }
+        }
+
+        console.log(`📥 Queued ${type} job ${job.jobId}${meetingId ? ` for meeting ${meetingId}` : ''}`);
+        this.schedule();
+        return job;
+    }
+
+    /**
+     * Find a job by id
+     * @returns {Promise<Object|null>}
+     */
+    async get(jobId) {
+        if (this.jobs.has(jobId)) return this.jobs.get(jobId);
+
+        if (!this.isDatabaseConnected()) return null;
+
+        try {
+            return await JobModel.findOne({ jobId }).lean();
+        } catch (error) {
+            console.error('❌ Error loading job:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Public view of a job (no payload)
+     */
+    toJSON(job) {
+        return {
+            jobId: job.jobId,
+            type: job.type,
+            status: job.status,
+            meetingId: job.meetingId,
+            progress: job.progress,
+            progressMessage: job.progressMessage,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+            result: job.status === 'completed' ? job.result : null,
+            error: job.status === 'failed' ? job.error : null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt
+        };
+    }
+
+    isFinished(job) {
+        return job.status === 'completed' || job.status === 'failed';
+    }
+
+    /**
+     * Re-queue jobs left in MongoDB by a previous run (call once connected)
+     */
+    async resume() {
+        if (!this.isDatabaseConnected()) return;
+
+        try {
+            const pending = await JobModel.find({ status: { $in: ['queued', 'running'] } }).lean();
+            pending
+                .filter(job => !this.jobs.has(job.jobId))
+                .forEach(job => {
+                    // A job that was running when the process stopped starts over
+                    this.jobs.set(job.jobId, { ...job, status: 'queued' });
+                });
+
+            if (pending.length > 0) {
+                console.log(`📥 Resumed ${pending.length} unfinished job(s)`);
+                this.schedule();
+            }
+        } catch (error) {
+            console.error('❌ Error resuming jobs:', error.message);
+        }
+    }
+
+    /**
+     * Start due jobs up to the concurrency limit, and wake up again for the next retry
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        const queued = [...this.jobs.values()]
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+
+        for (const job of queued) {
+            if (this.running >= this.concurrency) return;
+
+            if (new Date(job.runAt).getTime() > now) {
+                this.timer = setTimeout(() => this.schedule(), new Date(job.runAt).getTime() - now);
+                this.timer.unref?.();
+                return;
+            }
+
+            this.process(job);
+        }
+    }
+
+    /**
+     * Run one attempt of a job
+     */
+    async process(job) {
+        const handler = this.handlers.get(job.type);
+
+        this.running++;
+        job.status = 'running';
+        job.attempts++;
+        job.startedAt = job.startedAt || new Date();
+        this.update(job, { status: job.status, attempts: job.attempts, startedAt: job.startedAt });
+
+        const progress = (percent, message) => {
+            job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+            job.progressMessage = message || job.progressMessage;
+            this.update(job, { progress: job.progress, progressMessage: job.progressMessage });
+            this.emit(job, 'job-progress');
+        };
+
+        try {
+            console.log(`⚙️ Running ${job.type} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+            const context = { meetingId: job.meetingId, userId: job.userId, operation: `job:${job.type}` };
+            const result = await usageService.run(context, () => handler(job.payload, { progress }));
+
+            this.finish(job, { status: 'completed', result, progress: 100, progressMessage: 'Done' });
+            console.log(`✅ ${job.type} job ${job.jobId} completed`);
+        } catch (error) {
+            const code = this.getErrorCode(error);
+            const quota = this.getRootCause(error).quota;
+
+            if (code === 'RATE_LIMIT' && job.attempts < job.maxAttempts) {
+                const delay = this.getRetryDelay(job, error);
+                job.status = 'queued';
+                job.runAt = new Date(Date.now() + delay);
+                job.progressMessage = `AI service is busy - retrying in ${Math.ceil(delay / 1000)}s`;
+                this.update(job, { status: job.status, runAt: job.runAt, progressMessage: job.progressMessage });
+                this.emit(job, 'job-progress');
+                console.log(`⏳ ${job.type} job ${job.jobId} rate limited, retry ${job.attempts + 1}/${job.maxAttempts} in ${Math.ceil(delay / 1000)}s`);
+            } else {
+                console.error(`❌ ${job.type} job ${job.jobId} failed:`, error.message);
+                this.finish(job, {
+                    status: 'failed',
+                    error: {
+                        message: quota ? quota.message : error.message || 'Job failed',
+                        code,
+                        quota: quota || undefined
+                    },
+                    progressMessage: 'Failed'
+                });
+            }
+        } finally {
+            this.running--;
+            this.schedule();
+        }
+    }
+
+    finish(job, fields) {
+        Object.assign(job, fields, { completedAt: new Date() });
+        this.update(job, { ...fields, completedAt: job.completedAt });
+        this.emit(job, 'job-completed');
+    }
+
+    /**
+     * Save changed job fields (see utils/persistence.js)
+     */
+    update(job, fields) {
+        saveInBackground(JobModel, { jobId: job.jobId }, fields, 'job');
+    }
+
+    /**
+     * Notify sockets watching the job
+     */
+    emit(job, event) {
+        if (this.io) {
+            this.io.to(this.room(job.jobId)).emit(event, this.toJSON(job));
+        }
+    }
+
+    room(jobId) {
+        return `job:${jobId}`;
+    }
+
+    /**
+     * The original error - geminiService rewords some errors for users and keeps the original as cause
+     */
+    getRootCause(error) {
+        let root = error;
+        while (root.cause instanceof Error) root = root.cause;
+        return root;
+    }
+
+    /**
+     * Error code from the "CODE: message" convention used by geminiService
+     */
+    getErrorCode(error) {
+        const root = this.getRootCause(error);
+        if (root.quota) return 'QUOTA_EXCEEDED';
+        const match = root.message?.match(/^([A-Z_]+):/);
+        return match ? match[1] : 'ERROR';
+    }
+
+    /**
+     * Exponential backoff, but never sooner than the "wait N seconds" the router reported
+     */
+    getRetryDelay(job, error) {
+        const backoff = this.retryBaseMs * Math.pow(2, job.attempts - 1);
+        const waitMatch = this.getRootCause(error).message?.match(/wait (\d+) seconds/i);
+        const hinted = waitMatch ? parseInt(waitMatch[1], 10) * 1000 : 0;
+        return Math.min(Math.max(backoff, hinted), RETRY_MAX_DELAY_MS);
+    }
+
+    /**
+     * Drop finished jobs older than JOB_RETENTION_HOURS from memory
+     */
+    pruneFinished() {
+        const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+        for (const [jobId, job] of this.jobs) {
+            if (this.isFinished(job) && new Date(job.completedAt).getTime() < cutoff) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+}
+
+// Singleton instance
+const jobQueueService = new JobQueueService();
+
+module.exports = jobQueueService;
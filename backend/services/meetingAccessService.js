@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const MeetingModel = require('../models/Meeting');
+const User = require('../models/User');
+const meetingStore = require('../utils/meetingStore');
+const { can } = require('../utils/roles');
+
+/**
+ * Who may enter a meeting - passcodes, the waiting room, locking and bans
+ *
+ * The rules and the ban list are saved on the meeting document so they survive
+ * a restart. Who has been admitted or entered the passcode is kept on the
+ * in-memory meeting; the host and co-hosts always get in.
+ */
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 32;
+
+// Entry refusals - error.code goes to the client, error.status is the HTTP status
+const ENTRY_ERRORS = {
+    BANNED: 'You have been removed from this meeting by the host',
+    LOCKED: 'The host has locked this meeting',
+    PASSCODE_REQUIRED: 'This meeting requires a passcode',
+    INVALID_PASSCODE: 'Incorrect meeting passcode'
+};
+
+function entryError(code) {
+    const error = new Error(ENTRY_ERRORS[code]);
+    error.code = code;
+    error.status = 403;
+    return error;
+}
+
+class MeetingAccessService {
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Hash a passcode chosen at creation
+     * @returns {Promise<string|null>} - null when no passcode was given
+     */
+    async hashPasscode(passcode) {
+        const value = typeof passcode === 'string' ? passcode.trim() : '';
+        if (!value) return null;
+
+        if (value.length < MIN_PASSCODE_LENGTH || value.length > MAX_PASSCODE_LENGTH) {
+            const error = new Error(`Passcode must be ${MIN_PASSCODE_LENGTH}-${MAX_PASSCODE_LENGTH} characters`);
+            error.status = 400;
+            throw error;
+        }
+        return bcrypt.hash(value, BCRYPT_ROUNDS);
+    }
+
+    isBanned(meeting, userId) {
+        return meeting.bannedUsers.some(ban => ban.userId === userId);
+    }
+
+    /**
+     * Decide whether a user may enter
+     * @param {Object} options - { passcode }
+     * @returns {Promise<string>} - 'admitted', or 'waiting' until the host admits them
+     * @throws {Error} - With code BANNED, LOCKED, PASSCODE_REQUIRED or INVALID_PASSCODE
+     */
+    async checkEntry(meeting, userId, { passcode } = {}) {
+        // Host and co-hosts
+        if (can(meeting.getRole(userId), 'manageAccess')) return 'admitted';
+        if (this.isBanned(meeting, userId)) throw entryError('BANNED');
+
+        // Already let in (e.g. REST join followed by the socket join, or a reconnect)
+        if (meeting.admittedUsers.has(userId)) return 'admitted';
+
+        // Nobody new gets in, including the waiting room
+        if (meeting.isLocked) throw entryError('LOCKED');
+
+        if (meeting.passcodeHash && !meeting.passcodeVerified.has(userId)) {
+            const value = typeof passcode === 'string' ? passcode.trim() : '';
+            if (!value) throw entryError('PASSCODE_REQUIRED');
+            if (!(await bcrypt.compare(value, meeting.passcodeHash))) throw entryError('INVALID_PASSCODE');
+            meeting.passcodeVerified.add(userId);
+        }
+
+        if (meeting.waitingRoomEnabled) return 'waiting';
+
+        meeting.admittedUsers.add(userId);
+        return 'admitted';
+    }
+
+    /**
+     * Put someone in the waiting room (again, if they reconnected while waiting)
+     */
+    addToWaitingRoom(meeting, { userId, username, socketId }) {
+        const existing = meeting.waitingRoom.find(entry => entry.userId === userId);
+        if (existing) {
+            Object.assign(existing, { username, socketId });
+            return existing;
+        }
+
+        const entry = { userId, username, socketId, requestedAt: new Date() };
+        meeting.waitingRoom.push(entry);
+        return entry;
+    }
+
+    /**
+     * Take someone out of the waiting room
+     * @returns {Object|null} - Their waiting room entry
+     */
+    removeFromWaitingRoom(meeting, userId) {
+        const entry = meeting.waitingRoom.find(waiting => waiting.userId === userId);
+        if (!entry) return null;
+
+        meeting.waitingRoom = meeting.waitingRoom.filter(waiting => waiting.userId !== userId);
+        return entry;
+    }
+
+    /**
+     * Let someone in from the waiting room
+     * @returns {Object|null} - Their waiting room entry, null if they weren't waiting
+     */
+    admit(meeting, userId) {
+        const entry = this.removeFromWaitingRoom(meeting, userId);
+        if (entry) meeting.admittedUsers.add(userId);
+        return entry;
+    }
+
+    /**
+     * Stop or allow new joins
+     */
+    setLocked(meeting, isLocked) {
+        meeting.isLocked = !!isLocked;
+        meetingStore.saveFields(meeting, { isLocked: meeting.isLocked }, 'meeting access settings');
+    }
+
+    /**
+     * Turn the waiting room on or off - turning it off admits everyone waiting
+     * @returns {Array} - Waiting room entries admitted as a result
+     */
+    setWaitingRoom(meeting, enabled) {
+        meeting.waitingRoomEnabled = !!enabled;
+        meetingStore.saveFields(meeting, { waitingRoomEnabled: meeting.waitingRoomEnabled }, 'meeting access settings');
+
+        if (meeting.waitingRoomEnabled) return [];
+        return [...meeting.waitingRoom].map(entry => this.admit(meeting, entry.userId));
+    }
+
+    /**
+     * Keep a removed participant from rejoining
+     */
+    ban(meeting, { userId, username }, bannedBy) {
+        meeting.admittedUsers.delete(userId);
+        meeting.passcodeVerified.delete(userId);
+        if (this.isBanned(meeting, userId)) return;
+
+        meeting.bannedUsers.push({ userId, username, bannedBy, bannedAt: new Date() });
+        meetingStore.saveFields(meeting, { bannedUsers: meeting.bannedUsers }, 'meeting access settings');
+    }
+
+    /**
+     * Let a removed participant join again
+     * @returns {boolean} - false if they weren't banned
+     */
+    unban(meeting, userId) {
+        if (!this.isBanned(meeting, userId)) return false;
+
+        meeting.bannedUsers = meeting.bannedUsers.filter(ban => ban.userId !== userId);
+        meetingStore.saveFields(meeting, { bannedUsers: meeting.bannedUsers }, 'meeting access settings');
+        return true;
+    }
+
+    /**
+     * Entry settings, the waiting room and the ban list - what the host's panel shows
+     */
+    getState(meeting) {
+        return {
+            isLocked: meeting.isLocked,
+            waitingRoomEnabled: meeting.waitingRoomEnabled,
+            hasPasscode: !!meeting.passcodeHash,
+            waiting: meeting.waitingRoom.map(({ userId, username, requestedAt }) => ({ userId, username, requestedAt })),
+            banned: meeting.bannedUsers.map(({ userId, username, bannedAt }) => ({ userId, username, bannedAt }))
+        };
+    }
+
+    /**
+     * Record a participant who got in on the meeting document and their user
+     */
+    async recordParticipant(meetingId, userId, username) {
+        if (!this.isDatabaseConnected()) return;
+
+        const dbMeeting = await MeetingModel.findOne({ meetingId });
+        if (dbMeeting) {
+            const existingParticipant = dbMeeting.participants.find(p => p.userId === userId);
+            if (!existingParticipant) {
+                dbMeeting.participants.push({
+                    userId,
+                    username,
+                    joinedAt: new Date()
+                });
+                await dbMeeting.save();
+            }
+        }
+
+        // One entry per meeting on the user - rejoining updates its joinedAt
+        const user = await User.findOne({ userId }) || new User({ userId, username });
+        if (dbMeeting) {
+            const joined = user.joinedMeetings.find(j => j.meetingId?.equals(dbMeeting._id));
+            if (joined) {
+                joined.joinedAt = new Date();
+            } else {
+                user.joinedMeetings.push({ meetingId: dbMeeting._id, joinedAt: new Date() });
+            }
+        }
+        await user.save();
+    }
+}
+
+// Singleton instance
+const meetingAccessService = new MeetingAccessService();
+
+module.exports = meetingAccessService;
@@ -0,0 +1,459 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const summaryCacheService = require('./summaryCacheService');
+
+/**
+ * Meeting minutes: metadata, attendance, summary, decisions, action items and
+ * poll results in one document, rendered as Markdown or PDF
+ *
+ * The summary is the latest one generated for the meeting; decisions and action
+ * items come from its structured summary (or the adaptive summary's action items).
+ * Nothing is generated here - minutes only collect what the meeting already has.
+ *
+ * Branding: MINUTES_HEADER (text above the title), MINUTES_LOGO_PATH (PNG/JPEG
+ * embedded in the PDF), MINUTES_LOGO_URL (image linked from the Markdown) and
+ * MINUTES_FONT_PATH (TTF for the PDF - the built-in fonts only cover Latin scripts).
+ */
+const FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// Summary types whose result is a meeting summary (not only action items or JSON)
+const SUMMARY_TYPES = ['adaptive', 'brief', 'detailed', 'all'];
+
+const ACCENT_COLOR = '#1f6feb';
+const MUTED_COLOR = '#666666';
+
+class MinutesService {
+    constructor() {
+        this.header = process.env.MINUTES_HEADER || '';
+        this.logoPath = process.env.MINUTES_LOGO_PATH || '';
+        this.logoUrl = process.env.MINUTES_LOGO_URL || '';
+        this.fontPath = process.env.MINUTES_FONT_PATH || '';
+    }
+
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    isSupported(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+
+    /**
+     * Minutes of a meeting, rendered
+     * @param {Object} record - From meetingStore.getMeetingRecord()
+     * @param {string} format - md | pdf
+     * @param {Object} options - { timeZone } - IANA zone for the times shown (default UTC)
+     * @returns {Promise<Object>} - { content (string or Buffer), contentType, filename }
+     */
+    async render(record, format, { timeZone } = {}) {
+        const minutes = await this.buildMinutes(record);
+        const formatTime = this.createTimeFormatter(timeZone);
+        const content = format === 'pdf'
+            ? await this.toPdf(minutes, formatTime)
+            : this.toMarkdown(minutes, formatTime);
+
+        return {
+            content,
+            contentType: FORMATS[format].contentType,
+            filename: `meeting-${record.meetingId}-minutes.${FORMATS[format].extension}`
+        };
+    }
+
+    /**
+     * Everything that goes into the minutes
+     * @returns {Promise<Object>} - { meetingId, title, host, startTime, endTime, durationMs, attendees,
+     *   summary, decisions, actionItems, actionItemsText, polls }
+     */
+    async buildMinutes(record) {
+        const startTime = new Date(record.startTime || Date.now());
+        const endTime = record.endTime ? new Date(record.endTime) : null;
+        const structured = record.structuredSummary || null;
+        const latest = await this.getLatestSummary(record);
+
+        return {
+            meetingId: record.meetingId,
+            title: record.title || 'Untitled Meeting',
+            host: record.host || null,
+            isActive: !!record.isActive,
+            startTime,
+            endTime,
+            durationMs: (endTime || new Date()) - startTime,
+            attendees: this.getAttendees(record, endTime),
+            summary: latest ? { text: latest.text, generatedAt: latest.generatedAt } : null,
+            decisions: structured?.decisions || [],
+            actionItems: structured?.actionItems || [],
+            // Only used when there's no structured summary to take the list from
+            actionItemsText: structured?.actionItems?.length ? null : latest?.actionItems || null,
+            polls: this.getPolls(record)
+        };
+    }
+
+    /**
+     * Latest generated summary - from the summary cache, else the text saved on the meeting
+     */
+    async getLatestSummary(record) {
+        const entries = await summaryCacheService.list(record.meetingId);
+        const entry = entries.find(item => SUMMARY_TYPES.includes(item.type) &&
+            typeof (item.type === 'all' ? item.result?.detailed : item.result?.summary) === 'string');
+
+        if (entry) {
+            return {
+                text: entry.type === 'all' ? entry.result.detailed : entry.result.summary,
+                actionItems: typeof entry.result.actionItems === 'string' ? entry.result.actionItems : null,
+                generatedAt: entry.createdAt || entry.result.generatedAt || null
+            };
+        }
+
+        return record.summary ? { text: record.summary, actionItems: null, generatedAt: null } : null;
+    }
+
+    /**
+     * Attendees with every join/leave, from the activity log (and the participant
+     * list for anyone whose join isn't logged any more)
+     */
+    getAttendees(record, endTime) {
+        const byUser = new Map();
+        const get = (userId, username) => {
+            if (!byUser.has(userId)) byUser.set(userId, { userId, username, sessions: [] });
+            const attendee = byUser.get(userId);
+            attendee.username = username || attendee.username;
+            return attendee;
+        };
+
+        [...(record.activities || [])]
+            .filter(activity => activity.type === 'join' || activity.type === 'leave')
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(activity => {
+                const attendee = get(activity.userId, activity.username);
+                const open = attendee.sessions.find(session => !session.leftAt);
+                if (activity.type === 'join') {
+                    // A reconnect without a logged leave continues the same session
+                    if (!open) attendee.sessions.push({ joinedAt: new Date(activity.timestamp), leftAt: null });
+                } else if (open) {
+                    open.leftAt = new Date(activity.timestamp);
+                } else {
+                    attendee.sessions.push({ joinedAt: null, leftAt: new Date(activity.timestamp) });
+                }
+            });
+
+        (record.participants || []).forEach(participant => {
+            const attendee = get(participant.userId, participant.username);
+            if (attendee.sessions.length === 0) {
+                attendee.sessions.push({
+                    joinedAt: participant.joinedAt ? new Date(participant.joinedAt) : null,
+                    leftAt: participant.leftAt ? new Date(participant.leftAt) : null
+                });
+            }
+        });
+
+        return [...byUser.values()]
+            .map(attendee => {
+                // Sessions still open ended with the meeting (or are ongoing)
+                const sessions = attendee.sessions.map(session => ({ ...session, leftAt: session.leftAt || endTime }));
+                const presentMs = sessions
+                    .filter(session => session.joinedAt)
+                    .reduce((sum, session) => sum + ((session.leftAt || new Date()) - session.joinedAt), 0);
+                return {
+                    ...attendee,
+                    sessions,
+                    firstJoined: sessions.find(session => session.joinedAt)?.joinedAt || null,
+                    lastLeft: sessions[sessions.length - 1].leftAt || null,
+                    presentMs
+                };
+            })
+            .sort((a, b) => (a.firstJoined || 0) - (b.firstJoined || 0));
+    }
+
+    /**
+     * Poll results from the chat, with vote shares
+     */
+    getPolls(record) {
+        return (record.chatMessages || [])
+            .filter(message => message.type === 'poll' && message.question)
+            .map(poll => {
+                const options = (poll.options || []).map(option => ({
+                    text: option.text,
+                    count: option.count ?? (option.votes || []).length
+                }));
+                const totalVotes = options.reduce((sum, option) => sum + option.count, 0);
+                return {
+                    question: poll.question,
+                    createdBy: poll.username || null,
+                    timestamp: poll.timestamp || null,
+                    totalVotes,
+                    options: options.map(option => ({
+                        ...option,
+                        share: totalVotes ? option.count / totalVotes : 0
+                    }))
+                };
+            });
+    }
+
+    /**
+     * Date/time formatter for a time zone, falling back to UTC for unknown zones
+     */
+    createTimeFormatter(timeZone) {
+        let zone = 'UTC';
+        try {
+            if (timeZone) {
+                new Intl.DateTimeFormat('en-US', { timeZone });
+                zone = timeZone;
+            }
+        } catch (error) {
+            // Unknown zone - keep UTC
+        }
+
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        });
+        const timeOnly = new Intl.DateTimeFormat('en-US', { timeZone: zone, hour: '2-digit', minute: '2-digit', hour12: false });
+
+        const format = (date, { time = false } = {}) => {
+            if (!date) return '-';
+            return time ? timeOnly.format(date) : formatter.format(date);
+        };
+        format.zone = zone;
+        return format;
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.max(0, Math.round(ms / 60000));
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+
+    describeSessions(attendee, formatTime) {
+        return attendee.sessions
+            .map(session => `${formatTime(session.joinedAt, { time: true })}-${session.leftAt ? formatTime(session.leftAt, { time: true }) : 'now'}`)
+            .join(', ');
+    }
+
+    describeActionItem(item) {
+        const details = [item.assignee, item.dueDate && `due ${item.dueDate}`].filter(Boolean).join(', ');
+        return details ? `${item.task} (${details})` : item.task;
+    }
+
+    toMarkdown(minutes, formatTime) {
+        const escapeCell = text => String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const lines = [];
+
+        if (this.logoUrl) lines.push(`![Logo](${this.logoUrl})`, '');
+        if (this.header) lines.push(`**${this.header}**`, '');
+
+        lines.push(
+            `# Meeting Minutes: ${minutes.title}`,
+            '',
+            `- **Date:** ${formatTime(minutes.startTime)} (${formatTime.zone})`,
+            `- **Duration:** ${this.formatDuration(minutes.durationMs)}${minutes.isActive ? ' (in progress)' : ''}`,
+            `- **Host:** ${minutes.host || '-'}`,
+            `- **Meeting ID:** ${minutes.meetingId}`,
+            '',
+            '## Attendees',
+            ''
+        );
+
+        if (minutes.attendees.length) {
+            lines.push('| Name | Joined | Left | Present | Sessions |', '| --- | --- | --- | --- | --- |');
+            minutes.attendees.forEach(attendee => {
+                lines.push(`| ${escapeCell(attendee.username)} | ${formatTime(attendee.firstJoined, { time: true })} | ${attendee.lastLeft ? formatTime(attendee.lastLeft, { time: true }) : 'still in the meeting'} | ${this.formatDuration(attendee.presentMs)} | ${this.describeSessions(attendee, formatTime)} |`);
+            });
+        } else {
+            lines.push('_No attendance recorded._');
+        }
+
+        // Summary headings go under the minutes' own "Summary" heading
+        const summary = minutes.summary?.text.trim().replace(/^#{1,6}\s+/gm, '### ');
+        lines.push('', '## Summary', '', summary || '_No summary has been generated for this meeting._', '');
+
+        lines.push('## Decisions', '');
+        if (minutes.decisions.length) {
+            minutes.decisions.forEach((decision, index) => {
+                lines.push(`${index + 1}. ${decision.decision}${decision.madeBy ? ` _(${decision.madeBy})_` : ''}`);
+            });
+        } else {
+            lines.push('_No decisions recorded. Generate a structured summary to extract them._');
+        }
+
+        lines.push('', '## Action Items', '');
+        if (minutes.actionItems.length) {
+            minutes.actionItems.forEach(item => lines.push(`- [ ] ${this.describeActionItem(item)}`));
+        } else if (minutes.actionItemsText) {
+            lines.push(minutes.actionItemsText.trim());
+        } else {
+            lines.push('_No action items recorded._');
+        }
+
+        if (minutes.polls.length) {
+            lines.push('', '## Poll Results');
+            minutes.polls.forEach(poll => {
+                lines.push('', `### ${poll.question}`, '', `_${poll.totalVotes} vote${poll.totalVotes === 1 ? '' : 's'}${poll.createdBy ? `, asked by ${poll.createdBy}` : ''}_`, '');
+                lines.push('| Option | Votes | Share |', '| --- | ---: | ---: |');
+                poll.options.forEach(option => {
+                    lines.push(`| ${escapeCell(option.text)} | ${option.count} | ${Math.round(option.share * 100)}% |`);
+                });
+            });
+        }
+
+        lines.push('', '---', `_Generated ${formatTime(new Date())} (${formatTime.zone})_`, '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Markdown summary text as plain paragraphs and bullets for the PDF
+     */
+    toPlainBlocks(markdown) {
+        return String(markdown || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const heading = line.match(/^#{1,6}\s+(.*)$/);
+                if (heading) return { kind: 'heading', text: this.stripInline(heading[1]) };
+                const bullet = line.match(/^(?:[-*•]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+                if (bullet) return { kind: 'bullet', text: this.stripInline(bullet[1]) };
+                return { kind: 'text', text: this.stripInline(line) };
+            });
+    }
+
+    stripInline(text) {
+        return text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/__(.+?)__/g, '$1').replace(/`([^`]+)`/g, '$1').replace(/\[(.+?)\]\(.+?\)/g, '$1');
+    }
+
+    toPdf(minutes, formatTime) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 50,
+                bufferPages: true,
+                info: { Title: `Meeting Minutes: ${minutes.title}`, Subject: minutes.meetingId }
+            });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+            if (this.fontPath && fs.existsSync(this.fontPath)) {
+                doc.registerFont('minutes', this.fontPath);
+                fonts.regular = fonts.bold = fonts.italic = 'minutes';
+            }
+            const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+            const section = (title) => {
+                doc.moveDown(1).font(fonts.bold).fontSize(13).fillColor(ACCENT_COLOR).text(title);
+                doc.moveDown(0.3).font(fonts.regular).fontSize(10.5).fillColor('black');
+            };
+            const note = (text) => doc.font(fonts.italic).fillColor(MUTED_COLOR).text(text).font(fonts.regular).fillColor('black');
+            const bullet = (text, marker = '•') => doc.text(`${marker}  ${text}`, { indent: 10 });
+
+            // Header: logo and header text, then a rule
+            const top = doc.y;
+            let headerBottom = top;
+            if (this.logoPath && fs.existsSync(this.logoPath)) {
+                try {
+                    doc.image(this.logoPath, doc.page.margins.left, top, { fit: [140, 40] });
+                    headerBottom = top + 40;
+                } catch (error) {
+                    console.error('❌ Minutes logo could not be embedded:', error.message);
+                }
+            }
+            if (this.header) {
+                doc.font(fonts.bold).fontSize(10).fillColor(MUTED_COLOR)
+                    .text(this.header, doc.page.margins.left, top + 12, { width, align: 'right' });
+                headerBottom = Math.max(headerBottom, doc.y);
+            }
+            if (headerBottom > top) {
+                doc.moveTo(doc.page.margins.left, headerBottom + 8).lineTo(doc.page.margins.left + width, headerBottom + 8)
+                    .strokeColor('#dddddd').stroke();
+                doc.y = headerBottom + 20;
+            }
+
+            doc.x = doc.page.margins.left;
+            doc.font(fonts.bold).fontSize(20).fillColor('black').text(`Meeting Minutes: ${minutes.title}`);
+            doc.moveDown(0.4).font(fonts.regular).fontSize(10).fillColor(MUTED_COLOR)
+                .text(`${formatTime(minutes.startTime)} (${formatTime.zone})  ·  ${this.formatDuration(minutes.durationMs)}${minutes.isActive ? ' (in progress)' : ''}`)
+                .text(`Host: ${minutes.host || '-'}  ·  Meeting ID: ${minutes.meetingId}`)
+                .fillColor('black');
+
+            section(`Attendees (${minutes.attendees.length})`);
+            if (minutes.attendees.length === 0) note('No attendance recorded.');
+            minutes.attendees.forEach(attendee => {
+                doc.font(fonts.bold).text(attendee.username, { continued: true })
+                    .font(fonts.regular).fillColor(MUTED_COLOR)
+                    .text(`   ${this.describeSessions(attendee, formatTime)}  ·  ${this.formatDuration(attendee.presentMs)}`)
+                    .fillColor('black');
+            });
+
+            section('Summary');
+            if (!minutes.summary) note('No summary has been generated for this meeting.');
+            this.toPlainBlocks(minutes.summary?.text).forEach(block => {
+                if (block.kind === 'heading') doc.moveDown(0.3).font(fonts.bold).text(block.text).font(fonts.regular);
+                else if (block.kind === 'bullet') bullet(block.text);
+                else doc.text(block.text).moveDown(0.3);
+            });
+
+            section('Decisions');
+            if (minutes.decisions.length === 0) note('No decisions recorded. Generate a structured summary to extract them.');
+            minutes.decisions.forEach((decision, index) => {
+                bullet(`${decision.decision}${decision.madeBy ? ` (${decision.madeBy})` : ''}`, `${index + 1}.`);
+            });
+
+            section('Action Items');
+            if (minutes.actionItems.length) {
+                minutes.actionItems.forEach(item => bullet(this.describeActionItem(item)));
+            } else if (minutes.actionItemsText) {
+                this.toPlainBlocks(minutes.actionItemsText).forEach(block => bullet(block.text));
+            } else {
+                note('No action items recorded.');
+            }
+
+            if (minutes.polls.length) {
+                section('Poll Results');
+                minutes.polls.forEach(poll => {
+                    doc.moveDown(0.3).font(fonts.bold).text(poll.question).font(fonts.regular);
+                    doc.fillColor(MUTED_COLOR).text(`${poll.totalVotes} vote${poll.totalVotes === 1 ? '' : 's'}${poll.createdBy ? `, asked by ${poll.createdBy}` : ''}`).fillColor('black');
+                    poll.options.forEach(option => {
+                        const y = doc.y + 2;
+                        const barWidth = 120;
+                        doc.rect(doc.page.margins.left + 10, y, barWidth, 8).fill('#eeeeee');
+                        if (option.share > 0) doc.rect(doc.page.margins.left + 10, y, barWidth * option.share, 8).fill(ACCENT_COLOR);
+                        doc.fillColor('black').text(`${option.text}  -  ${option.count} (${Math.round(option.share * 100)}%)`,
+                            doc.page.margins.left + barWidth + 20, y - 2, { width: width - barWidth - 20 });
+                        doc.x = doc.page.margins.left;
+                    });
+                });
+            }
+
+            // Footer on every page - outside the bottom margin, so drop it while writing
+            const range = doc.bufferedPageRange();
+            for (let i = range.start; i < range.start + range.count; i++) {
+                doc.switchToPage(i);
+                const bottomMargin = doc.page.margins.bottom;
+                doc.page.margins.bottom = 0;
+                doc.font(fonts.regular).fontSize(8).fillColor(MUTED_COLOR).text(
+                    `Generated ${formatTime(new Date())} (${formatTime.zone})  ·  Page ${i - range.start + 1} of ${range.count}`,
+                    doc.page.margins.left,
+                    doc.page.height - 35,
+                    { width, align: 'center', lineBreak: false }
+                );
+                doc.page.margins.bottom = bottomMargin;
+            }
+
+            doc.end();
+        });
+    }
+}
+
+// Singleton instance
+const minutesService = new MinutesService();
+
+module.exports = minutesService;
@@ -0,0 +1,258 @@
+/**
+ * Picks an API key + model route per request and tracks the health of every
+ * route with a circuit breaker, so one meeting hitting a rate limit doesn't
+ * switch models for everyone else.
+ *
+ * Route states:
+ *   closed    - healthy, used in priority order (primary key and model first)
+ *   open      - failing, skipped until its cooldown ends
+ *   half-open - cooldown ended, one trial request decides whether it closes again
+ */
+
+const RATE_LIMIT_COOLDOWN_MS = parseInt(process.env.ROUTER_RATE_LIMIT_COOLDOWN_MS, 10) || 60000;
+const FAILURE_COOLDOWN_MS = parseInt(process.env.ROUTER_FAILURE_COOLDOWN_MS, 10) || 30000;
+const FAILURE_THRESHOLD = parseInt(process.env.ROUTER_FAILURE_THRESHOLD, 10) || 3;
+const DISABLED_COOLDOWN_MS = 60 * 60 * 1000; // Invalid keys / unknown models are retried hourly
+
+class ModelRouter {
+    /**
+     * @param {Object} provider - LLM provider (see services/providers)
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.routes = [];
+
+        provider.apiKeys.forEach((apiKey, keyIndex) => {
+            provider.modelNames.forEach((modelName, modelIndex) => {
+                let model = null;
+                try {
+                    model = provider.getModel(keyIndex, modelName);
+                } catch (err) {
+                    console.warn(`⚠️ Failed to initialize ${modelName} for API key ${keyIndex + 1}: ${err.message}`);
+                }
+                if (!model) return;
+
+                this.routes.push({
+                    id: `${keyIndex}:${modelName}`,
+                    keyIndex,
+                    modelIndex,
+                    modelName,
+                    model,
+                    state: 'closed',
+                    consecutiveFailures: 0,
+                    cooldownUntil: 0,
+                    trialInFlight: false,
+                    successes: 0,
+                    failures: 0,
+                    lastError: null,
+                    lastSuccessAt: null,
+                    lastFailureAt: null
+                });
+            });
+        });
+
+        if (this.routes.length > 0) {
+            console.log(`✅ Initialized ${this.routes.length} model route(s): ${[...new Set(this.routes.map(r => r.modelName))].join(', ')}`);
+            console.log(`🚀 Primary model: ${this.routes[0].modelName} (${provider.name})`);
+        }
+    }
+
+    hasRoutes() {
+        return this.routes.length > 0;
+    }
+
+    /**
+     * Model handle of the best route right now (for token counting)
+     * Only looks - unlike nextRoute it never starts a half-open trial.
+     */
+    getPrimaryModel() {
+        const now = Date.now();
+        return (this.routes.find(route => this.isAvailable(route, now)) || this.routes[0])?.model || null;
+    }
+
+    /**
+     * Whether a request could use the route: healthy, or its cooldown is over
+     * and no trial request is probing it yet
+     */
+    isAvailable(route, now) {
+        return route.state === 'closed' || (now >= route.cooldownUntil && !route.trialInFlight);
+    }
+
+    /**
+     * Best available route not tried yet by this request
+     */
+    nextRoute(tried) {
+        const now = Date.now();
+        const route = this.routes.find(r => !tried.has(r.id) && this.isAvailable(r, now));
+        if (!route) return null;
+
+        // Cooldown over - let a single request probe the route
+        if (route.state !== 'closed') route.state = 'half-open';
+        return route;
+    }
+
+    /**
+     * Run an operation on the best route, moving to the next route on
+     * rate limits, invalid keys and unknown models
+     * @param {Function} operation - async (route) => result, route has { model, modelName, keyIndex }
+     */
+    async execute(operation) {
+        const tried = new Set();
+        const failures = [];
+
+        for (let route = this.nextRoute(tried); route; route = this.nextRoute(tried)) {
+            tried.add(route.id);
+            const isTrial = route.state === 'half-open';
+            if (isTrial) route.trialInFlight = true;
+
+            try {
+                console.log(`🤖 API Key ${route.keyIndex + 1}/${this.provider.apiKeys.length} | Model: ${route.modelName}${isTrial ? ' (trial)' : ''}`);
+                const result = await operation(route);
+                this.recordSuccess(route);
+                return result;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+
+                const kind = this.classifyError(error);
+                this.recordFailure(route, kind, error);
+                console.error(`❌ Error with API Key ${route.keyIndex + 1}, ${route.modelName} (${kind}):`, error.message);
+
+                // Other errors come from the request itself - another route won't help
+                if (kind === 'error') throw error;
+                failures.push(kind);
+            } finally {
+                if (isTrial) route.trialInFlight = false;
+            }
+        }
+
+        throw this.buildExhaustedError(failures);
+    }
+
+    recordSuccess(route) {
+        if (route.state !== 'closed') {
+            console.log(`↩️ Route recovered: API Key ${route.keyIndex + 1}, ${route.modelName}`);
+        }
+        route.state = 'closed';
+        route.consecutiveFailures = 0;
+        route.cooldownUntil = 0;
+        route.successes++;
+        route.lastSuccessAt = new Date();
+    }
+
+    recordFailure(route, kind, error) {
+        const now = Date.now();
+        route.failures++;
+        route.consecutiveFailures++;
+        route.lastFailureAt = new Date(now);
+        route.lastError = `${kind}: ${error.message}`.substring(0, 200);
+
+        if (kind === 'rate-limit') {
+            this.open(route, now + this.getRetryDelay(error));
+        } else if (kind === 'invalid-key') {
+            // Every model on this key fails the same way
+            this.routes
+                .filter(r => r.keyIndex === route.keyIndex)
+                .forEach(r => this.open(r, now + DISABLED_COOLDOWN_MS, route.lastError));
+        } else if (kind === 'model-not-found') {
+            this.routes
+                .filter(r => r.modelName === route.modelName)
+                .forEach(r => this.open(r, now + DISABLED_COOLDOWN_MS, route.lastError));
+        } else if (route.state === 'half-open' || route.consecutiveFailures >= FAILURE_THRESHOLD) {
+            this.open(route, now + FAILURE_COOLDOWN_MS);
+        }
+    }
+
+    open(route, cooldownUntil, lastError) {
+        if (route.state !== 'open') {
+            console.log(`⛔ Route open until ${new Date(cooldownUntil).toLocaleTimeString()}: API Key ${route.keyIndex + 1}, ${route.modelName}`);
+        }
+        route.state = 'open';
+        route.cooldownUntil = Math.max(route.cooldownUntil, cooldownUntil);
+        if (lastError) route.lastError = lastError;
+    }
+
+    /**
+     * Cooldown for a rate limit - the provider's "retry in Ns" hint when given
+     */
+    getRetryDelay(error) {
+        const retryMatch = error.message?.match(/retry in (\d+(\.\d+)?)/i);
+        return retryMatch ? Math.ceil(parseFloat(retryMatch[1]) * 1000) : RATE_LIMIT_COOLDOWN_MS;
+    }
+
+    /**
+     * @returns {string} - 'rate-limit' | 'invalid-key' | 'model-not-found' | 'error'
+     */
+    classifyError(error) {
+        const errorMsg = error.message?.toLowerCase() || '';
+        const errorCode = error.code || error.status || '';
+
+        if (errorMsg.includes('api key not valid') || errorMsg.includes('api_key_invalid') ||
+            errorMsg.includes('api key invalid') || errorMsg.includes('api key is not valid')) {
+            return 'invalid-key';
+        }
+
+        // Including RESOURCE_EXHAUSTED
+        if (errorCode === 429 ||
+            errorCode === 'RESOURCE_EXHAUSTED' ||
+            errorMsg.includes('429') ||
+            errorMsg.includes('rate_limit') ||
+            errorMsg.includes('quota') ||
+            errorMsg.includes('resource exhausted') ||
+            errorMsg.includes('resource_exhausted') ||
+            errorMsg.includes('too many requests')) {
+            return 'rate-limit';
+        }
+
+        if (errorMsg.includes('404') ||
+            errorMsg.includes('not found') ||
+            errorMsg.includes('is not supported')) {
+            return 'model-not-found';
+        }
+
+        return 'error';
+    }
+
+    /**
+     * Error thrown when no route could serve the request
+     */
+    buildExhaustedError(failures) {
+        if (failures.length > 0 && failures.every(kind => kind === 'invalid-key')) {
+            return new Error('GEMINI_API_KEY_INVALID: All API keys are invalid. Please set valid API keys.');
+        }
+        if (failures.length > 0 && failures.every(kind => kind === 'model-not-found')) {
+            return new Error('AI_UNAVAILABLE: All AI models are currently unavailable.');
+        }
+
+        // Rate limited, or every route is cooling down
+        const nextRetry = Math.min(...this.routes.map(route => route.cooldownUntil).filter(Boolean), Date.now() + RATE_LIMIT_COOLDOWN_MS);
+        const retryTime = Math.max(1, Math.ceil((nextRetry - Date.now()) / 1000));
+        return new Error(`RATE_LIMIT: All API keys quota exceeded. Please wait ${retryTime} seconds or try again later.`);
+    }
+
+    /**
+     * Health of every key/model route for /api/summary/status
+     */
+    getHealth() {
+        const now = Date.now();
+
+        return this.provider.apiKeys.map((apiKey, keyIndex) => ({
+            key: keyIndex + 1,
+            maskedKey: apiKey.length > 14 ? `${apiKey.substring(0, 6)}...${apiKey.substring(apiKey.length - 4)}` : '***',
+            models: this.routes
+                .filter(route => route.keyIndex === keyIndex)
+                .map(route => ({
+                    model: route.modelName,
+                    state: route.state === 'open' && now >= route.cooldownUntil ? 'half-open' : route.state,
+                    cooldownRemainingMs: Math.max(0, route.cooldownUntil - now),
+                    consecutiveFailures: route.consecutiveFailures,
+                    successes: route.successes,
+                    failures: route.failures,
+                    lastError: route.lastError,
+                    lastSuccessAt: route.lastSuccessAt,
+                    lastFailureAt: route.lastFailureAt
+                }))
+        }));
+    }
+}
+
+module.exports = ModelRouter;
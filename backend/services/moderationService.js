@@ -0,0 +1,72 @@
+const meetingStore = require('../utils/meetingStore');
+const { can } = require('../utils/roles');
+
+/**
+ * Host controls over everyone's mic, camera, screen share and chat
+ *
+ * Feature locks are saved on the meeting document so they survive a restart.
+ * They stop everyone who can't change them - the host and co-hosts are exempt.
+ * Pending "please unmute" requests only live on the in-memory meeting.
+ */
+const FEATURE_LOCKS = ['unmute', 'video', 'screenShare', 'chat', 'fileShare'];
+
+class ModerationService {
+    /**
+     * Whether a feature lock stops this participant
+     * @param {string} feature - One of FEATURE_LOCKS
+     */
+    isFeatureLocked(meeting, userId, feature) {
+        return !!meeting.featureLocks[feature] && !can(meeting.getRole(userId), 'manageLocks');
+    }
+
+    getFeatureLocks(meeting) {
+        return { ...meeting.featureLocks };
+    }
+
+    /**
+     * Lock or unlock features - keys other than FEATURE_LOCKS are ignored
+     * @param {Object} changes - e.g. { unmute: true, chat: false }
+     * @returns {Object} - All locks after the change
+     */
+    setFeatureLocks(meeting, changes = {}) {
+        FEATURE_LOCKS.forEach(feature => {
+            if (typeof changes[feature] === 'boolean') meeting.featureLocks[feature] = changes[feature];
+        });
+        meetingStore.saveFields(meeting, { featureLocks: meeting.featureLocks }, 'meeting feature locks');
+        return this.getFeatureLocks(meeting);
+    }
+
+    /**
+     * Mute everyone who is unmuted, except the host and co-hosts
+     * @returns {Array} - The participants that were muted
+     */
+    muteAll(meeting) {
+        const muted = meeting.participants.filter(p => !p.isAudioMuted && !can(meeting.getRole(p.userId), 'mute'));
+        muted.forEach(p => meeting.updateParticipant(p.userId, { isAudioMuted: true }));
+        return muted;
+    }
+
+    /**
+     * Ask a muted participant to unmute - they stay muted until they accept
+     */
+    requestUnmute(meeting, userId) {
+        meeting.unmuteRequests.add(userId);
+    }
+
+    /**
+     * A participant's answer to an unmute request - accepting unmutes them even
+     * while the unmute lock is on
+     * @returns {boolean} - false if nobody asked them
+     */
+    answerUnmuteRequest(meeting, userId, accepted) {
+        if (!meeting.unmuteRequests.delete(userId)) return false;
+
+        if (accepted) meeting.updateParticipant(userId, { isAudioMuted: false });
+        return true;
+    }
+}
+
+// Singleton instance
+const moderationService = new ModerationService();
+
+module.exports = moderationService;
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const PromptTemplateModel = require('../models/PromptTemplate');
+const { validateTemplate } = require('../utils/promptTemplate');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'prompts');
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const DEFAULT_ACTION_ITEMS_DETAIL = 'balanced with main tasks';
+
+/**
+ * Versioned registry of summary prompt templates
+ *
+ * Built-in templates are the files in prompts/ (front matter + body). Admins
+ * add custom templates - new summary types such as "standup" or "retro", or
+ * overrides of a built-in id - globally or per organization. Lookups prefer
+ * the organization's template, then a global custom one, then the built-in.
+ *
+ * Custom templates live in memory and in MongoDB (when connected), mirroring meetingStore.
+ */
+class PromptTemplateService {
+    constructor() {
+        this.builtins = this.loadBuiltins(); // templateId -> template
+        this.custom = new Map(); // "organizationId:templateId" -> versions, newest first
+    }
+
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Read prompts/*.md - a "key: value" front matter block between --- lines, then the body
+     */
+    loadBuiltins() {
+        const builtins = new Map();
+
+        fs.readdirSync(TEMPLATE_DIR)
+            .filter(file => file.endsWith('.md'))
+            .forEach(file => {
+                const text = fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8');
+                const match = text.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+                if (!match) {
+                    console.warn(`⚠️ Skipping prompt template without front matter: ${file}`);
+                    return;
+                }
+
+                const meta = {};
+                match[1].split('\n').forEach(line => {
+                    const separator = line.indexOf(':');
+                    if (separator > 0) {
+                        meta[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+                    }
+                });
+
+                const templateId = path.basename(file, '.md');
+                builtins.set(templateId, {
+                    templateId,
+                    organizationId: null,
+                    version: parseInt(meta.version, 10) || 1,
+                    kind: meta.kind || 'level',
+                    name: meta.name || templateId,
+                    description: meta.description || '',
+                    body: match[2].trimEnd(),
+                    actionItemsDetail: meta.actionItemsDetail,
+                    source: 'builtin'
+                });
+            });
+
+        return builtins;
+    }
+
+    getBuiltin(templateId) {
+        return this.builtins.get(templateId) || null;
+    }
+
+    key(templateId, organizationId) {
+        return `${organizationId || ''}:${templateId}`;
+    }
+
+    /**
+     * Every saved version of a custom template (including archived), newest first
+     */
+    async getVersions(templateId, organizationId = null) {
+        const key = this.key(templateId, organizationId);
+        if (this.custom.has(key)) return this.custom.get(key);
+
+        if (!this.isDatabaseConnected()) return [];
+
+        try {
+            const versions = await PromptTemplateModel.find({ templateId, organizationId: organizationId || null })
+                .sort({ version: -1 })
+                .lean();
+            const templates = versions.map(version => ({ ...version, source: 'custom' }));
+            this.custom.set(key, templates);
+            return templates;
+        } catch (error) {
+            console.error('❌ Error loading prompt template:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Latest active custom version, if any
+     */
+    async getCustom(templateId, organizationId = null) {
+        const [latest] = await this.getVersions(templateId, organizationId);
+        return latest && !latest.archived ? latest : null;
+    }
+
+    /**
+     * Template to use for an id: the organization's, then global custom, then built-in
+     * @param {string} templateId - Level ("intermediate", "standup") or summary type ("brief")
+     * @param {string} [organizationId]
+     * @param {string} [kind] - 'level' | 'type' - templates of another kind are ignored
+     * @returns {Promise<Object|null>}
+     */
+    async resolve(templateId, organizationId = null, kind = null) {
+        if (!templateId) return null;
+
+        const candidates = [
+            organizationId ? await this.getCustom(templateId, organizationId) : null,
+            await this.getCustom(templateId, null),
+            this.getBuiltin(templateId)
+        ];
+
+        return candidates.find(template => template && (!kind || template.kind === kind)) || null;
+    }
+
+    /**
+     * Templates an organization can pick from, built-ins first
+     * @param {string} [organizationId]
+     * @param {string} [kind] - 'level' | 'type'
+     */
+    async list(organizationId = null, kind = null) {
+        const byId = new Map();
+        [...this.builtins.values()]
+            .filter(template => template.kind !== 'followup')
+            .forEach(template => byId.set(template.templateId, template));
+
+        // Load custom templates from MongoDB into the memory map first
+        if (this.isDatabaseConnected()) {
+            try {
+                const stored = await PromptTemplateModel.find({
+                    organizationId: { $in: [null, ...(organizationId ? [organizationId] : [])] }
+                }).distinct('templateId');
+                for (const templateId of stored) {
+                    await this.getVersions(templateId, null);
+                    if (organizationId) await this.getVersions(templateId, organizationId);
+                }
+            } catch (error) {
+                console.error('❌ Error listing prompt templates:', error.message);
+            }
+        }
+
+        // Global custom templates, then the organization's, override by id
+        const applyCustom = (org) => {
+            for (const [key, [latest]] of this.custom) {
+                if (key.startsWith(`${org || ''}:`) && latest && !latest.archived) {
+                    byId.set(latest.templateId, latest);
+                }
+            }
+        };
+        applyCustom(null);
+        if (organizationId) applyCustom(organizationId);
+
+        return [...byId.values()].filter(template => !kind || template.kind === kind);
+    }
+
+    /**
+     * Check a custom template before saving
+     * @returns {string[]} - Validation errors (empty when valid)
+     */
+    validate({ templateId, name, kind, body }) {
+        const errors = [];
+        if (!templateId || !TEMPLATE_ID_PATTERN.test(templateId)) {
+            errors.push('templateId must be 1-40 lowercase letters, digits or dashes');
+        }
+        if (this.getBuiltin(templateId)?.kind === 'followup') {
+            errors.push(`${templateId} is an internal template and can't be customized`);
+        }
+        if (!name || !name.trim()) {
+            errors.push('name is required');
+        }
+        if (kind && !['level', 'type'].includes(kind)) {
+            errors.push("kind must be 'level' or 'type'");
+        }
+        return errors.concat(validateTemplate(body));
+    }
+
+    /**
+     * Save a new version of a custom template (call validate() first)
+     * @returns {Promise<Object>} - The saved version
+     */
+    async save({ templateId, organizationId = null, name, description = '', kind, body, actionItemsDetail }) {
+        const versions = await this.getVersions(templateId, organizationId);
+        const builtin = this.getBuiltin(templateId);
+        const latestVersion = versions[0]?.version || builtin?.version || 0;
+
+        const template = {
+            templateId,
+            organizationId: organizationId || null,
+            version: latestVersion + 1,
+            // Overrides keep the built-in's kind so they show up in the same place
+            kind: builtin?.kind || kind || 'level',
+            name: name.trim(),
+            description,
+            body,
+            actionItemsDetail: actionItemsDetail || undefined,
+            archived: false,
+            createdAt: new Date()
+        };
+
+        if (this.isDatabaseConnected()) {
+            await PromptTemplateModel.create(template);
+        }
+
+        const saved = { ...template, source: 'custom' };
+        this.custom.set(this.key(templateId, organizationId), [saved, ...versions]);
+        console.log(`📝 Saved prompt template ${templateId} v${saved.version}${organizationId ? ` for organization ${organizationId}` : ''}`);
+        return saved;
+    }
+
+    /**
+     * Hide a custom template (its versions are kept for summaries that used them)
+     * @returns {Promise<boolean>} - false when there was no active custom template
+     */
+    async archive(templateId, organizationId = null) {
+        const versions = await this.getVersions(templateId, organizationId);
+        if (!versions[0] || versions[0].archived) return false;
+
+        versions.forEach(version => { version.archived = true; });
+
+        if (this.isDatabaseConnected()) {
+            await PromptTemplateModel.updateMany(
+                { templateId, organizationId: organizationId || null },
+                { $set: { archived: true } }
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Action items prompt that follows every level summary
+     */
+    getFollowup() {
+        return this.getBuiltin('level-action-items');
+    }
+
+    getActionItemsDetail(template) {
+        return template?.actionItemsDetail || DEFAULT_ACTION_ITEMS_DETAIL;
+    }
+
+    /**
+     * What a summary records about the template that produced it
+     */
+    describe(template) {
+        if (!template) return null;
+        return {
+            id: template.templateId,
+            version: template.version,
+            source: template.source,
+            organizationId: template.organizationId || null
+        };
+    }
+
+    /**
+     * Cache key part, so editing a template invalidates summaries made with the old version
+     */
+    cacheKey(templates) {
+        return templates
+            .filter(Boolean)
+            .map(template => `${template.source}:${template.organizationId || ''}:${template.templateId}@${template.version}`)
+            .join('|');
+    }
+
+    /**
+     * Public view of a template
+     */
+    toJSON(template, { includeBody = false } = {}) {
+        return {
+            id: template.templateId,
+            name: template.name,
+            description: template.description,
+            kind: template.kind,
+            version: template.version,
+            source: template.source,
+            organizationId: template.organizationId || null,
+            ...(includeBody ? { body: template.body, actionItemsDetail: template.actionItemsDetail || null, createdAt: template.createdAt || null, archived: !!template.archived } : {})
+        };
+    }
+}
+
+// Singleton instance
+const promptTemplateService = new PromptTemplateService();
+
+module.exports = promptTemplateService;
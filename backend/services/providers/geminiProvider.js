@@ -0,0 +1,102 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini provider (default)
+ * Wraps @google/generative-ai behind the common provider interface
+ */
+class GeminiProvider {
+    constructor() {
+        this.name = 'gemini';
+        this.label = 'Gemini';
+
+        // Load all API keys
+        this.apiKeys = [
+            process.env.GEMINI_API_KEY,
+            process.env.GEMINI_API2,
+            process.env.GEMINI_API3
+        ].filter(key => key && key.trim()); // Filter out empty/undefined keys
+
+        // Model priority list (primary to fallbacks) - prefer newest/fastest first
+        this.modelNames = [
+            'gemini-2.5-flash',      // Primary - latest & fastest
+            'gemini-2.0-flash',      // Fallback - stable
+            'gemini-2.0-flash-lite'  // Last resort - lightweight
+        ];
+
+        this.clients = []; // Store clients for each API key
+
+        // Initialize clients for all API keys
+        this.apiKeys.forEach((key, index) => {
+            try {
+                this.clients.push(new GoogleGenerativeAI(key));
+                const maskedKey = key.substring(0, 10) + '...' + key.substring(key.length - 4);
+                console.log(`✅ Initialized API client ${index + 1}: ${maskedKey}`);
+            } catch (err) {
+                console.warn(`⚠️ Failed to initialize API client ${index + 1}: ${err.message}`);
+                this.clients.push(null);
+            }
+        });
+
+        if (this.apiKeys.length > 0) {
+            process.env.GOOGLE_API_KEY = this.apiKeys[0];
+        }
+    }
+
+    getConfigHint() {
+        return 'Please add GEMINI_API_KEY to your environment.';
+    }
+
+    /**
+     * Get a model handle bound to one API key
+     * @param {number} keyIndex - Index into this.apiKeys
+     * @param {string} modelName - Gemini model name
+     */
+    getModel(keyIndex, modelName) {
+        const client = this.clients[keyIndex];
+        if (!client) return null;
+
+        const model = client.getGenerativeModel({ model: modelName });
+
+        const toUsage = (response) => ({
+            promptTokens: response?.usageMetadata?.promptTokenCount || 0,
+            responseTokens: response?.usageMetadata?.candidatesTokenCount || 0
+        });
+
+        return {
+            name: modelName,
+
+            async generateContent(prompt) {
+                const result = await model.generateContent(prompt);
+                const response = await result.response;
+                return { text: response.text(), usage: toUsage(response) };
+            },
+
+            async *generateContentStream(prompt) {
+                const result = await model.generateContentStream(prompt);
+                for await (const chunk of result.stream) {
+                    const text = chunk.text();
+                    if (text) yield text;
+                }
+            },
+
+            async sendChat(history, message) {
+                const chat = model.startChat({
+                    history: history.map(msg => ({
+                        role: msg.role === 'user' ? 'user' : 'model',
+                        parts: [{ text: msg.text }]
+                    }))
+                });
+                const result = await chat.sendMessage(message);
+                const response = await result.response;
+                return { text: response.text(), usage: toUsage(response) };
+            },
+
+            async countTokens(text) {
+                const { totalTokens } = await model.countTokens(text);
+                return totalTokens;
+            }
+        };
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,40 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * LLM provider registry
+ *
+ * Every provider exposes:
+ *   name, label          - identifiers for logs and /api/summary/status
+ *   apiKeys              - keys to rotate through on rate limits
+ *   modelNames           - model priority list (primary to fallbacks)
+ *   getConfigHint()      - what to set when no key is configured
+ *   getModel(keyIndex, modelName) - model handle or null, with:
+ *     generateContent(prompt)         -> Promise<{ text, usage: { promptTokens, responseTokens } }>
+ *     generateContentStream(prompt)   -> AsyncIterable<string> of text chunks
+ *     sendChat(history, message)      -> Promise<{ text, usage }>, history = [{ role: 'user' | 'model', text }]
+ *     countTokens(text)               -> Promise<number>
+ */
+const providers = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    mock: MockProvider
+};
+
+/**
+ * Create the provider selected by LLM_PROVIDER (defaults to gemini)
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+    const key = name.trim().toLowerCase();
+    const Provider = providers[key];
+
+    if (!Provider) {
+        console.warn(`⚠️ Unknown LLM_PROVIDER "${name}", falling back to gemini`);
+        return new GeminiProvider();
+    }
+
+    return new Provider();
+}
+
+module.exports = { createProvider, providers };
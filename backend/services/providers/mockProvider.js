@@ -0,0 +1,243 @@
+const { estimateTokens } = require('./tokenUtils');
+
+// Matches formatted conversation lines such as "[10:42:01 AM] Alice: Let's ship it"
+const CONVERSATION_LINE = /\[[^\]\s][^\]]*\]\s*([^:\[\]]+):\s*"?(.+?)"?$/;
+
+// Matches the citation number in retrieved excerpts such as "[3] [10:42:01 AM] Alice: ..."
+const EXCERPT_REF = /^\[(\d+)\]\s/;
+
+// Matches the action-item extraction prompts in geminiService
+const ACTION_ITEMS_PROMPT = /extract (only )?(the )?action items/i;
+
+// Matches the map-reduce section prompts for long meetings
+const SECTION_PROMPT = /you are condensing/i;
+
+// Matches the structured (JSON) summary prompt
+const STRUCTURED_PROMPT = /respond with only a json object/i;
+
+// Matches the transcript translation prompt
+const TRANSLATION_PROMPT = /professional translator/i;
+
+// Matches the chapter segmentation prompt
+const CHAPTERS_PROMPT = /dividing a meeting into chapters/i;
+
+/**
+ * Deterministic offline provider
+ * Builds responses from the prompt itself so CI and air-gapped machines can
+ * exercise every /api/summary route without a live model.
+ */
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.label = 'Mock';
+        this.apiKeys = ['mock'];
+        this.modelNames = ['mock-model'];
+        this.latencyMs = parseInt(process.env.MOCK_LLM_LATENCY_MS, 10) || 0;
+        // Optional failure injection for testing fallback paths: 'rate_limit' | 'invalid_key'
+        this.failureMode = process.env.MOCK_LLM_FAIL || '';
+    }
+
+    getConfigHint() {
+        return 'The mock provider is always available.';
+    }
+
+    async simulateCall() {
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+        if (this.failureMode === 'rate_limit') {
+            const error = new Error('429 Too Many Requests (mock)');
+            error.status = 429;
+            throw error;
+        }
+        if (this.failureMode === 'invalid_key') {
+            throw new Error('API key not valid (mock)');
+        }
+    }
+
+    /**
+     * Pull "speaker: text" pairs out of a prompt
+     */
+    extractLines(prompt) {
+        return String(prompt)
+            .split('\n')
+            .map(line => line.trim())
+            .map(line => ({ line, match: line.match(CONVERSATION_LINE) }))
+            .filter(({ match }) => match)
+            .map(({ line, match }) => ({
+                speaker: match[1].trim(),
+                text: match[2].trim(),
+                ref: line.match(EXCERPT_REF)?.[1]
+            }));
+    }
+
+    buildResponse(prompt) {
+        const lines = this.extractLines(prompt);
+
+        // Single-shot questions over retrieved excerpts (meeting history Q&A)
+        if (prompt.includes('=== RELEVANT EXCERPTS ===')) {
+            return this.buildChatResponse([], prompt);
+        }
+
+        if (SECTION_PROMPT.test(prompt)) {
+            // Section notes keep the original "[time] Speaker: text" lines
+            return String(prompt)
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => CONVERSATION_LINE.test(line))
+                .slice(0, 5)
+                .join('\n') || 'Nothing notable was said in this section.';
+        }
+
+        if (TRANSLATION_PROMPT.test(prompt)) {
+            return this.buildTranslationResponse(prompt);
+        }
+
+        if (CHAPTERS_PROMPT.test(prompt)) {
+            return this.buildChaptersResponse(prompt);
+        }
+
+        if (STRUCTURED_PROMPT.test(prompt)) {
+            return this.buildStructuredResponse(lines);
+        }
+
+        if (ACTION_ITEMS_PROMPT.test(prompt)) {
+            if (lines.length === 0) {
+                return '- [ ] Schedule a follow-up meeting (Assigned to: Host)';
+            }
+            return lines
+                .slice(0, 3)
+                .map(line => `- [ ] Follow up on "${line.text}" (Assigned to: ${line.speaker})`)
+                .join('\n');
+        }
+
+        if (lines.length === 0) {
+            return '**📌 Main Topic**\nNo conversation was recorded for this meeting.\n\n**✅ What to Remember**\nThis is a mock summary generated offline.';
+        }
+
+        const speakers = [...new Set(lines.map(line => line.speaker))];
+        const keyPoints = lines.slice(0, 5).map(line => `• ${line.speaker}: ${line.text}`);
+
+        return [
+            '**📌 Main Topic**',
+            `Discussion between ${speakers.join(', ')} (${lines.length} recorded lines).`,
+            '',
+            '**💡 Key Points**',
+            ...keyPoints,
+            '',
+            '**✅ What to Remember**',
+            'This is a mock summary generated offline.'
+        ].join('\n');
+    }
+
+    buildStructuredResponse(lines) {
+        const speakers = [...new Set(lines.map(line => line.speaker))];
+
+        return JSON.stringify({
+            topics: lines.length === 0 ? [] : [{
+                title: 'Mock discussion',
+                summary: `Discussion between ${speakers.join(', ')} (${lines.length} recorded lines).`
+            }],
+            decisions: [],
+            actionItems: lines.slice(0, 3).map(line => ({
+                task: `Follow up on "${line.text}"`,
+                assignee: line.speaker,
+                dueDate: null,
+                sourceQuote: line.text
+            })),
+            openQuestions: lines
+                .filter(line => line.text.endsWith('?'))
+                .map(line => ({ question: line.text, raisedBy: line.speaker })),
+            risks: []
+        }, null, 2);
+    }
+
+    buildTranslationResponse(prompt) {
+        // "Translate ... into French (fr-FR)." followed by the entries as JSON
+        const language = String(prompt).match(/into [^\n]*\(([\w-]+)\)/)?.[1] || 'translated';
+        let entries = [];
+        try {
+            entries = JSON.parse(String(prompt).split('ENTRIES:')[1] || '[]');
+        } catch (error) {
+            entries = [];
+        }
+
+        return JSON.stringify(entries.map(entry => ({ id: entry.id, text: `[${language}] ${entry.text}` })));
+    }
+
+    buildChaptersResponse(prompt) {
+        // The lines follow "LINES:" as JSON - split them into up to three even chapters
+        let lines = [];
+        try {
+            lines = JSON.parse(String(prompt).split('LINES:')[1] || '[]');
+        } catch (error) {
+            lines = [];
+        }
+
+        const size = Math.max(1, Math.ceil(lines.length / 3));
+        const chapters = [];
+        for (let i = 0; i < lines.length; i += size) {
+            const opening = String(lines[i].text).split(/\s+/).slice(0, 4).join(' ');
+            chapters.push({
+                startId: lines[i].id,
+                title: `Mock chapter ${chapters.length + 1}: ${opening}`,
+                summary: `${lines[i].speaker} opens with "${lines[i].text}".`
+            });
+        }
+        return JSON.stringify(chapters);
+    }
+
+    buildChatResponse(history, message) {
+        // Questions arrive with their retrieved excerpts: "...excerpts...\n\nQuestion: ..."
+        const question = String(message).match(/Question:\s*([\s\S]*)$/)?.[1].trim() || String(message);
+        const context = [...history.map(msg => msg.text), message].join('\n');
+        const words = question.toLowerCase().split(/\W+/).filter(word => word.length > 3);
+        const match = this.extractLines(context).find(line =>
+            words.some(word => line.text.toLowerCase().includes(word))
+        );
+
+        if (match) {
+            const citation = match.ref ? ` [${match.ref}]` : '';
+            return `Mock answer to "${question}": ${match.speaker} said "${match.text}"${citation}.`;
+        }
+        return `Mock answer to "${question}": That wasn't mentioned in this meeting.`;
+    }
+
+    getModel(keyIndex, modelName) {
+        const provider = this;
+        const withUsage = (input, text) => ({
+            text,
+            usage: { promptTokens: estimateTokens(input), responseTokens: estimateTokens(text) }
+        });
+
+        return {
+            name: modelName,
+
+            async generateContent(prompt) {
+                await provider.simulateCall();
+                return withUsage(prompt, provider.buildResponse(prompt));
+            },
+
+            async *generateContentStream(prompt) {
+                await provider.simulateCall();
+                // Emit word by word to mimic token streaming
+                const words = provider.buildResponse(prompt).match(/\s*\S+\s*/g) || [];
+                for (const word of words) {
+                    yield word;
+                }
+            },
+
+            async sendChat(history, message) {
+                await provider.simulateCall();
+                const input = history.map(msg => msg.text).join('\n') + '\n' + message;
+                return withUsage(input, provider.buildChatResponse(history, message));
+            },
+
+            async countTokens(text) {
+                return estimateTokens(text);
+            }
+        };
+    }
+}
+
+module.exports = MockProvider;
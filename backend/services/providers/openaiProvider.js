@@ -0,0 +1,153 @@
+const { estimateTokens } = require('./tokenUtils');
+
+/**
+ * OpenAI-compatible HTTP provider
+ * Works with any server exposing /chat/completions (OpenAI, Azure proxies, vLLM, Ollama, LM Studio...)
+ */
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.label = 'OpenAI-compatible';
+
+        this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+        // Local servers usually don't need a key, so allow a placeholder when a custom base URL is set
+        this.apiKeys = [
+            process.env.OPENAI_API_KEY,
+            process.env.OPENAI_API2,
+            process.env.OPENAI_API3
+        ].filter(key => key && key.trim());
+        if (this.apiKeys.length === 0 && process.env.OPENAI_BASE_URL) {
+            this.apiKeys = ['no-key'];
+        }
+
+        // Comma-separated priority list, e.g. OPENAI_MODELS=gpt-4o-mini,gpt-4o
+        this.modelNames = (process.env.OPENAI_MODELS || 'gpt-4o-mini')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    getConfigHint() {
+        return 'Please add OPENAI_API_KEY (or OPENAI_BASE_URL) to your environment.';
+    }
+
+    /**
+     * Turn a non-2xx response into an Error the fallback logic understands
+     */
+    async toError(response) {
+        let detail = '';
+        try {
+            const body = await response.json();
+            detail = body?.error?.message || JSON.stringify(body);
+        } catch (e) {
+            detail = response.statusText;
+        }
+
+        let message = `${response.status} ${detail}`;
+        if (response.status === 401) {
+            message = `API key not valid (401): ${detail}`;
+        } else if (response.status === 404) {
+            message = `404 model not found: ${detail}`;
+        }
+
+        const error = new Error(message);
+        error.status = response.status;
+        return error;
+    }
+
+    async request(apiKey, body) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey !== 'no-key' ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw await this.toError(response);
+        }
+        return response;
+    }
+
+    /**
+     * Get a model handle bound to one API key
+     * @param {number} keyIndex - Index into this.apiKeys
+     * @param {string} modelName - Model name sent to the server
+     */
+    getModel(keyIndex, modelName) {
+        const apiKey = this.apiKeys[keyIndex];
+        if (!apiKey) return null;
+
+        const provider = this;
+
+        const complete = async (messages) => {
+            const response = await provider.request(apiKey, { model: modelName, messages });
+            const data = await response.json();
+            return {
+                text: data.choices?.[0]?.message?.content || '',
+                usage: {
+                    promptTokens: data.usage?.prompt_tokens || 0,
+                    responseTokens: data.usage?.completion_tokens || 0
+                }
+            };
+        };
+
+        return {
+            name: modelName,
+
+            generateContent(prompt) {
+                return complete([{ role: 'user', content: prompt }]);
+            },
+
+            async *generateContentStream(prompt) {
+                const response = await provider.request(apiKey, {
+                    model: modelName,
+                    messages: [{ role: 'user', content: prompt }],
+                    stream: true
+                });
+
+                // Parse the server-sent event stream line by line
+                const decoder = new TextDecoder();
+                let buffer = '';
+                for await (const chunk of response.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+
+                    for (const line of lines) {
+                        const trimmed = line.trim();
+                        if (!trimmed.startsWith('data:')) continue;
+                        const payload = trimmed.substring(5).trim();
+                        if (payload === '[DONE]') return;
+                        try {
+                            const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+                            if (text) yield text;
+                        } catch (e) {
+                            // Ignore keep-alive or partial lines
+                        }
+                    }
+                }
+            },
+
+            sendChat(history, message) {
+                return complete([
+                    ...history.map(msg => ({
+                        role: msg.role === 'user' ? 'user' : 'assistant',
+                        content: msg.text
+                    })),
+                    { role: 'user', content: message }
+                ]);
+            },
+
+            async countTokens(text) {
+                // No standard tokenizer endpoint - use the shared estimate
+                return estimateTokens(text);
+            }
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
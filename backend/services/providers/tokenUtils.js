@@ -0,0 +1,10 @@
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ * Used by providers that have no tokenizer endpoint
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / 4);
+}
+
+module.exports = { estimateTokens };
@@ -0,0 +1,106 @@
+const { Bm25Index } = require('../utils/bm25');
+
+/**
+ * Finds the transcript and chat entries relevant to a question, so the AI
+ * chat can answer from (and cite) a handful of excerpts instead of the
+ * whole meeting.
+ */
+class RetrievalService {
+    constructor() {
+        this.maxExcerpts = parseInt(process.env.CHAT_RETRIEVAL_EXCERPTS, 10) || 8;
+        this.contextWindow = 1; // Neighbouring entries included around each hit
+    }
+
+    /**
+     * Transcript and chat entries as searchable documents, in time order
+     * @returns {Array} - [{ entryId, kind: 'speech' | 'chat', speaker, timestamp, text }]
+     */
+    buildDocuments(meetingData) {
+        const speech = (meetingData.transcript || [])
+            .filter(t => t.isFinal)
+            .map((t, index) => ({
+                entryId: t.entryId || `tr_${index + 1}`,
+                kind: 'speech',
+                speaker: t.username,
+                timestamp: t.timestamp,
+                text: t.text
+            }));
+
+        const chat = (meetingData.messages || [])
+            .filter(msg => msg.type === 'text' || !msg.type)
+            .map((msg, index) => ({
+                entryId: msg.id !== undefined ? `chat_${msg.id}` : `chat_${index + 1}`,
+                kind: 'chat',
+                speaker: msg.username,
+                timestamp: msg.timestamp,
+                text: msg.message
+            }));
+
+        return [...speech, ...chat].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Retrieve excerpts for a question, numbered for citation
+     * @param {Object} meetingData - Meeting data with transcript and messages
+     * @param {string} question - The user's question
+     * @param {Array} chatHistory - Previous turns; the last user turn helps with follow-ups
+     * @returns {Array} - [{ ref, entryId, kind, speaker, timestamp, text }] in time order
+     */
+    retrieve(meetingData, question, chatHistory = []) {
+        const documents = this.buildDocuments(meetingData);
+        if (documents.length === 0) return [];
+
+        // Follow-ups like "who owns that?" depend on the previous question
+        const previousQuestion = [...chatHistory].reverse().find(msg => msg.role === 'user')?.content || '';
+        const index = new Bm25Index(documents, { textOf: doc => `${doc.speaker} ${doc.text}` });
+
+        let hits = index.search(question, this.maxExcerpts);
+        if (hits.length === 0 && previousQuestion) {
+            hits = index.search(`${question} ${previousQuestion}`, this.maxExcerpts);
+        }
+
+        // Nothing matched (e.g. "how did it go?") - fall back to the latest entries
+        const selected = new Set();
+        if (hits.length === 0) {
+            for (let i = Math.max(0, documents.length - this.maxExcerpts); i < documents.length; i++) {
+                selected.add(i);
+            }
+        } else {
+            for (const hit of hits) {
+                for (let i = hit.index - this.contextWindow; i <= hit.index + this.contextWindow; i++) {
+                    if (i >= 0 && i < documents.length) selected.add(i);
+                }
+            }
+        }
+
+        return [...selected]
+            .sort((a, b) => a - b)
+            .map((i, position) => ({ ref: position + 1, ...documents[i] }));
+    }
+
+    /**
+     * Excerpts as numbered prompt lines: "[1] [10:42:01 AM] Alice: ..."
+     */
+    formatExcerpts(excerpts) {
+        return excerpts
+            .map(excerpt => {
+                const time = excerpt.timestamp ? new Date(excerpt.timestamp).toLocaleTimeString() : '';
+                const speaker = excerpt.kind === 'chat' ? `${excerpt.speaker} (chat)` : excerpt.speaker;
+                return `[${excerpt.ref}] [${time}] ${speaker}: ${excerpt.text}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Excerpts the answer actually cites with [n]
+     */
+    extractCitations(answer, excerpts) {
+        const refs = new Set([...String(answer).matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10)));
+        return excerpts.filter(excerpt => refs.has(excerpt.ref));
+    }
+}
+
+// Singleton instance
+const retrievalService = new RetrievalService();
+
+module.exports = retrievalService;
@@ -0,0 +1,95 @@
+const meetingStore = require('../utils/meetingStore');
+const { DEFAULT_ROLE, isValidRole, outranks } = require('../utils/roles');
+
+/**
+ * Participant roles - assigning them and handing over the host role
+ *
+ * The host is InMemoryMeeting.host; other roles live in meeting.roles (only
+ * those that differ from attendee). Both are saved on the meeting document so
+ * they survive a restart.
+ */
+
+// Refusals - error.code goes to the client with the socket 'error' event
+function roleError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class RoleService {
+    /**
+     * Give a participant another role (not host - see transferHost)
+     * The actor must rank above both the participant's current and new role,
+     * so only the host makes or removes co-hosts.
+     * @returns {Object} - { previousRole, role }
+     * @throws {Error} - With code INVALID_ROLE or NOT_PERMITTED
+     */
+    assignRole(meeting, actorUserId, targetUserId, role) {
+        if (!isValidRole(role) || role === 'host') {
+            throw roleError('INVALID_ROLE', 'Choose co-host, presenter, attendee or viewer');
+        }
+
+        const actorRole = meeting.getRole(actorUserId);
+        const previousRole = meeting.getRole(targetUserId);
+        if (targetUserId === actorUserId || !outranks(actorRole, previousRole) || !outranks(actorRole, role)) {
+            throw roleError('NOT_PERMITTED', 'You can only change the role of participants below you');
+        }
+
+        if (role === DEFAULT_ROLE) {
+            meeting.roles.delete(targetUserId);
+        } else {
+            meeting.roles.set(targetUserId, role);
+        }
+        this.save(meeting);
+
+        return { previousRole, role };
+    }
+
+    /**
+     * Back to attendee (e.g. after being removed from the meeting)
+     */
+    clearRole(meeting, userId) {
+        if (meeting.roles.delete(userId)) this.save(meeting);
+    }
+
+    /**
+     * Make another participant the host - the previous host stays on as co-host
+     * @returns {string} - userId of the previous host
+     */
+    transferHost(meeting, participant) {
+        const previousHost = meeting.host;
+
+        meeting.roles.delete(participant.userId);
+        meeting.roles.set(previousHost, 'cohost');
+        meeting.host = participant.userId;
+        meeting.hostUsername = participant.username;
+        this.save(meeting);
+
+        console.log(`👑 Host of ${meeting.meetingId} is now ${participant.userId} (was ${previousHost})`);
+        return previousHost;
+    }
+
+    /**
+     * Co-host to take over when the host is gone - the one in the meeting longest
+     * @param {Function} isConnected - (participant) => whether they are still connected
+     * @returns {Object|null} - The participant, null when no co-host is present
+     */
+    pickSuccessor(meeting, isConnected) {
+        return meeting.participants
+            .filter(p => p.userId !== meeting.host && meeting.getRole(p.userId) === 'cohost' && isConnected(p))
+            .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))[0] || null;
+    }
+
+    /**
+     * Save the host and roles on the meeting document
+     */
+    save(meeting) {
+        const roles = [...meeting.roles].map(([userId, role]) => ({ userId, role }));
+        meetingStore.saveFields(meeting, { host: { userId: meeting.host, username: meeting.hostUsername }, roles }, 'meeting roles');
+    }
+}
+
+// Singleton instance
+const roleService = new RoleService();
+
+module.exports = roleService;
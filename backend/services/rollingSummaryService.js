@@ -0,0 +1,128 @@
+const geminiService = require('./geminiService');
+const meetingStore = require('../utils/meetingStore');
+const usageService = require('./usageService');
+
+/**
+ * Keeps a rolling "so far" summary for every live meeting and pushes it to
+ * participants over socket.io, so late joiners and returning users get
+ * context without each triggering their own AI call.
+ *
+ * A refresh runs every ROLLING_SUMMARY_INTERVAL_MINUTES, or sooner once
+ * ROLLING_SUMMARY_ENTRY_THRESHOLD new transcript/chat entries arrive.
+ */
+class RollingSummaryService {
+    constructor() {
+        this.io = null;
+        this.enabled = process.env.ROLLING_SUMMARY_ENABLED !== 'false';
+        this.intervalMs = (parseFloat(process.env.ROLLING_SUMMARY_INTERVAL_MINUTES) || 5) * 60 * 1000;
+        this.entryThreshold = parseInt(process.env.ROLLING_SUMMARY_ENTRY_THRESHOLD, 10) || 20;
+        this.jobs = new Map(); // meetingId -> { timer, pendingEntries, inFlight }
+    }
+
+    /**
+     * Give the service a socket.io server to broadcast on
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    /**
+     * Start the periodic job for a meeting (safe to call repeatedly)
+     */
+    start(meetingId) {
+        if (!this.enabled || this.jobs.has(meetingId)) return;
+
+        const timer = setInterval(() => this.refresh(meetingId), this.intervalMs);
+        timer.unref?.(); // Don't keep the process alive just for summaries
+
+        this.jobs.set(meetingId, { timer, pendingEntries: 0, inFlight: false });
+        console.log(`🧾 Rolling summary started for meeting ${meetingId} (every ${this.intervalMs / 60000} min or ${this.entryThreshold} entries)`);
+    }
+
+    /**
+     * Stop the job for a meeting (meeting ended)
+     */
+    stop(meetingId) {
+        const job = this.jobs.get(meetingId);
+        if (job) {
+            clearInterval(job.timer);
+            this.jobs.delete(meetingId);
+            console.log(`🧾 Rolling summary stopped for meeting ${meetingId}`);
+        }
+    }
+
+    /**
+     * Record a new transcript or chat entry; refreshes early once the threshold is reached
+     */
+    recordEntry(meetingId) {
+        const job = this.jobs.get(meetingId);
+        if (!job) return;
+
+        job.pendingEntries++;
+        if (job.pendingEntries >= this.entryThreshold) {
+            this.refresh(meetingId);
+        }
+    }
+
+    /**
+     * Regenerate the rolling summary from entries added since the last refresh
+     */
+    async refresh(meetingId) {
+        const job = this.jobs.get(meetingId);
+        if (!job || job.inFlight || !geminiService.isAvailable()) return;
+
+        const meeting = await meetingStore.getMeeting(meetingId);
+        if (!meeting || !meeting.isActive) {
+            this.stop(meetingId);
+            return;
+        }
+
+        const previous = meeting.rollingSummary;
+        const since = previous ? new Date(previous.generatedAt) : null;
+        const isNew = (entry) => !since || new Date(entry.timestamp) > since;
+
+        const transcript = meeting.getTranscript().filter(t => t.isFinal && isNew(t));
+        const messages = meeting.getChatHistory().filter(m => (m.type === 'text' || !m.type) && isNew(m));
+
+        // Nothing new was said - keep the current summary
+        if (transcript.length === 0 && messages.length === 0) {
+            job.pendingEntries = 0;
+            return;
+        }
+
+        job.inFlight = true;
+        const generatedAt = new Date().toISOString();
+
+        try {
+            const summary = await usageService.run({ meetingId, userId: null, operation: 'rolling-summary' }, () =>
+                geminiService.generateRollingSummary({
+                    title: meeting.title,
+                    previousSummary: previous?.summary,
+                    transcript,
+                    messages
+                })
+            );
+
+            meeting.rollingSummary = {
+                summary,
+                generatedAt,
+                transcriptCount: meeting.getTranscript().length,
+                messageCount: meeting.getChatHistory().length
+            };
+            job.pendingEntries = 0;
+
+            this.io?.to(meetingId).emit('rolling-summary-update', meeting.rollingSummary);
+            console.log(`🧾 Rolling summary refreshed for meeting ${meetingId} (${transcript.length} transcript, ${messages.length} chat)`);
+        } catch (error) {
+            // Keep the previous summary; the next tick or threshold retries
+            console.error(`❌ Rolling summary failed for meeting ${meetingId}:`, error.message);
+        } finally {
+            job.inFlight = false;
+        }
+    }
+}
+
+// Singleton instance
+const rollingSummaryService = new RollingSummaryService();
+
+module.exports = rollingSummaryService;
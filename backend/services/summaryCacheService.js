@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SummaryModel = require('../models/Summary');
+const MeetingModel = require('../models/Meeting');
+
+const MAX_MEMORY_ENTRIES_PER_MEETING = 20;
+
+/**
+ * Stores generated summaries keyed by meeting, type/level and a hash of the
+ * meeting content, so repeated requests for an unchanged meeting are served
+ * without calling the AI again.
+ *
+ * Summaries live in memory and in MongoDB (when connected), mirroring meetingStore.
+ */
+class SummaryCacheService {
+    constructor() {
+        this.entries = new Map(); // meetingId -> [{ type, level, contentHash, result, createdAt }], newest first
+    }
+
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Hash everything a summary is generated from
+     * @param {Object} meetingData
+     * @param {string} [templateKey] - Prompt template versions used (promptTemplateService.cacheKey)
+     * @param {string} [language] - Requested output language
+     */
+    computeContentHash(meetingData, templateKey = '', language = '') {
+        const content = JSON.stringify({
+            // Corrected entries also hash the speaker name, so renaming a speaker
+            // invalidates cached summaries while untouched meetings keep their hash
+            transcript: (meetingData.transcript || []).map(t => t.edited
+                ? [t.userId, t.text, t.timestamp, t.isFinal, t.username]
+                : [t.userId, t.text, t.timestamp, t.isFinal]),
+            messages: meetingData.messages || [],
+            activities: (meetingData.activities || []).map(a => [a.type, a.userId, a.timestamp, a.details]),
+            templates: templateKey,
+            // Only when set, so summaries cached before languages existed stay valid
+            ...(language ? { language } : {})
+        });
+
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Level only distinguishes adaptive summaries
+     */
+    normalizeLevel(type, level) {
+        return type === 'adaptive' ? level : null;
+    }
+
+    /**
+     * Find a cached summary for this exact meeting content
+     * @returns {Promise<Object|null>} - { result, createdAt } or null
+     */
+    async get(meetingId, type, level, contentHash) {
+        const normalizedLevel = this.normalizeLevel(type, level);
+
+        const memoryEntry = (this.entries.get(meetingId) || []).find(entry =>
+            entry.type === type && entry.level === normalizedLevel && entry.contentHash === contentHash
+        );
+        if (memoryEntry) return memoryEntry;
+
+        if (!this.isDatabaseConnected()) return null;
+
+        try {
+            const dbEntry = await SummaryModel.findOne({
+                meetingId,
+                type,
+                level: normalizedLevel,
+                contentHash
+            }).sort({ createdAt: -1 }).lean();
+
+            if (dbEntry) {
+                this.remember(meetingId, dbEntry);
+            }
+            return dbEntry;
+        } catch (error) {
+            console.error('❌ Error reading cached summary:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a freshly generated summary and keep Meeting.summary up to date
+     */
+    async save(meetingId, type, level, contentHash, result) {
+        const entry = {
+            meetingId,
+            type,
+            level: this.normalizeLevel(type, level),
+            contentHash,
+            result,
+            modelUsed: result.modelUsed,
+            templateId: result.template?.id,
+            templateVersion: result.template?.version,
+            language: result.language || null,
+            createdAt: new Date()
+        };
+
+        this.remember(meetingId, entry);
+
+        if (!this.isDatabaseConnected()) return;
+
+        try {
+            await SummaryModel.create(entry);
+
+            const summaryText = type === 'all' ? result.detailed : result.summary;
+            if (typeof summaryText === 'string' && summaryText) {
+                await MeetingModel.updateOne({ meetingId }, { $set: { summary: summaryText } });
+            }
+        } catch (error) {
+            // The summary was already returned to the caller; only caching is lost
+            console.error('❌ Error saving summary to database:', error.message);
+        }
+    }
+
+    /**
+     * Past summaries for a meeting, newest first
+     */
+    async list(meetingId) {
+        if (this.isDatabaseConnected()) {
+            try {
+                return await SummaryModel.find({ meetingId })
+                    .sort({ createdAt: -1 })
+                    .lean();
+            } catch (error) {
+                console.error('❌ Error listing summaries:', error.message);
+            }
+        }
+
+        return this.entries.get(meetingId) || [];
+    }
+
+    remember(meetingId, entry) {
+        const entries = (this.entries.get(meetingId) || []).filter(existing =>
+            !(existing.type === entry.type && existing.level === entry.level && existing.contentHash === entry.contentHash)
+        );
+        entries.unshift(entry);
+        this.entries.set(meetingId, entries.slice(0, MAX_MEMORY_ENTRIES_PER_MEETING));
+    }
+}
+
+// Singleton instance
+const summaryCacheService = new SummaryCacheService();
+
+module.exports = summaryCacheService;
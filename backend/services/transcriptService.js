@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const MeetingModel = require('../models/Meeting');
+const meetingStore = require('../utils/meetingStore');
+
+/**
+ * Viewing and correcting meeting transcripts
+ *
+ * A correction changes the entry in memory (live meetings) and in MongoDB
+ * (spilled entries and ended meetings) and is appended to the meeting's
+ * transcriptEdits history. Summaries are cached by content hash, which covers
+ * the corrected text, so the next summary is generated from the corrected transcript.
+ */
+class TranscriptService {
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Public view of a transcript entry
+     */
+    toJSON(entry) {
+        return {
+            entryId: entry.entryId,
+            userId: entry.userId,
+            username: entry.username,
+            text: entry.text,
+            language: entry.language || null,
+            timestamp: entry.timestamp,
+            edited: !!entry.edited
+        };
+    }
+
+    /**
+     * Transcript of a live or ended meeting, optionally filtered
+     * @param {Object} record - From meetingStore.getMeetingRecord()
+     * @param {Object} filters - { speaker: userId, q: text to search for in entries and speaker names }
+     * @returns {Object} - { speakers, total, entries, editCount }
+     */
+    getTranscript(record, { speaker, q } = {}) {
+        const all = record.transcript
+            .filter(entry => entry.isFinal !== false)
+            .map(entry => this.toJSON(entry));
+
+        const speakers = new Map();
+        all.forEach(entry => {
+            const known = speakers.get(entry.userId) || { userId: entry.userId, username: entry.username, entryCount: 0 };
+            known.entryCount++;
+            known.username = entry.username; // Latest name, after corrections
+            speakers.set(entry.userId, known);
+        });
+
+        const query = String(q || '').trim().toLowerCase();
+        const entries = all.filter(entry =>
+            (!speaker || entry.userId === speaker) &&
+            (!query || entry.text.toLowerCase().includes(query) || entry.username.toLowerCase().includes(query))
+        );
+
+        return {
+            speakers: [...speakers.values()],
+            total: all.length,
+            entries,
+            editCount: (record.transcriptEdits || []).length
+        };
+    }
+
+    /**
+     * Whether the host removed and banned this user from the meeting
+     */
+    isBanned(record, userId) {
+        return (record.bannedUsers || []).some(ban => ban.userId === userId);
+    }
+
+    /**
+     * The host and anyone who took part (and wasn't banned) may correct the transcript
+     */
+    canEdit(record, userId) {
+        if (!userId) return false;
+        if (record.hostUserId === userId) return true;
+        if (this.isBanned(record, userId)) return false;
+        return [...record.participants, ...record.activities, ...record.transcript].some(item => item.userId === userId);
+    }
+
+    /**
+     * Corrections of an entry (its text, and its speaker's renames), newest first
+     */
+    getEdits(record, entry) {
+        return (record.transcriptEdits || [])
+            .filter(edit => edit.entryId === entry.entryId ||
+                (!edit.entryId && edit.field === 'username' && edit.speakerUserId === entry.userId))
+            .reverse();
+    }
+
+    /**
+     * Correct an entry's text and/or speaker name
+     * @param {string} meetingId
+     * @param {Object} entry - The entry as it is now
+     * @param {Object} changes - { text, username, applyToSpeaker } - applyToSpeaker renames the speaker in all their entries
+     * @param {Object} editor - { userId, username }
+     * @returns {Promise<Object>} - { entry, edits } - edits is empty when nothing changed
+     */
+    async editEntry(meetingId, entry, { text, username, applyToSpeaker = false }, editor) {
+        const base = {
+            speakerUserId: entry.userId,
+            editedBy: { userId: editor.userId, username: editor.username || null },
+            editedAt: new Date()
+        };
+        const edits = [];
+
+        if (text !== undefined && text !== entry.text) {
+            edits.push({ ...base, entryId: entry.entryId, field: 'text', previousValue: entry.text, value: text });
+        }
+        if (username !== undefined && username !== entry.username) {
+            edits.push({ ...base, entryId: applyToSpeaker ? null : entry.entryId, field: 'username', previousValue: entry.username, value: username });
+        }
+
+        if (edits.length === 0) {
+            return { entry: this.toJSON(entry), edits };
+        }
+
+        const applies = (candidate) => candidate.entryId === entry.entryId;
+        const renames = (candidate) => username !== undefined && (applyToSpeaker ? candidate.userId === entry.userId : applies(candidate));
+        const apply = (candidate) => {
+            if (applies(candidate) && text !== undefined) candidate.text = text;
+            if (renames(candidate)) candidate.username = username;
+            if (applies(candidate) || renames(candidate)) candidate.edited = true;
+        };
+
+        // Live (or recently ended) meetings keep recent entries in memory
+        const meeting = meetingStore.meetings.get(meetingId);
+        if (meeting) {
+            [...meeting.spillingTranscript, ...meeting.getTranscript()].forEach(apply);
+            meeting.transcriptEdits.push(...edits);
+        }
+
+        // Spilled entries and ended meetings live in MongoDB
+        if (this.isDatabaseConnected()) {
+            const set = { 'transcript.$[entry].edited': true };
+            if (text !== undefined) set['transcript.$[entry].text'] = text;
+            if (username !== undefined && !applyToSpeaker) set['transcript.$[entry].username'] = username;
+
+            await MeetingModel.updateOne(
+                { meetingId },
+                { $set: set, $push: { transcriptEdits: { $each: edits } } },
+                { arrayFilters: [{ 'entry.entryId': entry.entryId }] }
+            );
+
+            // Separate update - one array element can't be matched by two filters at once
+            if (username !== undefined && applyToSpeaker) {
+                await MeetingModel.updateOne(
+                    { meetingId },
+                    { $set: { 'transcript.$[speaker].username': username, 'transcript.$[speaker].edited': true } },
+                    { arrayFilters: [{ 'speaker.userId': entry.userId }] }
+                );
+            }
+        }
+
+        // The caller's copy too - it comes from MongoDB for spilled entries and ended meetings
+        apply(entry);
+
+        console.log(`✏️ Transcript ${meetingId}/${entry.entryId} corrected by ${editor.userId}: ${edits.map(edit => edit.field).join(', ')}`);
+        return { entry: this.toJSON(entry), edits };
+    }
+}
+
+// Singleton instance
+const transcriptService = new TranscriptService();
+
+module.exports = transcriptService;
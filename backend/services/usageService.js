@@ -0,0 +1,330 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const AiUsageModel = require('../models/AiUsage');
+const { estimateTokens } = require('./providers/tokenUtils');
+
+const MAX_MEMORY_RECORDS = 2000; // Recent calls kept for the admin report without MongoDB
+
+const GROUP_FIELDS = {
+    meeting: 'meetingId',
+    user: 'userId',
+    model: 'model',
+    operation: 'operation',
+    key: 'keyIndex'
+};
+
+/**
+ * Token and cost accounting for AI calls, plus per-meeting and per-user quotas
+ *
+ * The meeting/user a call belongs to comes from the request context
+ * (see middleware/aiUsageContext.js), so service methods don't need to pass it along.
+ * Records live in memory and in MongoDB (when connected), mirroring meetingStore.
+ */
+class UsageService {
+    constructor() {
+        this.context = new AsyncLocalStorage();
+        this.records = [];
+        this.counters = new Map(); // Quota key -> tokens used
+        this.counterDay = this.today();
+
+        // 0 = unlimited
+        this.meetingTokenLimit = parseInt(process.env.AI_QUOTA_MEETING_TOKENS, 10) || 0;
+        this.userDailyTokenLimit = parseInt(process.env.AI_QUOTA_USER_DAILY_TOKENS, 10) || 0;
+
+        this.promptCostPer1k = parseFloat(process.env.AI_COST_PER_1K_PROMPT_TOKENS) || 0;
+        this.responseCostPer1k = parseFloat(process.env.AI_COST_PER_1K_RESPONSE_TOKENS) || 0;
+    }
+
+    isDatabaseConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Run fn with AI calls attributed to { meetingId, userId, operation }
+     */
+    run(context, fn) {
+        return this.context.run(context, fn);
+    }
+
+    getContext() {
+        return this.context.getStore() || {};
+    }
+
+    /**
+     * Wrap a provider model handle so every call records its token usage
+     * @param {Object} model - Handle from provider.getModel()
+     * @param {Object} source - { provider, keyIndex }
+     */
+    wrapModel(model, { provider, keyIndex }) {
+        if (!model) return model;
+
+        const service = this;
+        const track = (usage = {}, estimated = false) => service.record({
+            provider,
+            model: model.name,
+            keyIndex,
+            promptTokens: usage.promptTokens,
+            responseTokens: usage.responseTokens,
+            estimated
+        });
+
+        return {
+            ...model,
+
+            async generateContent(prompt) {
+                const result = await model.generateContent(prompt);
+                track(result.usage);
+                return result;
+            },
+
+            // Streams report no usage - estimate from the text, including cancelled streams
+            async *generateContentStream(prompt) {
+                let text = '';
+                try {
+                    for await (const chunk of model.generateContentStream(prompt)) {
+                        text += chunk;
+                        yield chunk;
+                    }
+                } finally {
+                    track({ promptTokens: estimateTokens(prompt), responseTokens: estimateTokens(text) }, true);
+                }
+            },
+
+            async sendChat(history, message) {
+                const result = await model.sendChat(history, message);
+                track(result.usage);
+                return result;
+            }
+        };
+    }
+
+    /**
+     * Record one call against the current meeting/user
+     */
+    record({ provider, model, keyIndex, promptTokens = 0, responseTokens = 0, estimated = false }) {
+        const { meetingId = null, userId = null, operation = null } = this.getContext();
+        const totalTokens = promptTokens + responseTokens;
+
+        const entry = {
+            meetingId,
+            userId,
+            operation,
+            provider,
+            model,
+            keyIndex,
+            promptTokens,
+            responseTokens,
+            totalTokens,
+            estimated,
+            cost: this.calculateCost(promptTokens, responseTokens),
+            createdAt: new Date()
+        };
+
+        this.records.push(entry);
+        if (this.records.length > MAX_MEMORY_RECORDS) {
+            this.records.shift();
+        }
+
+        if (meetingId) this.addTokens(this.meetingKey(meetingId), totalTokens);
+        if (userId) this.addTokens(this.userKey(userId), totalTokens);
+
+        if (this.isDatabaseConnected()) {
+            AiUsageModel.create(entry).catch(error => {
+                console.error('❌ Error saving AI usage:', error.message);
+            });
+        }
+    }
+
+    calculateCost(promptTokens, responseTokens) {
+        const cost = (promptTokens / 1000) * this.promptCostPer1k + (responseTokens / 1000) * this.responseCostPer1k;
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    today() {
+        return new Date().toISOString().substring(0, 10);
+    }
+
+    meetingKey(meetingId) {
+        return `meeting:${meetingId}`;
+    }
+
+    userKey(userId) {
+        return `user:${userId}:${this.today()}`;
+    }
+
+    addTokens(key, tokens) {
+        if (this.counters.has(key)) {
+            this.counters.set(key, this.counters.get(key) + tokens);
+        } else if (!this.isDatabaseConnected()) {
+            // Nothing to load later - memory is the only record
+            this.counters.set(key, tokens);
+        }
+    }
+
+    /**
+     * Tokens used so far for a quota key, loaded from MongoDB on first use
+     */
+    async getTokensUsed(key, match) {
+        if (this.counters.has(key)) return this.counters.get(key);
+
+        let used = 0;
+        if (this.isDatabaseConnected()) {
+            try {
+                const [row] = await AiUsageModel.aggregate([
+                    { $match: match },
+                    { $group: { _id: null, tokens: { $sum: '$totalTokens' } } }
+                ]);
+                used = row?.tokens || 0;
+            } catch (error) {
+                console.error('❌ Error loading AI usage:', error.message);
+                return 0;
+            }
+        }
+
+        if (!this.counters.has(key)) {
+            this.counters.set(key, used);
+        }
+        return this.counters.get(key);
+    }
+
+    /**
+     * Check the meeting and user quotas
+     * @param {Object} scope - { meetingId, userId }, defaults to the current context
+     * @returns {Promise<Object>} - { allowed } or { allowed: false, scope, limit, used, resetsAt, message }
+     */
+    async checkQuota({ meetingId, userId } = this.getContext()) {
+        // Daily counters from previous days are no longer needed
+        if (this.counterDay !== this.today()) {
+            for (const key of this.counters.keys()) {
+                if (key.startsWith('user:')) this.counters.delete(key);
+            }
+            this.counterDay = this.today();
+        }
+
+        if (meetingId && this.meetingTokenLimit > 0) {
+            const used = await this.getTokensUsed(this.meetingKey(meetingId), { meetingId });
+            if (used >= this.meetingTokenLimit) {
+                return {
+                    allowed: false,
+                    scope: 'meeting',
+                    limit: this.meetingTokenLimit,
+                    used,
+                    resetsAt: null,
+                    message: `This meeting has used its AI quota (${used.toLocaleString()} of ${this.meetingTokenLimit.toLocaleString()} tokens).`
+                };
+            }
+        }
+
+        if (userId && this.userDailyTokenLimit > 0) {
+            const dayStart = new Date(`${this.today()}T00:00:00.000Z`);
+            const used = await this.getTokensUsed(this.userKey(userId), { userId, createdAt: { $gte: dayStart } });
+            if (used >= this.userDailyTokenLimit) {
+                return {
+                    allowed: false,
+                    scope: 'user',
+                    limit: this.userDailyTokenLimit,
+                    used,
+                    resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+                    message: `You have used today's AI quota (${used.toLocaleString()} of ${this.userDailyTokenLimit.toLocaleString()} tokens). It resets at midnight UTC.`
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Throw QUOTA_EXCEEDED when the current meeting or user is over quota
+     */
+    async assertWithinQuota() {
+        const quota = await this.checkQuota();
+        if (!quota.allowed) {
+            const error = new Error(`QUOTA_EXCEEDED: ${quota.message}`);
+            error.quota = quota;
+            throw error;
+        }
+    }
+
+    /**
+     * Usage totals grouped by meeting, user, model, operation or key
+     * @param {Object} filters - { meetingId, userId, from, to, groupBy }
+     */
+    async getReport({ meetingId, userId, from, to, groupBy = 'meeting' } = {}) {
+        const field = GROUP_FIELDS[groupBy] || GROUP_FIELDS.meeting;
+        let groups;
+        let source = 'memory';
+
+        if (this.isDatabaseConnected()) {
+            const match = {};
+            if (meetingId) match.meetingId = meetingId;
+            if (userId) match.userId = userId;
+            if (from || to) {
+                match.createdAt = {};
+                if (from) match.createdAt.$gte = new Date(from);
+                if (to) match.createdAt.$lte = new Date(to);
+            }
+
+            groups = await AiUsageModel.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: `$${field}`,
+                        calls: { $sum: 1 },
+                        promptTokens: { $sum: '$promptTokens' },
+                        responseTokens: { $sum: '$responseTokens' },
+                        totalTokens: { $sum: '$totalTokens' },
+                        cost: { $sum: '$cost' },
+                        lastCallAt: { $max: '$createdAt' }
+                    }
+                }
+            ]);
+            source = 'database';
+        } else {
+            const byKey = new Map();
+            this.records
+                .filter(entry => (!meetingId || entry.meetingId === meetingId)
+                    && (!userId || entry.userId === userId)
+                    && (!from || entry.createdAt >= new Date(from))
+                    && (!to || entry.createdAt <= new Date(to)))
+                .forEach(entry => {
+                    const group = byKey.get(entry[field]) || {
+                        _id: entry[field], calls: 0, promptTokens: 0, responseTokens: 0, totalTokens: 0, cost: 0, lastCallAt: null
+                    };
+                    group.calls++;
+                    group.promptTokens += entry.promptTokens;
+                    group.responseTokens += entry.responseTokens;
+                    group.totalTokens += entry.totalTokens;
+                    group.cost += entry.cost;
+                    group.lastCallAt = entry.createdAt;
+                    byKey.set(entry[field], group);
+                });
+            groups = [...byKey.values()];
+        }
+
+        const totals = groups.reduce((sum, group) => ({
+            calls: sum.calls + group.calls,
+            promptTokens: sum.promptTokens + group.promptTokens,
+            responseTokens: sum.responseTokens + group.responseTokens,
+            totalTokens: sum.totalTokens + group.totalTokens,
+            cost: sum.cost + group.cost
+        }), { calls: 0, promptTokens: 0, responseTokens: 0, totalTokens: 0, cost: 0 });
+
+        return {
+            groupBy: GROUP_FIELDS[groupBy] ? groupBy : 'meeting',
+            source,
+            totals: { ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 },
+            groups: groups
+                .sort((a, b) => b.totalTokens - a.totalTokens)
+                .map(({ _id, cost, ...group }) => ({ key: _id, ...group, cost: Math.round(cost * 1e6) / 1e6 })),
+            quotas: {
+                meetingTokens: this.meetingTokenLimit || null,
+                userDailyTokens: this.userDailyTokenLimit || null
+            }
+        };
+    }
+}
+
+// Singleton instance
+const usageService = new UsageService();
+
+module.exports = usageService;
@@ -1,17 +1,301 @@
 const meetingStore = require('../utils/meetingStore');
+const rollingSummaryService = require('../services/rollingSummaryService');
+const jobQueueService = require('../services/jobQueueService');
+const captionTranslationService = require('../services/captionTranslationService');
+const meetingAccessService = require('../services/meetingAccessService');
+const roleService = require('../services/roleService');
+const moderationService = require('../services/moderationService');
+const { can, outranks, MODERATOR_PERMISSIONS } = require('../utils/roles');
+const { normalizeLanguage, DEFAULT_LANGUAGE } = require('../utils/languages');
 
 // Map to track active sockets to user/meeting info
 const activeSockets = new Map();
 
+// How long a disconnected host has to come back before a co-host takes over
+const HOST_HANDOFF_GRACE_MS = parseInt(process.env.HOST_HANDOFF_GRACE_MS, 10) || 15000;
+const hostHandoffTimers = new Map(); // meetingId -> timeout
+
+// Codes sent with the 'error' event: { code, message, event }
+const SOCKET_ERRORS = {
+    NOT_IN_MEETING: 'Join the meeting first',
+    WRONG_MEETING: 'You are not in that meeting',
+    IDENTITY_MISMATCH: 'You can only act as yourself',
+    NOT_HOST: 'Only the host or a co-host can do that',
+    NOT_PERMITTED: 'Your role does not allow that',
+    INVALID_ROLE: 'That role does not exist',
+    MEETING_NOT_FOUND: 'Meeting not found',
+    TARGET_NOT_FOUND: 'That participant is not in this meeting',
+    NOT_WAITING: 'That person is not in the waiting room',
+    NOT_BANNED: 'That person is not banned from this meeting',
+    FEATURE_LOCKED: 'The host has turned this off for participants',
+    NOT_MUTED: 'That participant is not muted',
+    NO_UNMUTE_REQUEST: 'Nobody has asked you to unmute',
+    JOIN_FAILED: 'Failed to join meeting',
+    INTERNAL: 'Something went wrong - please try again',
+    UNSUPPORTED_LANGUAGE: 'That caption language is not supported',
+    INVALID_JOB: 'Say which job to watch',
+    JOB_NOT_FOUND: 'Job not found',
+    WATCH_FAILED: 'Failed to watch job'
+    // join-meeting can also be refused with the meetingAccessService codes:
+    // BANNED, LOCKED, PASSCODE_REQUIRED, INVALID_PASSCODE
+};
+
+function emitError(socket, code, event, message = SOCKET_ERRORS[code]) {
+    console.warn(`🚫 ${event} rejected for ${socket.data.user?.userId} (${socket.id}): ${code}`);
+    socket.emit('error', { code, message, event });
+}
+
+/**
+ * Check an event against the user and meeting bound to the socket at join-meeting
+ * A userId or meetingId in the payload must match the binding - the event is
+ * rejected otherwise, never applied to whoever the payload names.
+ * @param {Object} options - { permission } the sender's role must have, see utils/roles,
+ *   and { feature } the event uses that the host can lock, see moderationService
+ * @returns {Promise<Object|null>} - { meeting, participant, role }, or null after emitting 'error'
+ */
+async function authorize(socket, event, data, { permission, feature } = {}) {
+    const { user, meetingId } = socket.data;
+    const payload = data || {};
+
+    if (!meetingId) {
+        emitError(socket, 'NOT_IN_MEETING', event);
+        return null;
+    }
+    if (payload.meetingId !== undefined && payload.meetingId !== meetingId) {
+        emitError(socket, 'WRONG_MEETING', event);
+        return null;
+    }
+    if (payload.userId !== undefined && payload.userId !== user.userId) {
+        emitError(socket, 'IDENTITY_MISMATCH', event);
+        return null;
+    }
+
+    const meeting = await meetingStore.getMeeting(meetingId);
+    if (!meeting || !meeting.isActive) {
+        emitError(socket, 'MEETING_NOT_FOUND', event);
+        return null;
+    }
+
+    // Removed by the host (or left) since joining
+    const participant = meeting.getParticipant(user.userId);
+    if (!participant) {
+        emitError(socket, 'NOT_IN_MEETING', event);
+        return null;
+    }
+
+    const role = meeting.getRole(user.userId);
+    if (permission && !can(role, permission)) {
+        emitError(socket, MODERATOR_PERMISSIONS.includes(permission) ? 'NOT_HOST' : 'NOT_PERMITTED', event);
+        return null;
+    }
+    if (feature && moderationService.isFeatureLocked(meeting, user.userId, feature)) {
+        emitError(socket, 'FEATURE_LOCKED', event);
+        return null;
+    }
+
+    return { meeting, participant, role };
+}
+
+// Identity stamped on everything a participant sends to the room
+function sender(socket, participant) {
+    return {
+        meetingId: socket.data.meetingId,
+        userId: socket.data.user.userId,
+        username: participant.username
+    };
+}
+
+/**
+ * Bind a socket to a meeting it was let into and tell it and the room
+ */
+function enterMeeting(socket, meeting, username) {
+    const { meetingId } = meeting;
+    const { userId } = socket.data.user;
+
+    // One meeting per socket - later events are checked against this binding
+    if (socket.data.meetingId && socket.data.meetingId !== meetingId) {
+        socket.leave(socket.data.meetingId);
+    }
+    socket.data.meetingId = meetingId;
+
+    // Join socket room
+    socket.join(meetingId);
+    activeSockets.set(socket.id, { userId, username, meetingId });
+    rollingSummaryService.start(meetingId);
+
+    // Ensure participant exists (some flows add participant only via HTTP)
+    const existing = meeting.getParticipant(userId);
+    if (!existing) {
+        meeting.addParticipant(userId, username, socket.id);
+    } else {
+        // User is reconnecting - clean up old socket from activeSockets map
+        if (existing.socketId && existing.socketId !== socket.id) {
+            console.log(`♻️ User ${username} reconnected: old socket ${existing.socketId} -> new socket ${socket.id}`);
+            activeSockets.delete(existing.socketId);
+            
+            // Notify others to clean up old connection
+            socket.to(meetingId).emit('user-disconnected', {
+                userId,
+                username,
+                socketId: existing.socketId
+            });
+        }
+        // Update participant with new socket ID
+        meeting.updateParticipant(userId, { socketId: socket.id });
+    }
+
+    // Get all participants EXCEPT the one who just joined (they don't need to connect to themselves)
+    const participants = meeting.participants
+        .filter(p => p.socketId && p.socketId !== socket.id) // Exclude self, only include connected
+        .map(p => ({
+            socketId: p.socketId,
+            userId: p.userId,
+            username: p.username,
+            role: meeting.getRole(p.userId),
+            isAudioMuted: p.isAudioMuted,
+            isVideoOff: p.isVideoOff,
+            isHandRaised: p.isHandRaised,
+            isScreenSharing: p.isScreenSharing
+        }));
+
+    console.log(`✅ JOIN SUCCESS: ${username} in ${meetingId}, sending ${participants.length} existing participants`);
+
+    // Notify user who joined (with list of existing participants)
+    socket.emit('joined-meeting', {
+        success: true,
+        meetingId,
+        participants,
+        yourSocketId: socket.id,
+        role: meeting.getRole(userId),
+        hostUserId: meeting.host,
+        featureLocks: moderationService.getFeatureLocks(meeting),
+        chatHistory: meeting.getChatHistory(),
+        rollingSummary: meeting.rollingSummary
+    });
+
+    // Notify others that new user joined
+    socket.to(meetingId).emit('user-joined', {
+        userId,
+        username,
+        role: meeting.getRole(userId),
+        socketId: socket.id,
+        timestamp: new Date()
+    });
+
+    // Someone admitted from the waiting room (or let in after it was turned off)
+    socket.data.waitingMeetingId = null;
+    meetingAccessService.removeFromWaitingRoom(meeting, userId);
+
+    // The host is back in time - no co-host takes over
+    if (userId === meeting.host) cancelHostHandoff(meetingId);
+
+    if (can(meeting.getRole(userId), 'manageAccess')) {
+        socket.emit('access-updated', meetingAccessService.getState(meeting));
+    }
+}
+
+// Host and co-host sockets in a meeting - they get the waiting room and ban list
+function moderatorSocketIds(meeting) {
+    return meeting.participants
+        .filter(p => p.socketId && can(meeting.getRole(p.userId), 'manageAccess'))
+        .map(p => p.socketId);
+}
+
+function notifyModerators(io, meeting) {
+    const state = meetingAccessService.getState(meeting);
+    moderatorSocketIds(meeting).forEach(socketId => io.to(socketId).emit('access-updated', state));
+}
+
+/**
+ * Tell the room someone's role changed
+ * @param {string} reason - 'assigned' | 'transfer' | 'host-left' | 'host-disconnected'
+ * @param {Object|null} changedBy - { userId, username }, null when the server promoted someone
+ */
+function broadcastRoleChange(io, meeting, userId, previousRole, reason, changedBy = null) {
+    io.to(meeting.meetingId).emit('role-changed', {
+        userId,
+        username: meeting.getParticipant(userId)?.username || null,
+        role: meeting.getRole(userId),
+        previousRole,
+        hostUserId: meeting.host,
+        reason,
+        changedBy
+    });
+}
+
+/**
+ * Hand the host role to the longest-present connected co-host, if there is one
+ */
+function handOffHost(io, meeting, reason) {
+    cancelHostHandoff(meeting.meetingId);
+
+    const successor = roleService.pickSuccessor(meeting, p => !!p.socketId && io.sockets.sockets.has(p.socketId));
+    if (!successor) {
+        console.log(`👑 Host left ${meeting.meetingId} and there is no co-host to take over`);
+        return;
+    }
+
+    const previousHost = roleService.transferHost(meeting, successor);
+    broadcastRoleChange(io, meeting, successor.userId, 'cohost', reason);
+    broadcastRoleChange(io, meeting, previousHost, 'host', reason);
+    notifyModerators(io, meeting);
+}
+
+/**
+ * Promote a co-host if the host doesn't reconnect within the grace period
+ */
+function scheduleHostHandoff(io, meeting, socketId) {
+    const { meetingId } = meeting;
+    const hostUserId = meeting.host;
+    cancelHostHandoff(meetingId);
+
+    hostHandoffTimers.set(meetingId, setTimeout(() => {
+        hostHandoffTimers.delete(meetingId);
+        if (!meeting.isActive || meeting.host !== hostUserId) return;
+
+        // Reconnected on another socket in the meantime
+        const host = meeting.getParticipant(hostUserId);
+        if (host && host.socketId !== socketId && io.sockets.sockets.has(host.socketId)) return;
+
+        handOffHost(io, meeting, 'host-disconnected');
+    }, HOST_HANDOFF_GRACE_MS));
+}
+
+function cancelHostHandoff(meetingId) {
+    clearTimeout(hostHandoffTimers.get(meetingId));
+    hostHandoffTimers.delete(meetingId);
+}
+
+/**
+ * Let someone in from the waiting room and record them as a participant
+ */
+function admitFromWaitingRoom(io, meeting, entry) {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    if (!socket) return;
+
+    console.log(`✅ ${entry.username} admitted to ${meeting.meetingId}`);
+    enterMeeting(socket, meeting, entry.username);
+    meetingAccessService.recordParticipant(meeting.meetingId, entry.userId, entry.username).catch(error => {
+        console.error('❌ Error recording admitted participant:', error.message);
+    });
+}
+
 module.exports = (io) => {
+    rollingSummaryService.attach(io);
+    jobQueueService.attach(io);
+    captionTranslationService.attach(io);
+
     io.on('connection', (socket) => {
         console.log('🔌 New client connected:', socket.id);
 
         // --- Meeting Management ---
 
-        socket.on('join-meeting', async (data) => {
+        socket.on('join-meeting', async (data = {}) => {
             try {
-                const { meetingId, userId, username } = data;
+                // Identity comes from the authenticated handshake; username is the display name for this meeting
+                const { meetingId } = data;
+                const { userId } = socket.data.user;
+                const username = data.username || socket.data.user.username;
 
                 console.log('🚀 JOIN-MEETING:', username, 'joining', meetingId);
 
@@ -19,88 +303,89 @@ module.exports = (io) => {
                 const meeting = await meetingStore.getMeeting(meetingId);
 
                 if (!meeting || !meeting.isActive) {
-                    socket.emit('error', { message: 'Meeting not found' });
+                    emitError(socket, 'MEETING_NOT_FOUND', 'join-meeting');
                     return;
                 }
 
-                // Join socket room
-                socket.join(meetingId);
-                activeSockets.set(socket.id, { userId, username, meetingId });
-
-                // Ensure participant exists (some flows add participant only via HTTP)
-                const existing = meeting.getParticipant(userId);
-                if (!existing) {
-                    meeting.addParticipant(userId, username, socket.id);
-                } else {
-                    // User is reconnecting - clean up old socket from activeSockets map
-                    if (existing.socketId && existing.socketId !== socket.id) {
-                        console.log(`♻️ User ${username} reconnected: old socket ${existing.socketId} -> new socket ${socket.id}`);
-                        activeSockets.delete(existing.socketId);
-                        
-                        // Notify others to clean up old connection
-                        socket.to(meetingId).emit('user-disconnected', {
-                            userId,
-                            username,
-                            socketId: existing.socketId
-                        });
+                captionTranslationService.setCaptionLanguage(socket, data.captionLanguage);
+
+                // Passcode, lock, bans and the waiting room
+                let entry;
+                try {
+                    entry = await meetingAccessService.checkEntry(meeting, userId, { passcode: data.passcode });
+                } catch (error) {
+                    if (!error.code) {
+                        console.error('❌ Error checking meeting entry:', error);
+                        return emitError(socket, 'INTERNAL', 'join-meeting');
                     }
-                    // Update participant with new socket ID
-                    meeting.updateParticipant(userId, { socketId: socket.id });
+                    emitError(socket, error.code, 'join-meeting', error.message);
+                    return;
                 }
 
-                // Get all participants EXCEPT the one who just joined (they don't need to connect to themselves)
-                const participants = meeting.participants
-                    .filter(p => p.socketId && p.socketId !== socket.id) // Exclude self, only include connected
-                    .map(p => ({
-                        socketId: p.socketId,
-                        userId: p.userId,
-                        username: p.username,
-                        isAudioMuted: p.isAudioMuted,
-                        isVideoOff: p.isVideoOff,
-                        isHandRaised: p.isHandRaised,
-                        isScreenSharing: p.isScreenSharing
-                    }));
-
-                console.log(`✅ JOIN SUCCESS: ${username} in ${meetingId}, sending ${participants.length} existing participants`);
-
-                // Notify user who joined (with list of existing participants)
-                socket.emit('joined-meeting', {
-                    success: true,
-                    meetingId,
-                    participants,
-                    yourSocketId: socket.id,
-                    chatHistory: meeting.getChatHistory()
-                });
+                if (entry === 'waiting') {
+                    // Not bound to the meeting until the host admits them
+                    socket.data.waitingMeetingId = meetingId;
+                    meetingAccessService.addToWaitingRoom(meeting, { userId, username, socketId: socket.id });
+                    console.log(`⏳ ${username} is waiting to be admitted to ${meetingId}`);
 
-                // Notify others that new user joined
-                socket.to(meetingId).emit('user-joined', {
-                    userId,
-                    username,
-                    socketId: socket.id,
-                    timestamp: new Date()
-                });
+                    socket.emit('waiting-room', {
+                        meetingId,
+                        title: meeting.title,
+                        message: 'Waiting for the host to let you in'
+                    });
+                    notifyModerators(io, meeting);
+                    return;
+                }
+
+                enterMeeting(socket, meeting, username);
             } catch (error) {
                 console.error('❌ JOIN ERROR:', error);
-                socket.emit('error', { message: 'Failed to join meeting' });
+                emitError(socket, 'JOIN_FAILED', 'join-meeting');
             }
         });
 
+        // Gave up waiting (left or disconnected before the host let them in)
+        const leaveWaitingRoom = async () => {
+            const meetingId = socket.data.waitingMeetingId;
+            if (!meetingId) return;
+            socket.data.waitingMeetingId = null;
+
+            const meeting = await meetingStore.getMeeting(meetingId);
+            const entry = meeting?.waitingRoom.find(waiting => waiting.userId === socket.data.user.userId);
+            // A newer socket of the same user may be waiting instead
+            if (!entry || entry.socketId !== socket.id) return;
+
+            meetingAccessService.removeFromWaitingRoom(meeting, entry.userId);
+            notifyModerators(io, meeting);
+        };
+
         socket.on('leave-meeting', async (data) => {
-            const { meetingId, userId } = data;
+            await leaveWaitingRoom();
+
+            // Already removed by the host
+            if (!socket.data.meetingId) return;
+
+            const auth = await authorize(socket, 'leave-meeting', data);
+            if (!auth) return;
+
+            const { meetingId } = socket.data;
+            const { userId } = socket.data.user;
             console.log('👋 LEAVE-MEETING:', userId, 'leaving', meetingId);
 
-            const meeting = await meetingStore.getMeeting(meetingId);
-            if (meeting) {
-                meeting.removeParticipant(userId);
-                socket.to(meetingId).emit('user-left', { userId, socketId: socket.id });
-            }
+            auth.meeting.removeParticipant(userId);
+            socket.to(meetingId).emit('user-left', { userId, socketId: socket.id });
+
+            // Someone has to be able to moderate - a co-host takes over right away
+            if (auth.meeting.host === userId) handOffHost(io, auth.meeting, 'host-left');
 
             socket.leave(meetingId);
+            socket.data.meetingId = null;
             activeSockets.delete(socket.id);
         });
 
         socket.on('disconnect', async () => {
             console.log('❌ Socket disconnected:', socket.id);
+            await leaveWaitingRoom();
             const session = activeSockets.get(socket.id);
 
             if (session) {
@@ -116,6 +401,9 @@ module.exports = (io) => {
                         socketId: socket.id
                     });
 
+                    // Give the host a moment to reconnect before a co-host takes over
+                    if (meeting.host === userId) scheduleHostHandoff(io, meeting, socket.id);
+
                     // Note: We don't remove the participant immediately from the store
                     // to allow for quick reconnections. The frontend handles cleanup of the *connection*.
                     // If they don't return, they remain in the list until they explicitly "leave" or the meeting ends.
@@ -128,8 +416,15 @@ module.exports = (io) => {
 
         // --- WebRTC Signaling ---
 
+        // Signals only go to sockets in the sender's meeting
+        const isPeer = (targetSocketId) => {
+            const target = io.sockets.sockets.get(targetSocketId);
+            return !!socket.data.meetingId && target?.data.meetingId === socket.data.meetingId;
+        };
+
         socket.on('offer', (data) => {
             // data: { target: socketId, offer: SDP }
+            if (!isPeer(data.target)) return emitError(socket, 'WRONG_MEETING', 'offer');
             console.log(`Signal: OFFER from ${socket.id} to ${data.target}`);
             io.to(data.target).emit('offer', {
                 offer: data.offer,
@@ -139,6 +434,7 @@ module.exports = (io) => {
 
         socket.on('answer', (data) => {
             // data: { target: socketId, answer: SDP }
+            if (!isPeer(data.target)) return emitError(socket, 'WRONG_MEETING', 'answer');
             console.log(`Signal: ANSWER from ${socket.id} to ${data.target}`);
             io.to(data.target).emit('answer', {
                 answer: data.answer,
@@ -148,6 +444,7 @@ module.exports = (io) => {
 
         socket.on('ice-candidate', (data) => {
             // data: { target: socketId, candidate: ICE }
+            if (!isPeer(data.target)) return emitError(socket, 'WRONG_MEETING', 'ice-candidate');
             // console.log(`Signal: ICE from ${socket.id} to ${data.target}`);
             io.to(data.target).emit('ice-candidate', {
                 candidate: data.candidate,
@@ -159,34 +456,40 @@ module.exports = (io) => {
 
         socket.on('chat-message', async (data) => {
             // data: { meetingId, userId, username, message, timestamp }
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                const msg = { ...data, id: Date.now() + Math.random(), type: 'text' };
-                meeting.addMessage(msg);
-                io.to(data.meetingId).emit('chat-message', msg);
-            }
+            const auth = await authorize(socket, 'chat-message', data, { permission: 'chat', feature: 'chat' });
+            if (!auth) return;
+
+            const msg = { ...data, ...sender(socket, auth.participant), id: Date.now() + Math.random(), type: 'text' };
+            auth.meeting.addMessage(msg);
+            io.to(msg.meetingId).emit('chat-message', msg);
+            rollingSummaryService.recordEntry(msg.meetingId);
         });
 
-        socket.on('typing', (data) => {
-            socket.to(data.meetingId).emit('user-typing', data);
+        socket.on('typing', async (data) => {
+            const auth = await authorize(socket, 'typing', data);
+            if (!auth) return;
+            socket.to(socket.data.meetingId).emit('user-typing', { ...data, ...sender(socket, auth.participant) });
         });
 
-        socket.on('stop-typing', (data) => {
-            socket.to(data.meetingId).emit('user-typing', { ...data, isTyping: false });
+        socket.on('stop-typing', async (data) => {
+            const auth = await authorize(socket, 'stop-typing', data);
+            if (!auth) return;
+            socket.to(socket.data.meetingId).emit('user-typing', { ...data, ...sender(socket, auth.participant), isTyping: false });
         });
 
         socket.on('file-share', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                const fileMsg = { ...data, id: Date.now() + Math.random(), type: 'file' };
-                meeting.addMessage(fileMsg);
-                io.to(data.meetingId).emit('file-shared', fileMsg);
-            }
+            const auth = await authorize(socket, 'file-share', data, { permission: 'chat', feature: 'fileShare' });
+            if (!auth) return;
+
+            const fileMsg = { ...data, ...sender(socket, auth.participant), id: Date.now() + Math.random(), type: 'file' };
+            auth.meeting.addMessage(fileMsg);
+            io.to(fileMsg.meetingId).emit('file-shared', fileMsg);
         });
 
         socket.on('create-poll', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
+            const auth = await authorize(socket, 'create-poll', data, { permission: 'createPoll' });
+            if (auth) {
+                const { meeting } = auth;
                 // Format options as objects with votes array for consistency
                 const formattedOptions = data.options.map(opt => {
                     if (typeof opt === 'string') {
@@ -197,120 +500,188 @@ module.exports = (io) => {
                 
                 const pollMsg = { 
                     ...data, 
+                    ...sender(socket, auth.participant),
                     options: formattedOptions,
                     type: 'poll' 
                 };
                 meeting.addMessage(pollMsg);
-                io.to(data.meetingId).emit('poll-created', pollMsg);
+                io.to(pollMsg.meetingId).emit('poll-created', pollMsg);
                 console.log('📊 Poll created:', data.question, 'with', formattedOptions.length, 'options');
             }
         });
 
         socket.on('vote-poll', async (data) => {
             // data: { meetingId, pollId, userId, username, optionIndex }
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                // Update the poll in chat history
-                const chatHistory = meeting.getChatHistory();
-                const pollIndex = chatHistory.findIndex(msg => msg.id === data.pollId && msg.type === 'poll');
+            const auth = await authorize(socket, 'vote-poll', data);
+            if (!auth) return;
+
+            const vote = { ...data, ...sender(socket, auth.participant) };
+
+            // Update the poll in chat history
+            const chatHistory = auth.meeting.getChatHistory();
+            const pollIndex = chatHistory.findIndex(msg => msg.id === vote.pollId && msg.type === 'poll');
+            
+            if (pollIndex !== -1) {
+                const poll = chatHistory[pollIndex];
                 
-                if (pollIndex !== -1) {
-                    const poll = chatHistory[pollIndex];
-                    
-                    // Remove user's vote from all options, then add to selected
-                    poll.options = poll.options.map((opt, idx) => {
-                        const votes = (opt.votes || []).filter(v => v !== data.userId);
-                        if (idx === data.optionIndex) {
-                            votes.push(data.userId);
-                        }
-                        return { ...opt, votes, count: votes.length };
-                    });
-                    
-                    console.log('🗳️ Vote recorded for poll:', data.pollId, 'option:', data.optionIndex);
-                }
+                // Remove user's vote from all options, then add to selected
+                poll.options = poll.options.map((opt, idx) => {
+                    const votes = (opt.votes || []).filter(v => v !== vote.userId);
+                    if (idx === vote.optionIndex) {
+                        votes.push(vote.userId);
+                    }
+                    return { ...opt, votes, count: votes.length };
+                });
+                
+                console.log('🗳️ Vote recorded for poll:', vote.pollId, 'option:', vote.optionIndex);
             }
             
-            io.to(data.meetingId).emit('poll-voted', data);
+            io.to(vote.meetingId).emit('poll-voted', vote);
         });
 
         socket.on('get-chat-history', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                socket.emit('chat-history', { history: meeting.getChatHistory() });
+            const auth = await authorize(socket, 'get-chat-history', data);
+            if (auth) {
+                socket.emit('chat-history', { history: auth.meeting.getChatHistory() });
+            }
+        });
+
+        // --- Background AI Jobs ---
+
+        socket.on('watch-job', async (data) => {
+            // data: { jobId } - job-progress / job-completed follow
+            if (typeof data?.jobId !== 'string' || !data.jobId) return emitError(socket, 'INVALID_JOB', 'watch-job');
+
+            try {
+                const job = await jobQueueService.get(data.jobId);
+                // Jobs started by another user look the same as missing ones, like GET /api/jobs/:jobId
+                if (!job || (job.userId && job.userId !== socket.data.user.userId)) {
+                    return emitError(socket, 'JOB_NOT_FOUND', 'watch-job');
+                }
+
+                socket.join(jobQueueService.room(job.jobId));
+
+                // Finished before the client started watching
+                if (jobQueueService.isFinished(job)) {
+                    socket.emit('job-completed', jobQueueService.toJSON(job));
+                }
+            } catch (error) {
+                console.error('❌ Error watching job:', error);
+                emitError(socket, 'WATCH_FAILED', 'watch-job');
             }
         });
 
         // --- Speech Transcript ---
         
         socket.on('transcript', async (data) => {
-            // data: { meetingId, userId, username, text, isFinal }
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting && data.text && data.text.trim()) {
-                meeting.addTranscript(data.userId, data.username, data.text, data.isFinal);
-                // Broadcast to other participants for live captions
-                socket.to(data.meetingId).emit('transcript-update', {
-                    userId: data.userId,
-                    username: data.username,
-                    text: data.text,
-                    isFinal: data.isFinal,
-                    timestamp: new Date().toISOString()
-                });
+            // data: { meetingId, userId, username, text, isFinal, language }
+            const auth = await authorize(socket, 'transcript', data);
+            if (auth && data.text && data.text.trim()) {
+                const { meetingId, userId, username } = sender(socket, auth.participant);
+                // Clients before per-participant languages always recognized en-US
+                const language = normalizeLanguage(data.language) || DEFAULT_LANGUAGE;
+                const entry = auth.meeting.addTranscript(userId, username, data.text, data.isFinal, language);
+                rollingSummaryService.recordEntry(meetingId);
+
+                // Live captions for other participants, translated to their caption language
+                try {
+                    await captionTranslationService.deliver(socket, meetingId, {
+                        entryId: entry.entryId,
+                        userId,
+                        username,
+                        text: entry.text,
+                        isFinal: data.isFinal,
+                        language,
+                        timestamp: entry.timestamp
+                    });
+                } catch (error) {
+                    console.error('❌ Error delivering captions:', error.message);
+                }
+            }
+        });
+
+        // Choose the language this participant's captions are translated to (null = as spoken)
+        socket.on('set-caption-language', async (data) => {
+            // data: { meetingId, language } - language null = as spoken
+            if (!data || typeof data !== 'object') return;
+
+            const auth = await authorize(socket, 'set-caption-language', data);
+            if (!auth) return;
+
+            if (data.language !== null && !normalizeLanguage(data.language)) {
+                return emitError(socket, 'UNSUPPORTED_LANGUAGE', 'set-caption-language');
             }
+            captionTranslationService.setCaptionLanguage(socket, data.language);
         });
 
         // Handle transcription status updates (when user starts/stops transcribing)
-        socket.on('transcription-status', (data) => {
+        socket.on('transcription-status', async (data) => {
             // data: { meetingId, userId, username, isTranscribing }
-            socket.to(data.meetingId).emit('transcription-status-update', {
-                userId: data.userId,
-                username: data.username,
+            const auth = await authorize(socket, 'transcription-status', data);
+            if (!auth) return;
+
+            const { meetingId, userId, username } = sender(socket, auth.participant);
+            socket.to(meetingId).emit('transcription-status-update', {
+                userId,
+                username,
                 isTranscribing: data.isTranscribing
             });
-            console.log(`🎤 ${data.username} ${data.isTranscribing ? 'started' : 'stopped'} transcription`);
+            console.log(`🎤 ${username} ${data.isTranscribing ? 'started' : 'stopped'} transcription`);
         });
 
         // Handle request for all users to enable transcription (for captions)
-        socket.on('request-transcription', (data) => {
+        socket.on('request-transcription', async (data) => {
             // data: { meetingId, requestedBy }
+            const auth = await authorize(socket, 'request-transcription', data);
+            if (!auth) return;
+
+            const { meetingId, username } = sender(socket, auth.participant);
             // Broadcast to ALL users in the meeting (including sender for confirmation)
-            io.to(data.meetingId).emit('transcription-requested', {
-                requestedBy: data.requestedBy,
+            io.to(meetingId).emit('transcription-requested', {
+                requestedBy: username,
                 timestamp: new Date().toISOString()
             });
-            console.log(`📢 ${data.requestedBy} requested transcription for all in meeting ${data.meetingId}`);
+            console.log(`📢 ${username} requested transcription for all in meeting ${meetingId}`);
         });
 
         // --- User State Updates ---
 
         socket.on('toggle-audio', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                meeting.updateParticipant(data.userId, { isAudioMuted: data.isAudioMuted });
-                socket.to(data.meetingId).emit('audio-toggled', data);
+            // Muting is always allowed, unmuting can be locked by the host
+            const auth = await authorize(socket, 'toggle-audio', data, { feature: data?.isAudioMuted === false ? 'unmute' : undefined });
+            if (auth) {
+                const update = { ...data, ...sender(socket, auth.participant) };
+                auth.meeting.updateParticipant(update.userId, { isAudioMuted: update.isAudioMuted });
+                socket.to(update.meetingId).emit('audio-toggled', update);
             }
         });
 
         socket.on('toggle-video', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                meeting.updateParticipant(data.userId, { isVideoOff: data.isVideoOff });
-                socket.to(data.meetingId).emit('video-toggled', data);
+            const auth = await authorize(socket, 'toggle-video', data, { feature: data?.isVideoOff === false ? 'video' : undefined });
+            if (auth) {
+                const update = { ...data, ...sender(socket, auth.participant) };
+                auth.meeting.updateParticipant(update.userId, { isVideoOff: update.isVideoOff });
+                socket.to(update.meetingId).emit('video-toggled', update);
             }
         });
 
         socket.on('raise-hand', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                meeting.updateParticipant(data.userId, { isHandRaised: data.isHandRaised });
-                socket.to(data.meetingId).emit('hand-raised', data);
+            const auth = await authorize(socket, 'raise-hand', data);
+            if (auth) {
+                const update = { ...data, ...sender(socket, auth.participant) };
+                auth.meeting.updateParticipant(update.userId, { isHandRaised: update.isHandRaised });
+                socket.to(update.meetingId).emit('hand-raised', update);
             }
         });
 
         socket.on('screen-share', async (data) => {
-            const meeting = await meetingStore.getMeeting(data.meetingId);
-            if (meeting) {
-                meeting.updateParticipant(data.userId, { isScreenSharing: data.isScreenSharing });
-                socket.to(data.meetingId).emit('screen-share-update', data);
+            // Stopping a share is always allowed
+            const sharing = data?.isScreenSharing ? { permission: 'screenShare', feature: 'screenShare' } : {};
+            const auth = await authorize(socket, 'screen-share', data, sharing);
+            if (auth) {
+                const update = { ...data, ...sender(socket, auth.participant) };
+                auth.meeting.updateParticipant(update.userId, { isScreenSharing: update.isScreenSharing });
+                socket.to(update.meetingId).emit('screen-share-update', update);
             }
         });
 
@@ -318,84 +689,299 @@ module.exports = (io) => {
 
         // Host mutes a participant
         socket.on('host-mute-participant', async (data) => {
-            const { meetingId, hostUserId, targetUserId, targetSocketId } = data;
-            console.log(`🔇 Host mute request:`, { meetingId, hostUserId, targetUserId, targetSocketId });
-            
-            const meeting = await meetingStore.getMeeting(meetingId);
-            
-            if (!meeting) {
-                console.log('❌ Meeting not found:', meetingId);
-                return;
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'host-mute-participant', data, { permission: 'mute' });
+            if (!auth) return;
+
+            const { meetingId } = socket.data;
+            // The target's socket comes from the meeting, not the payload
+            const target = auth.meeting.getParticipant(data.targetUserId);
+            if (!target) return emitError(socket, 'TARGET_NOT_FOUND', 'host-mute-participant');
+            // Co-hosts can't mute the host or each other
+            if (!outranks(auth.role, auth.meeting.getRole(target.userId))) {
+                return emitError(socket, 'NOT_PERMITTED', 'host-mute-participant');
             }
+
+            console.log(`✅ Host ${socket.data.user.userId} muting participant ${target.userId}`);
+            auth.meeting.updateParticipant(target.userId, { isAudioMuted: true });
             
-            console.log(`🔍 Meeting host check: meeting.host=${meeting.host}, hostUserId=${hostUserId}, match=${meeting.host === hostUserId}`);
-            
-            if (meeting.host === hostUserId) {
-                console.log(`✅ Host ${hostUserId} muting participant ${targetUserId}`);
-                meeting.updateParticipant(targetUserId, { isAudioMuted: true });
-                
-                // Notify the target user to mute themselves
-                io.to(targetSocketId).emit('force-mute', {
+            // Notify the target user to mute themselves
+            if (target.socketId) {
+                io.to(target.socketId).emit('force-mute', {
                     mutedBy: 'host',
                     message: 'You have been muted by the host'
                 });
-                
-                // Notify all participants about the mute (including the host)
+            }
+            
+            // Notify all participants about the mute (including the host)
+            io.to(meetingId).emit('audio-toggled', {
+                userId: target.userId,
+                isAudioMuted: true
+            });
+            
+            console.log(`✅ Force mute sent to socket: ${target.socketId}`);
+        });
+
+        // Host or co-host mutes everyone except the host and co-hosts
+        socket.on('host-mute-all', async (data) => {
+            // data: { meetingId }
+            const auth = await authorize(socket, 'host-mute-all', data, { permission: 'mute' });
+            if (!auth) return;
+
+            const { meetingId } = socket.data;
+            const muted = moderationService.muteAll(auth.meeting);
+            console.log(`🔇 ${socket.data.user.userId} muted ${muted.length} participant(s) in ${meetingId}`);
+
+            muted.forEach(target => {
+                if (target.socketId) {
+                    io.to(target.socketId).emit('force-mute', {
+                        mutedBy: 'host',
+                        message: 'The host muted everyone'
+                    });
+                }
                 io.to(meetingId).emit('audio-toggled', {
-                    userId: targetUserId,
+                    userId: target.userId,
                     isAudioMuted: true
                 });
-                
-                console.log(`✅ Force mute sent to socket: ${targetSocketId}`);
-            } else {
-                console.log(`❌ Not authorized: ${hostUserId} is not the host`);
+            });
+
+            io.to(meetingId).emit('all-muted', {
+                username: auth.participant.username,
+                mutedUserIds: muted.map(target => target.userId)
+            });
+        });
+
+        // Host or co-host asks a muted participant to unmute - they have to accept
+        socket.on('request-unmute', async (data) => {
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'request-unmute', data, { permission: 'mute' });
+            if (!auth) return;
+
+            const target = auth.meeting.getParticipant(data.targetUserId);
+            if (!target) return emitError(socket, 'TARGET_NOT_FOUND', 'request-unmute');
+            if (!outranks(auth.role, auth.meeting.getRole(target.userId))) {
+                return emitError(socket, 'NOT_PERMITTED', 'request-unmute');
+            }
+            if (!target.isAudioMuted) return emitError(socket, 'NOT_MUTED', 'request-unmute');
+
+            moderationService.requestUnmute(auth.meeting, target.userId);
+            if (target.socketId) {
+                io.to(target.socketId).emit('unmute-requested', {
+                    requestedBy: { userId: socket.data.user.userId, username: auth.participant.username }
+                });
             }
         });
 
+        // The participant's answer to request-unmute
+        socket.on('respond-unmute', async (data) => {
+            // data: { meetingId, accepted }
+            const auth = await authorize(socket, 'respond-unmute', data);
+            if (!auth) return;
+
+            const { meetingId, user } = socket.data;
+            const accepted = !!data.accepted;
+            if (!moderationService.answerUnmuteRequest(auth.meeting, user.userId, accepted)) {
+                return emitError(socket, 'NO_UNMUTE_REQUEST', 'respond-unmute');
+            }
+
+            if (accepted) {
+                socket.to(meetingId).emit('audio-toggled', {
+                    userId: user.userId,
+                    isAudioMuted: false
+                });
+            }
+            const answer = { userId: user.userId, username: auth.participant.username, accepted };
+            moderatorSocketIds(auth.meeting).forEach(socketId => io.to(socketId).emit('unmute-request-answered', answer));
+        });
+
+        // Host or co-host turns features off (or back on) for participants
+        socket.on('set-feature-locks', async (data) => {
+            // data: { meetingId, locks: { unmute, video, screenShare, chat, fileShare } }
+            const auth = await authorize(socket, 'set-feature-locks', data, { permission: 'manageLocks' });
+            if (!auth) return;
+
+            const featureLocks = moderationService.setFeatureLocks(auth.meeting, data.locks);
+            console.log(`🔒 Feature locks in ${auth.meeting.meetingId}: ${JSON.stringify(featureLocks)}`);
+            io.to(auth.meeting.meetingId).emit('feature-locks-updated', {
+                featureLocks,
+                changedBy: { userId: socket.data.user.userId, username: auth.participant.username }
+            });
+        });
+
         // Host removes a participant from the meeting
         socket.on('host-kick-participant', async (data) => {
-            const { meetingId, hostUserId, targetUserId, targetSocketId, targetUsername } = data;
-            console.log(`🚫 Host kick request:`, { meetingId, hostUserId, targetUserId, targetSocketId });
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'host-kick-participant', data, { permission: 'kick' });
+            if (!auth) return;
+
+            const { meetingId } = socket.data;
+            const target = auth.meeting.getParticipant(data.targetUserId);
+            if (!target) return emitError(socket, 'TARGET_NOT_FOUND', 'host-kick-participant');
+            if (!outranks(auth.role, auth.meeting.getRole(target.userId))) {
+                return emitError(socket, 'NOT_PERMITTED', 'host-kick-participant');
+            }
+
+            console.log(`✅ Host ${socket.data.user.userId} removing participant ${target.userId} from meeting`);
             
-            const meeting = await meetingStore.getMeeting(meetingId);
+            // Notify the target user they are being removed
+            if (target.socketId) {
+                io.to(target.socketId).emit('kicked-from-meeting', {
+                    kickedBy: 'host',
+                    message: 'You have been removed from the meeting by the host'
+                });
+            }
             
-            if (!meeting) {
-                console.log('❌ Meeting not found:', meetingId);
-                return;
+            // Force the target socket out of the room and unbind it from the meeting
+            const targetSocket = io.sockets.sockets.get(target.socketId);
+            if (targetSocket) {
+                targetSocket.leave(meetingId);
+                targetSocket.data.meetingId = null;
+                activeSockets.delete(targetSocket.id);
+                console.log(`✅ Forced socket ${target.socketId} to leave room ${meetingId}`);
             }
             
-            console.log(`🔍 Meeting host check: meeting.host=${meeting.host}, hostUserId=${hostUserId}, match=${meeting.host === hostUserId}`);
+            // Remove participant from meeting and keep them from rejoining
+            auth.meeting.removeParticipant(target.userId);
+            meetingAccessService.ban(auth.meeting, target, socket.data.user.userId);
+            roleService.clearRole(auth.meeting, target.userId);
+            notifyModerators(io, auth.meeting);
             
-            if (meeting.host === hostUserId) {
-                console.log(`✅ Host ${hostUserId} removing participant ${targetUserId} from meeting`);
-                
-                // Notify the target user they are being removed
-                io.to(targetSocketId).emit('kicked-from-meeting', {
-                    kickedBy: 'host',
-                    message: 'You have been removed from the meeting by the host'
+            // Notify all other participants
+            io.to(meetingId).emit('user-kicked', {
+                userId: target.userId,
+                username: target.username,
+                socketId: target.socketId
+            });
+            
+            console.log(`✅ Kick notification sent`);
+        });
+
+        // --- Host: Admission ---
+
+        // Host lets someone in from the waiting room
+        socket.on('admit-participant', async (data) => {
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'admit-participant', data, { permission: 'manageAccess' });
+            if (!auth) return;
+
+            const entry = meetingAccessService.admit(auth.meeting, data.targetUserId);
+            if (!entry) return emitError(socket, 'NOT_WAITING', 'admit-participant');
+
+            admitFromWaitingRoom(io, auth.meeting, entry);
+            notifyModerators(io, auth.meeting);
+        });
+
+        // Host turns someone in the waiting room away
+        socket.on('deny-participant', async (data) => {
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'deny-participant', data, { permission: 'manageAccess' });
+            if (!auth) return;
+
+            const entry = meetingAccessService.removeFromWaitingRoom(auth.meeting, data.targetUserId);
+            if (!entry) return emitError(socket, 'NOT_WAITING', 'deny-participant');
+
+            console.log(`🚪 Host ${socket.data.user.userId} denied ${entry.userId} entry to ${auth.meeting.meetingId}`);
+            const targetSocket = io.sockets.sockets.get(entry.socketId);
+            if (targetSocket) {
+                targetSocket.data.waitingMeetingId = null;
+                targetSocket.emit('admission-denied', {
+                    meetingId: auth.meeting.meetingId,
+                    message: 'The host did not let you into the meeting'
                 });
-                
-                // Force disconnect the target socket from the room
-                const targetSocket = io.sockets.sockets.get(targetSocketId);
-                if (targetSocket) {
-                    targetSocket.leave(meetingId);
-                    console.log(`✅ Forced socket ${targetSocketId} to leave room ${meetingId}`);
+            }
+            notifyModerators(io, auth.meeting);
+        });
+
+        // Host stops (or allows again) new joins
+        socket.on('lock-meeting', async (data) => {
+            // data: { meetingId, isLocked }
+            const auth = await authorize(socket, 'lock-meeting', data, { permission: 'manageAccess' });
+            if (!auth) return;
+
+            meetingAccessService.setLocked(auth.meeting, data.isLocked);
+            console.log(`🔒 Meeting ${auth.meeting.meetingId} ${auth.meeting.isLocked ? 'locked' : 'unlocked'}`);
+
+            io.to(auth.meeting.meetingId).emit('meeting-locked', {
+                isLocked: auth.meeting.isLocked,
+                username: auth.participant.username
+            });
+            notifyModerators(io, auth.meeting);
+        });
+
+        // Host turns the waiting room on or off - off lets everyone waiting in
+        socket.on('set-waiting-room', async (data) => {
+            // data: { meetingId, enabled }
+            const auth = await authorize(socket, 'set-waiting-room', data, { permission: 'manageAccess' });
+            if (!auth) return;
+
+            const admitted = meetingAccessService.setWaitingRoom(auth.meeting, data.enabled);
+            admitted.forEach(entry => admitFromWaitingRoom(io, auth.meeting, entry));
+            notifyModerators(io, auth.meeting);
+        });
+
+        // Host lets a removed participant join again
+        socket.on('unban-participant', async (data) => {
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'unban-participant', data, { permission: 'manageAccess' });
+            if (!auth) return;
+
+            if (!meetingAccessService.unban(auth.meeting, data.targetUserId)) {
+                return emitError(socket, 'NOT_BANNED', 'unban-participant');
+            }
+            notifyModerators(io, auth.meeting);
+        });
+
+        // --- Host: Roles ---
+
+        // Host or co-host gives a participant another role
+        socket.on('set-role', async (data) => {
+            // data: { meetingId, targetUserId, role }
+            const auth = await authorize(socket, 'set-role', data, { permission: 'assignRoles' });
+            if (!auth) return;
+
+            const target = auth.meeting.getParticipant(data.targetUserId);
+            if (!target) return emitError(socket, 'TARGET_NOT_FOUND', 'set-role');
+
+            let change;
+            try {
+                change = roleService.assignRole(auth.meeting, socket.data.user.userId, target.userId, data.role);
+            } catch (error) {
+                // Socket.io doesn't await listeners - a rethrow would be an unhandled rejection
+                if (!error.code) {
+                    console.error('❌ Error assigning role:', error);
+                    return emitError(socket, 'INTERNAL', 'set-role');
                 }
-                
-                // Remove participant from meeting
-                meeting.removeParticipant(targetUserId);
-                
-                // Notify all other participants
-                io.to(meetingId).emit('user-kicked', {
-                    userId: targetUserId,
-                    username: targetUsername,
-                    socketId: targetSocketId
-                });
-                
-                console.log(`✅ Kick notification sent`);
-            } else {
-                console.log(`❌ Not authorized: ${hostUserId} is not the host`);
+                return emitError(socket, error.code, 'set-role', error.message);
             }
+
+            console.log(`🎭 ${target.userId} is now ${change.role} in ${auth.meeting.meetingId} (was ${change.previousRole})`);
+            broadcastRoleChange(io, auth.meeting, target.userId, change.previousRole, 'assigned', {
+                userId: socket.data.user.userId,
+                username: auth.participant.username
+            });
+            // A new co-host gets the waiting room and ban list
+            notifyModerators(io, auth.meeting);
+        });
+
+        // Host hands the host role to another participant and stays on as co-host
+        socket.on('transfer-host', async (data) => {
+            // data: { meetingId, targetUserId }
+            const auth = await authorize(socket, 'transfer-host', data, { permission: 'transferHost' });
+            if (!auth) return;
+
+            const target = auth.meeting.getParticipant(data.targetUserId);
+            if (!target || target.userId === socket.data.user.userId) {
+                return emitError(socket, 'TARGET_NOT_FOUND', 'transfer-host');
+            }
+
+            const previousRole = auth.meeting.getRole(target.userId);
+            const changedBy = { userId: socket.data.user.userId, username: auth.participant.username };
+            cancelHostHandoff(auth.meeting.meetingId);
+            roleService.transferHost(auth.meeting, target);
+
+            broadcastRoleChange(io, auth.meeting, target.userId, previousRole, 'transfer', changedBy);
+            broadcastRoleChange(io, auth.meeting, socket.data.user.userId, 'host', 'transfer', changedBy);
+            notifyModerators(io, auth.meeting);
         });
     });
 };
@@ -0,0 +1,150 @@
+/**
+ * Meeting route access test - only the host and participants of a meeting can
+ * read or export what happened in it, or ask the AI about it
+ *
+ * Mounts the real REST routes on a random local port against the in-memory
+ * meeting store (no MongoDB or AI key needed):
+ *   node test-meeting-routes.js
+ */
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+const registerRoutes = require('./routes');
+const authService = require('./services/authService');
+const meetingStore = require('./utils/meetingStore');
+const meetingAccessService = require('./services/meetingAccessService');
+
+const USERS = {
+    host: { userId: 'user_host', username: 'Hana Host', email: 'host@example.com' },
+    alice: { userId: 'user_alice', username: 'Alice', email: 'alice@example.com' },
+    mallory: { userId: 'user_mallory', username: 'Mallory', email: 'mallory@example.com' },
+    eve: { userId: 'user_eve', username: 'Eve', email: 'eve@example.com' }
+};
+const MEETING = 'ROUTETST';
+
+let url;
+
+async function request(method, path, user, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) headers.Authorization = `Bearer ${authService.signToken(user)}`;
+
+    const response = await fetch(`${url}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    const text = await response.text();
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        data = text;
+    }
+    return { status: response.status, data };
+}
+
+async function expectForbidden(method, path, body, user = USERS.eve) {
+    const { status, data } = await request(method, path, user, body);
+    assert.strictEqual(status, 403, `${method} ${path}: expected 403, got ${status} ${JSON.stringify(data)}`);
+    assert.strictEqual(data.code, 'FORBIDDEN');
+}
+
+async function testMeetingRoutes() {
+    console.log('--- Meeting Route Access Test ---');
+
+    const app = express();
+    app.use(express.json());
+    registerRoutes(app);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    const meeting = meetingStore.createMeeting(MEETING, USERS.host.userId, USERS.host.username, 'Route test');
+    meeting.addParticipant(USERS.host.userId, USERS.host.username, null);
+    meeting.addParticipant(USERS.alice.userId, USERS.alice.username, null);
+    meeting.addParticipant(USERS.mallory.userId, USERS.mallory.username, null);
+
+    const tests = [
+        ['requests without a token are refused', async () => {
+            const { status } = await request('GET', `/api/meetings/${MEETING}/transcript`);
+            assert.strictEqual(status, 401);
+        }],
+
+        ['the host and participants can read the transcript', async () => {
+            for (const user of [USERS.host, USERS.alice]) {
+                const { status, data } = await request('GET', `/api/meetings/${MEETING}/transcript`, user);
+                assert.strictEqual(status, 200, JSON.stringify(data));
+                assert.strictEqual(data.meetingId, MEETING);
+            }
+        }],
+
+        ['someone who left the meeting can still read it', async () => {
+            meeting.removeParticipant(USERS.alice.userId);
+            const { status } = await request('GET', `/api/meetings/${MEETING}/transcript`, USERS.alice);
+            assert.strictEqual(status, 200);
+        }],
+
+        ['another signed-in user cannot read or export the meeting', async () => {
+            await expectForbidden('GET', `/api/meetings/${MEETING}/transcript`);
+            await expectForbidden('GET', `/api/meetings/${MEETING}/transcript/tr_1/edits`);
+            await expectForbidden('PATCH', `/api/meetings/${MEETING}/transcript/tr_1`, { text: 'rewritten' });
+            await expectForbidden('GET', `/api/meetings/${MEETING}/export/txt`);
+            await expectForbidden('GET', `/api/meetings/${MEETING}/analytics`);
+            await expectForbidden('GET', `/api/meetings/${MEETING}/minutes`);
+        }],
+
+        ['another signed-in user cannot use the meeting\'s AI routes', async () => {
+            await expectForbidden('POST', '/api/summary/generate', { meetingId: MEETING });
+            await expectForbidden('POST', '/api/summary/generate/stream', { meetingId: MEETING });
+            await expectForbidden('POST', '/api/summary/chat', { meetingId: MEETING, message: 'What was decided?' });
+            await expectForbidden('GET', `/api/summary/chat/threads?meetingId=${MEETING}`);
+            await expectForbidden('POST', '/api/summary/translate-transcript', { meetingId: MEETING, targetLanguage: 'es' });
+            await expectForbidden('GET', `/api/summary/meeting-data/${MEETING}`);
+            await expectForbidden('GET', `/api/summary/chapters/${MEETING}`);
+        }],
+
+        ['a participant the host removed and banned loses access', async () => {
+            const { status } = await request('GET', `/api/meetings/${MEETING}/transcript`, USERS.mallory);
+            assert.strictEqual(status, 200);
+
+            meeting.removeParticipant(USERS.mallory.userId);
+            meetingAccessService.ban(meeting, USERS.mallory, USERS.host.userId);
+
+            await expectForbidden('GET', `/api/meetings/${MEETING}/transcript`, undefined, USERS.mallory);
+            await expectForbidden('GET', `/api/meetings/${MEETING}/export/txt`, undefined, USERS.mallory);
+            await expectForbidden('GET', `/api/meetings/${MEETING}/minutes`, undefined, USERS.mallory);
+            await expectForbidden('GET', `/api/meetings/${MEETING}/analytics`, undefined, USERS.mallory);
+            await expectForbidden('POST', '/api/summary/generate/stream', { meetingId: MEETING }, USERS.mallory);
+            await expectForbidden('POST', '/api/summary/chat', { meetingId: MEETING, message: 'What was decided?' }, USERS.mallory);
+        }],
+
+        ['a history question that isn\'t text is refused with a 400', async () => {
+            for (const question of [42, { text: 'What was decided?' }]) {
+                const { status, data } = await request('POST', `/api/history/${USERS.host.userId}/ask`, USERS.host, { question });
+                assert.strictEqual(status, 400, JSON.stringify(data));
+            }
+        }],
+
+        ['another signed-in user can still look up the meeting to join it', async () => {
+            const { status, data } = await request('GET', `/api/meetings/${MEETING}`, USERS.eve);
+            assert.strictEqual(status, 200, JSON.stringify(data));
+        }]
+    ];
+
+    let failed = 0;
+    for (const [name, run] of tests) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+
+    server.close();
+    process.exit(failed ? 1 : 0);
+}
+
+testMeetingRoutes().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,508 @@
+/**
+ * Socket authorization test - spoofed identities and rooms must be rejected,
+ * only people the meeting's entry rules let in can join, and roles and the
+ * host's feature locks limit what each participant may do
+ *
+ * Runs the real socket handler on a random local port against the in-memory
+ * meeting store (no MongoDB or AI key needed):
+ *   node test-socket-auth.js
+ */
+// Promote a co-host quickly when the host drops
+process.env.HOST_HANDOFF_GRACE_MS = '200';
+
+const http = require('http');
+const assert = require('assert');
+const socketIo = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const socketHandler = require('./socket/socketHandler');
+const { authenticateSocket } = require('./middleware/auth');
+const authService = require('./services/authService');
+const meetingStore = require('./utils/meetingStore');
+const meetingAccessService = require('./services/meetingAccessService');
+const jobQueueService = require('./services/jobQueueService');
+const roleService = require('./services/roleService');
+
+const USERS = {
+    host: { userId: 'user_host', username: 'Hana Host', email: 'host@example.com' },
+    alice: { userId: 'user_alice', username: 'Alice', email: 'alice@example.com' },
+    mallory: { userId: 'user_mallory', username: 'Mallory', email: 'mallory@example.com' },
+    bob: { userId: 'user_bob', username: 'Bob', email: 'bob@example.com' },
+    carol: { userId: 'user_carol', username: 'Carol', email: 'carol@example.com' },
+    dave: { userId: 'user_dave', username: 'Dave', email: 'dave@example.com' }
+};
+const MEETING = 'AUTHTEST';
+const OTHER_MEETING = 'OTHERMTG';
+const PASSCODE_MEETING = 'PASSMTG';
+
+let url;
+const sockets = [];
+
+function client(user, token = authService.signToken(user)) {
+    const socket = connect(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+    return socket;
+}
+
+// Resolves with the next payload of an event, rejects after a timeout
+function next(socket, event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`no '${event}' within ${timeoutMs}ms`)), timeoutMs);
+        socket.once(event, (payload) => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+// Resolves if an event does NOT arrive within the wait
+function silence(socket, event, waitMs = 300) {
+    return new Promise((resolve, reject) => {
+        const handler = (payload) => reject(new Error(`unexpected '${event}': ${JSON.stringify(payload)}`));
+        socket.once(event, handler);
+        setTimeout(() => {
+            socket.off(event, handler);
+            resolve();
+        }, waitMs);
+    });
+}
+
+async function join(socket, meetingId, username) {
+    const joined = next(socket, 'joined-meeting');
+    socket.emit('join-meeting', { meetingId, username });
+    return joined;
+}
+
+async function expectError(socket, event, payload, code) {
+    const error = next(socket, 'error');
+    socket.emit(event, payload);
+    const data = await error;
+    assert.strictEqual(data.code, code, `expected ${code}, got ${JSON.stringify(data)}`);
+    assert.strictEqual(data.event, event);
+    assert.ok(data.message);
+}
+
+async function testSocketAuth() {
+    console.log('--- Socket Authorization Test ---');
+
+    const server = http.createServer();
+    const io = socketIo(server);
+    io.use(authenticateSocket);
+    socketHandler(io);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    const meeting = meetingStore.createMeeting(MEETING, USERS.host.userId, USERS.host.username, 'Auth test');
+    const otherMeeting = meetingStore.createMeeting(OTHER_MEETING, USERS.bob.userId, USERS.bob.username, 'Other meeting');
+    const passcodeMeeting = meetingStore.createMeeting(PASSCODE_MEETING, USERS.bob.userId, USERS.bob.username, 'Passcode meeting');
+    passcodeMeeting.passcodeHash = await meetingAccessService.hashPasscode('4321');
+
+    const host = client(USERS.host);
+    const alice = client(USERS.alice);
+    const mallory = client(USERS.mallory);
+    const bob = client(USERS.bob);
+    const carol = client(USERS.carol);
+    const dave = client(USERS.dave);
+
+    const tests = [
+        ['connection without a token is refused', async () => {
+            const anonymous = connect(url, { transports: ['websocket'], reconnection: false });
+            sockets.push(anonymous);
+            const error = await next(anonymous, 'connect_error');
+            assert.strictEqual(error.data?.code, 'UNAUTHORIZED');
+        }],
+
+        ['connection with a forged token is refused', async () => {
+            const forged = client(USERS.host, 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiJ1c2VyX2hvc3QifQ.invalid');
+            const error = await next(forged, 'connect_error');
+            assert.strictEqual(error.data?.code, 'UNAUTHORIZED');
+        }],
+
+        ['events before join-meeting are rejected', async () => {
+            await expectError(mallory, 'chat-message', { meetingId: MEETING, message: 'hi' }, 'NOT_IN_MEETING');
+        }],
+
+        ['everyone joins with the identity from their token', async () => {
+            await join(host, MEETING, 'Hana Host');
+            await join(alice, MEETING, 'Alice');
+            // The userId in the payload is ignored at join
+            const joined = next(alice, 'user-joined');
+            mallory.emit('join-meeting', { meetingId: MEETING, userId: USERS.host.userId, username: 'Mallory' });
+            const announced = await joined;
+            assert.strictEqual(announced.userId, USERS.mallory.userId);
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId).username, 'Mallory');
+            await join(bob, OTHER_MEETING, 'Bob');
+            assert.strictEqual(meeting.getRole(USERS.alice.userId), 'attendee');
+        }],
+
+        ['caption languages are only set by participants, and only to supported languages', async () => {
+            await expectError(dave, 'set-caption-language', { meetingId: MEETING, language: 'es-ES' }, 'NOT_IN_MEETING');
+            await expectError(alice, 'set-caption-language', { meetingId: MEETING, language: 'xx-YY' }, 'UNSUPPORTED_LANGUAGE');
+
+            // A payload-less emit is ignored, not a crash
+            const nothing = silence(alice, 'error');
+            alice.emit('set-caption-language');
+            await nothing;
+
+            const captionLanguage = () => io.sockets.sockets.get(alice.id).data.captionLanguage;
+            alice.emit('set-caption-language', { meetingId: MEETING, language: 'es-ES' });
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.strictEqual(captionLanguage(), 'es-ES');
+            alice.emit('set-caption-language', { meetingId: MEETING, language: null });
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.strictEqual(captionLanguage(), null);
+        }],
+
+        ['toggle-audio for another user is rejected', async () => {
+            await expectError(mallory, 'toggle-audio', { meetingId: MEETING, userId: USERS.alice.userId, isAudioMuted: true }, 'IDENTITY_MISMATCH');
+            assert.strictEqual(meeting.getParticipant(USERS.alice.userId).isAudioMuted, false);
+        }],
+
+        ['raise-hand for another user is rejected', async () => {
+            await expectError(mallory, 'raise-hand', { meetingId: MEETING, userId: USERS.alice.userId, isHandRaised: true }, 'IDENTITY_MISMATCH');
+            assert.strictEqual(meeting.getParticipant(USERS.alice.userId).isHandRaised, false);
+        }],
+
+        ['screen-share for another user is rejected', async () => {
+            await expectError(mallory, 'screen-share', { meetingId: MEETING, userId: USERS.host.userId, isScreenSharing: true }, 'IDENTITY_MISMATCH');
+            assert.strictEqual(meeting.getParticipant(USERS.host.userId).isScreenSharing, false);
+        }],
+
+        ['own state changes still work', async () => {
+            const toggled = next(alice, 'hand-raised');
+            mallory.emit('raise-hand', { meetingId: MEETING, userId: USERS.mallory.userId, isHandRaised: true });
+            const update = await toggled;
+            assert.strictEqual(update.userId, USERS.mallory.userId);
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId).isHandRaised, true);
+        }],
+
+        ['chat-message as another user is rejected', async () => {
+            const nothing = silence(alice, 'chat-message');
+            await expectError(mallory, 'chat-message', { meetingId: MEETING, userId: USERS.host.userId, username: 'Hana Host', message: 'Meeting is cancelled' }, 'IDENTITY_MISMATCH');
+            await nothing;
+            assert.strictEqual(meeting.getChatHistory().length, 0);
+        }],
+
+        ['chat-message is stamped with the sender identity', async () => {
+            const received = next(alice, 'chat-message');
+            mallory.emit('chat-message', { meetingId: MEETING, username: 'Hana Host', message: 'hello' });
+            const message = await received;
+            assert.strictEqual(message.userId, USERS.mallory.userId);
+            assert.strictEqual(message.username, 'Mallory');
+        }],
+
+        ['chat-message to a meeting the sender is not in is rejected', async () => {
+            const nothing = silence(bob, 'chat-message');
+            await expectError(mallory, 'chat-message', { meetingId: OTHER_MEETING, message: 'hi bob' }, 'WRONG_MEETING');
+            await nothing;
+            assert.strictEqual(otherMeeting.getChatHistory().length, 0);
+        }],
+
+        ['vote-poll as another user is rejected', async () => {
+            const created = next(alice, 'poll-created');
+            host.emit('create-poll', { id: 'poll_1', meetingId: MEETING, question: 'Ship it?', options: ['Yes', 'No'] });
+            await created;
+
+            await expectError(mallory, 'vote-poll', { meetingId: MEETING, pollId: 'poll_1', userId: USERS.alice.userId, optionIndex: 1 }, 'IDENTITY_MISMATCH');
+            const poll = meeting.getChatHistory().find(msg => msg.id === 'poll_1');
+            assert.deepStrictEqual(poll.options.map(option => option.votes), [[], []]);
+
+            const voted = next(alice, 'poll-voted');
+            mallory.emit('vote-poll', { meetingId: MEETING, pollId: 'poll_1', optionIndex: 1 });
+            assert.strictEqual((await voted).userId, USERS.mallory.userId);
+            assert.deepStrictEqual(poll.options.map(option => option.votes), [[], [USERS.mallory.userId]]);
+        }],
+
+        ['WebRTC signals to a socket in another meeting are rejected', async () => {
+            const nothing = silence(bob, 'offer');
+            await expectError(mallory, 'offer', { target: bob.id, offer: { type: 'offer', sdp: '' } }, 'WRONG_MEETING');
+            await nothing;
+        }],
+
+        ['watching a missing or someone else\'s job is rejected', async () => {
+            jobQueueService.jobs.set('job_alice', { jobId: 'job_alice', type: 'chat', status: 'completed', userId: USERS.alice.userId, result: {} });
+            await expectError(mallory, 'watch-job', {}, 'INVALID_JOB');
+            await expectError(mallory, 'watch-job', { jobId: 'job_missing' }, 'JOB_NOT_FOUND');
+            const nothing = silence(mallory, 'job-completed');
+            await expectError(mallory, 'watch-job', { jobId: 'job_alice' }, 'JOB_NOT_FOUND');
+            await nothing;
+
+            const completed = next(alice, 'job-completed');
+            alice.emit('watch-job', { jobId: 'job_alice' });
+            assert.strictEqual((await completed).jobId, 'job_alice');
+        }],
+
+        ['host-mute-participant from a non-host is rejected', async () => {
+            const nothing = silence(alice, 'force-mute');
+            await expectError(mallory, 'host-mute-participant', { meetingId: MEETING, hostUserId: USERS.host.userId, targetUserId: USERS.alice.userId, targetSocketId: alice.id }, 'NOT_HOST');
+            await nothing;
+            assert.strictEqual(meeting.getParticipant(USERS.alice.userId).isAudioMuted, false);
+        }],
+
+        ['host-kick-participant from a non-host is rejected', async () => {
+            const nothing = silence(alice, 'kicked-from-meeting');
+            await expectError(mallory, 'host-kick-participant', { meetingId: MEETING, hostUserId: USERS.host.userId, targetUserId: USERS.alice.userId, targetSocketId: alice.id }, 'NOT_HOST');
+            await nothing;
+            assert.ok(meeting.getParticipant(USERS.alice.userId));
+        }],
+
+        ['host can only target participants of their own meeting', async () => {
+            const nothing = silence(bob, 'force-mute');
+            await expectError(host, 'host-mute-participant', { meetingId: MEETING, targetUserId: USERS.bob.userId, targetSocketId: bob.id }, 'TARGET_NOT_FOUND');
+            await nothing;
+        }],
+
+        ['kicked participants can no longer send events', async () => {
+            const kicked = next(mallory, 'kicked-from-meeting');
+            host.emit('host-kick-participant', { meetingId: MEETING, targetUserId: USERS.mallory.userId });
+            await kicked;
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId), undefined);
+
+            await expectError(mallory, 'chat-message', { meetingId: MEETING, message: 'still here' }, 'NOT_IN_MEETING');
+        }],
+
+        ['kicked participants are banned from rejoining', async () => {
+            assert.ok(meetingAccessService.isBanned(meeting, USERS.mallory.userId));
+            await expectError(mallory, 'join-meeting', { meetingId: MEETING, username: 'Mallory' }, 'BANNED');
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId), undefined);
+        }],
+
+        ['only the host can unban', async () => {
+            await expectError(alice, 'unban-participant', { meetingId: MEETING, targetUserId: USERS.mallory.userId }, 'NOT_HOST');
+
+            const updated = next(host, 'access-updated');
+            host.emit('unban-participant', { meetingId: MEETING, targetUserId: USERS.mallory.userId });
+            assert.deepStrictEqual((await updated).banned, []);
+            await join(mallory, MEETING, 'Mallory');
+        }],
+
+        ['a locked meeting refuses new joins', async () => {
+            await expectError(alice, 'lock-meeting', { meetingId: MEETING, isLocked: true }, 'NOT_HOST');
+
+            const locked = next(alice, 'meeting-locked');
+            host.emit('lock-meeting', { meetingId: MEETING, isLocked: true });
+            assert.strictEqual((await locked).isLocked, true);
+            await expectError(carol, 'join-meeting', { meetingId: MEETING, username: 'Carol' }, 'LOCKED');
+
+            const unlocked = next(alice, 'meeting-locked');
+            host.emit('lock-meeting', { meetingId: MEETING, isLocked: false });
+            assert.strictEqual((await unlocked).isLocked, false);
+        }],
+
+        ['joiners wait in the waiting room until the host admits them', async () => {
+            const enabled = next(host, 'access-updated');
+            host.emit('set-waiting-room', { meetingId: MEETING, enabled: true });
+            assert.strictEqual((await enabled).waitingRoomEnabled, true);
+
+            const waiting = next(carol, 'waiting-room');
+            const updated = next(host, 'access-updated');
+            const nobodyJoined = silence(alice, 'user-joined');
+            carol.emit('join-meeting', { meetingId: MEETING, username: 'Carol' });
+            await waiting;
+            assert.deepStrictEqual((await updated).waiting.map(entry => entry.userId), [USERS.carol.userId]);
+            await nobodyJoined;
+            assert.strictEqual(meeting.getParticipant(USERS.carol.userId), undefined);
+
+            // Waiting isn't joined - events are still refused
+            await expectError(carol, 'chat-message', { meetingId: MEETING, message: 'let me in' }, 'NOT_IN_MEETING');
+            await expectError(alice, 'admit-participant', { meetingId: MEETING, targetUserId: USERS.carol.userId }, 'NOT_HOST');
+
+            const joined = next(carol, 'joined-meeting');
+            const announced = next(alice, 'user-joined');
+            host.emit('admit-participant', { meetingId: MEETING, targetUserId: USERS.carol.userId });
+            await joined;
+            assert.strictEqual((await announced).userId, USERS.carol.userId);
+            assert.deepStrictEqual(meeting.waitingRoom, []);
+        }],
+
+        ['the host can turn someone in the waiting room away', async () => {
+            const waiting = next(dave, 'waiting-room');
+            dave.emit('join-meeting', { meetingId: MEETING, username: 'Dave' });
+            await waiting;
+
+            const denied = next(dave, 'admission-denied');
+            host.emit('deny-participant', { meetingId: MEETING, targetUserId: USERS.dave.userId });
+            await denied;
+            assert.deepStrictEqual(meeting.waitingRoom, []);
+            assert.strictEqual(meeting.getParticipant(USERS.dave.userId), undefined);
+            await expectError(host, 'admit-participant', { meetingId: MEETING, targetUserId: USERS.dave.userId }, 'NOT_WAITING');
+        }],
+
+        ['a passcode is required when the meeting has one', async () => {
+            await expectError(dave, 'join-meeting', { meetingId: PASSCODE_MEETING }, 'PASSCODE_REQUIRED');
+            await expectError(dave, 'join-meeting', { meetingId: PASSCODE_MEETING, passcode: '1234' }, 'INVALID_PASSCODE');
+
+            const joined = next(dave, 'joined-meeting');
+            dave.emit('join-meeting', { meetingId: PASSCODE_MEETING, passcode: '4321' });
+            await joined;
+            assert.ok(passcodeMeeting.getParticipant(USERS.dave.userId));
+        }],
+
+        ['attendees cannot create polls', async () => {
+            await expectError(alice, 'create-poll', { id: 'poll_2', meetingId: MEETING, question: 'Lunch?', options: ['Yes', 'No'] }, 'NOT_PERMITTED');
+        }],
+
+        ['only the host or a co-host can assign roles', async () => {
+            await expectError(mallory, 'set-role', { meetingId: MEETING, targetUserId: USERS.alice.userId, role: 'cohost' }, 'NOT_HOST');
+            await expectError(host, 'set-role', { meetingId: MEETING, targetUserId: USERS.alice.userId, role: 'host' }, 'INVALID_ROLE');
+        }],
+
+        ['an unexpected failure is reported to the sender, not thrown', async () => {
+            const { assignRole } = roleService;
+            roleService.assignRole = () => { throw new Error('boom'); };
+            try {
+                await expectError(host, 'set-role', { meetingId: MEETING, targetUserId: USERS.alice.userId, role: 'cohost' }, 'INTERNAL');
+            } finally {
+                roleService.assignRole = assignRole;
+            }
+        }],
+
+        ['role changes are broadcast to the meeting', async () => {
+            const changed = next(carol, 'role-changed');
+            const access = next(alice, 'access-updated');
+            host.emit('set-role', { meetingId: MEETING, targetUserId: USERS.alice.userId, role: 'cohost' });
+            const change = await changed;
+            assert.strictEqual(change.userId, USERS.alice.userId);
+            assert.strictEqual(change.role, 'cohost');
+            assert.strictEqual(change.previousRole, 'attendee');
+            assert.strictEqual(change.changedBy.userId, USERS.host.userId);
+            await access;
+        }],
+
+        ['co-hosts moderate attendees but not the host', async () => {
+            const muted = next(carol, 'force-mute');
+            alice.emit('host-mute-participant', { meetingId: MEETING, targetUserId: USERS.carol.userId });
+            await muted;
+
+            await expectError(alice, 'host-mute-participant', { meetingId: MEETING, targetUserId: USERS.host.userId }, 'NOT_PERMITTED');
+            await expectError(alice, 'set-role', { meetingId: MEETING, targetUserId: USERS.carol.userId, role: 'cohost' }, 'NOT_PERMITTED');
+            await expectError(alice, 'transfer-host', { meetingId: MEETING, targetUserId: USERS.alice.userId }, 'NOT_HOST');
+        }],
+
+        ['presenters can create polls', async () => {
+            const changed = next(carol, 'role-changed');
+            alice.emit('set-role', { meetingId: MEETING, targetUserId: USERS.carol.userId, role: 'presenter' });
+            assert.strictEqual((await changed).role, 'presenter');
+
+            const created = next(host, 'poll-created');
+            carol.emit('create-poll', { id: 'poll_3', meetingId: MEETING, question: 'Demo now?', options: ['Yes', 'No'] });
+            assert.strictEqual((await created).userId, USERS.carol.userId);
+        }],
+
+        ['viewers cannot chat or share their screen', async () => {
+            const changed = next(mallory, 'role-changed');
+            alice.emit('set-role', { meetingId: MEETING, targetUserId: USERS.mallory.userId, role: 'viewer' });
+            assert.strictEqual((await changed).role, 'viewer');
+
+            await expectError(mallory, 'chat-message', { meetingId: MEETING, message: 'hi' }, 'NOT_PERMITTED');
+            await expectError(mallory, 'screen-share', { meetingId: MEETING, isScreenSharing: true }, 'NOT_PERMITTED');
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId).isScreenSharing, false);
+        }],
+
+        ['the host can hand over the host role', async () => {
+            const changed = next(carol, 'role-changed');
+            host.emit('transfer-host', { meetingId: MEETING, targetUserId: USERS.alice.userId });
+            const change = await changed;
+            assert.strictEqual(change.userId, USERS.alice.userId);
+            assert.strictEqual(change.role, 'host');
+            assert.strictEqual(meeting.host, USERS.alice.userId);
+            assert.strictEqual(meeting.getRole(USERS.host.userId), 'cohost');
+
+            await expectError(host, 'transfer-host', { meetingId: MEETING, targetUserId: USERS.host.userId }, 'NOT_HOST');
+        }],
+
+        ['a co-host takes over when the host disconnects', async () => {
+            const promoted = new Promise((resolve) => {
+                host.on('role-changed', (change) => {
+                    if (change.userId === USERS.host.userId) resolve(change);
+                });
+            });
+            alice.disconnect();
+
+            const change = await promoted;
+            assert.strictEqual(change.role, 'host');
+            assert.strictEqual(change.reason, 'host-disconnected');
+            assert.strictEqual(meeting.host, USERS.host.userId);
+            assert.strictEqual(meeting.getRole(USERS.alice.userId), 'cohost');
+        }],
+
+        ['mute all silences everyone but the host and co-hosts', async () => {
+            await expectError(carol, 'host-mute-all', { meetingId: MEETING }, 'NOT_HOST');
+
+            const muted = next(mallory, 'force-mute');
+            const announced = next(carol, 'all-muted');
+            host.emit('host-mute-all', { meetingId: MEETING });
+            await muted;
+            // Carol was already muted
+            assert.deepStrictEqual((await announced).mutedUserIds, [USERS.mallory.userId]);
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId).isAudioMuted, true);
+            assert.strictEqual(meeting.getParticipant(USERS.host.userId).isAudioMuted, false);
+        }],
+
+        ['locked features are refused for participants', async () => {
+            await expectError(carol, 'set-feature-locks', { meetingId: MEETING, locks: { chat: true } }, 'NOT_HOST');
+
+            const updated = next(carol, 'feature-locks-updated');
+            host.emit('set-feature-locks', { meetingId: MEETING, locks: { unmute: true, video: true, chat: true, bogus: true } });
+            const { featureLocks } = await updated;
+            assert.deepStrictEqual(featureLocks, { unmute: true, video: true, screenShare: false, chat: true, fileShare: false });
+
+            await expectError(carol, 'toggle-audio', { meetingId: MEETING, isAudioMuted: false }, 'FEATURE_LOCKED');
+            await expectError(carol, 'toggle-video', { meetingId: MEETING, isVideoOff: false }, 'FEATURE_LOCKED');
+            await expectError(carol, 'chat-message', { meetingId: MEETING, message: 'hi' }, 'FEATURE_LOCKED');
+            assert.strictEqual(meeting.getParticipant(USERS.carol.userId).isAudioMuted, true);
+
+            // The host isn't bound by the locks
+            const message = next(carol, 'chat-message');
+            host.emit('chat-message', { meetingId: MEETING, message: 'Questions at the end please' });
+            await message;
+        }],
+
+        ['a muted participant unmutes when asked only if they accept', async () => {
+            await expectError(host, 'request-unmute', { meetingId: MEETING, targetUserId: USERS.host.userId }, 'NOT_PERMITTED');
+            await expectError(carol, 'respond-unmute', { meetingId: MEETING, accepted: true }, 'NO_UNMUTE_REQUEST');
+
+            const asked = next(carol, 'unmute-requested');
+            host.emit('request-unmute', { meetingId: MEETING, targetUserId: USERS.carol.userId });
+            assert.strictEqual((await asked).requestedBy.userId, USERS.host.userId);
+
+            const answered = next(host, 'unmute-request-answered');
+            const unmuted = next(mallory, 'audio-toggled');
+            carol.emit('respond-unmute', { meetingId: MEETING, accepted: true });
+            assert.strictEqual((await answered).accepted, true);
+            assert.deepStrictEqual(await unmuted, { userId: USERS.carol.userId, isAudioMuted: false });
+            assert.strictEqual(meeting.getParticipant(USERS.carol.userId).isAudioMuted, false);
+
+            await expectError(host, 'request-unmute', { meetingId: MEETING, targetUserId: USERS.carol.userId }, 'NOT_MUTED');
+
+            const declineAsked = next(mallory, 'unmute-requested');
+            host.emit('request-unmute', { meetingId: MEETING, targetUserId: USERS.mallory.userId });
+            await declineAsked;
+            const declined = next(host, 'unmute-request-answered');
+            mallory.emit('respond-unmute', { meetingId: MEETING, accepted: false });
+            assert.strictEqual((await declined).accepted, false);
+            assert.strictEqual(meeting.getParticipant(USERS.mallory.userId).isAudioMuted, true);
+        }]
+    ];
+
+    let failed = 0;
+    for (const [name, run] of tests) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+
+    sockets.forEach(socket => socket.disconnect());
+    io.close();
+    process.exit(failed ? 1 : 0);
+}
+
+testSocketAuth().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+});
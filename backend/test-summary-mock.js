@@ -0,0 +1,226 @@
+/**
+ * Summary end-to-end test - generates, streams and chats about a meeting
+ * through the real REST routes with the offline mock LLM provider
+ *
+ * Mounts the routes on a random local port against the in-memory meeting
+ * store (no MongoDB or AI key needed):
+ *   node test-summary-mock.js
+ */
+// Deterministic offline answers built from the meeting itself
+process.env.LLM_PROVIDER = 'mock';
+
+const http = require('http');
+const assert = require('assert');
+const express = require('express');
+const registerRoutes = require('./routes');
+const authService = require('./services/authService');
+const meetingStore = require('./utils/meetingStore');
+const usageService = require('./services/usageService');
+
+const USERS = {
+    host: { userId: 'user_host', username: 'Hana Host', email: 'host@example.com' },
+    alice: { userId: 'user_alice', username: 'Alice', email: 'alice@example.com' }
+};
+const MEETING = 'MOCKSUMM';
+
+let url;
+
+async function post(path, user, body) {
+    return fetch(`${url}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${authService.signToken(user)}`
+        },
+        body: JSON.stringify(body)
+    });
+}
+
+async function request(method, path, user, body) {
+    const response = method === 'POST'
+        ? await post(path, user, body)
+        : await fetch(`${url}${path}`, { headers: { Authorization: `Bearer ${authService.signToken(user)}` } });
+    return { status: response.status, data: await response.json() };
+}
+
+// Server-Sent Events body -> [{ event, data }]
+function parseEvents(text) {
+    return text
+        .split('\n\n')
+        .filter(block => block.trim())
+        .map(block => {
+            const event = block.match(/^event: (.*)$/m)?.[1];
+            const data = block.match(/^data: (.*)$/m)?.[1];
+            return { event, data: JSON.parse(data) };
+        });
+}
+
+async function testSummaryMock() {
+    console.log('--- Summary End-to-End Test (mock LLM) ---');
+
+    const app = express();
+    app.use(express.json());
+    registerRoutes(app);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    const meeting = meetingStore.createMeeting(MEETING, USERS.host.userId, USERS.host.username, 'Release planning');
+    meeting.addParticipant(USERS.host.userId, USERS.host.username, null);
+    meeting.addParticipant(USERS.alice.userId, USERS.alice.username, null);
+    meeting.addTranscript(USERS.host.userId, USERS.host.username, 'We will ship the release on Friday', true, 'en-US');
+    meeting.addTranscript(USERS.alice.userId, USERS.alice.username, 'I will finish the budget review by Thursday', true, 'en-US');
+
+    const tests = [
+        ['the mock provider is reported as available', async () => {
+            const { status, data } = await request('GET', '/api/summary/status', USERS.host);
+            assert.strictEqual(status, 200, JSON.stringify(data));
+            assert.strictEqual(data.success, true);
+            assert.strictEqual(data.available, true, JSON.stringify(data));
+            assert.strictEqual(data.provider, 'mock');
+        }],
+
+        ['generate returns a summary of what was said', async () => {
+            const { status, data } = await request('POST', '/api/summary/generate', USERS.host, { meetingId: MEETING });
+            assert.strictEqual(status, 200, JSON.stringify(data));
+            assert.strictEqual(data.success, true);
+            assert.strictEqual(data.type, 'detailed');
+            assert.strictEqual(data.cached, false);
+            assert.ok(data.summary.includes('We will ship the release on Friday'), data.summary);
+            assert.strictEqual(data.template.id, 'detailed');
+            assert.strictEqual(data.meetingInfo.meetingId, MEETING);
+            assert.strictEqual(data.meetingInfo.transcriptCount, 2);
+            assert.ok(data.generatedAt);
+        }],
+
+        ['generating again for an unchanged meeting is served from the cache', async () => {
+            const { status, data } = await request('POST', '/api/summary/generate', USERS.alice, { meetingId: MEETING });
+            assert.strictEqual(status, 200, JSON.stringify(data));
+            assert.strictEqual(data.cached, true);
+            assert.ok(data.cachedAt);
+            assert.ok(data.summary.includes('We will ship the release on Friday'));
+        }],
+
+        ['the summary streams as meta, summary and action-items chunks, then done', async () => {
+            const response = await post('/api/summary/generate/stream', USERS.host, { meetingId: MEETING, force: true });
+            assert.strictEqual(response.status, 200);
+            assert.ok(response.headers.get('content-type').startsWith('text/event-stream'));
+
+            const events = parseEvents(await response.text());
+            const names = events.map(({ event }) => event);
+            assert.strictEqual(names[0], 'meta');
+            assert.strictEqual(names[names.length - 1], 'done');
+            assert.ok(!names.includes('error'), JSON.stringify(events.find(({ event }) => event === 'error')));
+
+            const [meta] = events;
+            assert.strictEqual(meta.data.level, 'intermediate');
+            assert.strictEqual(meta.data.meetingInfo.meetingId, MEETING);
+
+            const text = event => events.filter(e => e.event === event).map(e => e.data.text).join('');
+            assert.ok(names.filter(name => name === 'summary').length > 1, 'summary should arrive in chunks');
+            assert.ok(text('summary').includes('We will ship the release on Friday'), text('summary'));
+            assert.ok(text('action-items').includes('- [ ]'), text('action-items'));
+
+            const done = events[events.length - 1].data;
+            assert.strictEqual(done.cancelled, false);
+            assert.strictEqual(done.modelUsed, 'mock-model');
+        }],
+
+        ['chat answers from the meeting with citations and a thread', async () => {
+            const { status, data } = await request('POST', '/api/summary/chat', USERS.alice, {
+                meetingId: MEETING,
+                message: 'When is the release?'
+            });
+            assert.strictEqual(status, 200, JSON.stringify(data));
+            assert.strictEqual(data.success, true);
+            assert.ok(data.response.includes('We will ship the release on Friday'), data.response);
+            assert.strictEqual(data.modelUsed, 'mock-model');
+            assert.ok(data.threadId);
+            assert.strictEqual(data.meetingInfo.meetingId, MEETING);
+
+            assert.ok(data.citations.length > 0);
+            const [citation] = data.citations;
+            assert.strictEqual(citation.kind, 'speech');
+            assert.strictEqual(citation.speaker, USERS.host.username);
+            assert.ok(citation.entryId);
+
+            // A follow-up stays in the same conversation
+            const followUp = await request('POST', '/api/summary/chat', USERS.alice, {
+                meetingId: MEETING,
+                threadId: data.threadId,
+                message: 'Who is doing the budget review?'
+            });
+            assert.strictEqual(followUp.status, 200, JSON.stringify(followUp.data));
+            assert.strictEqual(followUp.data.threadId, data.threadId);
+            assert.ok(followUp.data.response.includes('budget review'), followUp.data.response);
+
+            const thread = await request('GET', `/api/summary/chat/threads/${data.threadId}`, USERS.alice);
+            assert.strictEqual(thread.status, 200, JSON.stringify(thread.data));
+            assert.deepStrictEqual(thread.data.thread.messages.map(({ role }) => role), ['user', 'assistant', 'user', 'assistant']);
+        }],
+
+        ['chat as a background job continues the thread it reserved', async () => {
+            const queued = await request('POST', '/api/summary/chat', USERS.host, {
+                meetingId: MEETING,
+                message: 'When is the release?',
+                async: true
+            });
+            assert.strictEqual(queued.status, 202, JSON.stringify(queued.data));
+            assert.ok(queued.data.jobId);
+            assert.ok(queued.data.threadId);
+
+            let job;
+            for (let attempt = 0; attempt < 50; attempt++) {
+                ({ job } = (await request('GET', `/api/jobs/${queued.data.jobId}`, USERS.host)).data);
+                if (job.status === 'completed' || job.status === 'failed') break;
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            assert.strictEqual(job.status, 'completed', JSON.stringify(job));
+            assert.strictEqual(job.result.threadId, queued.data.threadId);
+            assert.ok(job.result.response.includes('We will ship the release on Friday'), job.result.response);
+
+            const thread = await request('GET', `/api/summary/chat/threads/${queued.data.threadId}`, USERS.host);
+            assert.strictEqual(thread.data.thread.messages.length, 2);
+        }],
+
+        ['AI usage is attributed to the meeting and user of the request', async () => {
+            const { status, data } = await request('GET', `/api/summary/chapters/${MEETING}`, USERS.host);
+            assert.strictEqual(status, 200, JSON.stringify(data));
+            assert.ok(data.chapters.length > 0);
+
+            const usage = operation => usageService.records.filter(record => record.operation === operation);
+            for (const operation of ['/api/summary/generate', '/api/summary/chat', '/api/summary/chapters/:meetingId']) {
+                assert.ok(usage(operation).length > 0, `no usage recorded for ${operation}`);
+                usage(operation).forEach(record => assert.strictEqual(record.meetingId, MEETING, operation));
+            }
+            assert.ok(usage('/api/summary/chapters/:meetingId').every(record => record.userId === USERS.host.userId));
+        }],
+
+        ['chat needs a message', async () => {
+            const { status, data } = await request('POST', '/api/summary/chat', USERS.host, { meetingId: MEETING });
+            assert.strictEqual(status, 400);
+            assert.strictEqual(data.success, false);
+        }]
+    ];
+
+    let failed = 0;
+    for (const [name, run] of tests) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+
+    server.close();
+    process.exit(failed ? 1 : 0);
+}
+
+testSummaryMock().catch(error => {
+    console.error('❌ Test run failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * Minimal BM25 keyword index for transcript and chat retrieval
+ * No embeddings or external services - good enough to find the lines a
+ * question is about, and fast enough to rebuild per request.
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+    'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then',
+    'there', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where',
+    'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'about', 'can', 'could',
+    'should', 'just', 'any', 'all', 'some', 'been', 'being', 'than', 'too', 'very', 'say', 'said',
+    'tell', 'meeting'
+]);
+
+/**
+ * Lowercase word tokens without stop words, with a light plural/verb suffix strip
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        .map(token => token.length > 4 ? token.replace(/(ing|ed|es|s)$/, '') : token);
+}
+
+class Bm25Index {
+    /**
+     * @param {Array} documents - Items to index (returned as-is from search)
+     * @param {Object} options - BM25 parameters { k1, b } and textOf(doc), the text to index (defaults to doc.text)
+     */
+    constructor(documents, { k1 = 1.2, b = 0.75, textOf = doc => doc.text } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.documents = documents;
+        this.termFrequencies = documents.map(doc => {
+            const frequencies = new Map();
+            for (const token of tokenize(textOf(doc))) {
+                frequencies.set(token, (frequencies.get(token) || 0) + 1);
+            }
+            return frequencies;
+        });
+        this.lengths = this.termFrequencies.map(frequencies =>
+            [...frequencies.values()].reduce((sum, count) => sum + count, 0)
+        );
+        this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (documents.length || 1);
+
+        // Number of documents containing each term
+        this.documentFrequencies = new Map();
+        for (const frequencies of this.termFrequencies) {
+            for (const term of frequencies.keys()) {
+                this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+            }
+        }
+    }
+
+    idf(term) {
+        const n = this.documentFrequencies.get(term) || 0;
+        return Math.log(1 + (this.documents.length - n + 0.5) / (n + 0.5));
+    }
+
+    /**
+     * Best matching documents for a query
+     * @returns {Array} - [{ document, index, score }] best first, only score > 0
+     */
+    search(query, limit = 10) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const results = [];
+        this.termFrequencies.forEach((frequencies, index) => {
+            let score = 0;
+            for (const term of terms) {
+                const frequency = frequencies.get(term);
+                if (!frequency) continue;
+                const norm = this.k1 * (1 - this.b + this.b * (this.lengths[index] / (this.averageLength || 1)));
+                score += this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + norm);
+            }
+            if (score > 0) {
+                results.push({ document: this.documents[index], index, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+}
+
+module.exports = { Bm25Index, tokenize };
@@ -0,0 +1,73 @@
+/**
+ * Languages for speech recognition, AI output and transcript translation
+ *
+ * Codes are BCP 47 tags as accepted by the browser's SpeechRecognition.lang.
+ * Keep in sync with frontend/src/utils/languages.js.
+ */
+
+const SUPPORTED_LANGUAGES = {
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'es-ES': 'Spanish (Spain)',
+    'es-MX': 'Spanish (Mexico)',
+    'fr-FR': 'French',
+    'de-DE': 'German',
+    'it-IT': 'Italian',
+    'pt-BR': 'Portuguese (Brazil)',
+    'pt-PT': 'Portuguese (Portugal)',
+    'nl-NL': 'Dutch',
+    'pl-PL': 'Polish',
+    'uk-UA': 'Ukrainian',
+    'ru-RU': 'Russian',
+    'tr-TR': 'Turkish',
+    'ar-SA': 'Arabic',
+    'hi-IN': 'Hindi',
+    'ja-JP': 'Japanese',
+    'ko-KR': 'Korean',
+    'zh-CN': 'Chinese (Simplified)'
+};
+
+// Speech recognition language before per-participant selection existed
+const DEFAULT_LANGUAGE = 'en-US';
+
+function getBaseLanguage(code) {
+    return String(code || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Map a language code to a supported tag - exact match first ("es-mx" -> "es-MX"),
+ * then the first tag with the same base language ("es" -> "es-ES")
+ * @returns {string|null} - null when the language isn't supported
+ */
+function normalizeLanguage(code) {
+    if (!code || typeof code !== 'string') return null;
+
+    const codes = Object.keys(SUPPORTED_LANGUAGES);
+    const exact = codes.find(supported => supported.toLowerCase() === code.replace('_', '-').toLowerCase());
+    if (exact) return exact;
+
+    const base = getBaseLanguage(code);
+    return codes.find(supported => getBaseLanguage(supported) === base) || null;
+}
+
+/**
+ * Display name for a language code, e.g. "Spanish (Mexico)"
+ */
+function getLanguageName(code) {
+    return SUPPORTED_LANGUAGES[normalizeLanguage(code)] || code;
+}
+
+/**
+ * Same language ignoring region ("en-US" and "en-GB" don't need translating)
+ */
+function isSameLanguage(a, b) {
+    return !!a && !!b && getBaseLanguage(a) === getBaseLanguage(b);
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    getLanguageName,
+    isSameLanguage
+};
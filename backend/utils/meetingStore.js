@@ -1,4 +1,12 @@
+const mongoose = require('mongoose');
 const MeetingModel = require('../models/Meeting');
+const { DEFAULT_LANGUAGE } = require('./languages');
+const { DEFAULT_ROLE } = require('./roles');
+const { saveInBackground } = require('./persistence');
+
+// Transcript entries kept in memory; older ones are spilled to MongoDB in batches
+const MAX_TRANSCRIPT_IN_MEMORY = 1000;
+const TRANSCRIPT_SPILL_BATCH = 200;
 
 class InMemoryMeeting {
     constructor(meetingId, host, hostUsername, title) {
@@ -8,8 +16,26 @@ class InMemoryMeeting {
         this.title = title;
         this.participants = [];
         this.messages = []; // chat history (in-memory)
-        this.transcript = []; // speech-to-text transcript
+        this.transcript = []; // speech-to-text transcript (most recent entries)
+        this.spilledTranscriptCount = 0; // older entries already pushed to MongoDB
+        this.spillingTranscript = []; // batch currently being written
+        this.transcriptSeq = 0; // source of stable transcript entry ids (tr_1, tr_2, ...)
+        this.transcriptEdits = []; // corrections made in the transcript viewer, see transcriptService
         this.activities = []; // join/leave, screen share, hand raise events
+        this.rollingSummary = null; // live "so far" summary, see rollingSummaryService
+        this.structuredSummary = null; // latest validated JSON summary
+        // Entry rules and who got past them, see meetingAccessService
+        this.passcodeHash = null;
+        this.waitingRoomEnabled = false;
+        this.isLocked = false;
+        this.bannedUsers = []; // { userId, username, bannedBy, bannedAt }
+        this.admittedUsers = new Set(); // userIds let in this session
+        this.passcodeVerified = new Set(); // userIds that entered the passcode
+        this.waitingRoom = []; // { userId, username, socketId, requestedAt }
+        this.roles = new Map(); // userId -> role for everyone but the host, see roleService
+        // Host controls, see moderationService
+        this.featureLocks = { unmute: false, video: false, screenShare: false, chat: false, fileShare: false };
+        this.unmuteRequests = new Set(); // userIds asked to unmute who haven't answered
         this.createdAt = new Date();
         this.isActive = true;
     }
@@ -44,12 +70,18 @@ class InMemoryMeeting {
             this.addActivity('leave', userId, participant.username);
         }
         this.participants = this.participants.filter(p => p.userId !== userId);
+        this.unmuteRequests.delete(userId);
     }
 
     getParticipant(userId) {
         return this.participants.find(p => p.userId === userId);
     }
 
+    getRole(userId) {
+        if (userId === this.host) return 'host';
+        return this.roles.get(userId) || DEFAULT_ROLE;
+    }
+
     updateParticipant(userId, updates) {
         const participant = this.getParticipant(userId);
         if (participant) {
@@ -84,27 +116,73 @@ class InMemoryMeeting {
         return this.messages || [];
     }
 
-    // Add transcript entry (speech-to-text)
-    addTranscript(userId, username, text, isFinal = true) {
+    // Add transcript entry (speech-to-text) - language is the speaker's recognition language
+    addTranscript(userId, username, text, isFinal = true, language = DEFAULT_LANGUAGE) {
         if (!text || text.trim() === '') return;
         
         this.transcript = this.transcript || [];
-        this.transcript.push({
+        this.transcriptSeq++;
+        const entry = {
+            entryId: `tr_${this.transcriptSeq}`,
             userId,
             username,
             text: text.trim(),
             isFinal,
+            language,
             timestamp: new Date().toISOString()
-        });
+        };
+        this.transcript.push(entry);
         
-        // Keep transcript bounded to last 1000 entries
-        if (this.transcript.length > 1000) this.transcript.shift();
+        // Keep memory bounded by moving the oldest entries to MongoDB
+        if (this.transcript.length > MAX_TRANSCRIPT_IN_MEMORY) this.spillTranscript();
+        return entry;
     }
 
+    // Move the oldest transcript batch to MongoDB
+    async spillTranscript() {
+        // Without a database, keep everything in memory rather than dropping entries
+        if (this.spillingTranscript.length > 0 || mongoose.connection.readyState !== 1) return;
+
+        const batch = this.transcript.splice(0, TRANSCRIPT_SPILL_BATCH);
+        this.spillingTranscript = batch;
+
+        try {
+            await MeetingModel.updateOne(
+                { meetingId: this.meetingId },
+                { $push: { transcript: { $each: batch } } }
+            );
+            this.spilledTranscriptCount += batch.length;
+            console.log(`💾 Spilled ${batch.length} transcript entries to database for meeting ${this.meetingId} (${this.spilledTranscriptCount} total)`);
+        } catch (error) {
+            console.error('❌ Error spilling transcript to database:', error.message);
+            this.transcript.unshift(...batch);
+        } finally {
+            this.spillingTranscript = [];
+        }
+    }
+
+    // Most recent transcript entries (in memory only)
     getTranscript() {
         return this.transcript || [];
     }
 
+    // Whole transcript, including entries spilled to MongoDB
+    async getFullTranscript() {
+        const inMemory = [...this.spillingTranscript, ...this.getTranscript()];
+        if (this.spilledTranscriptCount === 0) return inMemory;
+
+        try {
+            const dbMeeting = await MeetingModel.findOne({ meetingId: this.meetingId }, 'transcript').lean();
+            const spilled = (dbMeeting?.transcript || [])
+                .slice(0, this.spilledTranscriptCount)
+                .map(({ _id, ...entry }) => entry);
+            return [...spilled, ...inMemory];
+        } catch (error) {
+            console.error('❌ Error loading spilled transcript:', error.message);
+            return inMemory;
+        }
+    }
+
     // Add activity event
     addActivity(type, userId, username, details = {}) {
         this.activities = this.activities || [];
@@ -154,7 +232,7 @@ class MeetingStore {
         // 2. If not found, check MongoDB (Persistence Fix)
         try {
             console.log(`🔍 Meeting ${meetingId} not in memory, checking DB...`);
-            const dbMeeting = await MeetingModel.findOne({ meetingId });
+            const dbMeeting = await MeetingModel.findOne({ meetingId }).select('+passcodeHash');
 
             // Check both isActive field and status field for compatibility
             const isActive = dbMeeting && (dbMeeting.isActive === true || dbMeeting.status === 'active');
@@ -172,6 +250,21 @@ class MeetingStore {
                     dbMeeting.title
                 );
 
+                // Transcript entries in the DB were spilled before the restart
+                meeting.spilledTranscriptCount = dbMeeting.transcript?.length || 0;
+                meeting.transcriptSeq = meeting.spilledTranscriptCount;
+                meeting.transcriptEdits = (dbMeeting.transcriptEdits || []).map(edit => edit.toObject());
+
+                // Entry rules, bans and feature locks survive the restart; admissions have to happen again
+                meeting.passcodeHash = dbMeeting.passcodeHash || null;
+                meeting.waitingRoomEnabled = !!dbMeeting.waitingRoomEnabled;
+                meeting.isLocked = !!dbMeeting.isLocked;
+                meeting.bannedUsers = (dbMeeting.bannedUsers || []).map(ban => ban.toObject());
+                (dbMeeting.roles || []).forEach(({ userId, role }) => meeting.roles.set(userId, role));
+                Object.keys(meeting.featureLocks).forEach(feature => {
+                    meeting.featureLocks[feature] = !!dbMeeting.featureLocks?.[feature];
+                });
+
                 // Optionally restore participants who haven't "left" if you want to show them as offline
                 // For now, we'll start with empty participants as they need to re-join via socket
 
@@ -185,12 +278,61 @@ class MeetingStore {
         return null;
     }
 
+    /**
+     * Everything recorded for a live meeting, or for an ended one still in MongoDB
+     * @returns {Promise<Object|null>} - getAllMeetingData() shape with the full transcript and endTime
+     */
+    async getMeetingRecord(meetingId) {
+        const meeting = await this.getMeeting(meetingId);
+        if (meeting) {
+            return {
+                ...meeting.getAllMeetingData(),
+                hostUserId: meeting.host,
+                transcript: await meeting.getFullTranscript(),
+                transcriptEdits: meeting.transcriptEdits,
+                bannedUsers: meeting.bannedUsers,
+                structuredSummary: meeting.structuredSummary,
+                summary: null,
+                endTime: meeting.endedAt || null
+            };
+        }
+
+        const dbMeeting = await MeetingModel.findOne({ meetingId }).lean();
+        if (!dbMeeting) return null;
+
+        return {
+            meetingId,
+            title: dbMeeting.title,
+            host: dbMeeting.host?.username,
+            hostUserId: dbMeeting.host?.userId,
+            participants: dbMeeting.participants || [],
+            chatMessages: dbMeeting.messages || [],
+            transcript: dbMeeting.transcript || [],
+            transcriptEdits: dbMeeting.transcriptEdits || [],
+            activities: dbMeeting.activities || [],
+            bannedUsers: dbMeeting.bannedUsers || [],
+            structuredSummary: dbMeeting.structuredSummary || null,
+            summary: dbMeeting.summary || null,
+            startTime: dbMeeting.startTime || dbMeeting.createdAt,
+            endTime: dbMeeting.endTime || dbMeeting.endedAt || null,
+            isActive: false
+        };
+    }
+
     createMeeting(meetingId, host, hostUsername, title) {
         const meeting = new InMemoryMeeting(meetingId, host, hostUsername, title);
         this.meetings.set(meetingId, meeting);
         return meeting;
     }
 
+    /**
+     * Save fields of a meeting to its MongoDB document in the background
+     * (see utils/persistence.js)
+     */
+    saveFields(meeting, fields, what) {
+        saveInBackground(MeetingModel, { meetingId: meeting.meetingId }, fields, what);
+    }
+
     removeMeeting(meetingId) {
         this.meetings.delete(meetingId);
     }
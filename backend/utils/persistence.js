@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Write fields to MongoDB without waiting, when connected
+ *
+ * For state whose in-memory copy is authoritative while it is in use (a running
+ * meeting or job): the write only has to survive a restart, so a failure is
+ * logged rather than passed back to the caller.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Which document, e.g. { meetingId }
+ * @param {Object} fields - Fields to $set
+ * @param {string} what - What is being saved, for the error log
+ */
+function saveInBackground(Model, filter, fields, what) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    Model.updateOne(filter, { $set: fields }).catch(error => {
+        console.error(`❌ Error saving ${what}:`, error.message);
+    });
+}
+
+module.exports = { saveInBackground };
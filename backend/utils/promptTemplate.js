@@ -0,0 +1,94 @@
+/**
+ * Minimal prompt templating for summary templates (see prompts/ and services/promptTemplateService.js)
+ *
+ *   {{name}}                 - variable
+ *   {{#flag}}...{{/flag}}    - section kept when flag is truthy
+ *   {{^flag}}...{{/flag}}    - section kept when flag is falsy
+ */
+
+const SECTION_PATTERN = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*(\w+)\s*\}\}/g;
+
+// Variables available to every summary template
+const TEMPLATE_VARIABLES = {
+    title: 'Meeting title',
+    meetingId: 'Meeting ID',
+    host: 'Host name',
+    duration: 'Meeting duration, e.g. "45 minutes"',
+    startTime: 'Start time',
+    endTime: 'End time',
+    participantCount: 'Number of participants',
+    participants: 'Comma-separated participant names',
+    transcript: 'Spoken conversation (condensed notes for long meetings)',
+    chat: 'Chat messages',
+    activities: 'Joins, leaves, screen shares, hand raises',
+    polls: 'Polls and their results',
+    hasTranscript: 'Flag: anything was said',
+    hasChat: 'Flag: chat messages exist',
+    hasActivities: 'Flag: activities exist',
+    hasPolls: 'Flag: polls exist',
+    noConversation: 'Flag: nothing was said or written',
+    actionItemsDetail: 'How detailed action items should be (action item follow-up prompt only)'
+};
+
+/**
+ * Resolve sections first, then substitute variables in a single pass, so
+ * meeting content that happens to contain "{{...}}" is never expanded
+ */
+function renderSections(body, variables) {
+    return body.replace(SECTION_PATTERN, (match, type, name, inner) => {
+        const keep = type === '#' ? !!variables[name] : !variables[name];
+        return keep ? renderSections(inner, variables) : '';
+    });
+}
+
+/**
+ * Render a template body with the given variables (unknown variables render empty)
+ */
+function renderTemplate(body, variables = {}) {
+    return renderSections(body, variables).replace(VARIABLE_PATTERN, (match, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Check a template body for unknown variables and unbalanced sections
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateTemplate(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return ['Template body is required'];
+    }
+
+    const errors = [];
+    const open = [];
+    const unknown = new Set();
+
+    for (const [, tag, name] of body.matchAll(TAG_PATTERN)) {
+        if (!TEMPLATE_VARIABLES[name]) unknown.add(name);
+
+        if (tag === '#' || tag === '^') {
+            open.push(name);
+        } else if (tag === '/') {
+            if (open[open.length - 1] === name) {
+                open.pop();
+            } else {
+                errors.push(`Unexpected {{/${name}}}`);
+            }
+        }
+    }
+
+    open.forEach(name => errors.push(`Section {{#${name}}} is never closed`));
+    if (unknown.size > 0) {
+        errors.push(`Unknown variables: ${[...unknown].join(', ')}`);
+    }
+    return errors;
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    renderTemplate,
+    validateTemplate
+};
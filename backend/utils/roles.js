@@ -0,0 +1,50 @@
+/**
+ * Meeting roles and what each one may do
+ *
+ * Every participant has one role. The meeting's host is whoever
+ * InMemoryMeeting.host names; everyone else defaults to attendee.
+ * Keep in sync with frontend/src/utils/roles.js.
+ */
+
+// Highest first - a role can only moderate or reassign roles below its own
+const ROLES = ['host', 'cohost', 'presenter', 'attendee', 'viewer'];
+
+const DEFAULT_ROLE = 'attendee';
+
+// Permission matrix
+const ROLE_PERMISSIONS = {
+    host: ['mute', 'kick', 'manageAccess', 'manageLocks', 'assignRoles', 'transferHost', 'endMeeting', 'screenShare', 'chat', 'createPoll'],
+    cohost: ['mute', 'kick', 'manageAccess', 'manageLocks', 'assignRoles', 'screenShare', 'chat', 'createPoll'],
+    presenter: ['screenShare', 'chat', 'createPoll'],
+    attendee: ['screenShare', 'chat'],
+    viewer: []
+};
+
+// Moderation permissions - refused with NOT_HOST rather than NOT_PERMITTED
+const MODERATOR_PERMISSIONS = ['mute', 'kick', 'manageAccess', 'manageLocks', 'assignRoles', 'transferHost', 'endMeeting'];
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function can(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Whether one role ranks above another (host > cohost > everyone else)
+ */
+function outranks(role, otherRole) {
+    const rank = (r) => (r === 'host' ? 2 : r === 'cohost' ? 1 : 0);
+    return rank(role) > rank(otherRole);
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    ROLE_PERMISSIONS,
+    MODERATOR_PERMISSIONS,
+    isValidRole,
+    can,
+    outranks
+};
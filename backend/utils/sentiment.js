@@ -0,0 +1,85 @@
+/**
+ * Lexicon-based sentiment scoring for transcript and chat text
+ * A small English word list with negation handling ("not happy" counts as
+ * negative) - no AI call, so analytics stay cheap to recompute on every request.
+ */
+
+const POSITIVE_WORDS = new Set([
+    'agree', 'agreed', 'amazing', 'appreciate', 'awesome', 'beautiful', 'benefit', 'best', 'better',
+    'brilliant', 'clear', 'cool', 'correct', 'done', 'easy', 'efficient', 'excellent', 'excited',
+    'exciting', 'fantastic', 'fine', 'fixed', 'glad', 'good', 'great', 'happy', 'helpful', 'ideal',
+    'impressive', 'improve', 'improved', 'improvement', 'interesting', 'like', 'love', 'lovely', 'nice',
+    'perfect', 'pleased', 'positive', 'progress', 'ready', 'resolved', 'right', 'smooth', 'solid',
+    'success', 'successful', 'sure', 'thank', 'thanks', 'useful', 'well', 'win', 'wonderful', 'works', 'yes'
+]);
+
+const NEGATIVE_WORDS = new Set([
+    'angry', 'annoying', 'awful', 'bad', 'block', 'blocked', 'blocker', 'broke', 'broken', 'bug',
+    'bugs', 'concern', 'concerned', 'confused', 'confusing', 'crash', 'crashed', 'delay', 'delayed',
+    'difficult', 'disagree', 'disappointed', 'error', 'errors', 'fail', 'failed', 'failing', 'failure',
+    'frustrated', 'frustrating', 'hard', 'hate', 'issue', 'issues', 'late', 'mess', 'missing',
+    'poor', 'problem', 'problems', 'risk', 'risky', 'sad', 'slow', 'sorry', 'stuck', 'terrible',
+    'unclear', 'unfortunately', 'unhappy', 'worried', 'worry', 'worse', 'worst', 'wrong'
+]);
+
+const NEGATIONS = new Set([
+    'not', 'no', 'never', 'none', 'nothing', 'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt',
+    'wasnt', 'arent', 'wont', 'shouldnt', 'couldnt', 'wouldnt', 'without'
+]);
+
+// A negation flips the next few words: "not really that good"
+const NEGATION_WINDOW = 3;
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .split(/[^a-z]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Score a piece of text
+ * @returns {{ score: number, positive: number, negative: number }} - score is
+ *   (positive - negative) / sentiment words, from -1 to 1 (0 when neutral)
+ */
+function scoreText(text) {
+    let positive = 0;
+    let negative = 0;
+    let negateFor = 0;
+
+    for (const token of tokenize(text)) {
+        const isPositive = POSITIVE_WORDS.has(token);
+        const isNegative = NEGATIVE_WORDS.has(token);
+
+        if (isPositive || isNegative) {
+            // Negated sentiment words flip polarity
+            if (isPositive !== negateFor > 0) positive++;
+            else negative++;
+        }
+
+        if (NEGATIONS.has(token)) {
+            negateFor = NEGATION_WINDOW;
+        } else if (negateFor > 0) {
+            negateFor--;
+        }
+    }
+
+    const total = positive + negative;
+    return {
+        score: total ? (positive - negative) / total : 0,
+        positive,
+        negative
+    };
+}
+
+/**
+ * Label for a score: positive / negative / neutral
+ */
+function labelScore(score, threshold = 0.2) {
+    if (score >= threshold) return 'positive';
+    if (score <= -threshold) return 'negative';
+    return 'neutral';
+}
+
+module.exports = { scoreText, labelScore };
@@ -0,0 +1,191 @@
+/**
+ * Schema and validation for structured (JSON) meeting summaries
+ *
+ * Field specs: { type, required, nullable, enum, items } where type is
+ * 'string' | 'array' | 'object' and items/fields describe nested values.
+ */
+const STRUCTURED_SUMMARY_SCHEMA = {
+    type: 'object',
+    fields: {
+        topics: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string', required: true },
+                    summary: { type: 'string', required: true }
+                }
+            }
+        },
+        decisions: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    decision: { type: 'string', required: true },
+                    madeBy: { type: 'string', nullable: true },
+                    sourceQuote: { type: 'string', nullable: true }
+                }
+            }
+        },
+        actionItems: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    task: { type: 'string', required: true },
+                    assignee: { type: 'string', nullable: true },
+                    dueDate: { type: 'string', nullable: true },
+                    sourceQuote: { type: 'string', nullable: true }
+                }
+            }
+        },
+        openQuestions: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    question: { type: 'string', required: true },
+                    raisedBy: { type: 'string', nullable: true }
+                }
+            }
+        },
+        risks: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    risk: { type: 'string', required: true },
+                    severity: { type: 'string', required: true, enum: ['low', 'medium', 'high'] }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Example document included in prompts so the model knows the exact shape
+ */
+const STRUCTURED_SUMMARY_EXAMPLE = {
+    topics: [{ title: 'Release plan', summary: 'The team reviewed what is left before launch.' }],
+    decisions: [{ decision: 'Ship on Friday', madeBy: 'Alice', sourceQuote: "Let's ship it Friday" }],
+    actionItems: [{ task: 'Update the changelog', assignee: 'Bob', dueDate: '2024-05-10', sourceQuote: "I'll update the changelog by Friday" }],
+    openQuestions: [{ question: 'Do we need a feature flag?', raisedBy: 'Carol' }],
+    risks: [{ risk: 'QA may not finish regression testing in time', severity: 'medium' }]
+};
+
+/**
+ * Check a value against a field spec, collecting readable error paths
+ */
+function validateField(value, spec, path, errors) {
+    if (value === null || value === undefined) {
+        if (spec.required && !spec.nullable) {
+            errors.push(`${path} is required`);
+        }
+        return;
+    }
+
+    if (spec.type === 'array') {
+        if (!Array.isArray(value)) {
+            errors.push(`${path} must be an array`);
+            return;
+        }
+        value.forEach((item, index) => validateField(item, { ...spec.items, required: true }, `${path}[${index}]`, errors));
+        return;
+    }
+
+    if (spec.type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+            validateField(value[name], fieldSpec, path ? `${path}.${name}` : name, errors);
+        }
+        return;
+    }
+
+    if (typeof value !== spec.type) {
+        errors.push(`${path} must be a ${spec.type}`);
+        return;
+    }
+    if (spec.type === 'string' && spec.required && !value.trim()) {
+        errors.push(`${path} must not be empty`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${spec.enum.join(', ')}`);
+    }
+}
+
+/**
+ * Copy only the fields the schema knows about, filling optional ones with null
+ */
+function normalizeField(value, spec) {
+    if (value === null || value === undefined) return null;
+    if (spec.type === 'array') return value.map(item => normalizeField(item, spec.items));
+    if (spec.type === 'object') {
+        const result = {};
+        for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+            result[name] = normalizeField(value[name], fieldSpec);
+        }
+        return result;
+    }
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Validate a parsed structured summary
+ * @param {*} value - Parsed JSON
+ * @returns {Object} - { valid, errors, value } where value is normalized when valid
+ */
+function validateStructuredSummary(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, errors: ['summary must be a JSON object'], value: null };
+    }
+
+    const errors = [];
+    validateField(value, STRUCTURED_SUMMARY_SCHEMA, '', errors);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        value: errors.length === 0 ? normalizeField(value, STRUCTURED_SUMMARY_SCHEMA) : null
+    };
+}
+
+/**
+ * Parse a model response into a structured summary
+ * Tolerates markdown code fences and text around the JSON object.
+ * @param {string} text - Raw model output
+ * @returns {Object} - { valid, errors, value }
+ */
+function parseStructuredSummary(text) {
+    const raw = String(text || '').replace(/```(?:json)?/gi, '');
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+        return { valid: false, errors: ['response does not contain a JSON object'], value: null };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw.slice(start, end + 1));
+    } catch (error) {
+        return { valid: false, errors: [`invalid JSON: ${error.message}`], value: null };
+    }
+
+    return validateStructuredSummary(parsed);
+}
+
+module.exports = {
+    STRUCTURED_SUMMARY_SCHEMA,
+    STRUCTURED_SUMMARY_EXAMPLE,
+    validateStructuredSummary,
+    parseStructuredSummary
+};
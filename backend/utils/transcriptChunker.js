@@ -0,0 +1,130 @@
+const { estimateTokens } = require('../services/providers/tokenUtils');
+
+/**
+ * Token-aware chunking of meeting conversation for map-reduce summarization
+ *
+ * Transcript entries and chat messages are merged into one timeline and split
+ * on line boundaries, so every chunk keeps its "[time] Speaker: text" lines intact.
+ */
+
+/**
+ * Merge final transcript entries and text chat messages in time order
+ * @returns {Array} - [{ id, timestamp, speaker, text, kind: 'speech' | 'chat' }] - id is the
+ *   transcript entryId or the chat message id (its position when it has none)
+ */
+function buildTimeline(transcript = [], messages = []) {
+    const speech = transcript
+        .filter(t => t.isFinal)
+        .map(t => ({ id: t.entryId, timestamp: t.timestamp, speaker: t.username, text: t.text, kind: 'speech' }));
+
+    const chat = messages
+        .map((msg, index) => ({ msg, index }))
+        .filter(({ msg }) => msg.type === 'text' || !msg.type)
+        .map(({ msg, index }) => ({ id: String(msg.id ?? `msg_${index}`), timestamp: msg.timestamp, speaker: msg.username, text: msg.message, kind: 'chat' }));
+
+    return [...speech, ...chat].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+function formatTimelineLine(line) {
+    const time = line.timestamp ? new Date(line.timestamp).toLocaleTimeString() : '';
+    const speaker = line.kind === 'chat' ? `${line.speaker} (chat)` : line.speaker;
+    return `[${time}] ${speaker}: ${line.text}`;
+}
+
+/**
+ * Split one very long line into pieces that each fit the budget,
+ * repeating the "[time] Speaker:" prefix so attribution survives
+ */
+function splitLongLine(line, maxTokens) {
+    const prefix = formatTimelineLine({ ...line, text: '' });
+    const maxChars = Math.max(200, (maxTokens - estimateTokens(prefix)) * 4);
+    const sentences = String(line.text).match(/[^.!?]+[.!?]*\s*/g) || [String(line.text)];
+
+    const pieces = [];
+    let current = '';
+    for (const sentence of sentences) {
+        // A single sentence longer than the budget is cut hard
+        for (let i = 0; i < sentence.length; i += maxChars) {
+            const part = sentence.slice(i, i + maxChars);
+            if (current && current.length + part.length > maxChars) {
+                pieces.push(current.trim());
+                current = '';
+            }
+            current += part;
+        }
+    }
+    if (current.trim()) pieces.push(current.trim());
+
+    return pieces.map(text => ({ ...line, text }));
+}
+
+/**
+ * Group timeline lines into chunks of at most maxTokens
+ * @returns {Array} - [{ index, text, tokens, startTime, endTime, speakers }]
+ */
+function chunkTimeline(lines, maxTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+        if (current.length === 0) return;
+        chunks.push({
+            index: chunks.length + 1,
+            text: current.map(formatTimelineLine).join('\n'),
+            tokens: currentTokens,
+            startTime: current[0].timestamp,
+            endTime: current[current.length - 1].timestamp,
+            speakers: [...new Set(current.map(line => line.speaker))]
+        });
+        current = [];
+        currentTokens = 0;
+    };
+
+    for (const line of lines) {
+        const lineTokens = estimateTokens(formatTimelineLine(line)) + 1;
+        const pieces = lineTokens > maxTokens ? splitLongLine(line, maxTokens) : [line];
+
+        for (const piece of pieces) {
+            const pieceTokens = estimateTokens(formatTimelineLine(piece)) + 1;
+            if (currentTokens + pieceTokens > maxTokens) flush();
+            current.push(piece);
+            currentTokens += pieceTokens;
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Group already-condensed section notes so each group fits the budget
+ * @param {Array} sections - [{ text, startTime, endTime, speakers }]
+ * @returns {Array} - Arrays of sections
+ */
+function groupSections(sections, maxTokens) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const section of sections) {
+        const tokens = estimateTokens(section.text);
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            groups.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(section);
+        currentTokens += tokens;
+    }
+    if (current.length > 0) groups.push(current);
+
+    return groups;
+}
+
+module.exports = {
+    buildTimeline,
+    formatTimelineLine,
+    chunkTimeline,
+    groupSections
+};
@@ -7,6 +7,13 @@ import Settings from './components/Settings';
 import ConfirmModal from './components/ConfirmModal';
 import MeetingSummary from './components/MeetingSummary';
 import MissedSpeech from './components/MissedSpeech';
+import LiveSummary from './components/LiveSummary';
+import MeetingHistory from './components/MeetingHistory';
+import AuthForm from './components/AuthForm';
+import useBackgroundJob from './hooks/useBackgroundJob';
+import { getLanguageSettings } from './utils/languages';
+import { getSession, getToken, clearSession, authHeaders } from './utils/auth';
+import { can, getRoleLabel, isFeatureLocked } from './utils/roles';
 
 // Production-ready backend URL configuration
 // Set REACT_APP_API_URL in .env or deployment platform
@@ -35,8 +42,15 @@ function App() {
   const [meetingState, setMeetingState] = useState('lobby');
   const [meetingId, setMeetingId] = useState('');
   const [username, setUsername] = useState('');
-  const [userId, setUserId] = useState('');
+  // Signed-in account - its userId is the identity for every request and socket event
+  const [user, setUser] = useState(() => getSession()?.user || null);
+  const userId = user?.userId || '';
   const [isHost, setIsHost] = useState(false);
+  const [role, setRole] = useState('attendee'); // In the current meeting - can change during it (see utils/roles)
+  const [featureLocks, setFeatureLocks] = useState({}); // Features the host turned off for participants
+
+  // AI requests that run as background jobs on the server
+  const { runJob } = useBackgroundJob(apiBase, videoCallSocket);
 
   // UI States
   const [isLoading, setIsLoading] = useState(false);
@@ -45,8 +59,13 @@ function App() {
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [joinMeetingId, setJoinMeetingId] = useState('');
   const [joinUsername, setJoinUsername] = useState('');
+  const [joinPasscode, setJoinPasscode] = useState('');
+  const [joinNeedsPasscode, setJoinNeedsPasscode] = useState(false);
+  const [meetingPasscode, setMeetingPasscode] = useState('');
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [createUsername, setCreateUsername] = useState('');
+  const [createPasscode, setCreatePasscode] = useState('');
+  const [createWaitingRoom, setCreateWaitingRoom] = useState(false);
   const [showMeetingCredentials, setShowMeetingCredentials] = useState(false);
   const [createdMeetingId, setCreatedMeetingId] = useState('');
   const [showConfirmLeave, setShowConfirmLeave] = useState(false);
@@ -59,6 +78,11 @@ function App() {
   const missedTranscriptsRef = useRef([]);
   const isAwayRef = useRef(false);
 
+  // Live rolling summary ("meeting so far") pushed by the server
+  const [rollingSummary, setRollingSummary] = useState(null);
+  const [showLiveSummary, setShowLiveSummary] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
   // Camera-based face detection callbacks - triggered by VideoCall component
   const handleUserAway = useCallback(() => {
     if (meetingState !== 'joined') return;
@@ -92,17 +116,31 @@ function App() {
     missedTranscriptsRef.current = [];
   }, [meetingState]);
 
-  // Generate unique user ID on mount
+  // Check the stored session on mount - an expired token signs the user out
   useEffect(() => {
-    const storedUserId = localStorage.getItem('smartmeet_userId');
-    if (storedUserId) {
-      setUserId(storedUserId);
-    } else {
-      const newUserId = `user_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
-      setUserId(newUserId);
-      localStorage.setItem('smartmeet_userId', newUserId);
-    }
-  }, []);
+    if (!getToken()) return;
+
+    fetch(`${apiBase}/api/auth/me`, { headers: authHeaders() })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setUser(data.user);
+        } else {
+          clearSession();
+          setUser(null);
+        }
+      })
+      .catch(() => {
+        // Offline - keep the stored session
+      });
+  }, [apiBase]);
+
+  const handleSignOut = () => {
+    clearSession();
+    setUser(null);
+    setShowHistory(false);
+    showNotification('Signed out', 'info');
+  };
 
   // Apply initial theme on mount
   useEffect(() => {
@@ -137,6 +175,7 @@ function App() {
           speakerId: data.userId,
           speakerName: data.username,
           text: data.text || '',
+          language: data.language,
           timestamp: data.timestamp || new Date().toISOString()
         });
       }
@@ -146,24 +185,45 @@ function App() {
     return () => videoCallSocket.off('transcript-update', handleTranscript);
   }, [videoCallSocket, meetingState, userId]);
 
+  // Listen for rolling summary updates; late joiners see the current one immediately
+  useEffect(() => {
+    if (!videoCallSocket || meetingState !== 'joined') return;
+
+    const handleJoined = (data) => {
+      if (data.rollingSummary?.summary) {
+        setRollingSummary(data.rollingSummary);
+        setShowLiveSummary(true);
+      }
+    };
+    const handleRollingSummary = (data) => setRollingSummary(data);
+
+    videoCallSocket.on('joined-meeting', handleJoined);
+    videoCallSocket.on('rolling-summary-update', handleRollingSummary);
+    return () => {
+      videoCallSocket.off('joined-meeting', handleJoined);
+      videoCallSocket.off('rolling-summary-update', handleRollingSummary);
+    };
+  }, [videoCallSocket, meetingState]);
+
+  // Clear the rolling summary when leaving the meeting
+  useEffect(() => {
+    if (meetingState !== 'joined') {
+      setRollingSummary(null);
+      setShowLiveSummary(false);
+    }
+  }, [meetingState]);
+
   // Handle summarize missed speech
   const handleSummarizeMissedSpeech = async (transcripts) => {
     try {
-      const response = await fetch(`${apiBase}/api/summary/missed-speech`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ transcripts }),
+      // Runs as a background job so rate-limit retries don't hit request timeouts
+      const data = await runJob('/api/summary/missed-speech', {
+        transcripts,
+        meetingId,
+        userId,
+        targetLanguage: getLanguageSettings().aiLanguage || undefined
       });
-
-      const data = await response.json();
-      
-      if (data.success) {
-        return data.summary;
-      } else {
-        throw new Error(data.message || 'Failed to generate summary');
-      }
+      return data.summary;
     } catch (error) {
       console.error('Error summarizing missed messages:', error);
       throw error;
@@ -191,7 +251,9 @@ function App() {
   // Handle create meeting
   const openCreateModal = () => {
     setShowCreateModal(true);
-    setCreateUsername('');
+    setCreateUsername(user?.username || '');
+    setCreatePasscode('');
+    setCreateWaitingRoom(false);
   };
 
   const closeCreateModal = () => {
@@ -211,14 +273,15 @@ function App() {
       setIsLoading(true);
 
       const meetingData = {
-        host: userId,
         hostUsername: createUsername.trim(),
-        title: `${createUsername.trim()}'s Meeting`
+        title: `${createUsername.trim()}'s Meeting`,
+        passcode: createPasscode.trim() || undefined,
+        waitingRoom: createWaitingRoom
       };
 
       const response = await fetch(`${apiBase}/api/meetings/create`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(meetingData),
       });
 
@@ -242,6 +305,7 @@ function App() {
         setShowCreateModal(false);
         setShowMeetingCredentials(true);
         setCreateUsername('');
+        setCreatePasscode('');
       } else {
         throw new Error(data.message || 'Failed to create meeting');
       }
@@ -256,7 +320,9 @@ function App() {
   const openJoinModal = () => {
     setShowJoinModal(true);
     setJoinMeetingId('');
-    setJoinUsername('');
+    setJoinUsername(user?.username || '');
+    setJoinPasscode('');
+    setJoinNeedsPasscode(false);
   };
 
   const closeJoinModal = () => {
@@ -282,7 +348,9 @@ function App() {
       setIsLoading(true);
 
       // Check if meeting exists
-      const checkResponse = await fetch(`${apiBase}/api/meetings/${joinMeetingId.trim()}`);
+      const checkResponse = await fetch(`${apiBase}/api/meetings/${joinMeetingId.trim()}`, {
+        headers: authHeaders()
+      });
 
       if (!checkResponse.ok) {
         throw new Error('Meeting not found');
@@ -313,15 +381,19 @@ function App() {
         }
       }
 
+      // Ask for the passcode before trying (the host doesn't need one)
+      if (checkData.meeting?.requiresPasscode && !joiningAsHost && !joinPasscode.trim()) {
+        setJoinNeedsPasscode(true);
+        throw new Error('This meeting requires a passcode');
+      }
+
       // Join the meeting
       const joinResponse = await fetch(`${apiBase}/api/meetings/${joinMeetingId.trim()}/join`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
-          userId,
           username: joinUsername.trim(),
+          passcode: joinPasscode.trim() || undefined,
           deviceInfo: {
             browser: navigator.userAgent,
             platform: navigator.platform,
@@ -333,18 +405,23 @@ function App() {
       const joinData = await joinResponse.json();
 
       if (joinData.success) {
-        if (joinData.waitingRoom) {
-          showNotification('Added to waiting room. Awaiting host approval...', 'info');
-          return;
-        }
-
         setMeetingId(joinMeetingId.trim());
         setUsername(joinUsername.trim());
+        setMeetingPasscode(joinPasscode.trim());
         setIsHost(joiningAsHost);
         setMeetingState('joined');
         setShowJoinModal(false);
-        showNotification('Joined meeting successfully!', 'success');
+
+        // VideoCall shows the waiting room until the host admits us
+        if (joinData.waitingRoom) {
+          showNotification('Added to waiting room. Awaiting host approval...', 'info');
+        } else {
+          showNotification('Joined meeting successfully!', 'success');
+        }
       } else {
+        if (joinData.code === 'PASSCODE_REQUIRED' || joinData.code === 'INVALID_PASSCODE') {
+          setJoinNeedsPasscode(true);
+        }
         throw new Error(joinData.message || 'Failed to join meeting');
       }
     } catch (error) {
@@ -361,6 +438,12 @@ function App() {
     }
   };
 
+  // Role from the server - host transfer or a co-host taking over makes us the host
+  const handleRoleChange = useCallback((newRole) => {
+    setRole(newRole);
+    setIsHost(newRole === 'host');
+  }, []);
+
   // Handle leave meeting
   const handleLeaveMeeting = () => {
     setShowConfirmLeave(true);
@@ -381,14 +464,12 @@ function App() {
       if (isHost) {
         await fetch(`${apiBase}/api/meetings/${meetingId}/end`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ userId }),
+          headers: authHeaders(),
         });
       } else {
         await fetch(`${apiBase}/api/meetings/${meetingId}/leave`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ userId }),
+          headers: authHeaders(),
         });
       }
     } catch (error) {
@@ -398,7 +479,10 @@ function App() {
       setMeetingState('lobby');
       setMeetingId('');
       setUsername('');
+      setMeetingPasscode('');
       setIsHost(false);
+      setRole('attendee');
+      setFeatureLocks({});
       setShowConfirmLeave(false);
       setLocalStream(null); // Clear local stream reference
       setVideoCallSocket(null); // Clear socket reference
@@ -448,30 +532,60 @@ function App() {
               <p>AI-Powered Video Conferencing</p>
             </div>
 
-            <div className="lobby-actions">
-              <button
-                className="btn-primary"
-                onClick={openCreateModal}
-                disabled={isLoading}
-              >
-                <i className="fas fa-plus-circle"></i>
-                Create New Meeting
-              </button>
+            {!user ? (
+              <AuthForm apiBase={apiBase} onAuthenticated={setUser} />
+            ) : (
+              <>
+                <div className="lobby-actions">
+                  <button
+                    className="btn-primary"
+                    onClick={openCreateModal}
+                    disabled={isLoading}
+                  >
+                    <i className="fas fa-plus-circle"></i>
+                    Create New Meeting
+                  </button>
 
-              <button
-                className="btn-secondary"
-                onClick={openJoinModal}
-                disabled={isLoading}
-              >
-                <i className="fas fa-sign-in-alt"></i>
-                Join Meeting
-              </button>
-            </div>
+                  <button
+                    className="btn-secondary"
+                    onClick={openJoinModal}
+                    disabled={isLoading}
+                  >
+                    <i className="fas fa-sign-in-alt"></i>
+                    Join Meeting
+                  </button>
+
+                  <button
+                    className="btn-secondary"
+                    onClick={() => setShowHistory(true)}
+                    disabled={isLoading}
+                  >
+                    <i className="fas fa-history"></i>
+                    Meeting History
+                  </button>
+                </div>
+
+                <div className="auth-account">
+                  <i className="fas fa-user-circle"></i>
+                  <span>Signed in as <strong>{user.username}</strong></span>
+                  <button className="auth-signout" onClick={handleSignOut}>
+                    Sign out
+                  </button>
+                </div>
+              </>
+            )}
 
 
           </div>
         </div>
 
+        <MeetingHistory
+          userId={userId}
+          apiBase={apiBase}
+          isOpen={showHistory}
+          onClose={() => setShowHistory(false)}
+        />
+
         {/* Join Meeting Modal */}
         {showJoinModal && (
           <div className="modal-overlay">
@@ -507,6 +621,21 @@ function App() {
                       onKeyPress={handleKeyPress}
                     />
                   </div>
+                  {joinNeedsPasscode && (
+                    <div className="form-group">
+                      <label htmlFor="joinPasscode">Meeting Passcode</label>
+                      <input
+                        type="password"
+                        id="joinPasscode"
+                        value={joinPasscode}
+                        onChange={(e) => setJoinPasscode(e.target.value)}
+                        placeholder="Enter the passcode from the host"
+                        onKeyPress={handleKeyPress}
+                        autoComplete="off"
+                        autoFocus
+                      />
+                    </div>
+                  )}
                 </div>
                 <div className="modal-footer">
                   <button type="button" className="btn-secondary" onClick={closeJoinModal}>
@@ -544,6 +673,26 @@ function App() {
                       autoFocus
                     />
                   </div>
+                  <div className="form-group">
+                    <label htmlFor="createPasscode">Passcode (optional)</label>
+                    <input
+                      type="password"
+                      id="createPasscode"
+                      value={createPasscode}
+                      onChange={(e) => setCreatePasscode(e.target.value)}
+                      placeholder="4-32 characters, leave empty for none"
+                      autoComplete="new-password"
+                      maxLength={32}
+                    />
+                  </div>
+                  <label className="form-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={createWaitingRoom}
+                      onChange={(e) => setCreateWaitingRoom(e.target.checked)}
+                    />
+                    Waiting room - I admit each participant
+                  </label>
                   <p className="modal-info">
                     <i className="fas fa-info-circle"></i>
                     A unique meeting ID will be generated automatically
@@ -658,7 +807,7 @@ function App() {
               </button>
             </h2>
             <span className="user-badge">
-              <i className="fas fa-user"></i> {username} {isHost && '(Host)'}
+              <i className="fas fa-user"></i> {username} {role !== 'attendee' && `(${getRoleLabel(role)})`}
             </span>
           </div>
           <div className="meeting-controls">
@@ -679,6 +828,15 @@ function App() {
                 <span className="unread-dot" style={{ color: 'red', marginLeft: 4, fontSize: 12 }}></span>
               )}
             </button>
+            {rollingSummary && (
+              <button
+                className="control-btn"
+                onClick={() => setShowLiveSummary(prev => !prev)}
+              >
+                <i className="fas fa-stream"></i>
+                <span>So Far</span>
+              </button>
+            )}
             <button
               className="control-btn"
               onClick={() => setShowSummary(true)}
@@ -703,6 +861,9 @@ function App() {
               username={username}
               userId={userId}
               isHost={isHost}
+              passcode={meetingPasscode}
+              onRoleChange={handleRoleChange}
+              onFeatureLocksChange={setFeatureLocks}
               onError={handleVideoCallError}
               setSocket={setVideoCallSocket}
               onStreamChange={setLocalStream}
@@ -721,6 +882,10 @@ function App() {
             meetingId={meetingId}
             userId={userId}
             username={username}
+            canChat={can(role, 'chat') && !isFeatureLocked(featureLocks, role, 'chat')}
+            canShareFiles={can(role, 'chat') && !isFeatureLocked(featureLocks, role, 'fileShare')}
+            chatLocked={isFeatureLocked(featureLocks, role, 'chat')}
+            canCreatePoll={can(role, 'createPoll')}
             isOpen={showChat}
             onClose={() => setShowChat(false)}
           />
@@ -742,9 +907,11 @@ function App() {
         {/* Meeting Summary Modal */}
         <MeetingSummary
           meetingId={meetingId}
+          userId={userId}
           isOpen={showSummary}
           onClose={() => setShowSummary(false)}
           apiBase={apiBase}
+          socket={videoCallSocket}
         />
 
         {/* Confirm Leave Modal */}
@@ -786,6 +953,15 @@ function App() {
             onClose={handleCloseMissedSpeech}
             onSummarize={handleSummarizeMissedSpeech}
             currentUserId={userId}
+            rollingSummary={rollingSummary}
+          />
+        )}
+
+        {/* Live Rolling Summary */}
+        {showLiveSummary && meetingState === 'joined' && (
+          <LiveSummary
+            rollingSummary={rollingSummary}
+            onClose={() => setShowLiveSummary(false)}
           />
         )}
       </div>
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { saveSession } from '../utils/auth';
+import './AuthForm.css';
+
+// Sign in / create account, shown in the lobby when there is no session
+const AuthForm = ({ apiBase, onAuthenticated }) => {
+  const [mode, setMode] = useState('login'); // 'login' | 'register'
+  const [email, setEmail] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${apiBase}/api/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(isRegister ? { email, username, password } : { email, password })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || 'Something went wrong');
+
+      saveSession({ token: data.token, user: data.user });
+      setPassword('');
+      onAuthenticated(data.user);
+    } catch (err) {
+      setError(err.message || 'Failed to reach the server. Please check your connection.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-form">
+      <div className="auth-tabs">
+        <button
+          type="button"
+          className={`auth-tab ${!isRegister ? 'active' : ''}`}
+          onClick={() => switchMode('login')}
+        >
+          Sign In
+        </button>
+        <button
+          type="button"
+          className={`auth-tab ${isRegister ? 'active' : ''}`}
+          onClick={() => switchMode('register')}
+        >
+          Create Account
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="authEmail">Email</label>
+          <input
+            type="email"
+            id="authEmail"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            autoComplete="email"
+            required
+            autoFocus
+          />
+        </div>
+
+        {isRegister && (
+          <div className="form-group">
+            <label htmlFor="authUsername">Name</label>
+            <input
+              type="text"
+              id="authUsername"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="How others will see you"
+              autoComplete="name"
+              maxLength={50}
+              required
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="authPassword">Password</label>
+          <input
+            type="password"
+            id="authPassword"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={isRegister ? 'At least 8 characters' : 'Your password'}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            maxLength={72}
+            required
+          />
+        </div>
+
+        {error && (
+          <div className="auth-error">
+            <i className="fas fa-exclamation-circle"></i> {error}
+          </div>
+        )}
+
+        <button type="submit" className="btn-primary auth-submit" disabled={isSubmitting}>
+          {isSubmitting ? (
+            <i className="fas fa-spinner fa-spin"></i>
+          ) : (
+            <i className={isRegister ? 'fas fa-user-plus' : 'fas fa-sign-in-alt'}></i>
+          )}
+          {isRegister ? 'Create Account' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AuthForm;
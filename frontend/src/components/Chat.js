@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import './Chat.css';
 
-const Chat = ({ socket, meetingId, userId, username, isOpen, onClose }) => {
+// canChat / canShareFiles / canCreatePoll come from the participant's meeting role (utils/roles)
+// and the features the host has turned off - chatLocked when it's the host's lock
+const Chat = ({ socket, meetingId, userId, username, canChat = true, canShareFiles = true, chatLocked = false, canCreatePoll = true, isOpen, onClose }) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isTyping, setIsTyping] = useState({});
@@ -487,33 +489,37 @@ const Chat = ({ socket, meetingId, userId, username, isOpen, onClose }) => {
           type="button"
           className="chat-attach-btn"
           onClick={() => fileInputRef.current?.click()}
-          title="Attach file"
+          title={canShareFiles ? 'Attach file' : 'File sharing is turned off'}
+          disabled={!canShareFiles}
         >
           <i className="fas fa-paperclip"></i>
         </button>
 
-        <button
-          type="button"
-          className="chat-poll-btn"
-          onClick={handleOpenPollModal}
-          title="Create poll"
-        >
-          <i className="fas fa-poll"></i>
-        </button>
+        {canCreatePoll && (
+          <button
+            type="button"
+            className="chat-poll-btn"
+            onClick={handleOpenPollModal}
+            title="Create poll"
+          >
+            <i className="fas fa-poll"></i>
+          </button>
+        )}
 
         <input
           type="text"
           className="chat-input"
-          placeholder="Type a message..."
+          placeholder={canChat ? 'Type a message...' : chatLocked ? 'The host has turned off chat' : "Your role can't send messages"}
           value={newMessage}
           onChange={handleTyping}
+          disabled={!canChat}
           autoFocus
         />
 
         <button
           type="submit"
           className="chat-send-btn"
-          disabled={!newMessage.trim()}
+          disabled={!canChat || !newMessage.trim()}
         >
           <i className="fas fa-paper-plane"></i>
         </button>
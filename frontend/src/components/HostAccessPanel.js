@@ -0,0 +1,113 @@
+import React from 'react';
+import { FEATURE_LOCKS } from '../utils/roles';
+import './HostAccessPanel.css';
+
+const formatWaitTime = (since) => {
+  const minutes = Math.floor((Date.now() - new Date(since).getTime()) / 60000);
+  return minutes < 1 ? 'just now' : `${minutes} min`;
+};
+
+// Host / co-host panel: lock the meeting, the waiting room, the ban list and
+// what participants are allowed to do. accessState comes from the server's
+// 'access-updated' event, featureLocks from 'feature-locks-updated'.
+const HostAccessPanel = ({ accessState, featureLocks, onToggleLock, onToggleWaitingRoom, onToggleFeatureLock, onAdmit, onDeny, onUnban, onClose }) => {
+  const { isLocked, waitingRoomEnabled, hasPasscode, waiting = [], banned = [] } = accessState || {};
+
+  return (
+    <div className="participants-panel host-access-panel">
+      <div className="panel-header">
+        <h3>Meeting Access</h3>
+        <button onClick={onClose} title="Close panel">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+
+      <div className="host-access-body">
+        <div className="host-access-settings">
+          <label className="host-access-toggle">
+            <span>
+              <i className={`fas fa-${isLocked ? 'lock' : 'lock-open'}`}></i>
+              Lock meeting
+              <small>No one new can join</small>
+            </span>
+            <input type="checkbox" checked={!!isLocked} onChange={(e) => onToggleLock(e.target.checked)} />
+          </label>
+          <label className="host-access-toggle">
+            <span>
+              <i className="fas fa-door-open"></i>
+              Waiting room
+              <small>Admit each person yourself</small>
+            </span>
+            <input type="checkbox" checked={!!waitingRoomEnabled} onChange={(e) => onToggleWaitingRoom(e.target.checked)} />
+          </label>
+          {hasPasscode && (
+            <p className="host-access-note">
+              <i className="fas fa-key"></i> Joining requires the meeting passcode
+            </p>
+          )}
+        </div>
+
+        <h4 className="host-access-heading">Participants can</h4>
+        <div className="host-access-settings">
+          {FEATURE_LOCKS.map(feature => (
+            <label key={feature.id} className="host-access-toggle">
+              <span>
+                <i className={`fas fa-${feature.icon}`}></i>
+                {feature.label}
+              </span>
+              <input
+                type="checkbox"
+                checked={!featureLocks?.[feature.id]}
+                onChange={(e) => onToggleFeatureLock(feature.id, !e.target.checked)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <h4 className="host-access-heading">Waiting ({waiting.length})</h4>
+        {waiting.length === 0 ? (
+          <p className="host-access-empty">Nobody is waiting</p>
+        ) : (
+          waiting.map(person => (
+            <div key={person.userId} className="participant-item">
+              <div className="participant-info">
+                <i className="fas fa-user-clock"></i>
+                <span>{person.username}</span>
+                <small className="host-access-since">{formatWaitTime(person.requestedAt)}</small>
+              </div>
+              <div className="host-controls">
+                <button className="host-control-btn admit" onClick={() => onAdmit(person)} title="Admit">
+                  <i className="fas fa-check"></i>
+                </button>
+                <button className="host-control-btn danger" onClick={() => onDeny(person)} title="Deny">
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+
+        <h4 className="host-access-heading">Removed ({banned.length})</h4>
+        {banned.length === 0 ? (
+          <p className="host-access-empty">Nobody has been removed</p>
+        ) : (
+          banned.map(person => (
+            <div key={person.userId} className="participant-item">
+              <div className="participant-info">
+                <i className="fas fa-user-slash"></i>
+                <span>{person.username || person.userId}</span>
+              </div>
+              <div className="host-controls">
+                <button className="host-control-btn" onClick={() => onUnban(person)} title="Allow to rejoin">
+                  <i className="fas fa-undo"></i>
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HostAccessPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+import './LiveSummary.css';
+
+// Rolling "meeting so far" summary pushed by the server during the call
+const LiveSummary = ({ rollingSummary, onClose }) => {
+  if (!rollingSummary?.summary) return null;
+
+  const updatedAt = new Date(rollingSummary.generatedAt)
+    .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="live-summary-card">
+      <div className="live-summary-header">
+        <div className="live-summary-title">
+          <i className="fas fa-stream"></i>
+          <div>
+            <h4>Meeting so far</h4>
+            <span>Updated {updatedAt}</span>
+          </div>
+        </div>
+        <button className="live-summary-close" onClick={onClose} title="Close">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+      <div className="live-summary-body">{rollingSummary.summary}</div>
+    </div>
+  );
+};
+
+export default LiveSummary;
@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import TranscriptViewer from './TranscriptViewer';
+import { authHeaders } from '../utils/auth';
+import './MeetingHistory.css';
+
+const RANGES = [
+  { value: 'all', label: 'All time', days: null },
+  { value: '7', label: 'Last 7 days', days: 7 },
+  { value: '30', label: 'Last 30 days', days: 30 },
+  { value: '90', label: 'Last 90 days', days: 90 }
+];
+
+const KIND_ICONS = {
+  title: 'fa-heading',
+  speech: 'fa-microphone',
+  chat: 'fa-comment',
+  summary: 'fa-brain'
+};
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' })
+  : '';
+
+const formatTime = (value) => value
+  ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  : '';
+
+// Search and ask questions across every meeting the user joined
+const MeetingHistory = ({ userId, apiBase, isOpen, onClose }) => {
+  const [mode, setMode] = useState('search'); // 'search' | 'ask'
+  const [range, setRange] = useState('all');
+  const [meetings, setMeetings] = useState([]);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [answer, setAnswer] = useState(null);
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [transcriptMeetingId, setTranscriptMeetingId] = useState(null);
+
+  const buildRangeParams = useCallback(() => {
+    const days = RANGES.find(option => option.value === range)?.days;
+    if (!days) return {};
+    return { from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() };
+  }, [range]);
+
+  const loadMeetings = useCallback(() => {
+    const params = new URLSearchParams(buildRangeParams());
+    fetch(`${apiBase}/api/history/${userId}/meetings?${params}`, { headers: authHeaders() })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) setMeetings(data.meetings);
+        else setError(data.message || 'Failed to load meeting history');
+      })
+      .catch(() => setError('Failed to load meeting history. Please check your connection.'));
+  }, [apiBase, userId, buildRangeParams]);
+
+  // Load the meeting list when opened or the range changes
+  useEffect(() => {
+    if (!isOpen || !userId) return;
+    loadMeetings();
+  }, [isOpen, userId, loadMeetings]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setResults(null);
+      setAnswer(null);
+      setError('');
+      setTranscriptMeetingId(null);
+    }
+  }, [isOpen]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ q: query.trim(), ...buildRangeParams() });
+      const response = await fetch(`${apiBase}/api/history/${userId}/search?${params}`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || 'Search failed');
+      setResults(data.results);
+    } catch (err) {
+      setError(err.message || 'Search failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    if (!question.trim()) return;
+
+    setIsLoading(true);
+    setError('');
+    setActiveCitation(null);
+    try {
+      const response = await fetch(`${apiBase}/api/history/${userId}/ask`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ question: question.trim(), ...buildRangeParams() })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || 'Failed to get an answer');
+      setAnswer({ question: question.trim(), text: data.response, citations: data.citations || [] });
+    } catch (err) {
+      setError(err.message || 'Failed to get an answer');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderMeetingList = () => (
+    <div className="history-meetings">
+      {meetings.length === 0 ? (
+        <div className="history-empty">
+          <i className="fas fa-folder-open"></i>
+          <p>No meetings yet. Meetings you create or join will show up here.</p>
+        </div>
+      ) : meetings.map(meeting => (
+        <div key={meeting.meetingId} className="history-meeting">
+          <div className="history-meeting-title">
+            <span>{meeting.title}</span>
+            {meeting.isActive && <span className="history-live-badge">Live</span>}
+          </div>
+          <div className="history-meeting-meta">
+            <span><i className="fas fa-calendar"></i> {formatDate(meeting.startTime)} {formatTime(meeting.startTime)}</span>
+            <span><i className="fas fa-users"></i> {meeting.participantCount}</span>
+            {meeting.hasSummary && <span><i className="fas fa-brain"></i> Summary</span>}
+            <span className="history-meeting-id">{meeting.meetingId}</span>
+            <button className="history-transcript-btn" onClick={() => setTranscriptMeetingId(meeting.meetingId)}>
+              <i className="fas fa-file-alt"></i> Transcript
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderResults = () => (
+    <div className="history-results">
+      {results.length === 0 ? (
+        <div className="history-empty">
+          <i className="fas fa-search"></i>
+          <p>No matches for "{query}".</p>
+        </div>
+      ) : results.map(group => (
+        <div key={group.meetingId} className="history-result-group">
+          <div className="history-result-header">
+            <span className="history-result-title">{group.title}</span>
+            <span className="history-result-date">{formatDate(group.startTime)}</span>
+          </div>
+          {group.matches.map(match => (
+            <div key={match.entryId} className="history-match">
+              <i className={`fas ${KIND_ICONS[match.kind] || 'fa-align-left'}`}></i>
+              <div>
+                <div className="history-match-meta">
+                  {match.speaker}{match.timestamp ? ` · ${formatTime(match.timestamp)}` : ''}
+                </div>
+                <div className="history-match-text">{match.snippet}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderAnswer = () => {
+    const active = answer.citations.find(citation => citation.ref === activeCitation);
+
+    return (
+      <div className="history-answer">
+        <div className="history-answer-question">
+          <i className="fas fa-question-circle"></i> {answer.question}
+        </div>
+        <div className="history-answer-text">{answer.text}</div>
+        {answer.citations.length > 0 && (
+          <div className="history-citations">
+            <span className="history-citations-label">Sources</span>
+            {answer.citations.map(citation => (
+              <button
+                key={citation.ref}
+                className={`history-citation-chip ${activeCitation === citation.ref ? 'active' : ''}`}
+                onClick={() => setActiveCitation(activeCitation === citation.ref ? null : citation.ref)}
+                title={citation.title}
+              >
+                <span className="history-citation-ref">{citation.ref}</span>
+                {citation.title} · {formatDate(citation.timestamp)}
+              </button>
+            ))}
+          </div>
+        )}
+        {active && (
+          <div className="history-citation-detail">
+            <div className="history-match-meta">
+              {active.title} · {active.speaker} · {formatDate(active.timestamp)} {formatTime(active.timestamp)}
+            </div>
+            <div className="history-match-text">{active.text}</div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <div className="history-modal" onClick={e => e.stopPropagation()}>
+        <div className="history-header">
+          <div className="history-title">
+            <i className="fas fa-history"></i>
+            <h2>Meeting History</h2>
+          </div>
+          <button className="history-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="history-toolbar">
+          <div className="history-tabs">
+            <button
+              className={`history-tab ${mode === 'search' ? 'active' : ''}`}
+              onClick={() => setMode('search')}
+            >
+              <i className="fas fa-search"></i>
+              Search
+            </button>
+            <button
+              className={`history-tab ${mode === 'ask' ? 'active' : ''}`}
+              onClick={() => setMode('ask')}
+            >
+              <i className="fas fa-robot"></i>
+              Ask AI
+            </button>
+          </div>
+          <select className="history-range" value={range} onChange={e => setRange(e.target.value)}>
+            {RANGES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {mode === 'search' ? (
+          <form className="history-form" onSubmit={handleSearch}>
+            <input
+              type="text"
+              value={query}
+              onChange={e => {
+                setQuery(e.target.value);
+                if (!e.target.value.trim()) setResults(null);
+              }}
+              placeholder="Search titles, transcripts, chat and summaries..."
+            />
+            <button type="submit" className="history-submit" disabled={isLoading || !query.trim()}>
+              {isLoading ? <i className="fas fa-spinner fa-spin"></i> : <i className="fas fa-search"></i>}
+            </button>
+          </form>
+        ) : (
+          <form className="history-form" onSubmit={handleAsk}>
+            <input
+              type="text"
+              value={question}
+              onChange={e => setQuestion(e.target.value)}
+              placeholder="e.g. What did we decide about the pricing page last month?"
+            />
+            <button type="submit" className="history-submit" disabled={isLoading || !question.trim()}>
+              {isLoading ? <i className="fas fa-spinner fa-spin"></i> : <i className="fas fa-paper-plane"></i>}
+            </button>
+          </form>
+        )}
+
+        {error && (
+          <div className="history-error">
+            <i className="fas fa-exclamation-circle"></i> {error}
+          </div>
+        )}
+
+        <div className="history-body">
+          {mode === 'search' && (results ? renderResults() : renderMeetingList())}
+          {mode === 'ask' && (answer ? renderAnswer() : (
+            <div className="history-empty">
+              <i className="fas fa-robot"></i>
+              <p>Ask a question about any of your past meetings. Answers cite the meetings they come from.</p>
+            </div>
+          ))}
+        </div>
+
+        <TranscriptViewer
+          meetingId={transcriptMeetingId}
+          apiBase={apiBase}
+          isOpen={!!transcriptMeetingId}
+          onClose={() => setTranscriptMeetingId(null)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default MeetingHistory;
@@ -1,15 +1,133 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import useBackgroundJob from '../hooks/useBackgroundJob';
+import { SUPPORTED_LANGUAGES, getLanguageSettings } from '../utils/languages';
+import { authHeaders, downloadWithAuth } from '../utils/auth';
 import './MeetingSummary.css';
 
-const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
-  // Mode: 'summary' or 'chat'
+// Custom summary templates are looked up for this organization (see /api/summary/templates)
+const ORGANIZATION_ID = process.env.REACT_APP_ORGANIZATION_ID || '';
+
+const BUILTIN_LEVELS = {
+  simple: { label: 'Simple', icon: 'seedling', description: 'Easy to understand, key points only' },
+  intermediate: { label: 'Intermediate', icon: 'balance-scale', description: 'Balanced detail with main discussions' },
+  advanced: { label: 'Advanced', icon: 'graduation-cap', description: 'Comprehensive with full analysis' }
+};
+
+/**
+ * Read a Server-Sent Events response body and call onEvent(event, data) per message
+ */
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    messages.forEach(message => {
+      let event = 'message';
+      let data = '';
+      message.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.substring(6).trim();
+        if (line.startsWith('data:')) data += line.substring(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    });
+  }
+};
+
+// Chart colors for segment sentiment labels (see GET /api/meetings/:meetingId/analytics)
+const SENTIMENT_COLORS = {
+  positive: '#10b981',
+  neutral: '#94a3b8',
+  negative: '#ef4444',
+  none: 'transparent'
+};
+
+// Activity log entries shown under a chapter (see GET /api/summary/chapters/:meetingId)
+const ACTIVITY_LABELS = {
+  join: { icon: 'sign-in-alt', text: 'joined' },
+  leave: { icon: 'sign-out-alt', text: 'left' },
+  'hand-raise': { icon: 'hand-paper', text: 'raised their hand' },
+  'hand-lower': { icon: 'hand-rock', text: 'lowered their hand' },
+  'screen-share-start': { icon: 'desktop', text: 'started sharing their screen' },
+  'screen-share-stop': { icon: 'desktop', text: 'stopped sharing their screen' },
+  mute: { icon: 'microphone-slash', text: 'muted' },
+  unmute: { icon: 'microphone', text: 'unmuted' },
+  'video-on': { icon: 'video', text: 'turned their camera on' },
+  'video-off': { icon: 'video-slash', text: 'turned their camera off' }
+};
+
+// Transcript export formats served by /api/meetings/:meetingId/export/:format
+const EXPORT_FORMATS = [
+  { id: 'vtt', label: 'VTT', title: 'WebVTT subtitles' },
+  { id: 'srt', label: 'SRT', title: 'SRT subtitles' },
+  { id: 'md', label: 'Markdown', title: 'Markdown' },
+  { id: 'csv', label: 'CSV', title: 'CSV' },
+  { id: 'json', label: 'JSON', title: 'JSON' }
+];
+
+// Meeting minutes formats served by /api/meetings/:meetingId/minutes
+const MINUTES_FORMATS = [
+  { id: 'pdf', label: 'PDF' },
+  { id: 'md', label: 'Markdown' }
+];
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// "1h 5m", "3m 20s", "12s"
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+/**
+ * Horizontal bar chart - rows: [{ key, label, value, display }]
+ */
+const BarChart = ({ rows, emptyText }) => {
+  const max = Math.max(...rows.map(row => row.value), 0);
+  if (max === 0) return <p className="analytics-empty-chart">{emptyText}</p>;
+
+  return (
+    <div className="analytics-bars">
+      {rows.map(row => (
+        <div key={row.key} className="analytics-bar-row">
+          <span className="analytics-bar-label" title={row.label}>{row.label}</span>
+          <div className="analytics-bar-track">
+            <div className="analytics-bar-fill" style={{ width: `${(row.value / max) * 100}%` }}></div>
+          </div>
+          <span className="analytics-bar-value">{row.display ?? row.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const MeetingSummary = ({ meetingId, userId, isOpen, onClose, apiBase, socket }) => {
+  // Mode: 'summary', 'chat', 'chapters' or 'analytics'
   const [mode, setMode] = useState('summary');
   
   // Summary states
-  const [summaryLevel, setSummaryLevel] = useState('intermediate'); // 'simple' | 'intermediate' | 'advanced'
+  const [summaryLevel, setSummaryLevel] = useState('intermediate'); // 'simple' | 'intermediate' | 'advanced' | custom template id
+  const [customLevels, setCustomLevels] = useState([]); // Custom summary types, e.g. standup or retro
+  const [summaryTemplate, setSummaryTemplate] = useState(null); // { id, version, source } that produced the summary
+  const [summaryLanguage, setSummaryLanguage] = useState(() => getLanguageSettings().aiLanguage); // '' = English
   const [summary, setSummary] = useState(null);
   const [actionItems, setActionItems] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [wasCancelled, setWasCancelled] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null); // Set when the summary was served from cache
+  const [condenseProgress, setCondenseProgress] = useState(null); // Long meetings: { stage, completed, total }
   const [error, setError] = useState('');
   const [meetingInfo, setMeetingInfo] = useState(null);
   const [isServiceAvailable, setIsServiceAvailable] = useState(true);
@@ -19,13 +137,34 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState('');
   const [isChatLoading, setIsChatLoading] = useState(false);
+  const [chatStatus, setChatStatus] = useState(null); // Progress of the background chat job
+  const [activeCitation, setActiveCitation] = useState(null); // "messageIndex:ref" of the expanded source
+  const [threadId, setThreadId] = useState(null); // Server-side conversation being continued
+  const [threads, setThreads] = useState([]);
+
+  // Chapter states
+  const [chapterData, setChapterData] = useState(null); // { method, modelUsed, fallbackReason, chapters }
+  const [chapterMethod, setChapterMethod] = useState('auto'); // 'auto' (AI when available) | 'lexical'
+  const [activeChapter, setActiveChapter] = useState(0);
+  const [isChaptersLoading, setIsChaptersLoading] = useState(false);
+  const [chaptersError, setChaptersError] = useState('');
+
+  // Analytics states
+  const [analytics, setAnalytics] = useState(null);
+  const [isAnalyticsLoading, setIsAnalyticsLoading] = useState(false);
+  const [analyticsError, setAnalyticsError] = useState('');
+
   const chatEndRef = useRef(null);
+  const streamControllerRef = useRef(null);
+  const threadIdRef = useRef(null); // lets loadThreads see the open thread without re-running the restore effect
+  const { runJob } = useBackgroundJob(apiBase, socket);
 
-  // Check service availability on mount
+  // Stop any in-flight summary stream when the modal closes or unmounts
   useEffect(() => {
-    if (isOpen) {
-      checkServiceStatus();
+    if (!isOpen) {
+      streamControllerRef.current?.abort();
     }
+    return () => streamControllerRef.current?.abort();
   }, [isOpen]);
 
   // Scroll to bottom of chat
@@ -35,9 +174,9 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
     }
   }, [chatMessages]);
 
-  const checkServiceStatus = async () => {
+  const checkServiceStatus = useCallback(async () => {
     try {
-      const response = await fetch(`${apiBase}/api/summary/status`);
+      const response = await fetch(`${apiBase}/api/summary/status`, { headers: authHeaders() });
       const data = await response.json();
       setIsServiceAvailable(data.available);
       if (!data.available) {
@@ -46,52 +185,266 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
     } catch (err) {
       console.error('Failed to check service status:', err);
     }
-  };
+  }, [apiBase]);
+
+  // Custom level templates added by admins (overrides of the built-in levels keep their button)
+  const loadCustomLevels = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ kind: 'level', organizationId: ORGANIZATION_ID });
+      const response = await fetch(`${apiBase}/api/summary/templates?${params}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setCustomLevels(data.templates.filter(template => !BUILTIN_LEVELS[template.id]));
+      }
+    } catch (err) {
+      console.error('Failed to load summary templates:', err);
+    }
+  }, [apiBase]);
+
+  // Check service availability on mount
+  useEffect(() => {
+    if (isOpen) {
+      checkServiceStatus();
+      loadCustomLevels();
+    }
+  }, [isOpen, checkServiceStatus, loadCustomLevels]);
+
+  // Stream the summary over SSE so text renders as it is generated
+  // force skips the server cache (Regenerate)
+  const generateSummary = async (force = false) => {
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
 
-  const generateSummary = async () => {
     setIsLoading(true);
+    setIsStreaming(false);
+    setWasCancelled(false);
+    setCachedAt(null);
+    setCondenseProgress(null);
     setError('');
+    setSummary(null);
+    setActionItems(null);
+    setSummaryTemplate(null);
 
     try {
-      const response = await fetch(`${apiBase}/api/summary/generate`, {
+      const response = await fetch(`${apiBase}/api/summary/generate/stream`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           meetingId,
-          summaryType: 'adaptive',
           level: summaryLevel,
+          organizationId: ORGANIZATION_ID || undefined,
+          targetLanguage: summaryLanguage || undefined,
+          force,
           additionalData: {
             endTime: new Date().toISOString()
           }
         }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
-
-      if (data.success) {
-        setSummary(data.summary);
-        if (data.actionItems) {
-          setActionItems(data.actionItems);
-        }
-        if (data.meetingInfo) {
-          setMeetingInfo(data.meetingInfo);
-        }
-      } else {
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
         throw new Error(data.message || 'Failed to generate summary');
       }
+
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'meta':
+            if (data.meetingInfo) {
+              setMeetingInfo(data.meetingInfo);
+            }
+            setSummaryTemplate(data.template || null);
+            break;
+          case 'progress':
+            setCondenseProgress(data);
+            break;
+          case 'summary':
+            setIsLoading(false);
+            setIsStreaming(true);
+            setSummary(prev => (prev || '') + data.text);
+            break;
+          case 'action-items':
+            setActionItems(prev => (prev || '') + data.text);
+            break;
+          case 'done':
+            if (data.cached) {
+              setCachedAt(data.cachedAt);
+            }
+            break;
+          case 'error':
+            throw new Error(data.message || 'Failed to generate summary');
+          default:
+            break;
+        }
+      });
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // User cancelled - keep whatever was streamed so far
+        setWasCancelled(true);
+        return;
+      }
       console.error('Error generating summary:', err);
       setError(err.message || 'Failed to generate summary. Please try again.');
     } finally {
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null;
+      }
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
+  const cancelSummary = () => {
+    streamControllerRef.current?.abort();
+  };
+
   const handleLevelChange = (level) => {
+    cancelSummary();
     setSummaryLevel(level);
     setSummary(null); // Clear previous summary when level changes
+    setActionItems(null);
+  };
+
+  // Summaries and AI chat answers are written in this language
+  const handleLanguageChange = (language) => {
+    cancelSummary();
+    setSummaryLanguage(language);
+    setSummary(null);
+    setActionItems(null);
+  };
+
+  const loadChapters = useCallback(async () => {
+    setIsChaptersLoading(true);
+    setChaptersError('');
+
+    try {
+      const params = new URLSearchParams({ method: chapterMethod });
+      const response = await fetch(`${apiBase}/api/summary/chapters/${meetingId}?${params}`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load chapters');
+      }
+      setChapterData(data);
+      setActiveChapter(current => Math.min(current, Math.max(data.chapters.length - 1, 0)));
+    } catch (err) {
+      console.error('Failed to load chapters:', err);
+      setChaptersError(err.message || 'Failed to load chapters');
+    } finally {
+      setIsChaptersLoading(false);
+    }
+  }, [apiBase, meetingId, chapterMethod]);
+
+  // Chapters are built on request - load them when the tab is opened
+  useEffect(() => {
+    if (isOpen && mode === 'chapters') {
+      loadChapters();
+    }
+  }, [isOpen, mode, loadChapters]);
+
+  const loadAnalytics = useCallback(async () => {
+    setIsAnalyticsLoading(true);
+    setAnalyticsError('');
+
+    try {
+      const response = await fetch(`${apiBase}/api/meetings/${meetingId}/analytics`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load analytics');
+      }
+      setAnalytics(data.analytics);
+    } catch (err) {
+      console.error('Failed to load analytics:', err);
+      setAnalyticsError(err.message || 'Failed to load analytics');
+    } finally {
+      setIsAnalyticsLoading(false);
+    }
+  }, [apiBase, meetingId]);
+
+  // Analytics are computed on request - load them when the tab is opened
+  useEffect(() => {
+    if (isOpen && mode === 'analytics') {
+      loadAnalytics();
+    }
+  }, [isOpen, mode, loadAnalytics]);
+
+  const resumeThread = useCallback(async (id) => {
+    try {
+      const response = await fetch(`${apiBase}/api/summary/chat/threads/${id}`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+
+      setThreadId(id);
+      setActiveCitation(null);
+      setChatMessages(data.thread.messages.map(({ role, content, citations }) => ({ role, content, citations: citations || [] })));
+    } catch (err) {
+      console.error('Failed to resume chat thread:', err);
+    }
+  }, [apiBase]);
+
+  const loadThreads = useCallback(async (resumeLatest = false) => {
+    try {
+      const params = new URLSearchParams({ meetingId });
+      const response = await fetch(`${apiBase}/api/summary/chat/threads?${params}`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) return;
+
+      setThreads(data.threads);
+      if (resumeLatest && data.threads.length > 0 && !threadIdRef.current) {
+        resumeThread(data.threads[0].threadId);
+      }
+    } catch (err) {
+      console.error('Failed to load chat threads:', err);
+    }
+  }, [apiBase, meetingId, resumeThread]);
+
+  useEffect(() => {
+    threadIdRef.current = threadId;
+  }, [threadId]);
+
+  // Restore the most recent AI chat conversation when opened
+  useEffect(() => {
+    if (isOpen && meetingId && userId) {
+      loadThreads(true);
+    }
+  }, [isOpen, meetingId, userId, loadThreads]);
+
+  // Downloads need the access token, so they are fetched rather than plain links
+  const handleFileDownload = async (path, fallbackName) => {
+    try {
+      await downloadWithAuth(`${apiBase}${path}`, fallbackName);
+    } catch (err) {
+      setError(err.message || 'Download failed');
+    }
+  };
+
+  const startNewThread = () => {
+    setThreadId(null);
+    setActiveCitation(null);
+    setChatMessages([]);
+  };
+
+  const deleteThread = async (id) => {
+    try {
+      await fetch(`${apiBase}/api/summary/chat/threads/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+    } catch (err) {
+      console.error('Failed to delete chat thread:', err);
+    }
+
+    setThreads(prev => prev.filter(thread => thread.threadId !== id));
+    if (id === threadId) {
+      startNewThread();
+    }
   };
 
   const handleChatSubmit = async (e) => {
@@ -106,27 +459,25 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
     setIsChatLoading(true);
 
     try {
-      const response = await fetch(`${apiBase}/api/summary/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          meetingId,
-          message: userMessage,
-          chatHistory: chatMessages
-        }),
-      });
-
-      const data = await response.json();
+      // Runs as a background job so rate-limit retries don't hit request timeouts
+      const data = await runJob('/api/summary/chat', {
+        meetingId,
+        threadId,
+        message: userMessage,
+        targetLanguage: summaryLanguage || undefined
+      }, (job) => setChatStatus(job.progressMessage));
 
       if (data.success) {
-        setChatMessages(prev => [...prev, { role: 'assistant', content: data.response }]);
+        setChatMessages(prev => [...prev, { role: 'assistant', content: data.response, citations: data.citations || [] }]);
+        if (data.threadId && data.threadId !== threadId) {
+          setThreadId(data.threadId);
+          loadThreads();
+        }
         if (data.meetingInfo && !meetingInfo) {
           setMeetingInfo(data.meetingInfo);
         }
       } else {
-        throw new Error(data.message || 'Failed to get response');
+        throw Object.assign(new Error(data.message || 'Failed to get response'), { code: data.code });
       }
     } catch (err) {
       console.error('Error in chat:', err);
@@ -135,7 +486,9 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
       let errorMessage = 'Sorry, I encountered an error. Please try again.';
       const errorStr = err.message || '';
       
-      if (errorStr.includes('RATE_LIMIT') || errorStr.includes('429') || errorStr.includes('quota')) {
+      if (err.code === 'QUOTA_EXCEEDED') {
+        errorMessage = `🚫 **AI Quota Reached**\n\n${errorStr}`;
+      } else if (errorStr.includes('RATE_LIMIT') || errorStr.includes('429') || errorStr.includes('quota')) {
         errorMessage = '⚠️ **Rate Limit Reached**\n\nToo many requests. Please wait a moment (30-60 seconds) before asking another question.\n\nThis happens when the AI service receives too many requests in a short time.';
       } else if (errorStr.includes('SERVICE_UNAVAILABLE') || errorStr.includes('503')) {
         errorMessage = '⚠️ **Service Temporarily Unavailable**\n\nThe AI service is currently unavailable. Please try again in a few minutes.';
@@ -152,6 +505,7 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
       }]);
     } finally {
       setIsChatLoading(false);
+      setChatStatus(null);
     }
   };
 
@@ -165,13 +519,7 @@ const MeetingSummary = ({ meetingId, isOpen, onClose, apiBase }) => {
   };
 
   const handleDownload = () => {
-    const levelLabels = {
-      simple: 'Simple',
-      intermediate: 'Intermediate', 
-      advanced: 'Advanced'
-    };
-    
-    let content = `Meeting Summary - ${levelLabels[summaryLevel]} Level
+    let content = `Meeting Summary - ${getLevelLabel(summaryLevel)}
 Meeting ID: ${meetingId}
 Generated: ${new Date().toLocaleString()}
 ${meetingInfo ? `Participants: ${meetingInfo.participantCount}` : ''}
@@ -230,21 +578,83 @@ ${'='.repeat(50)}
     URL.revokeObjectURL(url);
   };
 
-  const renderMarkdown = (text) => {
+  // Clicking a citation marker expands the cited excerpt under the message
+  const toggleCitation = (messageIndex, ref) => {
+    const key = `${messageIndex}:${ref}`;
+    setActiveCitation(prev => (prev === key ? null : key));
+  };
+
+  // Turn "[n]" markers into citation buttons when the message has sources
+  const renderInline = (content, citationContext) => {
+    if (!citationContext?.citations?.length) return content;
+
+    const { citations, messageIndex } = citationContext;
+    return content.split(/(\[\d+\])/g).map((part, i) => {
+      const ref = parseInt(part.slice(1, -1), 10);
+      if (!/^\[\d+\]$/.test(part) || !citations.some(c => c.ref === ref)) return part;
+      return (
+        <button
+          key={i}
+          className={`citation-ref ${activeCitation === `${messageIndex}:${ref}` ? 'active' : ''}`}
+          onClick={() => toggleCitation(messageIndex, ref)}
+        >
+          {ref}
+        </button>
+      );
+    });
+  };
+
+  const formatCitationTime = (timestamp) =>
+    timestamp ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '';
+
+  const renderCitations = (citations, messageIndex) => {
+    const active = citations.find(c => activeCitation === `${messageIndex}:${c.ref}`);
+
+    return (
+      <div className="chat-citations">
+        <div className="citation-chips">
+          {citations.map(citation => (
+            <button
+              key={citation.ref}
+              className={`citation-chip ${active?.ref === citation.ref ? 'active' : ''}`}
+              onClick={() => toggleCitation(messageIndex, citation.ref)}
+              title={citation.text}
+            >
+              <span className="citation-chip-ref">{citation.ref}</span>
+              <i className={`fas fa-${citation.kind === 'chat' ? 'comment' : 'microphone'}`}></i>
+              {citation.speaker} · {formatCitationTime(citation.timestamp)}
+            </button>
+          ))}
+        </div>
+        {active && (
+          <div className="citation-detail">
+            <div className="citation-detail-header">
+              <strong>{active.speaker}</strong>
+              <span>{formatCitationTime(active.timestamp)} · {active.kind === 'chat' ? 'Chat' : 'Spoken'} · #{active.entryId}</span>
+            </div>
+            <p>"{active.text}"</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderMarkdown = (text, citationContext) => {
     if (!text) return null;
+    const inline = (content) => renderInline(content, citationContext);
     
     return text
       .split('\n')
       .map((line, index) => {
         // Headers
         if (line.startsWith('### ')) {
-          return <h4 key={index}>{line.substring(4)}</h4>;
+          return <h4 key={index}>{inline(line.substring(4))}</h4>;
         }
         if (line.startsWith('## ')) {
-          return <h3 key={index}>{line.substring(3)}</h3>;
+          return <h3 key={index}>{inline(line.substring(3))}</h3>;
         }
         if (line.startsWith('# ')) {
-          return <h2 key={index}>{line.substring(2)}</h2>;
+          return <h2 key={index}>{inline(line.substring(2))}</h2>;
         }
         // Bold text in headers
         if (line.startsWith('**') && line.endsWith('**')) {
@@ -252,38 +662,37 @@ ${'='.repeat(50)}
         }
         // List items
         if (line.startsWith('- [ ] ')) {
-          return <div key={index} className="action-item unchecked"><i className="far fa-square"></i> {line.substring(6)}</div>;
+          return <div key={index} className="action-item unchecked"><i className="far fa-square"></i> {inline(line.substring(6))}</div>;
         }
         if (line.startsWith('- [x] ')) {
-          return <div key={index} className="action-item checked"><i className="far fa-check-square"></i> {line.substring(6)}</div>;
+          return <div key={index} className="action-item checked"><i className="far fa-check-square"></i> {inline(line.substring(6))}</div>;
         }
         if (line.startsWith('- ') || line.startsWith('* ')) {
-          return <li key={index}>{line.substring(2)}</li>;
+          return <li key={index}>{inline(line.substring(2))}</li>;
         }
         // Numbered lists
         if (/^\d+\.\s/.test(line)) {
-          return <li key={index}>{line.replace(/^\d+\.\s/, '')}</li>;
+          return <li key={index}>{inline(line.replace(/^\d+\.\s/, ''))}</li>;
         }
         // Empty lines
         if (line.trim() === '') {
           return <br key={index} />;
         }
         // Regular paragraph
-        return <p key={index}>{line}</p>;
+        return <p key={index}>{inline(line)}</p>;
       });
   };
 
+  const getCustomLevel = (level) => customLevels.find(template => template.id === level);
+
+  const getLevelLabel = (level) => {
+    return BUILTIN_LEVELS[level]?.label || getCustomLevel(level)?.name || level;
+  };
+
+  const getLevelIcon = (level) => BUILTIN_LEVELS[level]?.icon || 'file-alt';
+
   const getLevelDescription = (level) => {
-    switch(level) {
-      case 'simple':
-        return 'Easy to understand, key points only';
-      case 'intermediate':
-        return 'Balanced detail with main discussions';
-      case 'advanced':
-        return 'Comprehensive with full analysis';
-      default:
-        return '';
-    }
+    return BUILTIN_LEVELS[level]?.description || getCustomLevel(level)?.description || '';
   };
 
   if (!isOpen) return null;
@@ -339,6 +748,20 @@ ${'='.repeat(50)}
             <i className="fas fa-robot"></i>
             AI Assistant
           </button>
+          <button
+            className={`mode-btn ${mode === 'chapters' ? 'active' : ''}`}
+            onClick={() => setMode('chapters')}
+          >
+            <i className="fas fa-stream"></i>
+            Chapters
+          </button>
+          <button
+            className={`mode-btn ${mode === 'analytics' ? 'active' : ''}`}
+            onClick={() => setMode('analytics')}
+          >
+            <i className="fas fa-chart-bar"></i>
+            Analytics
+          </button>
         </div>
 
         {/* Summary Mode */}
@@ -349,29 +772,29 @@ ${'='.repeat(50)}
               <div className="level-label">
                 <i className="fas fa-sliders-h"></i>
                 <span>Summary Level:</span>
+                <select
+                  className="summary-language-select"
+                  value={summaryLanguage}
+                  onChange={(e) => handleLanguageChange(e.target.value)}
+                  title="Language for summaries and AI answers"
+                >
+                  <option value="">English (default)</option>
+                  {SUPPORTED_LANGUAGES.map(lang => (
+                    <option key={lang.code} value={lang.code}>{lang.name}</option>
+                  ))}
+                </select>
               </div>
               <div className="level-options">
-                <button
-                  className={`level-btn ${summaryLevel === 'simple' ? 'active' : ''}`}
-                  onClick={() => handleLevelChange('simple')}
-                >
-                  <i className="fas fa-seedling"></i>
-                  Simple
-                </button>
-                <button
-                  className={`level-btn ${summaryLevel === 'intermediate' ? 'active' : ''}`}
-                  onClick={() => handleLevelChange('intermediate')}
-                >
-                  <i className="fas fa-balance-scale"></i>
-                  Intermediate
-                </button>
-                <button
-                  className={`level-btn ${summaryLevel === 'advanced' ? 'active' : ''}`}
-                  onClick={() => handleLevelChange('advanced')}
-                >
-                  <i className="fas fa-graduation-cap"></i>
-                  Advanced
-                </button>
+                {Object.keys(BUILTIN_LEVELS).concat(customLevels.map(template => template.id)).map(level => (
+                  <button
+                    key={level}
+                    className={`level-btn ${summaryLevel === level ? 'active' : ''} ${BUILTIN_LEVELS[level] ? '' : 'custom'}`}
+                    onClick={() => handleLevelChange(level)}
+                  >
+                    <i className={`fas fa-${getLevelIcon(level)}`}></i>
+                    {getLevelLabel(level)}
+                  </button>
+                ))}
               </div>
               <div className="level-description">
                 {getLevelDescription(summaryLevel)}
@@ -392,25 +815,56 @@ ${'='.repeat(50)}
                   <div className="loading-spinner">
                     <i className="fas fa-spinner fa-spin"></i>
                   </div>
-                  <p>Generating {summaryLevel} summary with AI...</p>
-                  <span>This may take a few seconds</span>
+                  <p>Generating {getLevelLabel(summaryLevel).toLowerCase()} summary with AI...</p>
+                  {condenseProgress ? (
+                    <span>
+                      Long meeting - {condenseProgress.stage === 'map' ? 'summarizing section' : 'combining notes'}{' '}
+                      {Math.min(condenseProgress.completed + 1, condenseProgress.total)} of {condenseProgress.total}
+                    </span>
+                  ) : (
+                    <span>This may take a few seconds</span>
+                  )}
+                  <button onClick={cancelSummary} className="cancel-stream-btn">
+                    <i className="fas fa-stop"></i> Cancel
+                  </button>
                 </div>
               ) : error ? (
                 <div className="summary-error">
                   <i className="fas fa-exclamation-circle"></i>
                   <p>{error}</p>
-                  <button onClick={generateSummary} className="retry-btn">
+                  <button onClick={() => generateSummary()} className="retry-btn">
                     <i className="fas fa-redo"></i> Try Again
                   </button>
                 </div>
               ) : summary ? (
                 <div className="summary-result">
                   <div className="summary-result-header">
-                    <span className="summary-level-badge">
-                      <i className={`fas fa-${summaryLevel === 'simple' ? 'seedling' : summaryLevel === 'intermediate' ? 'balance-scale' : 'graduation-cap'}`}></i>
-                      {summaryLevel.charAt(0).toUpperCase() + summaryLevel.slice(1)} Summary
+                    <span
+                      className="summary-level-badge"
+                      title={summaryTemplate ? `Template: ${summaryTemplate.id} v${summaryTemplate.version} (${summaryTemplate.source})` : undefined}
+                    >
+                      <i className={`fas fa-${getLevelIcon(summaryLevel)}`}></i>
+                      {getLevelLabel(summaryLevel)} Summary
+                      {cachedAt && (
+                        <span
+                          className="summary-cached-badge"
+                          title={`Generated ${new Date(cachedAt).toLocaleString()} - nothing new was said since. Use Regenerate to refresh.`}
+                        >
+                          <i className="fas fa-history"></i> Cached
+                        </span>
+                      )}
                     </span>
                     <div className="summary-result-actions">
+                      {isStreaming && (
+                        <button
+                          className="mini-action-btn stop"
+                          onClick={cancelSummary}
+                          title="Stop generating"
+                        >
+                          <i className="fas fa-stop"></i>
+                          Stop
+                        </button>
+                      )}
                       <button 
                         className="mini-action-btn"
                         onClick={handleCopy}
@@ -437,6 +891,12 @@ ${'='.repeat(50)}
                         {renderMarkdown(actionItems)}
                       </div>
                     )}
+                    {isStreaming && <span className="streaming-cursor"></span>}
+                    {wasCancelled && (
+                      <div className="stream-cancelled-note">
+                        <i className="fas fa-info-circle"></i> Generation stopped - summary may be incomplete
+                      </div>
+                    )}
                   </div>
                 </div>
               ) : (
@@ -444,26 +904,61 @@ ${'='.repeat(50)}
                   <i className="fas fa-magic"></i>
                   <h3>Generate Adaptive Summary</h3>
                   <p>Select your preferred level and click generate</p>
-                  <button onClick={generateSummary} className="generate-btn" disabled={!isServiceAvailable}>
+                  <button onClick={() => generateSummary()} className="generate-btn" disabled={!isServiceAvailable}>
                     <i className="fas fa-sparkles"></i> Generate Summary
                   </button>
                 </div>
               )}
             </div>
 
-            {/* Summary Actions - only show regenerate when summary exists */}
-            {summary && (
-              <div className="summary-actions">
-                <button 
-                  className="action-btn generate-all" 
-                  onClick={generateSummary}
-                  disabled={isLoading || !isServiceAvailable}
-                >
-                  <i className="fas fa-sync-alt"></i>
-                  Regenerate {summaryLevel.charAt(0).toUpperCase() + summaryLevel.slice(1)} Summary
-                </button>
+            {/* Summary Actions - transcript & minutes downloads, and regenerate when summary exists */}
+            <div className="summary-actions">
+              <div className="action-left">
+                <span className="export-label">
+                  <i className="fas fa-file-export"></i> Transcript
+                </span>
+                {EXPORT_FORMATS.map(format => (
+                  <button
+                    key={format.id}
+                    className="action-btn"
+                    onClick={() => handleFileDownload(`/api/meetings/${meetingId}/export/${format.id}`, `meeting-${meetingId}-transcript.${format.id}`)}
+                    title={`Download transcript, chat and activity as ${format.title}`}
+                  >
+                    <i className="fas fa-download"></i>
+                    {format.label}
+                  </button>
+                ))}
+                <span className="export-label">
+                  <i className="fas fa-file-signature"></i> Minutes
+                </span>
+                {MINUTES_FORMATS.map(format => (
+                  <button
+                    key={format.id}
+                    className="action-btn"
+                    onClick={() => handleFileDownload(`/api/meetings/${meetingId}/minutes?${new URLSearchParams({
+                      format: format.id,
+                      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+                    })}`, `meeting-${meetingId}-minutes.${format.id}`)}
+                    title={`Download meeting minutes (attendees, summary, decisions, action items, polls) as ${format.label}`}
+                  >
+                    <i className="fas fa-download"></i>
+                    {format.label}
+                  </button>
+                ))}
               </div>
-            )}
+              {summary && (
+                <div className="action-right">
+                  <button 
+                    className="action-btn generate-all" 
+                    onClick={() => generateSummary(true)}
+                    disabled={isLoading || isStreaming || !isServiceAvailable}
+                  >
+                    <i className="fas fa-sync-alt"></i>
+                    Regenerate {getLevelLabel(summaryLevel)} Summary
+                  </button>
+                </div>
+              )}
+            </div>
           </>
         )}
 
@@ -499,6 +994,27 @@ ${'='.repeat(50)}
                     <i className="fas fa-question-circle"></i> Questions asked?
                   </button>
                 </div>
+                {threads.length > 0 && (
+                  <div className="chat-threads">
+                    <h4><i className="fas fa-history"></i> Conversations</h4>
+                    {threads.map(thread => (
+                      <div
+                        key={thread.threadId}
+                        className={`chat-thread-item ${thread.threadId === threadId ? 'active' : ''}`}
+                      >
+                        <button className="chat-thread-open" onClick={() => resumeThread(thread.threadId)} title={thread.title}>
+                          <span className="chat-thread-title">{thread.title || 'Untitled conversation'}</span>
+                          <span className="chat-thread-meta">
+                            {new Date(thread.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                        </button>
+                        <button className="chat-thread-delete" onClick={() => deleteThread(thread.threadId)} title="Delete conversation">
+                          <i className="fas fa-trash-alt"></i>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Right Panel - Chat Messages */}
@@ -517,7 +1033,10 @@ ${'='.repeat(50)}
                             <i className={`fas fa-${msg.role === 'user' ? 'user' : 'robot'}`}></i>
                           </div>
                           <div className={`message-content ${msg.error ? 'error' : ''}`}>
-                            {msg.role === 'assistant' ? renderMarkdown(msg.content) : msg.content}
+                            {msg.role === 'assistant'
+                              ? renderMarkdown(msg.content, { citations: msg.citations, messageIndex: index })
+                              : msg.content}
+                            {msg.citations?.length > 0 && renderCitations(msg.citations, index)}
                           </div>
                         </div>
                       ))}
@@ -532,6 +1051,7 @@ ${'='.repeat(50)}
                               <span></span>
                               <span></span>
                             </div>
+                            {chatStatus && <div className="typing-status">{chatStatus}</div>}
                           </div>
                         </div>
                       )}
@@ -565,11 +1085,20 @@ ${'='.repeat(50)}
                 <div className="action-left">
                   <button 
                     className="action-btn" 
-                    onClick={() => setChatMessages([])}
+                    onClick={startNewThread}
                   >
-                    <i className="fas fa-trash-alt"></i>
-                    Clear Chat
+                    <i className="fas fa-plus"></i>
+                    New Chat
                   </button>
+                  {threadId && (
+                    <button
+                      className="action-btn"
+                      onClick={() => deleteThread(threadId)}
+                    >
+                      <i className="fas fa-trash-alt"></i>
+                      Delete Chat
+                    </button>
+                  )}
                 </div>
                 <div className="action-right">
                   <button 
@@ -584,6 +1113,314 @@ ${'='.repeat(50)}
             )}
           </>
         )}
+
+        {/* Chapters Mode */}
+        {mode === 'chapters' && (
+          <div className="summary-content">
+            {isChaptersLoading && !chapterData ? (
+              <div className="summary-loading">
+                <div className="loading-spinner">
+                  <i className="fas fa-spinner fa-spin"></i>
+                </div>
+                <p>Finding topics in the conversation...</p>
+              </div>
+            ) : chaptersError ? (
+              <div className="summary-error">
+                <i className="fas fa-exclamation-circle"></i>
+                <p>{chaptersError}</p>
+                <button onClick={loadChapters} className="retry-btn">
+                  <i className="fas fa-redo"></i> Try Again
+                </button>
+              </div>
+            ) : chapterData && chapterData.chapters.length === 0 ? (
+              <div className="summary-empty">
+                <i className="fas fa-stream"></i>
+                <h3>No Chapters Yet</h3>
+                <p>Chapters appear once something has been said or written in chat</p>
+              </div>
+            ) : chapterData && (() => {
+              const chapters = chapterData.chapters;
+              const chapter = chapters[activeChapter] || chapters[0];
+              const start = new Date(chapters[0].startTime).getTime();
+              const total = Math.max(new Date(chapters[chapters.length - 1].endTime).getTime() - start, 1);
+
+              return (
+                <div className="chapters-panel">
+                  <div className="analytics-toolbar">
+                    <span>
+                      {chapterData.method === 'ai' ? `AI chapters (${chapterData.modelUsed})` : 'Keyword-based chapters'}
+                      {chapterData.fallbackReason && ` · AI unavailable: ${chapterData.fallbackReason}`}
+                    </span>
+                    <div className="chapters-toolbar-actions">
+                      <select
+                        className="summary-language-select"
+                        value={chapterMethod}
+                        onChange={(e) => setChapterMethod(e.target.value)}
+                        title="How chapters are found"
+                      >
+                        <option value="auto">AI (when available)</option>
+                        <option value="lexical">Keywords only</option>
+                      </select>
+                      <button className="action-btn" onClick={loadChapters} disabled={isChaptersLoading}>
+                        <i className={`fas fa-sync-alt ${isChaptersLoading ? 'fa-spin' : ''}`}></i>
+                        Refresh
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Timeline - segment widths follow chapter durations */}
+                  <div className="chapter-timeline">
+                    {chapters.map(item => (
+                      <button
+                        key={item.index}
+                        className={`chapter-segment ${item.index === chapter.index ? 'active' : ''}`}
+                        style={{ flexGrow: Math.max(new Date(item.endTime) - new Date(item.startTime), total / 50) }}
+                        onClick={() => setActiveChapter(item.index)}
+                        title={`${formatClock(item.startTime)} ${item.title}`}
+                      >
+                        {item.index + 1}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="chapters-layout">
+                    <ol className="chapter-list">
+                      {chapters.map(item => (
+                        <li key={item.index}>
+                          <button
+                            className={`chapter-list-item ${item.index === chapter.index ? 'active' : ''}`}
+                            onClick={() => setActiveChapter(item.index)}
+                          >
+                            <span className="chapter-time">{formatClock(item.startTime)}</span>
+                            <span className="chapter-title">{item.title}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+
+                    <div className="chapter-detail">
+                      <div className="chapter-detail-header">
+                        <button
+                          className="chapter-nav-btn"
+                          onClick={() => setActiveChapter(chapter.index - 1)}
+                          disabled={chapter.index === 0}
+                          title="Previous chapter"
+                        >
+                          <i className="fas fa-chevron-left"></i>
+                        </button>
+                        <div>
+                          <h4>{chapter.index + 1}. {chapter.title}</h4>
+                          <span>
+                            {formatClock(chapter.startTime)} - {formatClock(chapter.endTime)} ·{' '}
+                            {formatDuration(new Date(chapter.endTime) - new Date(chapter.startTime))} · {chapter.speakers.join(', ')}
+                          </span>
+                        </div>
+                        <button
+                          className="chapter-nav-btn"
+                          onClick={() => setActiveChapter(chapter.index + 1)}
+                          disabled={chapter.index === chapters.length - 1}
+                          title="Next chapter"
+                        >
+                          <i className="fas fa-chevron-right"></i>
+                        </button>
+                      </div>
+
+                      {chapter.summary && <p className="chapter-summary">{chapter.summary}</p>}
+                      {chapter.keywords.length > 0 && (
+                        <div className="chapter-keywords">
+                          {chapter.keywords.map(keyword => <span key={keyword}>{keyword}</span>)}
+                        </div>
+                      )}
+
+                      <h5><i className="fas fa-comment-alt"></i> Transcript & chat ({chapter.entries.length})</h5>
+                      <ul className="chapter-entries">
+                        {chapter.entries.map(entry => (
+                          <li key={entry.id} className={entry.kind}>
+                            <span className="chapter-entry-time">{formatClock(entry.timestamp)}</span>
+                            <span className="chapter-entry-speaker">
+                              {entry.speaker}{entry.kind === 'chat' && <i className="fas fa-comment" title="Chat message"></i>}
+                            </span>
+                            <span className="chapter-entry-text">{entry.text}</span>
+                          </li>
+                        ))}
+                      </ul>
+
+                      {chapter.activities.length > 0 && (
+                        <>
+                          <h5><i className="fas fa-history"></i> Activity ({chapter.activities.length})</h5>
+                          <ul className="chapter-activities">
+                            {chapter.activities.map((activity, index) => (
+                              <li key={index}>
+                                <span className="chapter-entry-time">{formatClock(activity.timestamp)}</span>
+                                <i className={`fas fa-${ACTIVITY_LABELS[activity.type]?.icon || 'circle'}`}></i>
+                                <span>{activity.username} {ACTIVITY_LABELS[activity.type]?.text || activity.type}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        )}
+
+        {/* Analytics Mode */}
+        {mode === 'analytics' && (
+          <div className="summary-content">
+            {isAnalyticsLoading && !analytics ? (
+              <div className="summary-loading">
+                <div className="loading-spinner">
+                  <i className="fas fa-spinner fa-spin"></i>
+                </div>
+                <p>Crunching meeting analytics...</p>
+              </div>
+            ) : analyticsError ? (
+              <div className="summary-error">
+                <i className="fas fa-exclamation-circle"></i>
+                <p>{analyticsError}</p>
+                <button onClick={loadAnalytics} className="retry-btn">
+                  <i className="fas fa-redo"></i> Try Again
+                </button>
+              </div>
+            ) : analytics && (
+              <div className="analytics-panel">
+                <div className="analytics-toolbar">
+                  <span>
+                    {analytics.isActive ? 'Live meeting' : 'Ended meeting'} · {formatDuration(analytics.durationMs)} ·
+                    updated {formatClock(analytics.generatedAt)}
+                  </span>
+                  <button className="action-btn" onClick={loadAnalytics} disabled={isAnalyticsLoading}>
+                    <i className={`fas fa-sync-alt ${isAnalyticsLoading ? 'fa-spin' : ''}`}></i>
+                    Refresh
+                  </button>
+                </div>
+
+                <div className="analytics-stats">
+                  <div className="analytics-stat">
+                    <i className="fas fa-microphone"></i>
+                    <strong>{formatDuration(analytics.talkTime.totalMs)}</strong>
+                    <span>Talk time ({analytics.talkTime.speakers} speakers)</span>
+                  </div>
+                  <div className="analytics-stat">
+                    <i className="fas fa-random"></i>
+                    <strong>{analytics.interruptions.total}</strong>
+                    <span>Interruptions</span>
+                  </div>
+                  <div className="analytics-stat">
+                    <i className="fas fa-hand-paper"></i>
+                    <strong>{formatDuration(analytics.handRaises.averageLatencyMs)}</strong>
+                    <span>Avg hand-raise wait ({analytics.handRaises.answered}/{analytics.handRaises.total} answered)</span>
+                  </div>
+                  <div className="analytics-stat">
+                    <i className="fas fa-comment-dots"></i>
+                    <strong>{analytics.chat.total}</strong>
+                    <span>Chat messages</span>
+                  </div>
+                  <div className="analytics-stat">
+                    <i className="fas fa-smile"></i>
+                    <strong className={`sentiment-${analytics.sentiment.label}`}>{analytics.sentiment.label}</strong>
+                    <span>Overall sentiment</span>
+                  </div>
+                </div>
+
+                <div className="analytics-section">
+                  <h4><i className="fas fa-chart-pie"></i> Talk Time Share</h4>
+                  <BarChart
+                    rows={analytics.participants.map(participant => ({
+                      key: participant.userId || participant.username,
+                      label: participant.username,
+                      value: participant.talkTimeMs,
+                      display: `${Math.round(participant.talkTimeShare * 100)}% · ${formatDuration(participant.talkTimeMs)}`
+                    }))}
+                    emptyText="Nobody has spoken yet"
+                  />
+                  {analytics.talkTime.silentParticipants.length > 0 && (
+                    <p className="analytics-note">Didn't speak: {analytics.talkTime.silentParticipants.join(', ')}</p>
+                  )}
+                  <p className="analytics-note">Estimated from transcript word counts ({analytics.talkTime.wordsPerMinute} words/min)</p>
+                </div>
+
+                <div className="analytics-section">
+                  <h4><i className="fas fa-random"></i> Interruptions</h4>
+                  <BarChart
+                    rows={analytics.participants.map(participant => ({
+                      key: participant.userId || participant.username,
+                      label: participant.username,
+                      value: participant.interruptionsMade,
+                      display: `${participant.interruptionsMade} made · ${participant.timesInterrupted} received`
+                    }))}
+                    emptyText="No interruptions detected"
+                  />
+                </div>
+
+                <div className="analytics-section">
+                  <h4><i className="fas fa-hand-paper"></i> Hand Raises</h4>
+                  {analytics.handRaises.events.length === 0 ? (
+                    <p className="analytics-empty-chart">No hands raised</p>
+                  ) : (
+                    <ul className="analytics-hand-raises">
+                      {analytics.handRaises.events.map((event, index) => (
+                        <li key={index}>
+                          <span>{formatClock(event.timestamp)}</span>
+                          <span className="analytics-hand-name">{event.username}</span>
+                          <span className={`analytics-hand-outcome ${event.outcome}`}>
+                            {event.outcome === 'spoke' && `spoke after ${formatDuration(event.latencyMs)}`}
+                            {event.outcome === 'lowered' && `lowered after ${formatDuration(event.loweredAfterMs)} without speaking`}
+                            {event.outcome === 'pending' && 'still waiting'}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <div className="analytics-section">
+                  <h4><i className="fas fa-comment-dots"></i> Chat Volume</h4>
+                  <BarChart
+                    rows={analytics.participants.map(participant => ({
+                      key: participant.userId || participant.username,
+                      label: participant.username,
+                      value: participant.chatMessages
+                    }))}
+                    emptyText="No chat messages"
+                  />
+                </div>
+
+                <div className="analytics-section">
+                  <h4><i className="fas fa-wave-square"></i> Activity & Sentiment Over Time</h4>
+                  <div className="analytics-timeline">
+                    {(() => {
+                      const maxActivity = Math.max(...analytics.segments.map(segment => segment.transcriptEntries + segment.chatMessages), 1);
+                      return analytics.segments.map(segment => (
+                        <div
+                          key={segment.index}
+                          className="analytics-timeline-column"
+                          title={`${formatClock(segment.start)}: ${segment.transcriptEntries} spoken, ${segment.chatMessages} chat, ${segment.sentiment.label} (${segment.sentiment.score})`}
+                        >
+                          <div
+                            className="analytics-timeline-bar"
+                            style={{
+                              height: `${((segment.transcriptEntries + segment.chatMessages) / maxActivity) * 100}%`,
+                              background: SENTIMENT_COLORS[segment.sentiment.label]
+                            }}
+                          ></div>
+                        </div>
+                      ));
+                    })()}
+                  </div>
+                  <div className="analytics-legend">
+                    {['positive', 'neutral', 'negative'].map(label => (
+                      <span key={label}><i style={{ background: SENTIMENT_COLORS[label] }}></i>{label}</span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -6,7 +6,8 @@ const MissedSpeech = ({
   awayDuration, 
   onClose, 
   onSummarize,
-  currentUserId 
+  currentUserId,
+  rollingSummary
 }) => {
   const [isMinimized, setIsMinimized] = useState(false);
   const [summary, setSummary] = useState(null);
@@ -130,6 +131,17 @@ const MissedSpeech = ({
           </span>
         </div>
 
+        {/* Live "so far" summary pushed by the server - no AI call needed */}
+        {rollingSummary?.summary && !summary && (
+          <div className="rolling-summary">
+            <div className="rolling-summary-header">
+              <span>Meeting so far</span>
+              <span className="rolling-summary-time">Updated {formatTime(rollingSummary.generatedAt)}</span>
+            </div>
+            <div className="rolling-summary-text">{rollingSummary.summary}</div>
+          </div>
+        )}
+
         {/* AI Summary Section */}
         {onSummarize && (
           <div className="summary-section">
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { SUPPORTED_LANGUAGES, getBrowserLanguage, getLanguageSettings } from '../utils/languages';
 import './Settings.css';
 
 const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
@@ -14,12 +15,15 @@ const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
   const [echoCancellation, setEchoCancellation] = useState(true);
   const [noiseSuppression, setNoiseSuppression] = useState(true);
   const [autoGainControl, setAutoGainControl] = useState(true);
+  const [speechLanguage, setSpeechLanguage] = useState(getBrowserLanguage);
+  const [captionLanguage, setCaptionLanguage] = useState(getBrowserLanguage); // '' = as spoken
   
   // Video Settings (Working)
   const [mirrorVideo, setMirrorVideo] = useState(true);
   
   // General Settings (Working)
   const [darkMode, setDarkMode] = useState(true);
+  const [aiLanguage, setAiLanguage] = useState(''); // '' = English
 
   // Notification state
   const [notification, setNotification] = useState(null);
@@ -172,6 +176,9 @@ const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
     setAutoGainControl(true);
     setMirrorVideo(true);
     setDarkMode(true);
+    setSpeechLanguage(getBrowserLanguage());
+    setCaptionLanguage(getBrowserLanguage());
+    setAiLanguage('');
     
     console.log('✅ Settings reset to defaults');
     showNotification('Reset to defaults', 'success');
@@ -195,6 +202,12 @@ const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
     setAutoGainControl(savedSettings.autoGainControl);
     setMirrorVideo(savedSettings.mirrorVideo);
     setDarkMode(savedSettings.darkMode);
+
+    // Language defaults follow the browser language (see utils/languages)
+    const languages = getLanguageSettings();
+    setSpeechLanguage(languages.speechLanguage);
+    setCaptionLanguage(languages.captionLanguage);
+    setAiLanguage(languages.aiLanguage);
   };
 
   const saveSettings = () => {
@@ -203,7 +216,10 @@ const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
       noiseSuppression,
       autoGainControl,
       mirrorVideo,
-      darkMode
+      darkMode,
+      speechLanguage,
+      captionLanguage,
+      aiLanguage
     };
     
     // Save to localStorage
@@ -311,6 +327,39 @@ const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
                   </select>
                 </div>
 
+                <div className="setting-item">
+                  <label>Speech Language</label>
+                  <select
+                    value={speechLanguage}
+                    onChange={(e) => setSpeechLanguage(e.target.value)}
+                    className="device-select"
+                  >
+                    {SUPPORTED_LANGUAGES.map(lang => (
+                      <option key={lang.code} value={lang.code}>{lang.name}</option>
+                    ))}
+                  </select>
+                  <p className="setting-description">
+                    The language you speak - used for captions and the meeting transcript
+                  </p>
+                </div>
+
+                <div className="setting-item">
+                  <label>Caption Language</label>
+                  <select
+                    value={captionLanguage}
+                    onChange={(e) => setCaptionLanguage(e.target.value)}
+                    className="device-select"
+                  >
+                    <option value="">As spoken (no translation)</option>
+                    {SUPPORTED_LANGUAGES.map(lang => (
+                      <option key={lang.code} value={lang.code}>{lang.name}</option>
+                    ))}
+                  </select>
+                  <p className="setting-description">
+                    Other participants' captions are translated to this language
+                  </p>
+                </div>
+
                 <div className="setting-item">
                   <label>
                     <input
@@ -418,6 +467,23 @@ const Settings = ({ isOpen, onClose, localStream, onSettingsChange }) => {
                   </p>
                 </div>
 
+                <div className="setting-item">
+                  <label>AI Language</label>
+                  <select
+                    value={aiLanguage}
+                    onChange={(e) => setAiLanguage(e.target.value)}
+                    className="device-select"
+                  >
+                    <option value="">English (default)</option>
+                    {SUPPORTED_LANGUAGES.map(lang => (
+                      <option key={lang.code} value={lang.code}>{lang.name}</option>
+                    ))}
+                  </select>
+                  <p className="setting-description">
+                    Summaries, AI chat answers and catch-ups are written in this language
+                  </p>
+                </div>
+
                 <p className="settings-note">
                   <i className="fas fa-info-circle"></i> Theme changes apply when you save settings
                 </p>
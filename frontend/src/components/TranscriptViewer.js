@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { authHeaders } from '../utils/auth';
+import './TranscriptViewer.css';
+
+const FIELD_LABELS = {
+  text: 'Text',
+  username: 'Speaker'
+};
+
+const formatTimestamp = (value) => value
+  ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+  : '';
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '';
+
+// Wrap search matches in <mark>
+const highlight = (text, query) => {
+  if (!query) return text;
+  const lower = text.toLowerCase();
+  const parts = [];
+  let start = 0;
+  let index = lower.indexOf(query);
+  while (index !== -1) {
+    parts.push(text.slice(start, index));
+    parts.push(<mark key={index}>{text.slice(index, index + query.length)}</mark>);
+    start = index + query.length;
+    index = lower.indexOf(query, start);
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+// Full transcript of a meeting with speaker filter, search and inline corrections
+const TranscriptViewer = ({ meetingId, apiBase, isOpen, onClose }) => {
+  const [transcript, setTranscript] = useState(null);
+  const [speaker, setSpeaker] = useState('');
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null); // { entryId, text, speakerName, applyToSpeaker }
+  const [history, setHistory] = useState({}); // entryId -> edits
+  const [openHistory, setOpenHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !meetingId) return;
+
+    setIsLoading(true);
+    setError('');
+    fetch(`${apiBase}/api/meetings/${meetingId}/transcript`, { headers: authHeaders() })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) setTranscript(data);
+        else setError(data.message || 'Failed to load transcript');
+      })
+      .catch(() => setError('Failed to load transcript. Please check your connection.'))
+      .finally(() => setIsLoading(false));
+  }, [isOpen, meetingId, apiBase]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setTranscript(null);
+      setSpeaker('');
+      setQuery('');
+      setEditing(null);
+      setHistory({});
+      setOpenHistory(null);
+      setNotice('');
+    }
+  }, [isOpen]);
+
+  const search = query.trim().toLowerCase();
+  const entries = useMemo(() => (transcript?.entries || []).filter(entry =>
+    (!speaker || entry.userId === speaker) &&
+    (!search || entry.text.toLowerCase().includes(search) || entry.username.toLowerCase().includes(search))
+  ), [transcript, speaker, search]);
+
+  const startEditing = (entry) => {
+    setEditing({ entryId: entry.entryId, text: entry.text, speakerName: entry.username, applyToSpeaker: false });
+    setNotice('');
+  };
+
+  const handleSave = async (entry) => {
+    const text = editing.text.trim();
+    const speakerName = editing.speakerName.trim();
+    if (!text || !speakerName) return;
+
+    const body = { applyToSpeaker: editing.applyToSpeaker };
+    if (text !== entry.text) body.text = text;
+    if (speakerName !== entry.username) body.speakerName = speakerName;
+    if (body.text === undefined && body.speakerName === undefined) {
+      setEditing(null);
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`${apiBase}/api/meetings/${meetingId}/transcript/${entry.entryId}`, {
+        method: 'PATCH',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || 'Failed to save correction');
+
+      // Apply locally - a speaker-wide rename touches every entry of that speaker
+      const renameAll = body.speakerName !== undefined && editing.applyToSpeaker;
+      setTranscript(prev => ({
+        ...prev,
+        editCount: prev.editCount + data.edits.length,
+        entries: prev.entries.map(item => {
+          if (item.entryId === entry.entryId) return data.entry;
+          if (renameAll && item.userId === entry.userId) return { ...item, username: speakerName, edited: true };
+          return item;
+        }),
+        speakers: prev.speakers.map(item =>
+          renameAll && item.userId === entry.userId ? { ...item, username: speakerName } : item
+        )
+      }));
+      setHistory({});
+      setEditing(null);
+      setNotice('Correction saved. Summaries will be regenerated from the corrected transcript.');
+    } catch (err) {
+      setError(err.message || 'Failed to save correction');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleHistory = async (entryId) => {
+    if (openHistory === entryId) {
+      setOpenHistory(null);
+      return;
+    }
+    setOpenHistory(entryId);
+    if (history[entryId]) return;
+
+    try {
+      const response = await fetch(`${apiBase}/api/meetings/${meetingId}/transcript/${entryId}/edits`, {
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message || 'Failed to load edit history');
+      setHistory(prev => ({ ...prev, [entryId]: data.edits }));
+    } catch (err) {
+      setError(err.message || 'Failed to load edit history');
+    }
+  };
+
+  const renderEditor = (entry) => (
+    <div className="transcript-editor">
+      <div className="transcript-editor-speaker">
+        <input
+          type="text"
+          value={editing.speakerName}
+          onChange={e => setEditing({ ...editing, speakerName: e.target.value })}
+          maxLength={80}
+          placeholder="Speaker name"
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={editing.applyToSpeaker}
+            onChange={e => setEditing({ ...editing, applyToSpeaker: e.target.checked })}
+          />
+          Rename in all their lines
+        </label>
+      </div>
+      <textarea
+        value={editing.text}
+        onChange={e => setEditing({ ...editing, text: e.target.value })}
+        maxLength={5000}
+        rows={3}
+        autoFocus
+      />
+      <div className="transcript-editor-actions">
+        <button className="transcript-cancel" onClick={() => setEditing(null)} disabled={isSaving}>
+          Cancel
+        </button>
+        <button
+          className="transcript-save"
+          onClick={() => handleSave(entry)}
+          disabled={isSaving || !editing.text.trim() || !editing.speakerName.trim()}
+        >
+          {isSaving ? <i className="fas fa-spinner fa-spin"></i> : <i className="fas fa-check"></i>}
+          Save
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderHistory = (entryId) => {
+    const edits = history[entryId];
+    if (!edits) {
+      return <div className="transcript-history"><i className="fas fa-spinner fa-spin"></i></div>;
+    }
+
+    return (
+      <div className="transcript-history">
+        {edits.length === 0 ? (
+          <div className="transcript-history-item">No corrections recorded.</div>
+        ) : edits.map((edit, index) => (
+          <div key={index} className="transcript-history-item">
+            <div className="transcript-history-meta">
+              {FIELD_LABELS[edit.field]}{!edit.entryId ? ' (all lines)' : ''} · {edit.editedBy?.username || edit.editedBy?.userId} · {formatDateTime(edit.editedAt)}
+            </div>
+            <div className="transcript-history-change">
+              <span className="transcript-history-old">{edit.previousValue}</span>
+              <i className="fas fa-arrow-right"></i>
+              <span>{edit.value}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="transcript-overlay" onClick={onClose}>
+      <div className="transcript-modal" onClick={e => e.stopPropagation()}>
+        <div className="transcript-header">
+          <div className="transcript-title">
+            <i className="fas fa-file-alt"></i>
+            <div>
+              <h2>{transcript?.title || 'Transcript'}</h2>
+              {transcript && (
+                <span className="transcript-subtitle">
+                  {formatDateTime(transcript.startTime)} · {transcript.total} entries
+                  {transcript.editCount > 0 && ` · ${transcript.editCount} corrections`}
+                </span>
+              )}
+            </div>
+          </div>
+          <button className="transcript-close" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="transcript-toolbar">
+          <div className="transcript-search">
+            <i className="fas fa-search"></i>
+            <input
+              type="text"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              placeholder="Search the transcript..."
+            />
+          </div>
+          <select className="transcript-speaker" value={speaker} onChange={e => setSpeaker(e.target.value)}>
+            <option value="">All speakers</option>
+            {(transcript?.speakers || []).map(item => (
+              <option key={item.userId} value={item.userId}>{item.username} ({item.entryCount})</option>
+            ))}
+          </select>
+        </div>
+
+        {error && <div className="transcript-error">{error}</div>}
+        {notice && <div className="transcript-notice"><i className="fas fa-info-circle"></i> {notice}</div>}
+
+        <div className="transcript-body">
+          {isLoading ? (
+            <div className="transcript-empty">
+              <i className="fas fa-spinner fa-spin"></i>
+              <p>Loading transcript...</p>
+            </div>
+          ) : transcript && entries.length === 0 ? (
+            <div className="transcript-empty">
+              <i className="fas fa-align-left"></i>
+              <p>{transcript.total === 0 ? 'No transcript was recorded for this meeting.' : 'No entries match.'}</p>
+            </div>
+          ) : entries.map(entry => (
+            <div key={entry.entryId} className={`transcript-entry ${editing?.entryId === entry.entryId ? 'editing' : ''}`}>
+              <span className="transcript-time">{formatTimestamp(entry.timestamp)}</span>
+              <div className="transcript-content">
+                {editing?.entryId === entry.entryId ? renderEditor(entry) : (
+                  <>
+                    <div className="transcript-entry-header">
+                      <span className="transcript-speaker-name">{highlight(entry.username, search)}</span>
+                      {entry.edited && (
+                        <button className="transcript-edited-badge" onClick={() => toggleHistory(entry.entryId)} title="Show edit history">
+                          <i className="fas fa-pen"></i> edited
+                        </button>
+                      )}
+                      <button className="transcript-edit" onClick={() => startEditing(entry)} title="Correct this entry">
+                        <i className="fas fa-edit"></i>
+                      </button>
+                    </div>
+                    <div className="transcript-text">{highlight(entry.text, search)}</div>
+                  </>
+                )}
+                {openHistory === entry.entryId && renderHistory(entry.entryId)}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {transcript && (
+          <div className="transcript-footer">
+            Showing {entries.length} of {transcript.total}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TranscriptViewer;
@@ -1,8 +1,15 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import io from 'socket.io-client';
 import useFaceDetection from '../hooks/useFaceDetection';
+import { getLanguageSettings } from '../utils/languages';
+import { getToken } from '../utils/auth';
+import { ROLES, FEATURE_LOCKS, can, outranks, getRoleLabel, isFeatureLocked } from '../utils/roles';
+import HostAccessPanel from './HostAccessPanel';
 
-const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, onStreamChange, appliedSettings, onCleanup, onUserAway, onUserReturn }) => {
+// join-meeting refusals from the meeting's entry rules (see meetingAccessService)
+const ENTRY_ERROR_CODES = ['BANNED', 'LOCKED', 'PASSCODE_REQUIRED', 'INVALID_PASSCODE'];
+
+const VideoCall = ({ meetingId, username, userId, isHost, passcode, onError, setSocket, onStreamChange, appliedSettings, onCleanup, onUserAway, onUserReturn, onRoleChange, onFeatureLocksChange }) => {
   // Debug: Log props on mount
   useEffect(() => {
     console.log('🎬 VideoCall mounted with callbacks:', {
@@ -27,6 +34,20 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
   const [participants, setParticipants] = useState([]);
   const [connectionQuality, setConnectionQuality] = useState('good');
   const [showParticipants, setShowParticipants] = useState(false);
+
+  // Own role in the meeting - decides which controls are offered (see utils/roles)
+  const [myRole, setMyRole] = useState(isHost ? 'host' : 'attendee');
+
+  // Waiting room / host admission
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [accessState, setAccessState] = useState(null); // host only: { isLocked, waitingRoomEnabled, hasPasscode, waiting, banned }
+  const [showHostAccess, setShowHostAccess] = useState(false);
+  const waitingCountRef = useRef(0);
+
+  // Features the host turned off for participants: { unmute, video, screenShare, chat, fileShare }
+  const [featureLocks, setFeatureLocks] = useState({});
+  const featureLocksRef = useRef({});
+  const isLocked = (feature) => isFeatureLocked(featureLocks, myRole, feature);
   
   // Layout modes: 'grid' | 'speaker' | 'pin' | 'stage'
   // Layout is FROZEN - only changes when user manually clicks the button
@@ -38,6 +59,10 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [currentTranscript, setCurrentTranscript] = useState('');
 
+  // Live captions of other participants, translated to the caption language (Settings > Audio)
+  const [showCaptions, setShowCaptions] = useState(false);
+  const [captions, setCaptions] = useState([]); // [{ id, username, text, originalText, receivedAt }]
+
   // Show transcription reminder modal at meeting start
   const [showTranscribeReminder, setShowTranscribeReminder] = useState(true);
   
@@ -61,6 +86,10 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
   const shouldTranscribeRef = useRef(false); // Track if we WANT to be transcribing
   const restartTimeoutRef = useRef(null); // For restart delay
   const isAudioMutedRef = useRef(false); // Track mute state for speech recognition
+  const speechLanguage = appliedSettings?.speechLanguage || getLanguageSettings().speechLanguage;
+  const speechLanguageRef = useRef(speechLanguage); // Language this participant speaks (Settings > Audio)
+  const captionLanguage = appliedSettings?.captionLanguage ?? getLanguageSettings().captionLanguage;
+  const captionLanguageRef = useRef(''); // Language the server translates captions to for us ('' = off / as spoken)
 
   // Refs
   const localVideoRef = useRef(null);
@@ -313,7 +342,9 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000,
         reconnectionAttempts: maxReconnectAttempts,
-        timeout: 20000
+        timeout: 20000,
+        // The server binds the signed-in identity to the socket from this token
+        auth: { token: getToken() }
       });
 
       if (setSocket && typeof setSocket === 'function') {
@@ -325,7 +356,9 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         meetingId,
         userId: userId,
         username,
-        deviceInfo: getDeviceInfo()
+        passcode,
+        deviceInfo: getDeviceInfo(),
+        captionLanguage: captionLanguageRef.current
       });
     } catch (error) {
       setConnectionStatus('failed');
@@ -437,7 +470,14 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       }
     });
 
-    socket.on('connect_error', () => {
+    socket.on('connect_error', (err) => {
+      // Rejected by the server's handshake check - retrying won't help
+      if (err?.data?.code === 'UNAUTHORIZED') {
+        setConnectionStatus('failed');
+        onError?.('Your session has expired. Please sign in again.');
+        return;
+      }
+
       reconnectAttempts.current++;
 
       if (reconnectAttempts.current >= maxReconnectAttempts) {
@@ -456,12 +496,15 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           meetingId,
           userId: userId,
           username,
-          deviceInfo: getDeviceInfo()
+          passcode,
+          deviceInfo: getDeviceInfo(),
+          captionLanguage: captionLanguageRef.current
         });
       }
     });
 
     socket.on('joined-meeting', (data) => {
+      setIsWaiting(false);
       const seenUserIds = new Set();
       seenUserIds.add(userId);
       
@@ -479,6 +522,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           odersID: `user-${userId}`,
           userId: userId,
           username: username,
+          role: data.role,
           isAudioMuted: false,
           isVideoOff: false,
           isHandRaised: false,
@@ -492,6 +536,9 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
 
       setParticipants(allParticipants);
       setConnectionStatus('joined');
+      setMyRole(data.role);
+      onRoleChange?.(data.role);
+      setFeatureLocks(data.featureLocks || {});
 
       // Create peer connections to all existing users.
       // Use deterministic initiation: the peer with the lexicographically smaller socketId will initiate the offer.
@@ -549,6 +596,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
               socketId: data.socketId,
               userId: data.userId,
               username: data.username,
+              role: data.role,
               isAudioMuted: false,
               isVideoOff: false,
               isHandRaised: false,
@@ -565,6 +613,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           socketId: data.socketId,
           userId: data.userId,
           username: data.username,
+          role: data.role,
           isAudioMuted: false,
           isVideoOff: false,
           isHandRaised: false,
@@ -665,8 +714,10 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       // Show styled notification popup
       setHostNotification({
         type: 'muted',
-        title: 'You have been muted',
-        message: 'The host has muted your microphone. You can unmute yourself anytime.',
+        title: data.message || 'You have been muted',
+        message: featureLocksRef.current.unmute
+          ? 'The host has muted your microphone. You can unmute when the host asks you to.'
+          : 'The host has muted your microphone. You can unmute yourself anytime.',
         icon: 'fa-microphone-slash'
       });
     });
@@ -690,9 +741,124 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       handleUserDisconnected(data.socketId);
     });
 
+    // Roles - assigned by the host or a co-host, or a co-host taking over from the host
+    socket.on('role-changed', (data) => {
+      setParticipants(prev => prev.map(p => (p.userId === data.userId ? { ...p, role: data.role } : p)));
+
+      if (data.userId !== userId) return;
+      setMyRole(data.role);
+      onRoleChange?.(data.role);
+
+      let reason = 'Your controls have been updated';
+      if (data.reason === 'transfer') reason = `${data.changedBy?.username} handed over the host role`;
+      else if (data.reason === 'host-left' || data.reason === 'host-disconnected') reason = 'The host left the meeting';
+      else if (data.changedBy) reason = `Changed by ${data.changedBy.username}`;
+      showAccessToast('🎭', `You are now ${getRoleLabel(data.role)}`, reason);
+    });
+
+    // Waiting room - the host has to let us in
+    socket.on('waiting-room', () => {
+      setIsWaiting(true);
+    });
+
+    socket.on('admission-denied', (data) => {
+      setIsWaiting(false);
+      setHostNotification({
+        type: 'kicked',
+        title: 'Entry denied',
+        message: data.message || 'The host did not let you into the meeting.',
+        icon: 'fa-door-closed',
+        onClose: () => window.location.reload()
+      });
+    });
+
+    // Host only - entry settings, the waiting room and the ban list
+    socket.on('access-updated', (data) => {
+      if (data.waiting.length > waitingCountRef.current) {
+        const newest = data.waiting[data.waiting.length - 1];
+        showAccessToast('🚪', `${newest.username} is waiting to join`, 'Open Access to admit or deny');
+      }
+      waitingCountRef.current = data.waiting.length;
+      setAccessState(data);
+    });
+
+    socket.on('meeting-locked', (data) => {
+      showAccessToast(
+        data.isLocked ? '🔒' : '🔓',
+        `Meeting ${data.isLocked ? 'locked' : 'unlocked'} by ${data.username}`,
+        data.isLocked ? 'No one new can join' : 'New participants can join again'
+      );
+    });
+
+    // Host controls - features turned off (or back on) for participants
+    socket.on('feature-locks-updated', (data) => {
+      setFeatureLocks(data.featureLocks);
+      if (data.changedBy?.userId === userId) return;
+
+      const locked = FEATURE_LOCKS.filter(feature => data.featureLocks[feature.id]).map(feature => feature.label.toLowerCase());
+      showAccessToast(
+        '🔒',
+        `${data.changedBy?.username} changed what participants can do`,
+        locked.length ? `Participants can't ${locked.join(', ')}` : 'Everything is allowed again'
+      );
+    });
+
+    socket.on('all-muted', (data) => {
+      // Whoever was muted gets the force-mute popup instead
+      if (data.mutedUserIds.includes(userId)) return;
+      showAccessToast('🔇', `${data.username} muted everyone`, `${data.mutedUserIds.length} participant(s) muted`);
+    });
+
+    // Host or co-host asks us to unmute - we stay muted unless we accept
+    socket.on('unmute-requested', (data) => {
+      setHostConfirmDialog({
+        type: 'unmute',
+        title: 'Unmute Request',
+        message: `${data.requestedBy.username} is asking you to unmute your microphone.`,
+        icon: 'fa-microphone',
+        confirmText: 'Unmute',
+        cancelText: 'Stay Muted',
+        onConfirm: () => answerUnmuteRequest(true),
+        onCancel: () => answerUnmuteRequest(false)
+      });
+    });
+
+    // Host / co-host only - the answer to someone's unmute request
+    socket.on('unmute-request-answered', (data) => {
+      showAccessToast(
+        data.accepted ? '🎙️' : '🔇',
+        `${data.username} ${data.accepted ? 'unmuted' : 'stayed muted'}`,
+        'Answered the request to unmute'
+      );
+    });
+
     // Error handling
     socket.on('error', (data) => {
       console.error('❌ Socket error:', data);
+
+      // Refused at the door - there is no meeting to stay in
+      if (data.event === 'join-meeting' && ENTRY_ERROR_CODES.includes(data.code)) {
+        setIsWaiting(false);
+        setHostNotification({
+          type: 'kicked',
+          title: 'Unable to join',
+          message: data.message,
+          icon: data.code === 'BANNED' ? 'fa-user-slash' : 'fa-lock',
+          onClose: () => window.location.reload()
+        });
+        return;
+      }
+
+      // Unmuted or started video just as the host locked it - undo it locally
+      if (data.code === 'FEATURE_LOCKED' && data.event === 'toggle-audio') {
+        localStreamRef.current?.getAudioTracks().forEach(track => { track.enabled = false; });
+        setIsAudioMuted(true);
+        isAudioMutedRef.current = true;
+      } else if (data.code === 'FEATURE_LOCKED' && data.event === 'toggle-video') {
+        localStreamRef.current?.getVideoTracks().forEach(track => { track.enabled = false; });
+        setIsVideoOff(true);
+      }
+
       onError?.(data.message || 'An error occurred');
     });
   };
@@ -1084,6 +1250,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       const audioTracks = localStream.getAudioTracks();
       if (audioTracks.length > 0) {
         const newMutedState = forceMute !== null ? forceMute : !isAudioMuted;
+        if (!newMutedState && isFeatureLocked(featureLocks, myRole, 'unmute')) return;
         audioTracks.forEach(track => {
           track.enabled = !newMutedState;
         });
@@ -1102,13 +1269,14 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         });
       }
     }
-  }, [localStream, isAudioMuted, meetingId, userId]);
+  }, [localStream, isAudioMuted, meetingId, userId, featureLocks, myRole]);
 
   const toggleVideo = useCallback(() => {
     if (localStream) {
       const videoTracks = localStream.getVideoTracks();
       if (videoTracks.length > 0) {
         const newVideoState = !videoTracks[0].enabled;
+        if (newVideoState && isFeatureLocked(featureLocks, myRole, 'video')) return;
         videoTracks.forEach(track => {
           track.enabled = newVideoState;
         });
@@ -1121,7 +1289,13 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         });
       }
     }
-  }, [localStream, meetingId, userId]);
+  }, [localStream, meetingId, userId, featureLocks, myRole]);
+
+  // Socket handlers read the locks through the ref; App needs them for the chat controls
+  useEffect(() => {
+    featureLocksRef.current = featureLocks;
+    onFeatureLocksChange?.(featureLocks);
+  }, [featureLocks, onFeatureLocksChange]);
 
   const toggleScreenShare = async () => {
     // Check if user is on mobile device
@@ -1216,7 +1390,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
     }
   };
 
-  const stopScreenShare = async () => {
+  const stopScreenShare = useCallback(async () => {
     console.log('🛑 Stopping screen share...');
     
     // Stop screen stream tracks
@@ -1277,7 +1451,17 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       userId: userId,
       isScreenSharing: false
     });
-  };
+  }, [screenStream, localStream, meetingId, userId]);
+
+  // Stop sharing / turn the camera off when our role or the host's locks no longer allow it
+  useEffect(() => {
+    if (isScreenSharing && (!can(myRole, 'screenShare') || isFeatureLocked(featureLocks, myRole, 'screenShare'))) {
+      stopScreenShare();
+    }
+    if (!isVideoOff && isFeatureLocked(featureLocks, myRole, 'video')) {
+      toggleVideo();
+    }
+  }, [myRole, featureLocks, isScreenSharing, isVideoOff, stopScreenShare, toggleVideo]);
 
   const toggleHandRaise = () => {
     const newState = !isHandRaised;
@@ -1292,7 +1476,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
 
   // Host controls - mute a participant
   const hostMuteParticipant = (participant) => {
-    if (!isHost) {
+    if (!can(myRole, 'mute')) {
       console.log('❌ Cannot mute: not a host');
       return;
     }
@@ -1309,9 +1493,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       onConfirm: () => {
         socketRef.current?.emit('host-mute-participant', {
           meetingId,
-          hostUserId: userId,
-          targetUserId: participant.userId,
-          targetSocketId: participant.socketId
+          targetUserId: participant.userId
         });
         console.log('✅ Mute request sent');
         setHostConfirmDialog(null);
@@ -1319,9 +1501,50 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
     });
   };
 
+  // Host controls - mute everyone except the host and co-hosts
+  const hostMuteAll = () => {
+    if (!can(myRole, 'mute')) return;
+
+    setHostConfirmDialog({
+      type: 'mute',
+      title: 'Mute Everyone',
+      message: featureLocks.unmute
+        ? 'Mute everyone except the host and co-hosts?'
+        : 'Mute everyone except the host and co-hosts? They can unmute themselves unless you turn that off under Access.',
+      icon: 'fa-microphone-slash',
+      confirmText: 'Mute All',
+      onConfirm: () => {
+        socketRef.current?.emit('host-mute-all', { meetingId });
+        setHostConfirmDialog(null);
+      }
+    });
+  };
+
+  // Host controls - ask a muted participant to unmute (they have to accept)
+  const hostRequestUnmute = (participant) => {
+    if (!can(myRole, 'mute')) return;
+
+    socketRef.current?.emit('request-unmute', {
+      meetingId,
+      targetUserId: participant.userId
+    });
+    showAccessToast('🎙️', `Asked ${participant.username} to unmute`, 'They stay muted unless they accept');
+  };
+
+  // Our answer to an unmute request - accepting unmutes us even while unmuting is locked
+  const answerUnmuteRequest = (accepted) => {
+    if (accepted && localStreamRef.current) {
+      localStreamRef.current.getAudioTracks().forEach(track => { track.enabled = true; });
+      setIsAudioMuted(false);
+      isAudioMutedRef.current = false;
+    }
+    socketRef.current?.emit('respond-unmute', { meetingId, accepted });
+    setHostConfirmDialog(null);
+  };
+
   // Host controls - remove a participant from meeting
   const hostKickParticipant = (participant) => {
-    if (!isHost) {
+    if (!can(myRole, 'kick')) {
       console.log('❌ Cannot kick: not a host');
       return;
     }
@@ -1338,10 +1561,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       onConfirm: () => {
         socketRef.current?.emit('host-kick-participant', {
           meetingId,
-          hostUserId: userId,
-          targetUserId: participant.userId,
-          targetSocketId: participant.socketId,
-          targetUsername: participant.username
+          targetUserId: participant.userId
         });
         console.log('✅ Kick request sent');
         setHostConfirmDialog(null);
@@ -1349,6 +1569,49 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
     });
   };
 
+  const showAccessToast = (icon, message, subtext) => {
+    setPresenceToast({ type: 'access', icon, message, subtext });
+    setTimeout(() => setPresenceToast(null), 4000);
+  };
+
+  // Host controls - meeting access (waiting room, lock, removed participants)
+  const emitHostAccess = (event, data) => {
+    if (!can(myRole, 'manageAccess')) return;
+    socketRef.current?.emit(event, { meetingId, ...data });
+  };
+
+  // Host controls - features participants may use
+  const setFeatureLock = (feature, locked) => {
+    if (!can(myRole, 'manageLocks')) return;
+    socketRef.current?.emit('set-feature-locks', { meetingId, locks: { [feature]: locked } });
+  };
+
+  // Host controls - roles
+  const setParticipantRole = (participant, role) => {
+    if (!can(myRole, 'assignRoles')) return;
+    socketRef.current?.emit('set-role', { meetingId, targetUserId: participant.userId, role });
+  };
+
+  const transferHost = (participant) => {
+    if (!can(myRole, 'transferHost')) return;
+
+    setHostConfirmDialog({
+      type: 'transfer',
+      title: 'Make Host',
+      message: `Make ${participant.username} the host? You will stay on as co-host.`,
+      icon: 'fa-crown',
+      confirmText: 'Make Host',
+      participant: participant,
+      onConfirm: () => {
+        socketRef.current?.emit('transfer-host', {
+          meetingId,
+          targetUserId: participant.userId
+        });
+        setHostConfirmDialog(null);
+      }
+    });
+  };
+
   const cleanupPeerConnection = (socketId) => {
     console.log('🧹 Cleaning up peer connection for:', socketId);
     
@@ -1577,7 +1840,7 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
     
     recognition.continuous = true;
     recognition.interimResults = true;
-    recognition.lang = 'en-US';
+    recognition.lang = speechLanguageRef.current;
     recognition.maxAlternatives = 1;
     
     recognition.onstart = () => {
@@ -1665,7 +1928,8 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           userId,
           username,
           text: finalTranscript,
-          isFinal: true
+          isFinal: true,
+          language: recognition.lang
         });
         console.log('📝 Sent transcript:', finalTranscript);
       }
@@ -1674,6 +1938,23 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
     return recognition;
   }, [meetingId, userId, username, restartRecognition]);
 
+  // Switch the recognition language when it changes in Settings
+  useEffect(() => {
+    speechLanguageRef.current = speechLanguage;
+
+    const recognition = recognitionRef.current;
+    if (recognition && recognition.lang !== speechLanguage) {
+      recognition.lang = speechLanguage;
+      // The new language applies from the next start; onend restarts it while transcribing
+      try {
+        recognition.stop();
+      } catch (e) {
+        // Not running
+      }
+      console.log('🌐 Speech recognition language:', speechLanguage);
+    }
+  }, [speechLanguage]);
+
   // Toggle speech recognition
   const toggleTranscription = useCallback(() => {
     if (!isSpeechRecognitionSupported()) {
@@ -1757,6 +2038,51 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
     }
   }, [isTranscribing, initSpeechRecognition]);
 
+  // Ask the server for captions in our language - only while captions are shown,
+  // so nobody pays for translations they don't read
+  useEffect(() => {
+    const language = showCaptions ? captionLanguage : '';
+    if (captionLanguageRef.current === language) return;
+
+    captionLanguageRef.current = language;
+    socketRef.current?.emit('set-caption-language', { meetingId, language: language || null });
+  }, [showCaptions, captionLanguage, meetingId]);
+
+  // Show other participants' speech as captions
+  useEffect(() => {
+    if (!socketRef.current || !showCaptions) return;
+
+    const handleTranscriptUpdate = (data) => {
+      if (!data.isFinal || !data.text) return;
+
+      setCaptions(prev => [...prev, {
+        id: data.entryId || `${data.userId}-${data.timestamp}`,
+        username: data.username,
+        text: data.translatedText || data.text,
+        originalText: data.translatedText ? data.text : null,
+        receivedAt: Date.now()
+      }].slice(-3));
+    };
+
+    socketRef.current.on('transcript-update', handleTranscriptUpdate);
+
+    return () => {
+      if (socketRef.current) {
+        socketRef.current.off('transcript-update', handleTranscriptUpdate);
+      }
+    };
+  }, [showCaptions, connectionStatus]);
+
+  // Fade out captions a few seconds after they arrive
+  useEffect(() => {
+    if (captions.length === 0) return;
+
+    const timer = setInterval(() => {
+      setCaptions(prev => prev.filter(caption => Date.now() - caption.receivedAt < 8000));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [captions.length]);
+
   // Listen for transcription requests from other users
   useEffect(() => {
     if (!socketRef.current) return;
@@ -2253,6 +2579,22 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           </div>
         )}
 
+        {/* Waiting Room - until the host admits us */}
+        {isWaiting && (
+          <div className="host-notification-overlay">
+            <div className="host-notification-popup waiting">
+              <div className="host-notification-icon">
+                <i className="fas fa-hourglass-half"></i>
+              </div>
+              <h3>Waiting for the host</h3>
+              <p>You'll join the meeting as soon as the host lets you in.</p>
+              <button className="host-notification-btn" onClick={() => window.location.reload()}>
+                Leave
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Host Action Notification Popup */}
         {hostNotification && (
           <div className="host-notification-overlay">
@@ -2289,15 +2631,18 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
               <div className="host-confirm-buttons">
                 <button 
                   className="host-confirm-btn cancel"
-                  onClick={() => setHostConfirmDialog(null)}
+                  onClick={() => {
+                    hostConfirmDialog.onCancel?.();
+                    setHostConfirmDialog(null);
+                  }}
                 >
-                  Cancel
+                  {hostConfirmDialog.cancelText || 'Cancel'}
                 </button>
                 <button 
                   className={`host-confirm-btn confirm ${hostConfirmDialog.type}`}
                   onClick={hostConfirmDialog.onConfirm}
                 >
-                  {hostConfirmDialog.type === 'kick' ? 'Remove' : 'Mute'}
+                  {hostConfirmDialog.confirmText || (hostConfirmDialog.type === 'kick' ? 'Remove' : 'Mute')}
                 </button>
               </div>
             </div>
@@ -2321,6 +2666,29 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           </div>
         )}
 
+        {/* Live Captions */}
+        {showCaptions && (captions.length > 0 || (isTranscribing && currentTranscript)) && (
+          <div className="captions-container">
+            {captions.map(caption => (
+              <div key={caption.id} className="caption-line remote-caption">
+                <span className="caption-speaker">{caption.username}:</span>
+                <span className="caption-text">
+                  {caption.text}
+                  {caption.originalText && (
+                    <span className="caption-original">{caption.originalText}</span>
+                  )}
+                </span>
+              </div>
+            ))}
+            {isTranscribing && currentTranscript && (
+              <div className="caption-line own-caption">
+                <span className="caption-speaker">You:</span>
+                <span className="caption-text">{currentTranscript}</span>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Transcription Status Indicator */}
         {isTranscribing && (
           <div className="transcription-indicator">
@@ -2335,6 +2703,8 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         <button
           className={`control-btn ${isAudioMuted ? 'active danger' : ''}`}
           onClick={() => toggleAudio()}
+          disabled={isAudioMuted && isLocked('unmute')}
+          title={isAudioMuted && isLocked('unmute') ? 'The host has turned off unmuting - wait to be asked' : undefined}
         >
           <i className={`fas fa-${isAudioMuted ? 'microphone-slash' : 'microphone'}`}></i>
           <span>{isAudioMuted ? 'Unmute' : 'Mute'}</span>
@@ -2343,6 +2713,8 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         <button
           className={`control-btn ${isVideoOff ? 'active danger' : ''}`}
           onClick={toggleVideo}
+          disabled={isVideoOff && isLocked('video')}
+          title={isVideoOff && isLocked('video') ? 'The host has turned off video for participants' : undefined}
         >
           <i className={`fas fa-${isVideoOff ? 'video-slash' : 'video'}`}></i>
           <span>{isVideoOff ? 'Start Video' : 'Stop Video'}</span>
@@ -2351,6 +2723,10 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         <button
           className={`control-btn ${isScreenSharing ? 'active warning' : ''}`}
           onClick={toggleScreenShare}
+          disabled={!isScreenSharing && (!can(myRole, 'screenShare') || isLocked('screenShare'))}
+          title={!can(myRole, 'screenShare')
+            ? `${getRoleLabel(myRole)}s can't share their screen`
+            : isLocked('screenShare') ? 'The host has turned off screen sharing for participants' : undefined}
         >
           <i className="fas fa-desktop"></i>
           <span>{isScreenSharing ? 'Stop Share' : 'Share Screen'}</span>
@@ -2373,6 +2749,19 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           <span>{isTranscribing ? 'Stop Transcribing' : 'Transcribe'}</span>
         </button>
 
+        {/* Captions Button */}
+        <button
+          className={`control-btn ${showCaptions ? 'active' : ''}`}
+          onClick={() => {
+            setShowCaptions(!showCaptions);
+            setCaptions([]);
+          }}
+          title={captionLanguage ? 'Captions are translated to your caption language (Settings > Audio)' : 'Captions as spoken'}
+        >
+          <i className="fas fa-closed-captioning"></i>
+          <span>{showCaptions ? 'Hide Captions' : 'Captions'}</span>
+        </button>
+
         <button
           className={`control-btn ${showParticipants ? 'active' : ''}`}
           onClick={() => setShowParticipants(!showParticipants)}
@@ -2381,6 +2770,20 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
           <span>Participants ({participants.length})</span>
         </button>
 
+        {can(myRole, 'manageAccess') && (
+          <button
+            className={`control-btn ${showHostAccess ? 'active' : ''}`}
+            onClick={() => setShowHostAccess(!showHostAccess)}
+            title="Waiting room, lock, what participants can do and removed participants"
+          >
+            <i className={`fas fa-${accessState?.isLocked ? 'lock' : 'door-open'}`}></i>
+            <span>Access</span>
+            {accessState?.waiting.length > 0 && (
+              <span className="access-badge">{accessState.waiting.length}</span>
+            )}
+          </button>
+        )}
+
         <div className="layout-menu-container">
           <button
             className={`control-btn ${showLayoutMenu ? 'active' : ''}`}
@@ -2425,17 +2828,29 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
       {showParticipants && (
         <div className="participants-panel">
           <div className="panel-header">
-            <h3>Participants ({participants.length}) {isHost && <span style={{fontSize: '0.7rem', color: '#4facfe'}}>(Host Controls)</span>}</h3>
+            <h3>Participants ({participants.length}) {can(myRole, 'mute') && <span style={{fontSize: '0.7rem', color: '#4facfe'}}>(Host Controls)</span>}</h3>
             <button onClick={() => setShowParticipants(false)} title="Close panel">
               <i className="fas fa-times"></i>
             </button>
           </div>
+          {can(myRole, 'mute') && (
+            <div className="participants-actions">
+              <button className="participants-action-btn" onClick={hostMuteAll}>
+                <i className="fas fa-microphone-slash"></i> Mute All
+              </button>
+            </div>
+          )}
           <div className="participants-list">
             {participants.map(p => (
               <div key={p.userId || p.socketId} className="participant-item">
                 <div className="participant-info">
                   <i className="fas fa-user-circle"></i>
-                  <span>{p.username} {p.userId === userId ? '(You)' : ''}</span>
+                  <span>
+                    {p.username} {p.userId === userId ? '(You)' : ''}
+                    {p.role && p.role !== 'attendee' && (
+                      <small className={`role-badge ${p.role}`}>{getRoleLabel(p.role)}</small>
+                    )}
+                  </span>
                 </div>
                 <div className="participant-status">
                   {p.isAudioMuted && <i className="fas fa-microphone-slash text-danger" title="Muted"></i>}
@@ -2443,10 +2858,31 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
                   {p.isHandRaised && <i className="fas fa-hand-paper text-warning" title="Hand raised"></i>}
                   {p.isScreenSharing && <i className="fas fa-desktop text-warning" title="Screen sharing"></i>}
                 </div>
-                {/* Host Controls - only show for host and not for themselves */}
-                {isHost && p.userId !== userId && (
+                {/* Host Controls - only for participants below our own role */}
+                {p.userId !== userId && outranks(myRole, p.role || 'attendee') && (
                   <div className="host-controls">
-                    {!p.isAudioMuted && (
+                    {can(myRole, 'assignRoles') && (
+                      <select
+                        className="role-select"
+                        value={p.role || 'attendee'}
+                        onChange={(e) => setParticipantRole(p, e.target.value)}
+                        title="Change role"
+                      >
+                        {ROLES.filter(r => r.id === (p.role || 'attendee') || outranks(myRole, r.id)).map(r => (
+                          <option key={r.id} value={r.id}>{r.label}</option>
+                        ))}
+                      </select>
+                    )}
+                    {can(myRole, 'transferHost') && (
+                      <button
+                        className="host-control-btn"
+                        onClick={() => transferHost(p)}
+                        title="Make host"
+                      >
+                        <i className="fas fa-crown"></i>
+                      </button>
+                    )}
+                    {can(myRole, 'mute') && !p.isAudioMuted && (
                       <button 
                         className="host-control-btn" 
                         onClick={() => hostMuteParticipant(p)}
@@ -2455,13 +2891,24 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
                         <i className="fas fa-microphone-slash"></i>
                       </button>
                     )}
-                    <button 
-                      className="host-control-btn danger" 
-                      onClick={() => hostKickParticipant(p)}
-                      title="Remove from meeting"
-                    >
-                      <i className="fas fa-user-times"></i>
-                    </button>
+                    {can(myRole, 'mute') && p.isAudioMuted && (
+                      <button
+                        className="host-control-btn"
+                        onClick={() => hostRequestUnmute(p)}
+                        title="Ask to unmute"
+                      >
+                        <i className="fas fa-microphone"></i>
+                      </button>
+                    )}
+                    {can(myRole, 'kick') && (
+                      <button 
+                        className="host-control-btn danger" 
+                        onClick={() => hostKickParticipant(p)}
+                        title="Remove from meeting"
+                      >
+                        <i className="fas fa-user-times"></i>
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
@@ -2470,6 +2917,21 @@ const VideoCall = ({ meetingId, username, userId, isHost, onError, setSocket, on
         </div>
       )}
 
+      {/* Host Access Panel */}
+      {can(myRole, 'manageAccess') && showHostAccess && (
+        <HostAccessPanel
+          accessState={accessState}
+          featureLocks={featureLocks}
+          onToggleFeatureLock={setFeatureLock}
+          onToggleLock={(isLocked) => emitHostAccess('lock-meeting', { isLocked })}
+          onToggleWaitingRoom={(enabled) => emitHostAccess('set-waiting-room', { enabled })}
+          onAdmit={(person) => emitHostAccess('admit-participant', { targetUserId: person.userId })}
+          onDeny={(person) => emitHostAccess('deny-participant', { targetUserId: person.userId })}
+          onUnban={(person) => emitHostAccess('unban-participant', { targetUserId: person.userId })}
+          onClose={() => setShowHostAccess(false)}
+        />
+      )}
+
       {/* Debug Panel - Only in development */}
       {process.env.NODE_ENV === 'development' && (
         <div className="debug-panel">
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { authHeaders } from '../utils/auth';
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Custom hook to run AI requests as background jobs on the server
+ * Sends the request with async: true, then waits for the job-completed
+ * socket event (when a socket is connected) and polls /api/jobs/:jobId as a fallback
+ *
+ * Unmounting stops waiting: polling and socket listeners end, and the pending
+ * promises never settle, so callers don't update an unmounted component.
+ */
+const useBackgroundJob = (apiBase, socket) => {
+  const stopWaitingRef = useRef(new Set()); // cleanup of every job still being waited for
+
+  useEffect(() => {
+    const stopWaiting = stopWaitingRef.current;
+    return () => {
+      stopWaiting.forEach(stop => stop());
+    };
+  }, []);
+
+  const waitForJob = useCallback((jobId, onProgress) => {
+    return new Promise((resolve, reject) => {
+      let pollTimer = null;
+      let finished = false;
+
+      const cleanup = () => {
+        finished = true;
+        stopWaitingRef.current.delete(cleanup);
+        clearTimeout(pollTimer);
+        if (socket) {
+          socket.off('job-progress', handleUpdate);
+          socket.off('job-completed', handleUpdate);
+        }
+      };
+      stopWaitingRef.current.add(cleanup);
+
+      function handleUpdate(job) {
+        if (finished || job.jobId !== jobId) return;
+
+        if (job.status === 'completed') {
+          cleanup();
+          resolve(job.result);
+        } else if (job.status === 'failed') {
+          cleanup();
+          reject(Object.assign(new Error(job.error?.message || 'Request failed'), { code: job.error?.code }));
+        } else if (onProgress) {
+          onProgress(job);
+        }
+      }
+
+      const poll = async () => {
+        try {
+          const response = await fetch(`${apiBase}/api/jobs/${jobId}`, { headers: authHeaders() });
+          if (finished) return;
+          if (response.status === 404) {
+            // The job expired or the server restarted - it will never finish
+            cleanup();
+            reject(new Error('This request is no longer available - please try again'));
+            return;
+          }
+          const data = await response.json();
+          if (!data.success) throw new Error(data.message || 'Failed to check request status');
+          handleUpdate(data.job);
+        } catch (err) {
+          // Network hiccup - keep polling
+          console.error('Error polling job:', err);
+        }
+        if (!finished) {
+          pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      };
+
+      if (socket) {
+        socket.on('job-progress', handleUpdate);
+        socket.on('job-completed', handleUpdate);
+        socket.emit('watch-job', { jobId });
+      }
+      pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    });
+  }, [apiBase, socket]);
+
+  /**
+   * POST to an AI endpoint as a background job
+   * @returns {Promise<Object>} - The response data (job result, or the direct response for cached results)
+   */
+  const runJob = useCallback(async (path, body, onProgress) => {
+    const response = await fetch(`${apiBase}${path}`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ ...body, async: true }),
+    });
+
+    const data = await response.json();
+
+    if (!data.success) {
+      throw Object.assign(new Error(data.message || 'Request failed'), { code: data.code });
+    }
+
+    if (response.status !== 202 || !data.jobId) {
+      return data;
+    }
+
+    if (onProgress) onProgress({ ...data, progressMessage: 'Queued' });
+    return waitForJob(data.jobId, onProgress);
+  }, [apiBase, waitForJob]);
+
+  return { runJob };
+};
+
+export default useBackgroundJob;
@@ -0,0 +1,54 @@
+// Signed-in session (access token + public user) kept in localStorage.
+// Every API request sends the token as "Authorization: Bearer <token>",
+// the socket sends it in the handshake ({ auth: { token } }).
+const TOKEN_KEY = 'smartmeet_token';
+const USER_KEY = 'smartmeet_user';
+
+export const getSession = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (!token) return null;
+  try {
+    return { token, user: JSON.parse(localStorage.getItem(USER_KEY)) };
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveSession = ({ token, user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+// Request headers with the access token, e.g. authHeaders({ 'Content-Type': 'application/json' })
+export const authHeaders = (headers = {}) => {
+  const token = getToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
+
+// Download a file from an authenticated endpoint - a plain link can't send the token
+export const downloadWithAuth = async (url, fallbackName) => {
+  const response = await fetch(url, { headers: authHeaders() });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `Download failed (${response.status})`);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const objectUrl = URL.createObjectURL(await response.blob());
+
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+};
@@ -0,0 +1,55 @@
+// Languages for speech recognition and AI output (BCP 47 tags, as SpeechRecognition.lang expects).
+// Keep in sync with backend/utils/languages.js.
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en-US', name: 'English (US)' },
+  { code: 'en-GB', name: 'English (UK)' },
+  { code: 'es-ES', name: 'Spanish (Spain)' },
+  { code: 'es-MX', name: 'Spanish (Mexico)' },
+  { code: 'fr-FR', name: 'French' },
+  { code: 'de-DE', name: 'German' },
+  { code: 'it-IT', name: 'Italian' },
+  { code: 'pt-BR', name: 'Portuguese (Brazil)' },
+  { code: 'pt-PT', name: 'Portuguese (Portugal)' },
+  { code: 'nl-NL', name: 'Dutch' },
+  { code: 'pl-PL', name: 'Polish' },
+  { code: 'uk-UA', name: 'Ukrainian' },
+  { code: 'ru-RU', name: 'Russian' },
+  { code: 'tr-TR', name: 'Turkish' },
+  { code: 'ar-SA', name: 'Arabic' },
+  { code: 'hi-IN', name: 'Hindi' },
+  { code: 'ja-JP', name: 'Japanese' },
+  { code: 'ko-KR', name: 'Korean' },
+  { code: 'zh-CN', name: 'Chinese (Simplified)' }
+];
+
+export const DEFAULT_SPEECH_LANGUAGE = 'en-US';
+
+// Closest supported language to the browser's, e.g. "es" -> "es-ES"
+export const getBrowserLanguage = () => {
+  const browserLanguage = (navigator.language || DEFAULT_SPEECH_LANGUAGE).toLowerCase();
+  const exact = SUPPORTED_LANGUAGES.find(lang => lang.code.toLowerCase() === browserLanguage);
+  const base = SUPPORTED_LANGUAGES.find(lang => lang.code.split('-')[0] === browserLanguage.split('-')[0]);
+  return (exact || base)?.code || DEFAULT_SPEECH_LANGUAGE;
+};
+
+// Saved language settings (see Settings): speechLanguage is what the user speaks,
+// captionLanguage what others' captions are translated to ('' = as spoken) and
+// aiLanguage what summaries and AI answers are written in ('' = English)
+export const getLanguageSettings = () => {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem('smartmeet_settings') || '{}');
+  } catch (e) {
+    // Ignore parsing errors
+  }
+
+  const speechLanguage = saved.speechLanguage || getBrowserLanguage();
+  return {
+    speechLanguage,
+    captionLanguage: saved.captionLanguage !== undefined ? saved.captionLanguage : speechLanguage,
+    aiLanguage: saved.aiLanguage || ''
+  };
+};
+
+export const getLanguageName = (code) =>
+  SUPPORTED_LANGUAGES.find(lang => lang.code === code)?.name || code;
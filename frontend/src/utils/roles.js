@@ -0,0 +1,37 @@
+// Meeting roles and what each one may do.
+// Keep in sync with backend/utils/roles.js - the server enforces these, the UI only hides what would be refused.
+export const ROLES = [
+  { id: 'host', label: 'Host' },
+  { id: 'cohost', label: 'Co-host' },
+  { id: 'presenter', label: 'Presenter' },
+  { id: 'attendee', label: 'Attendee' },
+  { id: 'viewer', label: 'Viewer' }
+];
+
+const ROLE_PERMISSIONS = {
+  host: ['mute', 'kick', 'manageAccess', 'manageLocks', 'assignRoles', 'transferHost', 'endMeeting', 'screenShare', 'chat', 'createPoll'],
+  cohost: ['mute', 'kick', 'manageAccess', 'manageLocks', 'assignRoles', 'screenShare', 'chat', 'createPoll'],
+  presenter: ['screenShare', 'chat', 'createPoll'],
+  attendee: ['screenShare', 'chat'],
+  viewer: []
+};
+
+export const can = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// host > cohost > everyone else - moderation and role changes only go downwards
+const rank = (role) => (role === 'host' ? 2 : role === 'cohost' ? 1 : 0);
+export const outranks = (role, otherRole) => rank(role) > rank(otherRole);
+
+export const getRoleLabel = (role) => ROLES.find(r => r.id === role)?.label || 'Attendee';
+
+// Features the host can turn off for participants (backend: services/moderationService.js)
+export const FEATURE_LOCKS = [
+  { id: 'unmute', label: 'Unmute themselves', icon: 'microphone' },
+  { id: 'video', label: 'Start their video', icon: 'video' },
+  { id: 'screenShare', label: 'Share their screen', icon: 'desktop' },
+  { id: 'chat', label: 'Send chat messages', icon: 'comment' },
+  { id: 'fileShare', label: 'Share files', icon: 'paperclip' }
+];
+
+// The host and co-hosts are never locked out
+export const isFeatureLocked = (featureLocks, role, feature) => !!featureLocks?.[feature] && !can(role, 'manageLocks');